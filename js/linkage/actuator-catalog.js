@@ -0,0 +1,229 @@
+// ============================================================================
+// ACTUATOR CATALOG
+// Off-the-shelf actuators checked against a placement's fold profile
+// ============================================================================
+
+/**
+ * ActuatorCatalog - Real actuators that fit an actuator placement
+ *
+ * Each entry is a purchasable part: electric linear actuators, gas struts and
+ * hydraulic cylinders, with pin-to-pin retracted length, stroke, rated force,
+ * speed and current (no load and at rated load), and duty-cycle limits.
+ *
+ * A placement is described by its fold profile: the distance between the two
+ * mount points and the required force at a series of fold angles, from stowed
+ * to deployed. A part fits when it is no longer than the shortest mount
+ * distance when retracted and reaches the longest one when extended. Fitting
+ * parts are then sized (how many units share the load), and checked for force
+ * margin at every angle, deploy time and the on-time allowed by their duty cycle.
+ *
+ * Usage:
+ *   const profile = [{ angle, length, force }, ...];   // stowed → deployed, inches / lbs
+ *   const fits = ActuatorCatalog.selectActuators(profile);
+ *   fits[0].actuator.name;   // 'Linear actuator 12" / 400 lbf'
+ *   fits[0].minMargin;       // 0.42 → 42% spare force at the worst angle
+ */
+
+const ActuatorCatalog = (function() {
+    'use strict';
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Actuator families */
+    const TYPES = {
+        electric: { label: 'Linear actuator', powered: true },
+        'gas-strut': { label: 'Gas strut', powered: false },
+        hydraulic: { label: 'Hydraulic cylinder', powered: true }
+    };
+
+    /**
+     * Catalog. Lengths are pin-to-pin (inches), force in lbf, speed in in/s and
+     * current in amps at the rated voltage, each at no load and at rated load.
+     * Duty cycle is the allowed on-time fraction (%); maxOnSec the longest
+     * continuous run, or null for passive parts.
+     */
+    const ACTUATORS = [
+        // 12 V electric linear actuators (ACME screw, 25% duty)
+        { id: 'la-6-225', type: 'electric', name: 'Linear actuator 6" / 225 lbf', retractedIn: 10.9, strokeIn: 6, forceLbs: 225, speedNoLoad: 0.55, speedFullLoad: 0.43, currentNoLoad: 1.0, currentFullLoad: 5.0, voltage: 12, dutyCyclePct: 25, maxOnSec: 120, costEach: 95 },
+        { id: 'la-12-225', type: 'electric', name: 'Linear actuator 12" / 225 lbf', retractedIn: 16.9, strokeIn: 12, forceLbs: 225, speedNoLoad: 0.55, speedFullLoad: 0.43, currentNoLoad: 1.0, currentFullLoad: 5.0, voltage: 12, dutyCyclePct: 25, maxOnSec: 120, costEach: 110 },
+        { id: 'la-12-400', type: 'electric', name: 'Linear actuator 12" / 400 lbf', retractedIn: 18.1, strokeIn: 12, forceLbs: 400, speedNoLoad: 0.39, speedFullLoad: 0.28, currentNoLoad: 1.5, currentFullLoad: 8.0, voltage: 12, dutyCyclePct: 25, maxOnSec: 120, costEach: 140 },
+        { id: 'la-18-400', type: 'electric', name: 'Linear actuator 18" / 400 lbf', retractedIn: 24.1, strokeIn: 18, forceLbs: 400, speedNoLoad: 0.39, speedFullLoad: 0.28, currentNoLoad: 1.5, currentFullLoad: 8.0, voltage: 12, dutyCyclePct: 25, maxOnSec: 120, costEach: 160 },
+        { id: 'la-24-400', type: 'electric', name: 'Linear actuator 24" / 400 lbf', retractedIn: 30.1, strokeIn: 24, forceLbs: 400, speedNoLoad: 0.39, speedFullLoad: 0.28, currentNoLoad: 1.5, currentFullLoad: 8.0, voltage: 12, dutyCyclePct: 25, maxOnSec: 120, costEach: 180 },
+        { id: 'la-12-1000', type: 'electric', name: 'Heavy-duty actuator 12" / 1000 lbf', retractedIn: 19.5, strokeIn: 12, forceLbs: 1000, speedNoLoad: 0.20, speedFullLoad: 0.16, currentNoLoad: 2.0, currentFullLoad: 16.0, voltage: 12, dutyCyclePct: 25, maxOnSec: 150, costEach: 260 },
+        { id: 'la-24-1500', type: 'electric', name: 'Heavy-duty actuator 24" / 1500 lbf', retractedIn: 33.0, strokeIn: 24, forceLbs: 1500, speedNoLoad: 0.24, speedFullLoad: 0.15, currentNoLoad: 2.0, currentFullLoad: 20.0, voltage: 12, dutyCyclePct: 20, maxOnSec: 180, costEach: 420 },
+        { id: 'la-36-1000', type: 'electric', name: 'Heavy-duty actuator 36" / 1000 lbf', retractedIn: 45.5, strokeIn: 36, forceLbs: 1000, speedNoLoad: 0.20, speedFullLoad: 0.16, currentNoLoad: 2.0, currentFullLoad: 16.0, voltage: 12, dutyCyclePct: 25, maxOnSec: 240, costEach: 340 },
+        { id: 'la-48-750', type: 'electric', name: 'Heavy-duty actuator 48" / 750 lbf', retractedIn: 57.5, strokeIn: 48, forceLbs: 750, speedNoLoad: 0.30, speedFullLoad: 0.22, currentNoLoad: 2.0, currentFullLoad: 14.0, voltage: 12, dutyCyclePct: 25, maxOnSec: 300, costEach: 390 },
+
+        // Gas struts (passive; rated force is the extension force, speed set by the damping)
+        { id: 'gs-8-100', type: 'gas-strut', name: 'Gas strut 8" / 100 lbf', retractedIn: 17.9, strokeIn: 8, forceLbs: 100, speedNoLoad: 3.0, speedFullLoad: 1.5, currentNoLoad: 0, currentFullLoad: 0, voltage: 0, dutyCyclePct: 100, maxOnSec: null, costEach: 22 },
+        { id: 'gs-12-200', type: 'gas-strut', name: 'Gas strut 12" / 200 lbf', retractedIn: 20.0, strokeIn: 12, forceLbs: 200, speedNoLoad: 3.0, speedFullLoad: 1.5, currentNoLoad: 0, currentFullLoad: 0, voltage: 0, dutyCyclePct: 100, maxOnSec: null, costEach: 30 },
+        { id: 'gs-18-300', type: 'gas-strut', name: 'Gas strut 18" / 300 lbf', retractedIn: 27.0, strokeIn: 18, forceLbs: 300, speedNoLoad: 2.5, speedFullLoad: 1.2, currentNoLoad: 0, currentFullLoad: 0, voltage: 0, dutyCyclePct: 100, maxOnSec: null, costEach: 42 },
+        { id: 'gs-24-400', type: 'gas-strut', name: 'Gas strut 24" / 400 lbf', retractedIn: 34.5, strokeIn: 24, forceLbs: 400, speedNoLoad: 2.5, speedFullLoad: 1.2, currentNoLoad: 0, currentFullLoad: 0, voltage: 0, dutyCyclePct: 100, maxOnSec: null, costEach: 58 },
+
+        // Double-acting cylinders on a 12 V power unit (2000 psi)
+        { id: 'hc-1.5x8', type: 'hydraulic', name: 'Hydraulic cylinder 1.5" x 8"', retractedIn: 16.3, strokeIn: 8, forceLbs: 3500, speedNoLoad: 1.2, speedFullLoad: 0.9, currentNoLoad: 40, currentFullLoad: 150, voltage: 12, dutyCyclePct: 15, maxOnSec: 90, costEach: 520 },
+        { id: 'hc-2x16', type: 'hydraulic', name: 'Hydraulic cylinder 2" x 16"', retractedIn: 25.3, strokeIn: 16, forceLbs: 6000, speedNoLoad: 0.7, speedFullLoad: 0.5, currentNoLoad: 40, currentFullLoad: 170, voltage: 12, dutyCyclePct: 15, maxOnSec: 90, costEach: 640 },
+        { id: 'hc-2x24', type: 'hydraulic', name: 'Hydraulic cylinder 2" x 24"', retractedIn: 33.3, strokeIn: 24, forceLbs: 6000, speedNoLoad: 0.7, speedFullLoad: 0.5, currentNoLoad: 40, currentFullLoad: 170, voltage: 12, dutyCyclePct: 15, maxOnSec: 90, costEach: 700 },
+        { id: 'hc-3x36', type: 'hydraulic', name: 'Hydraulic cylinder 3" x 36"', retractedIn: 46.3, strokeIn: 36, forceLbs: 14000, speedNoLoad: 0.35, speedFullLoad: 0.25, currentNoLoad: 45, currentFullLoad: 190, voltage: 12, dutyCyclePct: 15, maxOnSec: 180, costEach: 960 }
+    ];
+
+    /** Most units that may share one placement's load */
+    const MAX_UNITS = 4;
+
+    /** Force margin below which a fit is flagged (fraction of the required force) */
+    const MIN_MARGIN = 0.25;
+
+    /** Smallest change in mount distance an actuator can drive the fold with (inches) */
+    const MIN_STROKE_IN = 0.5;
+
+    // ========================================
+    // LOOKUP
+    // ========================================
+
+    /**
+     * Catalog entry by id
+     * @param {string} id - Actuator id
+     * @returns {Object|null} Entry, or null if unknown
+     */
+    function getActuator(id) {
+        return ACTUATORS.find(a => a.id === id) || null;
+    }
+
+    const extendedLength = (actuator) => actuator.retractedIn + actuator.strokeIn;
+    const lerp = (a, b, t) => a + (b - a) * Math.max(0, Math.min(1, t));
+
+    // ========================================
+    // CHECKS
+    // ========================================
+
+    /**
+     * Whether an actuator spans the mount points over the whole profile
+     * @param {Object} actuator - Catalog entry
+     * @param {Array<{length: number}>} profile - Fold profile
+     * @returns {boolean} True if it is short enough retracted and long enough extended
+     */
+    function fitsMounts(actuator, profile) {
+        const lengths = profile.map(s => s.length);
+        return actuator.retractedIn <= Math.min(...lengths) && extendedLength(actuator) >= Math.max(...lengths);
+    }
+
+    /**
+     * Checks one catalog part against a placement's fold profile
+     * @param {Object} actuator - Catalog entry
+     * @param {Array<{angle: number, length: number, force: number}>} profile - Samples from stowed to deployed
+     * @returns {{actuator: Object, units: number, strokeUsed: number, margins: Array<{angle: number, margin: number}>,
+     *   minMargin: number, minMarginAngle: number, deployTimeSec: number, peakCurrent: number,
+     *   energyWh: number, restSec: number, cost: number, issues: string[], ok: boolean}} Evaluation
+     */
+    function evaluateActuator(actuator, profile) {
+        const peak = Math.max(...profile.map(s => s.force));
+        const units = Math.min(MAX_UNITS, Math.max(1, Math.ceil(peak / actuator.forceLbs)));
+        const rated = actuator.forceLbs * units;
+
+        const margins = profile.map(s => ({ angle: s.angle, margin: rated / Math.max(1e-6, s.force) - 1 }));
+        const worst = margins.reduce((a, b) => (b.margin < a.margin ? b : a));
+
+        // Deploy time and energy: every segment runs at the speed and current for its load
+        let deployTimeSec = 0;
+        let energyWh = 0;
+        for (let i = 1; i < profile.length; i++) {
+            const load = (profile[i - 1].force + profile[i].force) / 2 / rated;
+            const dt = Math.abs(profile[i].length - profile[i - 1].length) / lerp(actuator.speedNoLoad, actuator.speedFullLoad, load);
+            deployTimeSec += dt;
+            energyWh += units * actuator.voltage * lerp(actuator.currentNoLoad, actuator.currentFullLoad, load) * dt / 3600;
+        }
+
+        const peakCurrent = units * lerp(actuator.currentNoLoad, actuator.currentFullLoad, peak / rated);
+        const lengths = profile.map(s => s.length);
+        const strokeUsed = (Math.max(...lengths) - Math.min(...lengths)) / actuator.strokeIn;
+        // Rest before the next run so the average on-time stays within the duty cycle
+        const restSec = deployTimeSec * (100 / actuator.dutyCyclePct - 1);
+
+        const issues = [];
+        if (worst.margin < 0) {
+            issues.push(`${Math.round(-worst.margin * 100)}% short of force even with ${units} units`);
+        } else if (worst.margin < MIN_MARGIN) {
+            issues.push(`only ${Math.round(worst.margin * 100)}% force margin`);
+        }
+        if (actuator.maxOnSec !== null && deployTimeSec > actuator.maxOnSec) {
+            issues.push(`deploy run of ${Math.round(deployTimeSec)} s exceeds the ${actuator.maxOnSec} s on-time limit`);
+        }
+
+        return {
+            actuator,
+            units,
+            strokeUsed,
+            margins,
+            minMargin: worst.margin,
+            minMarginAngle: worst.angle,
+            deployTimeSec,
+            peakCurrent,
+            energyWh,
+            restSec,
+            cost: units * actuator.costEach,
+            issues,
+            ok: worst.margin >= MIN_MARGIN && issues.length === 0
+        };
+    }
+
+    /**
+     * Length envelope a placement asks of an actuator
+     * @param {Array<{length: number}>} profile - Fold profile
+     * @returns {{minLength: number, maxLength: number, stroke: number, drivable: boolean}} Shortest and longest
+     *   mount distance (inches), their difference, and whether it is enough to drive the fold
+     */
+    function getRequirement(profile) {
+        const lengths = profile.map(s => s.length).filter(isFinite);
+        const minLength = Math.min(...lengths);
+        const maxLength = Math.max(...lengths);
+        const stroke = maxLength - minLength;
+        return { minLength, maxLength, stroke, drivable: lengths.length >= 2 && stroke >= MIN_STROKE_IN };
+    }
+
+    /**
+     * Catalog parts that fit a placement, best first
+     * @param {Array<{angle: number, length: number, force: number}>} profile - Samples from stowed to deployed
+     * @param {{types?: string[]}} options - Families to consider (default all)
+     * @returns {Array<Object>} Evaluations from evaluateActuator(); passing parts first, then by cost
+     */
+    function selectActuators(profile, options = {}) {
+        const samples = profile.filter(s => isFinite(s.length) && isFinite(s.force));
+        if (!getRequirement(samples).drivable) return [];
+
+        const types = options.types || Object.keys(TYPES);
+        return ACTUATORS
+            .filter(a => types.includes(a.type) && fitsMounts(a, samples))
+            .map(a => evaluateActuator(a, samples))
+            .sort((a, b) => (b.ok - a.ok) || (a.minMargin >= 0 ? 0 : 1) - (b.minMargin >= 0 ? 0 : 1) || a.cost - b.cost);
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        TYPES,
+        ACTUATORS,
+        MAX_UNITS,
+        MIN_MARGIN,
+        MIN_STROKE_IN,
+
+        // Lookup
+        getActuator,
+        extendedLength,
+
+        // Checks
+        getRequirement,
+        fitsMounts,
+        evaluateActuator,
+        selectActuators
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActuatorCatalog;
+}
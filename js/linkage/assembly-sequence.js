@@ -0,0 +1,264 @@
+// ============================================================================
+// ASSEMBLY SEQUENCE
+// Step-by-step build order derived from the module and stack topology
+// ============================================================================
+
+/**
+ * AssemblySequence - Ordered assembly steps for a linkage design
+ *
+ * Each module is built in three steps: the bottom ring scissor (joined to the
+ * previous module), the upright scissor standing in the bottom brackets, and
+ * the top ring scissor pinned over the uprights. Cap uprights follow the first
+ * module, and a final step closes the ring when `isRing` is set, or joins the
+ * arches of a tunnel array with their connector beams.
+ *
+ * Every step names the parts it places by the metadata the solver writes on
+ * them (beam moduleIndex/stackType, bracket moduleIndex/isBottom/joint, bolt
+ * moduleIndex/pivot), so a viewer can map solved geometry onto steps with
+ * createStepLookup().
+ *
+ * Usage:
+ *   const sequence = AssemblySequence.buildSequence(LinkageSolver.paramsFromState(state));
+ *   sequence.steps[0].title;                 // 'Module 1: bottom ring'
+ *   const stepOf = AssemblySequence.createStepLookup(sequence);
+ *   stepOf.beam(data.beams[0]);              // 0
+ */
+
+const AssemblySequence = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    const plural = (n, word) => `${n} ${word}${n === 1 ? '' : 's'}`;
+
+    /**
+     * Describes the alternating A/B layers of a scissor stack
+     * @param {number} count - Beams in the stack
+     * @param {boolean} startWithB - First layer is a B beam
+     * @returns {string} e.g. '2 A beams and 1 B beam, layered A-B-A'
+     */
+    function describeLayers(count, startWithB) {
+        const layers = [];
+        for (let i = 0; i < count; i++) {
+            layers.push((i % 2 === 0) !== startWithB ? 'A' : 'B');
+        }
+        const a = layers.filter(l => l === 'A').length;
+        return `${plural(a, 'A beam')} and ${plural(count - a, 'B beam')}, layered ${layers.join('-')}`;
+    }
+
+    // ========================================
+    // SEQUENCE
+    // ========================================
+
+    /**
+     * Builds the assembly steps for a design
+     * @param {Object} params - Solver parameters
+     * @returns {{steps: Array<Object>, totals: {beams: number, bolts: number, brackets: number}}} Sequence.
+     *   Each step: {number, moduleIndex, title, description, parts: {beams, brackets, bolts}, focusModules, hardware: {beams, bolts, brackets}}
+     */
+    function buildSequence(params) {
+        const p = Solver.createParams(params);
+        const n = p.modules;
+        const last = n - 1;
+        const fixed = p.useFixedBeams;
+        const steps = [];
+
+        const addStep = (step) => {
+            steps.push({
+                number: steps.length + 1,
+                moduleIndex: -1,
+                focusModules: [],
+                ...step,
+                parts: { beams: [], brackets: [], bolts: [], ...step.parts }
+            });
+        };
+
+        for (let i = 0; i < n; i++) {
+            const k = i + 1;
+            const joinsPrevious = i > 0;
+            const bracketNote = (i < last || p.isRing)
+                ? 'Leave them finger-tight; the next module\'s ring ends go under them.'
+                : 'This is the last module, so tighten them down.';
+
+            // 1. Bottom ring scissor, joined to the previous module
+            addStep({
+                moduleIndex: i,
+                title: `Module ${k}: bottom ring`,
+                description: [
+                    `Lay out ${describeLayers(p.hStackCount, false)} from the ground up, crossing as an X.`,
+                    `Pin the crossing with one ${p.hBoltLength}" bolt.`,
+                    joinsPrevious
+                        ? `Slide the leading ends under module ${i}'s bottom brackets and bolt through the bracket and both ring stacks.`
+                        : 'This module anchors the build; block it level before going on.',
+                    `Set 2 brackets, open side up, on the joints shared with the next module. ${bracketNote}`
+                ].join(' '),
+                parts: {
+                    beams: [{ moduleIndex: i, stackType: 'horizontal-bottom' }],
+                    brackets: [{ moduleIndex: i, isBottom: true, joint: 'br' }, { moduleIndex: i, isBottom: true, joint: 'tr' }],
+                    bolts: [{ moduleIndex: i, pivot: 'ring-bottom-center' }]
+                },
+                hardware: { beams: p.hStackCount, bolts: 1 + (joinsPrevious ? 2 : 0), brackets: 2 }
+            });
+
+            // 2. Uprights standing in the bottom brackets
+            if (fixed) {
+                addStep({
+                    moduleIndex: i,
+                    title: `Module ${k}: fixed uprights`,
+                    description: 'Stand one straight upright in each bottom bracket and bolt it through the bracket side holes.',
+                    parts: { beams: [{ moduleIndex: i, stackType: 'fixed-beam' }] },
+                    hardware: { beams: 2, bolts: 2, brackets: 0 }
+                });
+            } else {
+                addStep({
+                    moduleIndex: i,
+                    title: `Module ${k}: upright scissor`,
+                    description: [
+                        `Lay ${describeLayers(p.vStackCount, p.vStackReverse)} on the ground as an X.`,
+                        `Pin the centre with one ${p.vBoltLength}" bolt.`,
+                        'Stand the X in the bottom brackets and bolt the inner and outer feet through the bracket side holes.'
+                    ].join(' '),
+                    parts: {
+                        beams: [{ moduleIndex: i, stackType: 'vertical' }],
+                        bolts: [
+                            { moduleIndex: i, pivot: 'upright-center' },
+                            { moduleIndex: i, pivot: 'upright-bottom-inner' },
+                            { moduleIndex: i, pivot: 'upright-bottom-outer' }
+                        ]
+                    },
+                    hardware: { beams: p.vStackCount, bolts: 3, brackets: 0 }
+                });
+            }
+
+            // 3. Top ring scissor over the uprights
+            addStep({
+                moduleIndex: i,
+                title: `Module ${k}: top ring`,
+                description: [
+                    `Build the top ring X like the bottom one (${describeLayers(p.hStackCount, false)} from the top down) and pin its crossing.`,
+                    'Hang 2 brackets, open side down, on its shared joints and lower the ring onto the upright tops.',
+                    fixed ? 'Bolt the upright tops through the bracket side holes.' : 'Bolt the upright top pivots through the bracket side holes.',
+                    joinsPrevious ? `Bolt the leading ends to module ${i}'s top brackets.` : ''
+                ].filter(Boolean).join(' '),
+                parts: {
+                    beams: [{ moduleIndex: i, stackType: 'horizontal-top' }],
+                    brackets: [{ moduleIndex: i, isBottom: false, joint: 'br' }, { moduleIndex: i, isBottom: false, joint: 'tr' }],
+                    bolts: [
+                        { moduleIndex: i, pivot: 'ring-top-center' },
+                        { moduleIndex: i, pivot: 'upright-top-outer' },
+                        { moduleIndex: i, pivot: 'upright-top-inner' }
+                    ]
+                },
+                hardware: { beams: p.hStackCount, bolts: 3 + (joinsPrevious ? 2 : 0), brackets: 2 }
+            });
+
+            // Cap uprights close off the free end of the first module in arch mode
+            if (i === 0 && p.archCapUprights) {
+                addStep({
+                    moduleIndex: 0,
+                    title: 'Cap uprights',
+                    description: fixed
+                        ? 'Bracket the free end of module 1 top and bottom and stand a straight upright in each bracket pair.'
+                        : `Build a cap scissor (${describeLayers(p.vStackCount, p.vStackReverse)}), bracket the free end of module 1 top and bottom, and bolt the cap between them.`,
+                    parts: {
+                        beams: [{ moduleIndex: 0, stackType: fixed ? 'fixed-beam-cap' : 'vertical-cap' }],
+                        brackets: ['bl', 'tl'].flatMap(joint => [
+                            { moduleIndex: 0, isBottom: true, joint },
+                            { moduleIndex: 0, isBottom: false, joint }
+                        ]),
+                        bolts: ['cap-center', 'cap-bottom-inner', 'cap-bottom-outer', 'cap-top-outer', 'cap-top-inner']
+                            .map(pivot => ({ moduleIndex: 0, pivot }))
+                    },
+                    hardware: { beams: fixed ? 2 : p.vStackCount, bolts: fixed ? 4 : 5, brackets: 4 }
+                });
+            }
+        }
+
+        if (p.isRing) {
+            addStep({
+                title: 'Close the ring',
+                description: `Walk module ${n}'s shared joints round to module 1's free ends, bottom ring first. Bolt them through module ${n}'s brackets, then tighten every bracket bolt.`,
+                focusModules: [0, last],
+                hardware: { beams: 0, bolts: 4, brackets: 0 }
+            });
+        }
+
+        const copies = Solver.getArrayCopyCount(p);
+        if (copies > 1) {
+            const connectors = Solver.getArrayConnectorCount(p);
+            const connectorNote = p.arrayConnectors === 'ridge'
+                ? `Tie each pair of neighbouring arches together with a ridge beam bolted across their crown pivots (${plural(connectors, 'ridge beam')} in all).`
+                : p.arrayConnectors === 'purlins'
+                    ? `Bolt a purlin across every outer pivot the neighbouring arches share (${plural(connectors, 'purlin')} in all).`
+                    : '';
+            addStep({
+                title: 'Join the arches',
+                description: [
+                    `Repeat the steps above for the other ${copies - 1} ${copies === 2 ? 'arch' : 'arches'} and stand them end to end along the tunnel${p.arrayGap > 0 ? `, ${p.arrayGap}" apart` : ''}.`,
+                    connectorNote
+                ].filter(Boolean).join(' '),
+                parts: {
+                    beams: connectors > 0
+                        ? Array.from({ length: n }, (_, i) => ({ moduleIndex: i, stackType: 'array-connector' }))
+                        : []
+                },
+                focusModules: [],
+                hardware: { beams: connectors, bolts: connectors * 2, brackets: 0 }
+            });
+        }
+
+        const totals = steps.reduce((t, step) => ({
+            beams: t.beams + step.hardware.beams,
+            bolts: t.bolts + step.hardware.bolts,
+            brackets: t.brackets + step.hardware.brackets
+        }), { beams: 0, bolts: 0, brackets: 0 });
+
+        return { steps, totals };
+    }
+
+    // ========================================
+    // GEOMETRY LOOKUP
+    // ========================================
+
+    /**
+     * Maps solved parts to the step that places them
+     * @param {{steps: Array<Object>}} sequence - Result of buildSequence()
+     * @returns {{beam: Function, bracket: Function, bolt: Function}} Each returns a step index, or -1 if no step places the part
+     */
+    function createStepLookup(sequence) {
+        const beams = new Map();
+        const brackets = new Map();
+        const bolts = new Map();
+
+        sequence.steps.forEach((step, index) => {
+            step.parts.beams.forEach(s => beams.set(`${s.moduleIndex}|${s.stackType}`, index));
+            step.parts.brackets.forEach(s => brackets.set(`${s.moduleIndex}|${s.isBottom}|${s.joint}`, index));
+            step.parts.bolts.forEach(s => bolts.set(`${s.moduleIndex}|${s.pivot}`, index));
+        });
+
+        const find = (map, key) => map.has(key) ? map.get(key) : -1;
+        return {
+            beam: (beam) => find(beams, `${beam.moduleIndex}|${beam.stackType}`),
+            bracket: (bracket) => find(brackets, `${bracket.moduleIndex}|${bracket.isBottom}|${bracket.joint}`),
+            bolt: (bolt) => find(bolts, `${bolt.moduleIndex}|${bolt.pivot}`)
+        };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        buildSequence,
+        createStepLookup
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = AssemblySequence;
+}
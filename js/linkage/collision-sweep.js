@@ -0,0 +1,233 @@
+// ============================================================================
+// COLLISION SWEEP
+// Interference intervals across the whole fold range
+// ============================================================================
+
+/**
+ * CollisionSweep - Walks the fold range and records where parts interfere
+ *
+ * Solves the linkage from MIN_FOLD_ANGLE to MAX_FOLD_ANGLE and runs the beam,
+ * hardware and panel checks at every step. Consecutive blocked samples are
+ * merged into intervals, each with the angle of its deepest overlap so a viewer
+ * can jump straight to the worst pose.
+ *
+ * Brackets and bolts are always solved for the sweep, whether or not they are
+ * displayed. Panels are optional: pass `panelsAt(data, angle)` to mount them on
+ * each solved pose.
+ *
+ * Usage:
+ *   const sweep = CollisionSweep.sweepFoldRange(params);
+ *   sweep.intervals[0];   // { start, end, worstAngle, worstDepth, categories: ['beams'], ... }
+ */
+
+const CollisionSweep = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+    const Sweep = (typeof DesignSweep !== 'undefined') ? DesignSweep : require('./design-sweep.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Fold angle step of the sweep (degrees) */
+    const DEFAULT_STEP_DEG = 0.5;
+
+    /**
+     * Interference categories and the collision types they cover. Upright/ring
+     * contacts at the brackets are left out, as in DesignSweep.
+     */
+    const CATEGORIES = {
+        beams:    { label: 'Beams',            types: Sweep.FOLD_LIMIT_COLLISIONS },
+        hardware: { label: 'Brackets & bolts', types: ['hardware'] },
+        panels:   { label: 'Panels',           types: ['panel-structure', 'panel-panel'] }
+    };
+
+    // ========================================
+    // SAMPLING
+    // ========================================
+
+    /**
+     * Category of a collision type
+     * @param {string} type - Collision type
+     * @returns {string|null} Key of CATEGORIES, or null if the type doesn't block folding
+     */
+    function getCategory(type) {
+        return Object.keys(CATEGORIES).find(key => CATEGORIES[key].types.includes(type)) || null;
+    }
+
+    /**
+     * Blocking collisions of one solved pose
+     * @param {Object} data - Geometry from LinkageSolver.solveLinkage()
+     * @param {Object} params - Solver parameters
+     * @param {Array} panels - Mounted panels, or []
+     * @returns {Array<Object>} Collisions with `category` and `depth` (0 where no overlap is measurable)
+     */
+    function detectBlockingCollisions(data, params, panels = []) {
+        const beamCollisions = Solver.detectCollisions(data, params)
+            .filter(c => getCategory(c.type))
+            .map(c => {
+                const a = Solver.getOrientedBox(c.beam);
+                const b = Solver.getOrientedBox(c.other);
+                return { ...c, depth: (a && b) ? Math.max(0, Solver.measureBoxOverlap(a, b)) : 0 };
+            });
+
+        return [...beamCollisions, ...Solver.detectPartCollisions(data, params, panels)]
+            .map(c => ({ ...c, category: getCategory(c.type) }));
+    }
+
+    /**
+     * Solves and checks one fold angle
+     * @param {Object} params - Solver parameters (brackets and bolts are forced on)
+     * @param {number} angle - Fold angle in radians
+     * @param {{panelsAt?: function(Object, number): Array}} options - Panel placement for the pose
+     * @returns {{angle: number, count: number, depth: number, categories: string[]}} Sample summary
+     */
+    function sampleAngle(params, angle, options = {}) {
+        const p = { ...params, showBrackets: true, showBolts: true };
+        const data = Solver.solveLinkage(p, angle);
+        const panels = options.panelsAt ? (options.panelsAt(data, angle) || []) : [];
+        const collisions = detectBlockingCollisions(data, p, panels);
+
+        return {
+            angle,
+            count: collisions.length,
+            depth: collisions.reduce((max, c) => Math.max(max, c.depth), 0),
+            categories: Object.keys(CATEGORIES).filter(key => collisions.some(c => c.category === key))
+        };
+    }
+
+    /**
+     * Fold angles visited by a sweep
+     * @param {number} stepDeg - Step in degrees
+     * @returns {number[]} Angles in radians, both ends included
+     */
+    function buildAngles(stepDeg) {
+        const step = stepDeg * Math.PI / 180;
+        const angles = [];
+        for (let angle = Solver.MIN_FOLD_ANGLE; angle < Solver.MAX_FOLD_ANGLE - 1e-9; angle += step) {
+            angles.push(angle);
+        }
+        angles.push(Solver.MAX_FOLD_ANGLE);
+        return angles;
+    }
+
+    // ========================================
+    // INTERVALS
+    // ========================================
+
+    /**
+     * Merges consecutive blocked samples into intervals
+     * @param {Array<Object>} samples - Results of sampleAngle(), in angle order
+     * @returns {Array<{start: number, end: number, worstAngle: number, worstDepth: number, maxCount: number, categories: string[]}>} Intervals (angles in radians)
+     */
+    function buildIntervals(samples) {
+        const intervals = [];
+        let current = null;
+
+        samples.forEach(sample => {
+            if (sample.count === 0) {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = { start: sample.angle, end: sample.angle, worst: sample, maxCount: 0, categories: [] };
+                intervals.push(current);
+            }
+            current.end = sample.angle;
+            current.maxCount = Math.max(current.maxCount, sample.count);
+            sample.categories.forEach(key => {
+                if (!current.categories.includes(key)) current.categories.push(key);
+            });
+            // Deepest overlap wins; the most collisions breaks ties (e.g. no measurable depth)
+            if (sample.depth > current.worst.depth ||
+                (sample.depth === current.worst.depth && sample.count > current.worst.count)) {
+                current.worst = sample;
+            }
+        });
+
+        return intervals.map(({ worst, ...interval }) => ({
+            ...interval,
+            worstAngle: worst.angle,
+            worstDepth: worst.depth
+        }));
+    }
+
+    // ========================================
+    // SWEEPS
+    // ========================================
+
+    /**
+     * Sweeps the whole fold range
+     * @param {Object} params - Solver parameters
+     * @param {{stepDeg?: number, panelsAt?: function(Object, number): Array}} options - Sweep options
+     * @returns {{stepDeg: number, samples: Array<Object>, intervals: Array<Object>}} Sweep result
+     */
+    function sweepFoldRange(params, options = {}) {
+        const stepDeg = options.stepDeg || DEFAULT_STEP_DEG;
+        const samples = buildAngles(stepDeg).map(angle => sampleAngle(params, angle, options));
+        return { stepDeg, samples, intervals: buildIntervals(samples) };
+    }
+
+    /**
+     * Sweeps the whole fold range in batches, yielding to the UI between them
+     * @param {Object} params - Solver parameters
+     * @param {Object} options - As sweepFoldRange(), plus batchSize, onProgress(done, total) and isCancelled()
+     * @returns {Promise<{stepDeg: number, samples: Array, intervals: Array, cancelled: boolean}>} Sweep result
+     */
+    function sweepFoldRangeAsync(params, options = {}) {
+        const stepDeg = options.stepDeg || DEFAULT_STEP_DEG;
+        const angles = buildAngles(stepDeg);
+        const batchSize = options.batchSize || 10;
+        const samples = [];
+
+        return new Promise((resolve, reject) => {
+            const step = () => {
+                try {
+                    if (options.isCancelled && options.isCancelled()) {
+                        resolve({ stepDeg, samples, intervals: [], cancelled: true });
+                        return;
+                    }
+                    const end = Math.min(samples.length + batchSize, angles.length);
+                    while (samples.length < end) {
+                        samples.push(sampleAngle(params, angles[samples.length], options));
+                    }
+                    if (options.onProgress) options.onProgress(samples.length, angles.length);
+                    if (samples.length < angles.length) {
+                        setTimeout(step, 0);
+                    } else {
+                        resolve({ stepDeg, samples, intervals: buildIntervals(samples), cancelled: false });
+                    }
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            step();
+        });
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        DEFAULT_STEP_DEG,
+        CATEGORIES,
+
+        // Sampling
+        getCategory,
+        detectBlockingCollisions,
+        sampleAngle,
+
+        // Sweeps
+        buildIntervals,
+        sweepFoldRange,
+        sweepFoldRangeAsync
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CollisionSweep;
+}
@@ -0,0 +1,885 @@
+// ============================================================================
+// CONFIG SCHEMA
+// Field ranges and units of a LinkageLab configuration, and the migrations
+// that bring older configuration formats up to date
+// ============================================================================
+
+/**
+ * ConfigSchema - Checks configurations before they reach the state
+ *
+ * Configurations arrive from files, presets, saved versions and share links,
+ * some of them edited by hand or made by older versions of the app. Every
+ * field of the current (v30) format is described here with its type, range
+ * and unit. Ranges bound what the solver and the panel layout accept; some
+ * are wider than the sidebar sliders because the layout search and the
+ * inverse design set values beyond them.
+ *
+ * A configuration goes through two steps:
+ *  1. Migration: older formats are upgraded one version at a time through
+ *     MIGRATIONS until they reach CURRENT_VERSION. Configurations from a
+ *     newer version are refused rather than guessed at.
+ *  2. Validation: every field is checked against the schema, then fields
+ *     that depend on each other are checked together by RULES (the beam end
+ *     offsets must leave some of the beam). Each problem is reported with its
+ *     path (e.g. 'structure.moduleOverrides[2].pivotPct'), and the cleaned
+ *     configuration leaves out the invalid fields, so the state keeps its
+ *     current value for them. Unknown fields are warnings.
+ *
+ * Usage:
+ *   const result = ConfigSchema.prepare(JSON.parse(text), getConfigSnapshot());
+ *   result.errors;   // [{path: 'structure.pivotPercent', message: 'must be between 0 and 100 %', value: 'abc'}]
+ *   result.steps;    // ['v29 → v30']
+ *   applyV30Config(result.config);
+ */
+
+const ConfigSchema = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+    const Catalog = (typeof Materials !== 'undefined') ? Materials : require('./materials.js');
+    const Anchors = (typeof Foundation !== 'undefined') ? Foundation : require('./foundation.js');
+
+    // ========================================
+    // FIELD TYPES
+    // ========================================
+
+    /**
+     * Number field
+     * @param {number|null} min - Lowest value (null for no bound)
+     * @param {number|null} max - Highest value (null for no bound)
+     * @param {string} unit - Unit shown in messages ('ft', 'in', 'deg', ...)
+     * @returns {Object} Field descriptor
+     */
+    function num(min, max, unit = '') {
+        return { type: 'number', min, max, unit };
+    }
+
+    /** Whole number field (see num) */
+    function int(min, max, unit = '') {
+        return { type: 'number', min, max, unit, integer: true };
+    }
+
+    /** True/false field */
+    function bool() {
+        return { type: 'boolean' };
+    }
+
+    /** Text field */
+    function text() {
+        return { type: 'string' };
+    }
+
+    /** Field holding one of a fixed set of values */
+    function oneOf(values) {
+        return { type: 'enum', values };
+    }
+
+    /** List of fields of one kind, at most maxLength long */
+    function list(items, maxLength) {
+        return { type: 'list', items, maxLength };
+    }
+
+    /** Object with named fields */
+    function group(fields) {
+        return { type: 'group', fields };
+    }
+
+    /** Object with free keys (from a list or matching a pattern, when given) and values of one kind */
+    function map(values, keys = null) {
+        return { type: 'map', values, keys };
+    }
+
+    /** Field passed through without checks (metadata) */
+    function any() {
+        return { type: 'any' };
+    }
+
+    /** Same field, also allowing null */
+    function nullable(field) {
+        return { ...field, nullable: true };
+    }
+
+    /**
+     * Same field, filled in with a value when its group leaves it out. Used
+     * for settings added after their group was saved, so older designs load
+     * as they were made; an invalid value is dropped, not defaulted.
+     */
+    function withDefault(field, value) {
+        return { ...field, default: value };
+    }
+
+    // ========================================
+    // SCHEMA
+    // ========================================
+
+    /** Format written by getConfigSnapshot() */
+    const CURRENT_VERSION = 'v30';
+
+    /** Formats this module can read, oldest first */
+    const VERSIONS = ['v29', 'v30'];
+
+    const beamIds = Catalog.BEAM_MATERIALS.map(m => m.id);
+    const materialIds = [...beamIds, ...Catalog.BRACKET_MATERIALS.map(m => m.id), ...Catalog.BOLT_MATERIALS.map(m => m.id)];
+    const anchorIds = Object.keys(Anchors.ANCHOR_TYPES);
+
+    /** Top or side panel specification */
+    const panelSpec = (withLift) => group({
+        enabled: bool(),
+        size: group({
+            width: num(12, 80, 'in'),
+            length: num(12, 120, 'in'),
+            thickness: num(0.5, 4, 'in')
+        }),
+        electrical: group({
+            ratedWatts: num(50, 1000, 'W'),
+            voc: num(0, 100, 'V'),
+            vmp: num(0, 100, 'V'),
+            isc: num(0, 30, 'A'),
+            imp: num(0, 30, 'A')
+        }),
+        padding: group({
+            x: num(0, 48, 'in'),
+            y: num(0, 48, 'in')
+        }),
+        grid: group({
+            rows: int(1, 24),
+            cols: int(1, 24)
+        }),
+        ...(withLift ? { lift: num(0, 96, 'in') } : {})
+    });
+
+    /** Current configuration format */
+    const SCHEMA = group({
+        // Metadata, not applied to the state
+        version: oneOf([CURRENT_VERSION]),
+        name: text(),
+        timestamp: text(),
+        appVersion: text(),
+        exportType: text(),
+        summary: any(),
+        geometrySnapshot: any(),
+        solarDesigner: any(),
+        circuit: any(),
+
+        structure: group({
+            modules: int(3, 40),
+            beamLengths: group({
+                horizontal: num(2, 24, 'ft'),
+                vertical: num(2, 24, 'ft')
+            }),
+            pivotPercent: num(0, 100, '%'),
+            stackCounts: group({
+                horizontal: int(2, 6),
+                vertical: int(2, 6)
+            }),
+            beamDimensions: group({
+                horizontalWidth: num(0.5, 12, 'in'),
+                horizontalThickness: num(0.5, 12, 'in'),
+                verticalWidth: num(0.5, 12, 'in'),
+                verticalThickness: num(0.5, 12, 'in')
+            }),
+            offsets: group({
+                top: num(0, 48, 'in'),
+                bottom: num(0, 48, 'in'),
+                vertEnd: num(0, 24, 'in'),
+                bracket: num(0, 12, 'in'),
+                stackGap: num(-2, 1, 'in')
+            }),
+            brackets: group({
+                width: num(0.5, 6, 'in'),
+                depth: num(0.5, 6, 'in'),
+                height: num(1, 12, 'in'),
+                wallThickness: num(0.1, 1, 'in'),
+                innerWidth: num(0.5, 5, 'in'),
+                holeDiameter: num(0.25, 0.75, 'in'),
+                zRotation: num(-180, 180, 'deg')
+            }),
+            bolts: group({
+                diameter: num(0.125, 1, 'in'),
+                vStackLength: num(1, 12, 'in'),
+                hStackLength: num(1, 12, 'in'),
+                vStackAuto: bool(),
+                hStackAuto: bool()
+            }),
+            hobermanAngle: num(-90, 90, 'deg'),
+            pivotAngle: num(-180, 180, 'deg'),
+            vStackReverse: bool(),
+            // Designs saved before per-module overrides have identical modules
+            moduleOverrides: withDefault(nullable(list(nullable(group({
+                hLengthFt: num(2, 24, 'ft'),
+                pivotPct: num(0, 100, '%'),
+                hobermanAng: num(-90, 90, 'deg'),
+                pivotAng: num(-180, 180, 'deg')
+            })), 40)), null)
+        }),
+
+        mode: group({
+            type: oneOf(['cylinder', 'arch']),
+            flipVertical: bool(),
+            rotation: num(-180, 180, 'deg'),
+            useFixedBeams: bool(),
+            capUprights: bool(),
+            arrayCount: int(1, 10),
+            arrayFoldAngles: nullable(list(nullable(num(5, 175, 'deg')), 10)),
+            arrayGap: num(0, 240, 'in'),
+            arrayConnectors: oneOf(Solver.ARRAY_CONNECTOR_TYPES),
+            // Designs from before stacked rings are a single ring
+            tierCount: withDefault(int(1, 6), 1),
+            tierTaper: withDefault(num(0.1, 2, '×'), 0.7),
+            tierProfile: withDefault(oneOf(Solver.TIER_PROFILES), 'cone'),
+            tierHubIn: withDefault(num(6, 240, 'in'), 48)
+        }),
+
+        foldAngle: num(5, 175, 'deg'),
+        animationStopAngle: nullable(num(0, 180, 'deg')),
+
+        panels: group({
+            enabled: bool(),
+            topPanels: panelSpec(true),
+            sidePanels: panelSpec(false),
+            layoutMode: oneOf(['rectangular', 'radial', 'spiral']),
+            gridRotation: num(-180, 180, 'deg'),
+            positioning: group({
+                lift: num(0, 24, 'in'),
+                slide: num(-96, 96, 'in'),
+                separation: num(-96, 96, 'in')
+            }),
+            radial: group({
+                count: int(1, 60),
+                offset: num(0, 1200, 'in'),
+                rotation: num(-180, 180, 'deg'),
+                lateralOffset: num(-600, 600, 'in'),
+                pinwheelAngle: num(-180, 180, 'deg')
+            }),
+            spiral: group({
+                armCount: int(2, 8),
+                secondaryEnabled: bool(),
+                secondaryRadialOffset: num(-600, 600, 'in'),
+                secondaryLateralOffset: num(-600, 600, 'in'),
+                secondaryPinwheel: num(-180, 180, 'deg'),
+                secondaryRotation: num(-180, 180, 'deg'),
+                armRadialStep: num(-600, 600, 'in'),
+                armLateralStep: num(-600, 600, 'in'),
+                armPinwheelStep: num(-180, 180, 'deg'),
+                armRotationStep: num(-180, 180, 'deg')
+            }),
+            support: group({
+                show: bool(),
+                rotation: num(-180, 180, 'deg'),
+                length: num(12, 360, 'in'),
+                foldAngle: num(-90, 90, 'deg'),
+                offsetH: num(-240, 240, 'in'),
+                offsetV: num(-240, 240, 'in')
+            }),
+            // Two wall faces per module; null enables every face
+            enabledFaces: nullable(list(bool(), 80)),
+            // Per arch of a tunnel array; null entries follow enabledFaces
+            arrayEnabledFaces: nullable(list(nullable(list(bool(), 80)), 10))
+        }),
+
+        materials: group({
+            horizontal: oneOf(beamIds),
+            vertical: oneOf(beamIds),
+            bracket: oneOf(Catalog.BRACKET_MATERIALS.map(m => m.id)),
+            bolt: oneOf(Catalog.BOLT_MATERIALS.map(m => m.id)),
+            // $/ft for beams, $ each otherwise, keyed by catalog id
+            prices: map(num(0, 100000, '$'), materialIds)
+        }),
+
+        costs: group({
+            solarPanel: num(0, 10000, '$'),
+            // Per-part prices from before the material catalog ($ each)
+            hBeam: num(0, 10000, '$'),
+            vBeam: num(0, 10000, '$'),
+            bracket: num(0, 10000, '$'),
+            bolt: num(0, 10000, '$')
+        }),
+
+        loads: group({
+            windSpeedMph: num(0, 250, 'mph'),
+            windDirectionDeg: num(-360, 360, 'deg'),
+            snowPsf: num(0, 300, 'psf'),
+            panelWeight: num(0, 500, 'lbs')
+        }),
+
+        foundation: group({
+            enabled: bool(),
+            defaultAnchor: oneOf(anchorIds),
+            // Keyed by Foundation.contactKey: 'array|module|joint|b or t'
+            anchors: map(oneOf(anchorIds), /^\d+\|\d+\|[a-z]+\|[bt]$/)
+        }),
+
+        site: group({
+            latitude: num(-90, 90, 'deg'),
+            dayOfYear: int(1, 365),
+            shadingPeriod: oneOf(['day', 'year'])
+        }),
+
+        cameraState: group({
+            yaw: num(null, null, 'rad'),
+            pitch: num(null, null, 'rad'),
+            dist: num(0, null),
+            panX: num(null, null),
+            panY: num(null, null),
+            structureRotation: num(-360, 360, 'deg'),
+            // Name of structureRotation before it was renamed
+            globalRotation: num(-360, 360, 'deg')
+        })
+    });
+
+    // ========================================
+    // RULES
+    // ========================================
+
+    const INCHES_PER_FOOT = 12;
+
+    /**
+     * Checks between fields. A rule runs when the configuration sets at least
+     * one of its fields; fields the configuration leaves out are read from the
+     * base configuration (the design being edited). A failed rule drops every
+     * field it reads from the configuration, so the state keeps its current,
+     * consistent values for all of them.
+     *
+     * Each rule: {path, fields: string[], test(...values) → boolean, message(...values) → string}
+     */
+    const RULES = [
+        {
+            path: 'structure.offsets',
+            fields: ['structure.beamLengths.horizontal', 'structure.offsets.top', 'structure.offsets.bottom'],
+            test: (lengthFt, top, bottom) => top + bottom < lengthFt * INCHES_PER_FOOT,
+            message: (lengthFt, top, bottom) =>
+                `top + bottom (${top + bottom} in) must be less than the horizontal beam (${lengthFt * INCHES_PER_FOOT} in)`
+        },
+        {
+            path: 'structure.offsets.vertEnd',
+            fields: ['structure.beamLengths.vertical', 'structure.offsets.vertEnd'],
+            test: (lengthFt, vertEnd) => vertEnd * 2 < lengthFt * INCHES_PER_FOOT,
+            message: (lengthFt, vertEnd) =>
+                `2 × vertEnd (${vertEnd * 2} in) must be less than the vertical beam (${lengthFt * INCHES_PER_FOOT} in)`
+        }
+    ];
+
+    /**
+     * Value at a dotted path ('structure.moduleOverrides.2.hLengthFt')
+     * @param {Object} source - Object to read
+     * @param {string} path - Path
+     * @returns {*} Value, or undefined when any step is missing
+     */
+    function getPath(source, path) {
+        return path.split('.').reduce((node, key) => (node !== null && typeof node === 'object' ? node[key] : undefined), source);
+    }
+
+    /**
+     * Removes the value at a dotted path, if present
+     * @param {Object} target - Object to change
+     * @param {string} path - Path
+     */
+    function deletePath(target, path) {
+        const keys = path.split('.');
+        const parent = getPath(target, keys.slice(0, -1).join('.'));
+        if (parent !== null && typeof parent === 'object') delete parent[keys[keys.length - 1]];
+    }
+
+    /**
+     * Rules for a configuration: RULES, plus the horizontal beam rule for every
+     * module whose ring beam length is overridden
+     * @param {Object} config - Cleaned configuration
+     * @param {Object} base - Base configuration
+     * @returns {Array<Object>} Rules to check
+     */
+    function rulesFor(config, base) {
+        const overrides = getPath(config, 'structure.moduleOverrides') || getPath(base, 'structure.moduleOverrides') || [];
+        const moduleRules = overrides.map((override, i) => {
+            if (!override || override.hLengthFt === undefined) return null;
+            return {
+                ...RULES[0],
+                path: `structure.moduleOverrides[${i}].hLengthFt`,
+                fields: [`structure.moduleOverrides.${i}.hLengthFt`, 'structure.offsets.top', 'structure.offsets.bottom']
+            };
+        });
+        return [...RULES, ...moduleRules.filter(Boolean)];
+    }
+
+    /**
+     * Checks the rules on a cleaned configuration, dropping the fields of failed rules
+     * @param {Object} config - Cleaned configuration (changed in place)
+     * @param {Object|null} base - Base configuration for the fields the configuration leaves out
+     * @param {{errors: Array}} report - Problems found so far
+     */
+    function checkRules(config, base, report) {
+        rulesFor(config, base).forEach(rule => {
+            const own = rule.fields.map(path => getPath(config, path));
+            if (own.every(value => value === undefined)) return;
+            const values = own.map((value, i) => (value !== undefined ? value : getPath(base, rule.fields[i])));
+            if (!values.every(value => typeof value === 'number')) return;
+            if (rule.test(...values)) return;
+
+            report.errors.push({ path: rule.path, message: rule.message(...values), value: values });
+            rule.fields.forEach(path => deletePath(config, path));
+        });
+    }
+
+    // ========================================
+    // VALIDATION
+    // ========================================
+
+    /**
+     * Path of a field inside a group or map
+     * @param {string} path - Path of the enclosing field ('' at the top)
+     * @param {string} key - Field name
+     * @returns {string} Joined path
+     */
+    function joinPath(path, key) {
+        return path ? `${path}.${key}` : key;
+    }
+
+    /**
+     * Whether a value is a plain object
+     * @param {*} value - Value to test
+     * @returns {boolean} True for non-null, non-array objects
+     */
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Text of a number range for messages
+     * @param {Object} field - Number field
+     * @returns {string} e.g. 'between 2 and 24 ft', 'at least 0'
+     */
+    function describeRange(field) {
+        const unit = field.unit ? ` ${field.unit}` : '';
+        if (field.min !== null && field.max !== null) return `between ${field.min} and ${field.max}${unit}`;
+        if (field.min !== null) return `at least ${field.min}${unit}`;
+        return `at most ${field.max}${unit}`;
+    }
+
+    /**
+     * Checks a value against a field, collecting problems
+     * @param {Object} field - Field descriptor
+     * @param {*} value - Value to check
+     * @param {string} path - Path of the value
+     * @param {{errors: Array, warnings: Array}} report - Problems found so far
+     * @returns {*} The value with invalid parts left out, or undefined if the value itself is invalid
+     */
+    function check(field, value, path, report) {
+        const fail = message => {
+            report.errors.push({ path, message, value });
+            return undefined;
+        };
+
+        if (value === null && field.nullable) return null;
+
+        switch (field.type) {
+            case 'any':
+                return value;
+
+            case 'number':
+                if (typeof value !== 'number' || !isFinite(value)) return fail('must be a number');
+                if (field.integer && !Number.isInteger(value)) return fail('must be a whole number');
+                if ((field.min !== null && value < field.min) || (field.max !== null && value > field.max)) {
+                    return fail(`must be ${describeRange(field)}`);
+                }
+                return value;
+
+            case 'boolean':
+                return typeof value === 'boolean' ? value : fail('must be true or false');
+
+            case 'string':
+                return typeof value === 'string' ? value : fail('must be text');
+
+            case 'enum':
+                return field.values.includes(value) ? value : fail(`must be one of: ${field.values.join(', ')}`);
+
+            case 'list': {
+                if (!Array.isArray(value)) return fail('must be a list');
+                if (value.length > field.maxLength) return fail(`must have at most ${field.maxLength} entries`);
+                // An invalid entry is nulled where entries may be null, otherwise the whole list is dropped
+                const items = value.map((item, i) => check(field.items, item, `${path}[${i}]`, report));
+                if (items.some(item => item === undefined)) {
+                    return field.items.nullable ? items.map(item => (item === undefined ? null : item)) : undefined;
+                }
+                return items;
+            }
+
+            case 'group': {
+                if (!isObject(value)) return fail('must be an object');
+                const result = {};
+                Object.keys(value).forEach(key => {
+                    const child = joinPath(path, key);
+                    if (!Object.prototype.hasOwnProperty.call(field.fields, key)) {
+                        report.warnings.push({ path: child, message: 'is not a known setting and was ignored', value: value[key] });
+                        return;
+                    }
+                    if (value[key] === undefined) return;
+                    const checked = check(field.fields[key], value[key], child, report);
+                    if (checked !== undefined) result[key] = checked;
+                });
+                Object.keys(field.fields).forEach(key => {
+                    if (value[key] === undefined && field.fields[key].default !== undefined) result[key] = field.fields[key].default;
+                });
+                return result;
+            }
+
+            case 'map': {
+                if (!isObject(value)) return fail('must be an object');
+                const result = {};
+                Object.keys(value).forEach(key => {
+                    const child = joinPath(path, key);
+                    const known = !field.keys || (Array.isArray(field.keys) ? field.keys.includes(key) : field.keys.test(key));
+                    if (!known) {
+                        report.errors.push({ path: child, message: 'is not a known key', value: value[key] });
+                        return;
+                    }
+                    const checked = check(field.values, value[key], child, report);
+                    if (checked !== undefined) result[key] = checked;
+                });
+                return result;
+            }
+
+            default:
+                return fail(`has an unknown field type '${field.type}'`);
+        }
+    }
+
+    /**
+     * Checks the fields and then the rules of a configuration
+     * @param {Object} config - Configuration (CURRENT_VERSION)
+     * @param {Object|null} base - Base configuration for the rules
+     * @returns {{config: Object, errors: Array, warnings: Array}} Cleaned configuration and problems
+     */
+    function inspect(config, base) {
+        const report = { errors: [], warnings: [] };
+        const cleaned = check(SCHEMA, config, '', report) || {};
+        checkRules(cleaned, base, report);
+        return { config: cleaned, ...report };
+    }
+
+    /**
+     * Checks a current-format configuration
+     * @param {Object} config - Configuration (CURRENT_VERSION)
+     * @param {Object} [base] - Design the configuration is applied over, for rules on fields it leaves out
+     * @returns {{valid: boolean, errors: Array<{path: string, message: string, value: *}>,
+     *   warnings: Array<{path: string, message: string, value: *}>}} Every problem found
+     */
+    function validate(config, base = null) {
+        const { errors, warnings } = inspect(config, base);
+        return { valid: errors.length === 0, errors, warnings };
+    }
+
+    /**
+     * Copy of a current-format configuration without its invalid or unknown fields
+     * @param {Object} config - Configuration (CURRENT_VERSION)
+     * @param {Object} [base] - Design the configuration is applied over (see validate)
+     * @returns {Object} Cleaned configuration ({} if the configuration isn't an object)
+     */
+    function clean(config, base = null) {
+        return inspect(config, base).config;
+    }
+
+    /**
+     * Every number field with its range and unit, for documentation and tooling
+     * @returns {Array<{path: string, min: number|null, max: number|null, unit: string, integer: boolean}>} Fields in schema order
+     */
+    function listFields() {
+        const fields = [];
+        const walk = (field, path) => {
+            if (field.type === 'number') {
+                fields.push({ path, min: field.min, max: field.max, unit: field.unit, integer: !!field.integer });
+            } else if (field.type === 'group') {
+                Object.keys(field.fields).forEach(key => walk(field.fields[key], joinPath(path, key)));
+            } else if (field.type === 'list') {
+                walk(field.items, `${path}[]`);
+            } else if (field.type === 'map') {
+                walk(field.values, `${path}.*`);
+            }
+        };
+        walk(SCHEMA, '');
+        return fields;
+    }
+
+    // ========================================
+    // MIGRATIONS
+    // ========================================
+
+    /**
+     * Sets a value at a dotted path, creating the groups on the way
+     * @param {Object} target - Object to write into
+     * @param {string} path - Path, e.g. 'structure.beamLengths.horizontal'
+     * @param {*} value - Value to set
+     */
+    function setPath(target, path, value) {
+        const keys = path.split('.');
+        let node = target;
+        keys.slice(0, -1).forEach(key => {
+            if (!isObject(node[key])) node[key] = {};
+            node = node[key];
+        });
+        node[keys[keys.length - 1]] = value;
+    }
+
+    /** v29 top-level keys and their v30 paths */
+    const V29_PATHS = {
+        modules: 'structure.modules',
+        hLengthFt: 'structure.beamLengths.horizontal',
+        vLengthFt: 'structure.beamLengths.vertical',
+        pivotPct: 'structure.pivotPercent',
+        hobermanAng: 'structure.hobermanAngle',
+        pivotAng: 'structure.pivotAngle',
+        hStackCount: 'structure.stackCounts.horizontal',
+        vStackCount: 'structure.stackCounts.vertical',
+        vStackReverse: 'structure.vStackReverse',
+        offsetTopIn: 'structure.offsets.top',
+        offsetBotIn: 'structure.offsets.bottom',
+        vertEndOffset: 'structure.offsets.vertEnd',
+        bracketOffset: 'structure.offsets.bracket',
+        stackGap: 'structure.offsets.stackGap',
+        hBeamW: 'structure.beamDimensions.horizontalWidth',
+        hBeamT: 'structure.beamDimensions.horizontalThickness',
+        vBeamW: 'structure.beamDimensions.verticalWidth',
+        vBeamT: 'structure.beamDimensions.verticalThickness',
+        moduleOverrides: 'structure.moduleOverrides',
+        archFlipVertical: 'mode.flipVertical',
+        archRotation: 'mode.rotation',
+        useFixedBeams: 'mode.useFixedBeams',
+        archCapUprights: 'mode.capUprights',
+        arrayCount: 'mode.arrayCount',
+        arrayFoldAngles: 'mode.arrayFoldAngles',
+        arrayGap: 'mode.arrayGap',
+        arrayConnectors: 'mode.arrayConnectors',
+        tierCount: 'mode.tierCount',
+        tierTaper: 'mode.tierTaper',
+        tierProfile: 'mode.tierProfile',
+        tierHubIn: 'mode.tierHubIn',
+        costSolarPanel: 'costs.solarPanel',
+        costHBeam: 'costs.hBeam',
+        costVBeam: 'costs.vBeam',
+        costBracket: 'costs.bracket',
+        costBolt: 'costs.bolt'
+    };
+
+    /** v29 `solarPanels` keys and their paths under v30 `panels` */
+    const V29_PANEL_PATHS = {
+        enabled: 'enabled',
+        layoutMode: 'layoutMode',
+        gridRotation: 'gridRotation',
+        radialCount: 'radial.count',
+        radialOffset: 'radial.offset',
+        radialRotation: 'radial.rotation',
+        radialLateralOffset: 'radial.lateralOffset',
+        pinwheelAngle: 'radial.pinwheelAngle',
+        spiralArmCount: 'spiral.armCount',
+        spiralSecondaryEnabled: 'spiral.secondaryEnabled',
+        spiralSecondaryRadialOffset: 'spiral.secondaryRadialOffset',
+        spiralSecondaryLateralOffset: 'spiral.secondaryLateralOffset',
+        spiralSecondaryPinwheel: 'spiral.secondaryPinwheel',
+        spiralSecondaryRotation: 'spiral.secondaryRotation',
+        spiralArmRadialStep: 'spiral.armRadialStep',
+        spiralArmLateralStep: 'spiral.armLateralStep',
+        spiralArmPinwheelStep: 'spiral.armPinwheelStep',
+        spiralArmRotationStep: 'spiral.armRotationStep',
+        showSupportBeams: 'support.show',
+        supportBeamRotation: 'support.rotation',
+        supportBeamLength: 'support.length',
+        supportBeamFoldAngle: 'support.foldAngle',
+        supportBeamOffsetH: 'support.offsetH',
+        supportBeamOffsetV: 'support.offsetV',
+        archPanelOffset: 'positioning.lift',
+        archPanelSlide: 'positioning.slide',
+        archPanelSeparation: 'positioning.separation',
+        archWallFaces: 'enabledFaces',
+        arrayWallFaces: 'arrayEnabledFaces',
+        panelLift: 'topPanels.lift',
+        topPanels: 'topPanels.enabled',
+        sideWallPanels: 'sidePanels.enabled',
+        topPanelRows: 'topPanels.grid.rows',
+        topPanelCols: 'topPanels.grid.cols'
+    };
+
+    /** v29 panel specification keys; v29 had one specification for every panel */
+    const V29_PANEL_SPEC_PATHS = {
+        panelLength: 'size.length',
+        panelWidth: 'size.width',
+        panelThickness: 'size.thickness',
+        ratedWatts: 'electrical.ratedWatts',
+        voc: 'electrical.voc',
+        vmp: 'electrical.vmp',
+        isc: 'electrical.isc',
+        imp: 'electrical.imp',
+        paddingX: 'padding.x',
+        paddingY: 'padding.y',
+        gridRows: 'grid.rows',
+        gridCols: 'grid.cols'
+    };
+
+    /**
+     * v29 → v30: the flat state keys are grouped into structure, mode,
+     * panels and costs; the orientation becomes the mode type
+     * @param {Object} config - v29 configuration
+     * @returns {Object} v30 configuration
+     */
+    function migrateV29(config) {
+        const result = { version: 'v30' };
+        Object.keys(config).forEach(key => {
+            const value = config[key];
+            if (value === undefined) return;
+            if (V29_PATHS[key]) {
+                setPath(result, V29_PATHS[key], value);
+            } else if (key === 'orientation') {
+                // Unknown orientations are kept so validation reports them
+                result.mode = result.mode || {};
+                result.mode.type = value === 'vertical' ? 'arch' : value === 'horizontal' ? 'cylinder' : value;
+            } else if (key === 'solarPanels' && isObject(value)) {
+                const panels = {};
+                // The shared specification first, so topPanelRows/Cols win for the top grid
+                Object.keys(value).filter(k => V29_PANEL_SPEC_PATHS[k] && value[k] !== undefined).forEach(k => {
+                    setPath(panels, `topPanels.${V29_PANEL_SPEC_PATHS[k]}`, value[k]);
+                    setPath(panels, `sidePanels.${V29_PANEL_SPEC_PATHS[k]}`, value[k]);
+                });
+                Object.keys(value).filter(k => V29_PANEL_PATHS[k] && value[k] !== undefined).forEach(k => {
+                    setPath(panels, V29_PANEL_PATHS[k], value[k]);
+                });
+                Object.keys(value).filter(k => !V29_PANEL_PATHS[k] && !V29_PANEL_SPEC_PATHS[k]).forEach(k => {
+                    panels[k] = value[k];
+                });
+                result.panels = panels;
+            } else if (key !== 'version') {
+                // foldAngle, animationStopAngle, cameraState and metadata are unchanged
+                result[key] = value;
+            }
+        });
+        return result;
+    }
+
+    /** Upgrade steps, each taking a configuration one version forward */
+    const MIGRATIONS = [
+        { from: 'v29', to: 'v30', migrate: migrateV29 }
+    ];
+
+    /**
+     * Format version of a configuration
+     * @param {Object} config - Configuration
+     * @returns {string} Version id, e.g. 'v29'
+     * @throws {Error} When the configuration isn't an object
+     */
+    function detectVersion(config) {
+        if (!isObject(config)) throw new Error('Configuration must be an object');
+        if (typeof config.version === 'string') return config.version;
+        // v30 groups its settings; v29 and earlier stored the state keys flat
+        return config.structure !== undefined ? 'v30' : 'v29';
+    }
+
+    /**
+     * Upgrades a configuration to CURRENT_VERSION
+     * @param {Object} config - Configuration of any supported version
+     * @returns {{config: Object, from: string, steps: string[]}} Upgraded configuration, its original version and the steps taken
+     * @throws {Error} When the version is newer than this app or unknown
+     */
+    function migrate(config) {
+        const from = detectVersion(config);
+        const index = VERSIONS.indexOf(from);
+        if (index < 0) {
+            const newer = /^v(\d+)$/.exec(from);
+            if (newer && parseInt(newer[1], 10) > parseInt(CURRENT_VERSION.slice(1), 10)) {
+                throw new Error(`This configuration was made by a newer version of the app (${from})`);
+            }
+            throw new Error(`Unknown configuration version '${from}'`);
+        }
+
+        let current = config;
+        let version = from;
+        const steps = [];
+        while (version !== CURRENT_VERSION) {
+            const step = MIGRATIONS.find(m => m.from === version);
+            if (!step) throw new Error(`No migration from configuration version '${version}'`);
+            current = step.migrate(current);
+            steps.push(`${step.from} → ${step.to}`);
+            version = step.to;
+        }
+        return { config: current, from, steps };
+    }
+
+    /**
+     * Migrates, validates and cleans a configuration in one go
+     * @param {Object} config - Configuration of any supported version
+     * @param {Object} [base] - Design the configuration is applied over (see validate)
+     * @returns {{config: Object, from: string, steps: string[], valid: boolean, errors: Array, warnings: Array}}
+     *   Cleaned current-format configuration and every problem found
+     * @throws {Error} When the configuration can't be migrated (see migrate)
+     */
+    function prepare(config, base = null) {
+        const migrated = migrate(config);
+        const report = inspect(migrated.config, base);
+        return {
+            config: report.config,
+            from: migrated.from,
+            steps: migrated.steps,
+            valid: report.errors.length === 0,
+            errors: report.errors,
+            warnings: report.warnings
+        };
+    }
+
+    // ========================================
+    // SOLVER PARAMETERS
+    // ========================================
+
+    /** Solver material keys and their v30 paths; materials arrived after v29 */
+    const MATERIAL_PATHS = {
+        hBeamMaterial: 'materials.horizontal',
+        vBeamMaterial: 'materials.vertical',
+        bracketMaterial: 'materials.bracket',
+        boltMaterial: 'materials.bolt'
+    };
+
+    /**
+     * LinkageSolver parameters of a configuration. v29 stored the LinkageLab
+     * state keys flat, so they are read back through the paths v29 → v30 moved them to.
+     * @param {Object} config - Configuration of any supported version
+     * @returns {Object} Solver parameters; invalid or missing settings keep the solver defaults
+     * @throws {Error} When the configuration can't be migrated (see migrate)
+     */
+    function solverParams(config) {
+        const current = prepare(config).config;
+        const paths = { ...V29_PATHS, ...MATERIAL_PATHS };
+        const state = {};
+        Object.keys(paths).forEach(key => {
+            const value = getPath(current, paths[key]);
+            if (value !== undefined) state[key] = value;
+        });
+        const type = getPath(current, 'mode.type');
+        if (type !== undefined) state.orientation = type === 'arch' ? 'vertical' : 'horizontal';
+        return Solver.paramsFromState(state);
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Schema
+        CURRENT_VERSION,
+        VERSIONS,
+        SCHEMA,
+        RULES,
+        listFields,
+
+        // Validation
+        validate,
+        clean,
+
+        // Migrations
+        MIGRATIONS,
+        detectVersion,
+        migrate,
+        prepare,
+
+        // Solver
+        solverParams
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfigSchema;
+}
@@ -0,0 +1,427 @@
+// ============================================================================
+// CUT LIST
+// Beam cut list with drill positions, nested into standard stock lengths
+// ============================================================================
+
+/**
+ * CutList - Shop cut list for the ring beams, uprights and tunnel connectors
+ *
+ * Lists every beam the structure needs with its length, end offsets and pivot
+ * hole positions (measured from the bottom end), then nests those cuts into
+ * standard stock lengths with a saw kerf allowance. Nesting runs per material
+ * and picks bar patterns greedily by utilization, finishing with the shortest
+ * bar that holds the remaining cuts.
+ *
+ * Usage:
+ *   const params = LinkageSolver.paramsFromState(state);
+ *   const parts = CutList.buildCutList(params);
+ *   const plan = CutList.nestCuts(parts, { kerfIn: 0.125 });
+ *   plan.groups[0].bars;  // [{stockLengthFt, cuts, quantity, wasteIn}, ...]
+ */
+
+const CutList = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+    const Catalog = (typeof Materials !== 'undefined') ? Materials : require('./materials.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    const INCHES_PER_FOOT = 12;
+
+    /** Stock lengths stocked by most yards (feet) */
+    const STOCK_LENGTHS_FT = [8, 10, 12, 16];
+
+    /** Default nesting options (inches) */
+    const DEFAULT_OPTIONS = {
+        stockLengthsFt: STOCK_LENGTHS_FT,
+        kerfIn: 0.125,
+        trimIn: 0
+    };
+
+    /** Pivot hole clearance over the bolt diameter (inches) */
+    const HOLE_CLEARANCE_IN = 0.0625;
+
+    /** Lengths closer than this are treated as equal (inches) */
+    const LENGTH_TOLERANCE_IN = 1e-6;
+
+    /**
+     * Bar patterns tried per stock length and pass. Many short cuts (tunnel
+     * connectors) have too many patterns to list; the greedy pass picks from the first ones.
+     */
+    const MAX_PATTERNS = 5000;
+
+    /** Tunnel connectors are cut to the nearest 1/8" */
+    const CONNECTOR_ROUND_IN = 0.125;
+
+    // ========================================
+    // CUT LIST
+    // ========================================
+
+    /**
+     * Every beam with its length, end offsets and pivot holes, for every arch of a tunnel array
+     * and every ring of a stacked tower. Hole positions are measured from the bottom end of the beam.
+     * Modules with their own ring beams (see LinkageSolver.getModuleTypes) get a ring beam part
+     * each: H1, H2, ...; the rings of a tower get their own parts (H-T2, V-T2, ...) and hub struts (S).
+     * @param {Object} params - Solver parameters
+     * @param {number} [foldAngle] - Fold angle (radians) the tunnel connectors are fitted at; without it connectors are left out
+     * @returns {Array<Object>} Parts: {mark, name, role, materialId, quantity, lengthIn, endOffsets, holes, holeDiameterIn}
+     */
+    function buildCutList(params, foldAngle) {
+        const p = Solver.createParams(params);
+        const holeDiameterIn = p.boltDiameter + HOLE_CLEARANCE_IN;
+        const tierCount = Solver.getTierCount(p);
+
+        const ringParts = [];
+        for (let k = 0; k < tierCount; k++) {
+            ringParts.push(...buildRingParts(tierCount > 1 ? Solver.getTierParams(p, k) : p, holeDiameterIn, tierCount > 1 ? k + 1 : null));
+        }
+
+        return [
+            ...ringParts,
+            ...buildHubParts(p, holeDiameterIn),
+            ...(foldAngle !== undefined ? buildConnectorParts(p, foldAngle, holeDiameterIn) : [])
+        ].filter(part => part.quantity > 0);
+    }
+
+    /**
+     * Ring beams and uprights of one ring (every arch of a tunnel array)
+     * @param {Object} p - Solver parameters of the ring
+     * @param {number} holeDiameterIn - Pivot hole diameter (inches)
+     * @param {number|null} tier - Tier number (1 = base) in a stacked tower, null for a single ring
+     * @returns {Array<Object>} Parts
+     */
+    function buildRingParts(p, holeDiameterIn, tier) {
+        const copies = Solver.getArrayCopyCount(p);
+        const vTotIn = p.vLengthFt * INCHES_PER_FOOT;
+        const types = Solver.getModuleTypes(p);
+        const markSuffix = tier ? '-T' + tier : '';
+        const nameSuffix = tier ? `, tier ${tier}` : '';
+
+        const ringBeams = types.map((type, i) => {
+            const mp = Solver.getModuleParams(p, type.modules[0]);
+            const { hActiveIn } = Solver.getActiveLengths(mp);
+            const hTotIn = mp.hLengthFt * INCHES_PER_FOOT;
+            return {
+                mark: (types.length > 1 ? 'H' + (i + 1) : 'H') + markSuffix,
+                name: (types.length > 1 ? `Ring beam, module${type.modules.length > 1 ? 's' : ''} ${type.modules.map(m => m + 1).join(', ')}` : 'Ring beam') + nameSuffix,
+                role: 'horizontal',
+                materialId: Catalog.getBeamMaterial(p.hBeamMaterial).id,
+                quantity: type.modules.length * 2 * p.hStackCount * copies,
+                lengthIn: hTotIn,
+                endOffsets: { bottom: p.offsetBotIn, top: p.offsetTopIn },
+                holes: [
+                    { label: 'BOT', positionIn: p.offsetBotIn },
+                    { label: 'PIVOT', positionIn: p.offsetBotIn + hActiveIn * mp.pivotPct / 100 },
+                    { label: 'TOP', positionIn: hTotIn - p.offsetTopIn }
+                ],
+                holeDiameterIn
+            };
+        });
+
+        return [
+            ...ringBeams,
+            {
+                mark: 'V' + markSuffix,
+                name: 'Upright' + nameSuffix,
+                role: 'vertical',
+                materialId: Catalog.getBeamMaterial(p.vBeamMaterial).id,
+                quantity: p.modules * p.vStackCount * copies,
+                lengthIn: vTotIn,
+                endOffsets: { bottom: p.vertEndOffset, top: p.vertEndOffset },
+                holes: [
+                    { label: 'BOT', positionIn: p.vertEndOffset },
+                    { label: 'CTR', positionIn: vTotIn / 2 },
+                    { label: 'TOP', positionIn: vTotIn - p.vertEndOffset }
+                ],
+                holeDiameterIn
+            }
+        ];
+    }
+
+    /**
+     * Hub struts joining the rings of a stacked tower, one per module between
+     * neighbouring rings. They are cut from the upright stock with a hole at each end.
+     * @param {Object} p - Solver parameters
+     * @param {number} holeDiameterIn - Pivot hole diameter (inches)
+     * @returns {Array<Object>} The strut part (mark S), or none for a single ring
+     */
+    function buildHubParts(p, holeDiameterIn) {
+        const tierCount = Solver.getTierCount(p);
+        if (tierCount < 2) return [];
+        const endIn = p.vertEndOffset;
+        const lengthIn = p.tierHubIn + endIn * 2;
+        return [{
+            mark: 'S',
+            name: 'Hub strut',
+            role: 'vertical',
+            materialId: Catalog.getBeamMaterial(p.vBeamMaterial).id,
+            quantity: p.modules * (tierCount - 1),
+            lengthIn,
+            endOffsets: { bottom: endIn, top: endIn },
+            holes: [
+                { label: 'END', positionIn: endIn },
+                { label: 'END', positionIn: lengthIn - endIn }
+            ],
+            holeDiameterIn
+        }];
+    }
+
+    /**
+     * Ridge beams or purlins joining the arches of a tunnel array, one part per
+     * length. They are cut from the horizontal stock with a hole at each end.
+     * @param {Object} p - Solver parameters
+     * @param {number} foldAngle - Fold angle (radians) the connectors are fitted at
+     * @param {number} holeDiameterIn - Pivot hole diameter (inches)
+     * @returns {Array<Object>} Parts, marked C1, C2, ... from longest to shortest
+     */
+    function buildConnectorParts(p, foldAngle, holeDiameterIn) {
+        if (Solver.getArrayCopyCount(p) < 2 || !['ridge', 'purlins'].includes(p.arrayConnectors)) return [];
+
+        const data = Solver.solveLinkage({ ...p, showBrackets: false, showBolts: false }, foldAngle);
+        const byLength = new Map();
+        data.beams.filter(beam => beam.stackType === 'array-connector').forEach(beam => {
+            const lengthIn = Math.round((beam.connector.spanIn + Solver.CONNECTOR_END_IN * 2) / CONNECTOR_ROUND_IN) * CONNECTOR_ROUND_IN;
+            byLength.set(lengthIn, (byLength.get(lengthIn) || 0) + 1);
+        });
+
+        const endIn = Solver.CONNECTOR_END_IN;
+        const name = p.arrayConnectors === 'ridge' ? 'Ridge beam' : 'Purlin';
+        return [...byLength.keys()].sort((a, b) => b - a).map((lengthIn, i) => ({
+            mark: 'C' + (i + 1),
+            name,
+            role: 'horizontal',
+            materialId: Catalog.getBeamMaterial(p.hBeamMaterial).id,
+            quantity: byLength.get(lengthIn),
+            lengthIn,
+            endOffsets: { bottom: endIn, top: endIn },
+            holes: [
+                { label: 'END', positionIn: endIn },
+                { label: 'END', positionIn: lengthIn - endIn }
+            ],
+            holeDiameterIn
+        }));
+    }
+
+    // ========================================
+    // NESTING
+    // ========================================
+
+    /**
+     * Length of bar consumed by a set of cuts (one kerf between neighbours;
+     * the last cut may run to the end of the bar)
+     * @param {Array<{lengthIn: number}>} items - Distinct cut lengths
+     * @param {Array<number>} counts - Pieces of each length
+     * @param {number} kerfIn - Saw kerf (inches)
+     * @returns {number} Inches consumed
+     */
+    function consumedLength(items, counts, kerfIn) {
+        let pieces = 0;
+        let length = 0;
+        items.forEach((item, i) => {
+            pieces += counts[i];
+            length += counts[i] * item.lengthIn;
+        });
+        return pieces > 0 ? length + kerfIn * (pieces - 1) : 0;
+    }
+
+    /**
+     * Every way of filling one bar from the remaining demand (up to MAX_PATTERNS)
+     * @param {Array<{lengthIn: number}>} items - Distinct cut lengths
+     * @param {Array<number>} demand - Pieces still needed of each length
+     * @param {number} usableIn - Usable bar length (inches)
+     * @param {number} kerfIn - Saw kerf (inches)
+     * @returns {Array<Array<number>>} Piece counts per pattern
+     */
+    function enumeratePatterns(items, demand, usableIn, kerfIn) {
+        const patterns = [];
+        const counts = items.map(() => 0);
+
+        const fill = (index) => {
+            if (patterns.length >= MAX_PATTERNS) return;
+            if (index === items.length) {
+                if (counts.some(c => c > 0)) patterns.push(counts.slice());
+                return;
+            }
+            for (let c = 0; c <= demand[index]; c++) {
+                counts[index] = c;
+                if (consumedLength(items, counts, kerfIn) > usableIn + LENGTH_TOLERANCE_IN) break;
+                fill(index + 1);
+            }
+            counts[index] = 0;
+        };
+
+        fill(0);
+        return patterns;
+    }
+
+    /**
+     * Nest cuts of one material into stock bars
+     * @param {Array<{mark: string, lengthIn: number, quantity: number}>} parts - Parts sharing one material
+     * @param {Object} options - Nesting options (see DEFAULT_OPTIONS)
+     * @returns {{bars: Array<Object>, unplaced: Array<Object>}} Bar patterns and parts longer than any stock
+     */
+    function nestGroup(parts, options) {
+        const { kerfIn, trimIn } = options;
+        const stockLengthsFt = options.stockLengthsFt.slice().sort((a, b) => a - b);
+        const maxUsableIn = stockLengthsFt[stockLengthsFt.length - 1] * INCHES_PER_FOOT - trimIn;
+
+        const unplaced = parts.filter(part => part.lengthIn > maxUsableIn + LENGTH_TOLERANCE_IN)
+            .map(part => ({ mark: part.mark, lengthIn: part.lengthIn, quantity: part.quantity }));
+
+        // Longest first so patterns list the long cuts first
+        const items = parts.filter(part => part.lengthIn <= maxUsableIn + LENGTH_TOLERANCE_IN)
+            .slice().sort((a, b) => b.lengthIn - a.lengthIn);
+        const demand = items.map(part => part.quantity);
+        const bars = [];
+
+        while (demand.some(d => d > 0)) {
+            let best = null;
+
+            stockLengthsFt.forEach(stockFt => {
+                const stockIn = stockFt * INCHES_PER_FOOT;
+                enumeratePatterns(items, demand, stockIn - trimIn, kerfIn).forEach(counts => {
+                    const partIn = items.reduce((sum, item, i) => sum + counts[i] * item.lengthIn, 0);
+                    const clears = counts.every((c, i) => c === demand[i]);
+                    const utilization = partIn / stockIn;
+                    // A bar that finishes the job is judged on waste alone; otherwise
+                    // prefer the best utilization, then the longer bar (fewer bars to handle)
+                    const better = !best
+                        || (clears && !best.clears)
+                        || (clears && best.clears && stockIn - partIn < best.stockIn - best.partIn - LENGTH_TOLERANCE_IN)
+                        || (!clears && !best.clears && (utilization > best.utilization + 1e-9
+                            || (Math.abs(utilization - best.utilization) <= 1e-9 && stockIn > best.stockIn)));
+                    if (better) {
+                        best = { stockFt, stockIn, counts, partIn, clears, utilization };
+                    }
+                });
+            });
+
+            // Repeat the pattern for as long as the demand allows
+            const repeat = Math.min(...best.counts.map((c, i) => c > 0 ? Math.floor(demand[i] / c) : Infinity));
+            const times = best.clears ? 1 : Math.max(1, repeat);
+            best.counts.forEach((c, i) => { demand[i] -= c * times; });
+
+            const cuts = [];
+            items.forEach((item, i) => {
+                for (let n = 0; n < best.counts[i]; n++) cuts.push({ mark: item.mark, lengthIn: item.lengthIn });
+            });
+            const usedIn = consumedLength(items, best.counts, kerfIn) + trimIn;
+            addBars(bars, {
+                stockLengthFt: best.stockFt,
+                cuts,
+                partIn: best.partIn,
+                wasteIn: best.stockIn - best.partIn,
+                offcutIn: Math.max(0, best.stockIn - usedIn - (usedIn < best.stockIn ? kerfIn : 0))
+            }, times);
+        }
+
+        return { bars, unplaced };
+    }
+
+    /**
+     * Append a bar pattern, merging it with an identical earlier pattern
+     * @param {Array<Object>} bars - Patterns so far
+     * @param {Object} bar - Pattern to add
+     * @param {number} quantity - Number of bars cut to this pattern
+     */
+    function addBars(bars, bar, quantity) {
+        const key = bar.stockLengthFt + ':' + bar.cuts.map(c => c.mark).join(',');
+        const existing = bars.find(b => b.key === key);
+        if (existing) {
+            existing.quantity += quantity;
+        } else {
+            bars.push({ key, quantity, ...bar });
+        }
+    }
+
+    /**
+     * Nest a cut list into stock lengths, one group per beam material
+     * @param {Array<Object>} parts - Parts from buildCutList()
+     * @param {Object} options - {stockLengthsFt, kerfIn, trimIn, prices}; prices maps material id to $/ft
+     * @returns {{options: Object, groups: Array<Object>, totals: Object}} Nesting plan
+     */
+    function nestCuts(parts, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const prices = opts.prices || {};
+        const materialIds = [...new Set(parts.map(part => part.materialId))];
+
+        const groups = materialIds.map(id => {
+            const material = Catalog.getBeamMaterial(id);
+            const { bars, unplaced } = nestGroup(parts.filter(part => part.materialId === id), opts);
+            const pricePerFt = prices[id] !== undefined ? prices[id] : material.costPerFt;
+
+            const stockCounts = {};
+            let stockIn = 0;
+            let partIn = 0;
+            let barCount = 0;
+            bars.forEach(bar => {
+                stockCounts[bar.stockLengthFt] = (stockCounts[bar.stockLengthFt] || 0) + bar.quantity;
+                stockIn += bar.stockLengthFt * INCHES_PER_FOOT * bar.quantity;
+                partIn += bar.partIn * bar.quantity;
+                barCount += bar.quantity;
+            });
+
+            return {
+                material: { id: material.id, name: material.name, nominal: material.nominal },
+                bars: bars.map(({ key, ...bar }) => bar),
+                unplaced,
+                stock: Object.keys(stockCounts).map(Number).sort((a, b) => a - b)
+                    .map(lengthFt => ({ lengthFt, quantity: stockCounts[lengthFt] })),
+                barCount,
+                stockIn,
+                partIn,
+                wasteIn: stockIn - partIn,
+                wastePct: stockIn > 0 ? (stockIn - partIn) / stockIn * 100 : 0,
+                pricePerFt,
+                cost: stockIn / INCHES_PER_FOOT * pricePerFt
+            };
+        });
+
+        const totals = groups.reduce((t, g) => ({
+            barCount: t.barCount + g.barCount,
+            stockIn: t.stockIn + g.stockIn,
+            partIn: t.partIn + g.partIn,
+            cost: t.cost + g.cost,
+            unplaced: t.unplaced + g.unplaced.reduce((n, u) => n + u.quantity, 0)
+        }), { barCount: 0, stockIn: 0, partIn: 0, cost: 0, unplaced: 0 });
+        totals.wasteIn = totals.stockIn - totals.partIn;
+        totals.wastePct = totals.stockIn > 0 ? totals.wasteIn / totals.stockIn * 100 : 0;
+
+        const { prices: _prices, ...reported } = opts;
+        return { options: reported, groups, totals };
+    }
+
+    /**
+     * Cut list and nesting plan in one call
+     * @param {Object} params - Solver parameters
+     * @param {Object} options - Nesting options (see nestCuts()), plus the `foldAngle` tunnel connectors are fitted at
+     * @returns {{parts: Array<Object>, nesting: Object}} Cut list and plan
+     */
+    function generate(params, options = {}) {
+        const { foldAngle, ...nestOptions } = options;
+        const parts = buildCutList(params, foldAngle);
+        return { parts, nesting: nestCuts(parts, nestOptions) };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        STOCK_LENGTHS_FT,
+        DEFAULT_OPTIONS,
+        HOLE_CLEARANCE_IN,
+
+        buildCutList,
+        nestCuts,
+        generate
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CutList;
+}
@@ -0,0 +1,343 @@
+// ============================================================================
+// DESIGN SWEEP
+// Parameter sweeps over the linkage solver for design-space exploration
+// ============================================================================
+
+/**
+ * DesignSweep - Evaluates a grid of linkage designs
+ *
+ * Varies one or two solver parameters across ranges, solves each design with
+ * LinkageSolver and reports the metrics used to pick a geometry:
+ * deployed diameter, stowed diameter, height, actuator stroke and the
+ * collision-free fold range.
+ *
+ * Usage:
+ *   const result = DesignSweep.runSweep(baseParams, [
+ *       { key: 'modules', min: 6, max: 14, steps: 9 },
+ *       { key: 'pivotPct', min: 35, max: 50, steps: 8 }
+ *   ]);
+ *   result.cells[0].metrics.deployedDiameter; // inches
+ */
+
+const DesignSweep = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Parameters that can be swept, with sensible default ranges */
+    const SWEEP_PARAMETERS = {
+        modules:     { label: 'Modules',          unit: '',   min: 6,   max: 16,  integer: true },
+        pivotPct:    { label: 'Pivot Position',   unit: '%',  min: 30,  max: 50,  integer: false },
+        hobermanAng: { label: 'Hoberman Angle',   unit: '°',  min: -15, max: 15,  integer: false },
+        pivotAng:    { label: 'Pivot Angle',      unit: '°',  min: -15, max: 15,  integer: false },
+        hLengthFt:   { label: 'H Beam Length',    unit: 'ft', min: 6,   max: 16,  integer: false },
+        vLengthFt:   { label: 'V Beam Length',    unit: 'ft', min: 6,   max: 16,  integer: false },
+        hStackCount: { label: 'H Stack Count',    unit: '',   min: 2,   max: 6,   integer: true },
+        vStackCount: { label: 'V Stack Count',    unit: '',   min: 2,   max: 6,   integer: true }
+    };
+
+    /** Metrics reported for each design (lengths in inches, angles in degrees) */
+    const METRICS = {
+        deployedDiameter:   { label: 'Deployed Diameter',    unit: 'ft', scale: 1 / 12 },
+        stowedDiameter:     { label: 'Stowed Diameter',      unit: 'ft', scale: 1 / 12 },
+        height:             { label: 'Height',               unit: 'ft', scale: 1 / 12 },
+        actuatorStroke:     { label: 'Actuator Stroke',      unit: 'in', scale: 1 },
+        collisionFreeRange: { label: 'Collision-Free Range', unit: '°',  scale: 1 }
+    };
+
+    /** Fold angle step used when scanning for collisions (degrees) */
+    const DEFAULT_SCAN_STEP_DEG = 5;
+
+    /**
+     * Collision types that limit the fold range. Upright/ring contacts
+     * ('vertical-horizontal') are reported at the brackets for every fold angle,
+     * so they don't bound the range.
+     */
+    const FOLD_LIMIT_COLLISIONS = ['geometric-overfold', 'over-folding'];
+
+    // ========================================
+    // MEASUREMENT
+    // ========================================
+
+    /**
+     * Horizontal footprint and height of solved geometry
+     * @param {{beams: Array}} data - Geometry from LinkageSolver.solveLinkage()
+     * @returns {{diameter: number, height: number}} Footprint diameter and height in inches
+     */
+    function measureFootprint(data) {
+        let minX = Infinity, maxX = -Infinity;
+        let minY = Infinity, maxY = -Infinity;
+        let minZ = Infinity, maxZ = -Infinity;
+
+        data.beams.forEach(beam => {
+            beam.corners.forEach(c => {
+                if (c.x < minX) minX = c.x;
+                if (c.x > maxX) maxX = c.x;
+                if (c.y < minY) minY = c.y;
+                if (c.y > maxY) maxY = c.y;
+                if (c.z < minZ) minZ = c.z;
+                if (c.z > maxZ) maxZ = c.z;
+            });
+        });
+
+        if (!isFinite(minX)) return { diameter: 0, height: 0 };
+
+        return {
+            diameter: Math.max(maxX - minX, maxZ - minZ),
+            height: maxY - minY
+        };
+    }
+
+    /**
+     * Scans the fold range for collisions and returns the collision-free interval
+     * that contains the preferred angle (or the widest one if that angle collides)
+     * @param {Object} params - Solver parameters
+     * @param {number} preferredAngle - Angle in radians the range should contain
+     * @param {number} stepDeg - Scan step in degrees
+     * @param {string[]} collisionTypes - Collision types that count as blocking
+     * @returns {{min: number, max: number, span: number}|null} Range in radians, or null if every angle collides
+     */
+    function findCollisionFreeRange(params, preferredAngle, stepDeg = DEFAULT_SCAN_STEP_DEG, collisionTypes = FOLD_LIMIT_COLLISIONS) {
+        const step = stepDeg * Math.PI / 180;
+        const samples = [];
+
+        for (let angle = Solver.MIN_FOLD_ANGLE; angle <= Solver.MAX_FOLD_ANGLE + 1e-9; angle += step) {
+            const data = Solver.solveLinkage(params, angle);
+            const blocking = Solver.detectCollisions(data, params).filter(c => collisionTypes.includes(c.type));
+            samples.push({ angle, clear: blocking.length === 0 });
+        }
+
+        // Group consecutive clear samples into intervals
+        const intervals = [];
+        let current = null;
+        samples.forEach(sample => {
+            if (sample.clear) {
+                if (!current) {
+                    current = { min: sample.angle, max: sample.angle };
+                    intervals.push(current);
+                } else {
+                    current.max = sample.angle;
+                }
+            } else {
+                current = null;
+            }
+        });
+
+        if (intervals.length === 0) return null;
+
+        const half = step / 2;
+        let best = intervals.find(r => preferredAngle >= r.min - half && preferredAngle <= r.max + half);
+        if (!best) {
+            best = intervals.reduce((a, b) => (b.max - b.min > a.max - a.min ? b : a));
+        }
+
+        return { min: best.min, max: best.max, span: best.max - best.min };
+    }
+
+    // ========================================
+    // EVALUATION
+    // ========================================
+
+    /**
+     * Evaluates a single design.
+     * The deployed pose is the fold angle where the ring closes to 360°; the stowed pose
+     * is fully folded, as in the fold animation and the actuator profiles. The
+     * collision-free range is reported separately.
+     * @param {Object} params - Solver parameters
+     * @param {{scanStepDeg?: number, collisionTypes?: string[]}} options - Evaluation options
+     * @returns {{metrics: Object, deployedAngle: number, stowedAngle: number, collisionFree: Object|null}} Evaluation
+     */
+    function evaluateDesign(params, options = {}) {
+        const p = Solver.createParams(params);
+        const scanStepDeg = options.scanStepDeg || DEFAULT_SCAN_STEP_DEG;
+
+        const deployedAngle = Solver.findClosedAngle(p);
+        const collisionFree = findCollisionFreeRange(p, deployedAngle, scanStepDeg, options.collisionTypes);
+        const stowedAngle = Solver.MIN_FOLD_ANGLE;
+
+        const deployed = measureFootprint(Solver.solveLinkage(p, deployedAngle));
+        const stowed = measureFootprint(Solver.solveLinkage(p, stowedAngle));
+
+        // Actuator travels between the inner and outer pivots from stowed to deployed
+        const actuatorStroke = Math.abs(
+            Solver.calculatePivotSpan(p, deployedAngle) - Solver.calculatePivotSpan(p, stowedAngle)
+        );
+
+        return {
+            deployedAngle,
+            stowedAngle,
+            collisionFree,
+            metrics: {
+                deployedDiameter: deployed.diameter,
+                stowedDiameter: stowed.diameter,
+                height: deployed.height,
+                actuatorStroke,
+                collisionFreeRange: collisionFree ? collisionFree.span * 180 / Math.PI : 0
+            }
+        };
+    }
+
+    /**
+     * Expands an axis definition into the list of values to evaluate
+     * @param {{key: string, min: number, max: number, steps: number}} axis - Axis definition
+     * @returns {number[]} Values along the axis
+     */
+    function buildAxisValues(axis) {
+        const def = SWEEP_PARAMETERS[axis.key] || {};
+        const steps = Math.max(1, Math.round(axis.steps || 1));
+        const values = [];
+
+        for (let i = 0; i < steps; i++) {
+            const t = steps === 1 ? 0 : i / (steps - 1);
+            let value = axis.min + (axis.max - axis.min) * t;
+            if (def.integer) value = Math.round(value);
+            if (!values.includes(value)) values.push(value);
+        }
+
+        return values;
+    }
+
+    /**
+     * Builds the list of sweep cells (one per parameter combination)
+     * @param {Array<{key: string, min: number, max: number, steps: number}>} axes - One or two axes
+     * @returns {{axisValues: number[][], cells: Array<{i: number, j: number, overrides: Object}>}} Cells to evaluate
+     */
+    function buildCells(axes) {
+        if (!axes || axes.length < 1 || axes.length > 2) {
+            throw new Error('DesignSweep: expected one or two sweep axes');
+        }
+        axes.forEach(axis => {
+            if (!SWEEP_PARAMETERS[axis.key]) {
+                throw new Error(`DesignSweep: unknown sweep parameter "${axis.key}"`);
+            }
+        });
+
+        const axisValues = axes.map(buildAxisValues);
+        const xValues = axisValues[0];
+        const yValues = axisValues[1] || [null];
+        const cells = [];
+
+        yValues.forEach((yValue, j) => {
+            xValues.forEach((xValue, i) => {
+                const overrides = { [axes[0].key]: xValue };
+                if (axes[1]) overrides[axes[1].key] = yValue;
+                cells.push({ i, j, overrides });
+            });
+        });
+
+        return { axisValues, cells };
+    }
+
+    /**
+     * Runs a sweep synchronously
+     * @param {Object} baseParams - Parameters shared by every design
+     * @param {Array<{key: string, min: number, max: number, steps: number}>} axes - One or two axes
+     * @param {{scanStepDeg?: number}} options - Evaluation options
+     * @returns {{axes: Array, axisValues: number[][], cells: Array}} Sweep result
+     */
+    function runSweep(baseParams, axes, options = {}) {
+        const { axisValues, cells } = buildCells(axes);
+        cells.forEach(cell => evaluateCell(baseParams, cell, options));
+        return { axes, axisValues, cells };
+    }
+
+    /**
+     * Runs a sweep in small batches so the page stays responsive
+     * @param {Object} baseParams - Parameters shared by every design
+     * @param {Array<{key: string, min: number, max: number, steps: number}>} axes - One or two axes
+     * @param {{scanStepDeg?: number, batchSize?: number, onProgress?: Function, isCancelled?: Function}} options - Options
+     * @returns {Promise<{axes: Array, axisValues: number[][], cells: Array, cancelled: boolean}>} Sweep result
+     */
+    function runSweepAsync(baseParams, axes, options = {}) {
+        const { axisValues, cells } = buildCells(axes);
+        const batchSize = options.batchSize || 4;
+
+        return new Promise((resolve, reject) => {
+            let index = 0;
+            const step = () => {
+                try {
+                    if (options.isCancelled && options.isCancelled()) {
+                        resolve({ axes, axisValues, cells, cancelled: true });
+                        return;
+                    }
+                    const end = Math.min(index + batchSize, cells.length);
+                    for (; index < end; index++) {
+                        evaluateCell(baseParams, cells[index], options);
+                    }
+                    if (options.onProgress) options.onProgress(index, cells.length);
+                    if (index < cells.length) {
+                        setTimeout(step, 0);
+                    } else {
+                        resolve({ axes, axisValues, cells, cancelled: false });
+                    }
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            step();
+        });
+    }
+
+    /**
+     * Evaluates one sweep cell in place
+     * @param {Object} baseParams - Shared parameters
+     * @param {Object} cell - Cell from buildCells()
+     * @param {Object} options - Evaluation options
+     */
+    function evaluateCell(baseParams, cell, options) {
+        const params = { ...baseParams, ...cell.overrides };
+        const result = evaluateDesign(params, options);
+        cell.metrics = result.metrics;
+        cell.deployedAngle = result.deployedAngle;
+        cell.stowedAngle = result.stowedAngle;
+        cell.collisionFree = result.collisionFree;
+    }
+
+    /**
+     * Minimum and maximum of a metric across all evaluated cells
+     * @param {{cells: Array}} result - Sweep result
+     * @param {string} metricKey - Key from METRICS
+     * @returns {{min: number, max: number}} Metric range
+     */
+    function getMetricRange(result, metricKey) {
+        let min = Infinity, max = -Infinity;
+        result.cells.forEach(cell => {
+            if (!cell.metrics) return;
+            const value = cell.metrics[metricKey];
+            if (value < min) min = value;
+            if (value > max) max = value;
+        });
+        return { min, max };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        SWEEP_PARAMETERS,
+        METRICS,
+        FOLD_LIMIT_COLLISIONS,
+
+        // Evaluation
+        measureFootprint,
+        findCollisionFreeRange,
+        evaluateDesign,
+
+        // Sweeps
+        buildAxisValues,
+        runSweep,
+        runSweepAsync,
+        getMetricRange
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DesignSweep;
+}
@@ -0,0 +1,275 @@
+// ============================================================================
+// DESIGN VERSIONS
+// Named, timestamped snapshots of a design, with key diffs and metric comparison
+// ============================================================================
+
+/**
+ * DesignVersions - Version history of saved designs
+ *
+ * A version holds the saved configuration (the same snapshot the presets use),
+ * a flat copy of the state values it was made from, the solver parameters
+ * and fold angle for drawing it again, and the key metrics measured when it
+ * was saved: diameter, height, weight, cost, panel count and annual energy.
+ *
+ * Versions are kept newest first. Two versions are compared by the values
+ * that differ between them, key by key (nested settings such as the top panel
+ * layout are compared setting by setting), and by their metrics.
+ *
+ * Usage:
+ *   const version = DesignVersions.createVersion({ name: 'Wider ring', config, values, params, foldAngle, metrics });
+ *   list = DesignVersions.addVersion(list, version);
+ *   const diff = DesignVersions.diffVersions(list[1], list[0], { structure: CONFIG_KEYS, solar: SOLAR_PANEL_KEYS });
+ *   diff.groups.structure;   // [{key: 'hLengthFt', before: 8, after: 9}]
+ *   DesignVersions.compareMetrics(list[1].metrics, list[0].metrics)[0].delta;
+ */
+
+const DesignVersions = (function() {
+    'use strict';
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Metrics measured on every version; `better` says which way is an improvement */
+    const METRICS = [
+        { key: 'diameterFt', label: 'Diameter', unit: 'ft', digits: 2, better: null },
+        { key: 'heightFt', label: 'Height', unit: 'ft', digits: 2, better: null },
+        { key: 'weightLbs', label: 'Weight', unit: 'lbs', digits: 0, better: 'lower' },
+        { key: 'cost', label: 'Cost', unit: '$', digits: 0, better: 'lower' },
+        { key: 'panelCount', label: 'Panels', unit: '', digits: 0, better: 'higher' },
+        { key: 'annualKwh', label: 'Energy', unit: 'kWh/yr', digits: 0, better: 'higher' }
+    ];
+
+    /** Most versions kept; the oldest are dropped beyond this */
+    const MAX_VERSIONS = 50;
+
+    // ========================================
+    // VERSIONS
+    // ========================================
+
+    /**
+     * Deep copy of plain data (configuration values are JSON-safe)
+     * @param {*} value - Value to copy
+     * @returns {*} Copy
+     */
+    function clone(value) {
+        return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+    }
+
+    /**
+     * Copies the listed keys of a state object
+     * @param {Object} source - State object
+     * @param {string[]} keys - Keys to copy
+     * @returns {Object} Copied values
+     */
+    function snapshotValues(source, keys) {
+        const values = {};
+        keys.forEach(key => {
+            if (source[key] !== undefined) values[key] = clone(source[key]);
+        });
+        return values;
+    }
+
+    /**
+     * Creates a version record
+     * @param {Object} fields - Version contents
+     * @param {string} fields.name - Version name
+     * @param {string} [fields.note] - Free-text note
+     * @param {Object} fields.config - Saved configuration, applied when the version is loaded
+     * @param {{structure: Object, solar: Object}} fields.values - State values compared between versions
+     * @param {Object} fields.params - Solver parameters, for drawing the version
+     * @param {number} fields.foldAngle - Fold angle in radians
+     * @param {Object} fields.metrics - Measured metrics (see METRICS)
+     * @param {number} [now] - Timestamp in milliseconds
+     * @returns {Object} Version {id, name, note, createdAt, config, values, params, foldAngle, metrics}
+     */
+    function createVersion(fields, now = Date.now()) {
+        return {
+            id: now.toString(36) + Math.random().toString(36).slice(2, 6),
+            name: String(fields.name || '').trim() || 'Untitled',
+            note: String(fields.note || '').trim(),
+            createdAt: now,
+            config: clone(fields.config),
+            values: clone(fields.values),
+            params: clone(fields.params),
+            foldAngle: fields.foldAngle,
+            metrics: { ...fields.metrics }
+        };
+    }
+
+    /**
+     * Adds a version to a history, newest first
+     * @param {Array<Object>} list - Existing versions
+     * @param {Object} version - Version from createVersion()
+     * @returns {Array<Object>} New list, at most MAX_VERSIONS long
+     */
+    function addVersion(list, version) {
+        return [version, ...list.filter(v => v.id !== version.id)]
+            .sort((a, b) => b.createdAt - a.createdAt)
+            .slice(0, MAX_VERSIONS);
+    }
+
+    /**
+     * Removes a version from a history
+     * @param {Array<Object>} list - Existing versions
+     * @param {string} id - Version id
+     * @returns {Array<Object>} New list
+     */
+    function removeVersion(list, id) {
+        return list.filter(v => v.id !== id);
+    }
+
+    /**
+     * Reads a stored history, skipping anything that isn't a version
+     * @param {string|null} json - Stored JSON
+     * @returns {Array<Object>} Versions, newest first
+     */
+    function parseList(json) {
+        let list;
+        try {
+            list = JSON.parse(json || '[]');
+        } catch (e) {
+            return [];
+        }
+        if (!Array.isArray(list)) return [];
+        return list
+            .filter(v => v && typeof v.id === 'string' && typeof v.createdAt === 'number' && v.config && v.values)
+            .sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    // ========================================
+    // DIFF
+    // ========================================
+
+    /**
+     * Whether a value is a plain object (compared setting by setting)
+     * @param {*} value - Value to test
+     * @returns {boolean} True for non-array objects
+     */
+    function isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Deep equality of plain data
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True when equal
+     */
+    function valuesEqual(a, b) {
+        if (a === b) return true;
+        if (typeof a === 'number' && typeof b === 'number') return Math.abs(a - b) < 1e-9;
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, i) => valuesEqual(item, b[i]));
+        }
+        if (isPlainObject(a) && isPlainObject(b)) {
+            const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+            return [...keys].every(key => valuesEqual(a[key], b[key]));
+        }
+        return false;
+    }
+
+    /**
+     * Keys whose values differ between two value sets. Nested settings are
+     * reported by path, e.g. 'topPanels.gridRows'.
+     * @param {Object} before - Earlier values
+     * @param {Object} after - Later values
+     * @param {string[]} keys - Keys to compare
+     * @param {string} [prefix] - Path of the enclosing setting
+     * @returns {Array<{key: string, before: *, after: *}>} Changes in key order
+     */
+    function diffValues(before, after, keys, prefix = '') {
+        const changes = [];
+        keys.forEach(key => {
+            const a = before ? before[key] : undefined;
+            const b = after ? after[key] : undefined;
+            if (valuesEqual(a, b)) return;
+            if (isPlainObject(a) && isPlainObject(b)) {
+                const nested = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+                changes.push(...diffValues(a, b, nested, prefix + key + '.'));
+            } else {
+                changes.push({ key: prefix + key, before: a, after: b });
+            }
+        });
+        return changes;
+    }
+
+    /**
+     * Changes between two versions, grouped
+     * @param {Object} a - Earlier version
+     * @param {Object} b - Later version
+     * @param {Object<string, string[]>} groups - Keys of each value group, e.g. {structure: CONFIG_KEYS, solar: SOLAR_PANEL_KEYS}
+     * @returns {{groups: Object<string, Array<{key: string, before: *, after: *}>>, count: number}} Changes per group and in total
+     */
+    function diffVersions(a, b, groups) {
+        const result = {};
+        let count = 0;
+        Object.entries(groups).forEach(([group, keys]) => {
+            result[group] = diffValues(a.values[group], b.values[group], keys);
+            count += result[group].length;
+        });
+        return { groups: result, count };
+    }
+
+    // ========================================
+    // COMPARE
+    // ========================================
+
+    /**
+     * Metric-by-metric comparison of two versions
+     * @param {Object} a - Metrics of the first version
+     * @param {Object} b - Metrics of the second version
+     * @returns {Array<Object>} One row per METRICS entry with `a`, `b`, `delta` (b − a),
+     *   `change` (delta over a, null when a is zero) and `verdict` ('better', 'worse' or null)
+     */
+    function compareMetrics(a, b) {
+        return METRICS.map(metric => {
+            const va = a ? a[metric.key] : undefined;
+            const vb = b ? b[metric.key] : undefined;
+            const known = typeof va === 'number' && typeof vb === 'number';
+            const delta = known ? vb - va : null;
+            let verdict = null;
+            if (known && metric.better && Math.abs(delta) > 1e-9) {
+                verdict = (delta < 0) === (metric.better === 'lower') ? 'better' : 'worse';
+            }
+            return {
+                ...metric,
+                a: va,
+                b: vb,
+                delta,
+                change: known && va !== 0 ? delta / Math.abs(va) : null,
+                verdict
+            };
+        });
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        METRICS,
+        MAX_VERSIONS,
+
+        // Versions
+        snapshotValues,
+        createVersion,
+        addVersion,
+        removeVersion,
+        parseList,
+
+        // Diff
+        valuesEqual,
+        diffValues,
+        diffVersions,
+
+        // Compare
+        compareMetrics
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DesignVersions;
+}
@@ -0,0 +1,338 @@
+// ============================================================================
+// DXF DRAWINGS
+// Plan and elevation drawings of the solved structure, with joint paths
+// ============================================================================
+
+/**
+ * DxfDrawings - Layered DXF drawings of the top and side views
+ *
+ * Projects the solved parts the way the ortho cameras see them: the plan looks
+ * down -Y with world X to the right and -Z up the sheet (as the top view), the
+ * elevation looks along -Z with X to the right and Y up (as the side view).
+ * Beams and panels are drawn as the outline of their projected box, pivots as
+ * circles, and the footprint as the outline of the whole structure on the
+ * ground (plan) or the ground line under it (elevation).
+ *
+ * Coordinates stay in the solver's frame, so the structure origin lands on the
+ * drawing origin and the plan can be overlaid on a site survey by moving that
+ * one point. Files are ASCII DXF R12 for the widest CAD/GIS compatibility.
+ *
+ * Layers:
+ *   BEAMS        structural beams
+ *   PANELS       solar panels and their support beams
+ *   PIVOTS       bolt and bracket pivots
+ *   FOOTPRINT    structure outline on the ground
+ *   JOINT_PATHS  each pivot's path through the fold range (optional)
+ *   NOTES        title text
+ *
+ * Usage:
+ *   const paths = DxfDrawings.traceJointPaths(params);
+ *   const drawing = DxfDrawings.buildDrawing(data, 'plan', { jointPaths: paths });
+ *   const dxf = DxfDrawings.toDXF(drawing, { units: 'ft' });
+ */
+
+const DxfDrawings = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Fold angle step of joint path tracing (degrees) */
+    const DEFAULT_PATH_STEP_DEG = 1;
+
+    /** Layers with their AutoCAD color index */
+    const LAYERS = {
+        BEAMS:       { color: 30, label: 'Beams' },
+        PANELS:      { color: 5,  label: 'Panels & supports' },
+        PIVOTS:      { color: 1,  label: 'Pivots' },
+        FOOTPRINT:   { color: 3,  label: 'Footprint' },
+        JOINT_PATHS: { color: 6,  label: 'Joint paths' },
+        NOTES:       { color: 7,  label: 'Notes' }
+    };
+
+    /** Views, with the projection of a world point onto the sheet */
+    const VIEWS = {
+        plan:      { label: 'Plan',      project: p => ({ x: p.x, y: -p.z }) },
+        elevation: { label: 'Elevation', project: p => ({ x: p.x, y: p.y }) }
+    };
+
+    /** Output units: length per inch and DXF $INSUNITS code */
+    const UNITS = {
+        in: { label: 'inches',      perInch: 1,         insunits: 1 },
+        ft: { label: 'feet',        perInch: 1 / 12,    insunits: 2 },
+        mm: { label: 'millimetres', perInch: 25.4,      insunits: 4 },
+        m:  { label: 'metres',      perInch: 0.0254,    insunits: 6 }
+    };
+
+    // ========================================
+    // GEOMETRY HELPERS
+    // ========================================
+
+    /**
+     * Convex hull of 2D points (monotone chain)
+     * @param {Array<{x: number, y: number}>} points - Points
+     * @returns {Array<{x: number, y: number}>} Hull, counter-clockwise
+     */
+    function convexHull(points) {
+        const sorted = points.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) return sorted;
+
+        const turn = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const half = (list) => {
+            const hull = [];
+            list.forEach(p => {
+                while (hull.length >= 2 && turn(hull[hull.length - 2], hull[hull.length - 1], p) <= 1e-9) hull.pop();
+                hull.push(p);
+            });
+            hull.pop();
+            return hull;
+        };
+        return [...half(sorted), ...half(sorted.slice().reverse())];
+    }
+
+    /**
+     * Bounds of 2D points
+     * @param {Array<{x: number, y: number}>} points - Points
+     * @returns {{minX: number, minY: number, maxX: number, maxY: number}|null} Bounds, or null for no points
+     */
+    function getBounds(points) {
+        if (points.length === 0) return null;
+        return points.reduce((b, p) => ({
+            minX: Math.min(b.minX, p.x), minY: Math.min(b.minY, p.y),
+            maxX: Math.max(b.maxX, p.x), maxY: Math.max(b.maxY, p.y)
+        }), { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+    }
+
+    /**
+     * Display name of a pivot
+     * @param {Object} part - Solved bolt or bracket
+     * @param {string} kind - 'bolt' or 'bracket'
+     * @returns {string} e.g. 'M2 upright-top-outer'
+     */
+    function pivotName(part, kind) {
+        const where = kind === 'bolt'
+            ? (part.pivot || 'bolt')
+            : `${part.isBottom ? 'bottom' : 'top'}-${part.joint || 'bracket'}`;
+        return `M${part.moduleIndex + 1} ${where}`;
+    }
+
+    /**
+     * Pivots of a solved pose, bolts first, in solver order
+     * @param {Object} data - Geometry from solveLinkage()
+     * @returns {Array<{name: string, center: {x, y, z}, radius: number}>} Pivots
+     */
+    function getPivots(data) {
+        return [
+            ...(data.bolts || []).map(bolt => ({
+                name: pivotName(bolt, 'bolt'),
+                center: bolt.center,
+                radius: bolt.radius
+            })),
+            ...(data.brackets || []).map(bracket => ({
+                name: pivotName(bracket, 'bracket'),
+                center: bracket.pos,
+                radius: (bracket.holeDiameter || 0.375) / 2
+            }))
+        ];
+    }
+
+    // ========================================
+    // JOINT PATHS
+    // ========================================
+
+    /**
+     * Traces every pivot through the fold range
+     * @param {Object} params - Solver parameters (brackets and bolts are forced on)
+     * @param {{stepDeg?: number}} options - Tracing options
+     * @returns {Array<{name: string, points: Array<{x, y, z}>}>} One path per pivot, from MIN to MAX fold angle
+     */
+    function traceJointPaths(params, options = {}) {
+        const p = { ...params, showBrackets: true, showBolts: true };
+        const step = (options.stepDeg || DEFAULT_PATH_STEP_DEG) * Math.PI / 180;
+
+        const angles = [];
+        for (let angle = Solver.MIN_FOLD_ANGLE; angle < Solver.MAX_FOLD_ANGLE - 1e-9; angle += step) {
+            angles.push(angle);
+        }
+        angles.push(Solver.MAX_FOLD_ANGLE);
+
+        let paths = null;
+        angles.forEach(angle => {
+            const pivots = getPivots(Solver.solveLinkage(p, angle));
+            if (!paths) {
+                paths = pivots.map(pivot => ({ name: pivot.name, points: [] }));
+            }
+            // Pivots are matched by solver order; skip poses where the topology differs
+            if (pivots.length !== paths.length) return;
+            pivots.forEach((pivot, i) => paths[i].points.push({ ...pivot.center }));
+        });
+
+        return paths || [];
+    }
+
+    // ========================================
+    // DRAWINGS
+    // ========================================
+
+    /**
+     * Builds the entities of one view
+     * @param {Object} data - Geometry from solveLinkage(), with optional `panels` and support beams in `beams`
+     * @param {string} view - Key of VIEWS
+     * @param {{jointPaths?: Array, title?: string}} options - Joint paths from traceJointPaths(), and a title
+     * @returns {{view: string, title: string, entities: Array<Object>, bounds: Object|null}} Drawing, in inches.
+     *   Entities: {type: 'polyline', layer, points, closed} | {type: 'circle', layer, center, radius} | {type: 'text', layer, at, height, text}
+     */
+    function buildDrawing(data, view, options = {}) {
+        const project = VIEWS[view].project;
+        const entities = [];
+        const outline = [];
+
+        const addSolid = (corners, layer) => {
+            const points = corners.map(project);
+            outline.push(...points);
+            entities.push({ type: 'polyline', layer, points: convexHull(points), closed: true });
+        };
+
+        (data.beams || []).forEach(beam => {
+            addSolid(beam.corners, beam.stackType === 'solar-support' ? 'PANELS' : 'BEAMS');
+        });
+        (data.panels || []).forEach(panel => addSolid(panel.corners, 'PANELS'));
+
+        getPivots(data).forEach(pivot => {
+            entities.push({ type: 'circle', layer: 'PIVOTS', center: project(pivot.center), radius: pivot.radius });
+        });
+
+        // Footprint: outline on the ground in plan, ground line in elevation
+        const bounds = getBounds(outline);
+        if (bounds) {
+            if (view === 'plan') {
+                entities.push({ type: 'polyline', layer: 'FOOTPRINT', points: convexHull(outline), closed: true });
+            } else {
+                entities.push({
+                    type: 'polyline',
+                    layer: 'FOOTPRINT',
+                    points: [{ x: bounds.minX, y: bounds.minY }, { x: bounds.maxX, y: bounds.minY }],
+                    closed: false
+                });
+            }
+        }
+
+        (options.jointPaths || []).forEach(path => {
+            if (path.points.length < 2) return;
+            const points = path.points.map(project);
+            outline.push(...points);
+            entities.push({ type: 'polyline', layer: 'JOINT_PATHS', points, closed: false });
+        });
+
+        const title = options.title || VIEWS[view].label;
+        const extent = getBounds(outline);
+        if (extent) {
+            const size = Math.max(extent.maxX - extent.minX, extent.maxY - extent.minY);
+            const height = Math.max(1, size * 0.025);
+            entities.push({
+                type: 'text',
+                layer: 'NOTES',
+                at: { x: extent.minX, y: extent.minY - height * 2.5 },
+                height,
+                text: title
+            });
+        }
+
+        return { view, title, entities, bounds: extent };
+    }
+
+    // ========================================
+    // DXF WRITER
+    // ========================================
+
+    const formatValue = (n) => (Math.abs(n) < 5e-7 ? 0 : +n.toFixed(6)).toString();
+
+    /**
+     * Writes a drawing as ASCII DXF (R12)
+     * @param {Object} drawing - Result of buildDrawing()
+     * @param {{units?: string}} options - Key of UNITS (default inches)
+     * @returns {string} DXF file contents
+     */
+    function toDXF(drawing, options = {}) {
+        const units = UNITS[options.units] || UNITS.in;
+        const k = units.perInch;
+        const out = [];
+        const code = (group, value) => out.push(String(group), typeof value === 'number' ? formatValue(value) : String(value));
+        const point = (p, base = 10) => {
+            code(base, p.x * k);
+            code(base + 10, p.y * k);
+            code(base + 20, 0);
+        };
+
+        const bounds = drawing.bounds || { minX: 0, minY: 0, maxX: 0, maxY: 0 };
+        code(0, 'SECTION');
+        code(2, 'HEADER');
+        code(9, '$ACADVER'); code(1, 'AC1009');
+        code(9, '$INSUNITS'); code(70, units.insunits);
+        code(9, '$EXTMIN'); point({ x: bounds.minX, y: bounds.minY });
+        code(9, '$EXTMAX'); point({ x: bounds.maxX, y: bounds.maxY });
+        code(0, 'ENDSEC');
+
+        const layers = Object.keys(LAYERS);
+        code(0, 'SECTION');
+        code(2, 'TABLES');
+        code(0, 'TABLE'); code(2, 'LTYPE'); code(70, 1);
+        code(0, 'LTYPE'); code(2, 'CONTINUOUS'); code(70, 0); code(3, 'Solid line'); code(72, 65); code(73, 0); code(40, 0);
+        code(0, 'ENDTAB');
+        code(0, 'TABLE'); code(2, 'LAYER'); code(70, layers.length);
+        layers.forEach(name => {
+            code(0, 'LAYER'); code(2, name); code(70, 0); code(62, LAYERS[name].color); code(6, 'CONTINUOUS');
+        });
+        code(0, 'ENDTAB');
+        code(0, 'ENDSEC');
+
+        code(0, 'SECTION');
+        code(2, 'ENTITIES');
+        drawing.entities.forEach(e => {
+            if (e.type === 'polyline') {
+                code(0, 'POLYLINE'); code(8, e.layer); code(66, 1); point({ x: 0, y: 0 }); code(70, e.closed ? 1 : 0);
+                e.points.forEach(p => {
+                    code(0, 'VERTEX'); code(8, e.layer); point(p);
+                });
+                code(0, 'SEQEND'); code(8, e.layer);
+            } else if (e.type === 'circle') {
+                code(0, 'CIRCLE'); code(8, e.layer); point(e.center); code(40, e.radius * k);
+            } else if (e.type === 'text') {
+                code(0, 'TEXT'); code(8, e.layer); point(e.at); code(40, e.height * k); code(1, e.text.replace(/[\r\n]+/g, ' '));
+            }
+        });
+        code(0, 'ENDSEC');
+        code(0, 'EOF');
+
+        return out.join('\n') + '\n';
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        DEFAULT_PATH_STEP_DEG,
+        LAYERS,
+        VIEWS,
+        UNITS,
+
+        // Geometry
+        convexHull,
+        getPivots,
+
+        // Drawings
+        traceJointPaths,
+        buildDrawing,
+        toDXF
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DxfDrawings;
+}
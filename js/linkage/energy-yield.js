@@ -0,0 +1,220 @@
+// ============================================================================
+// ENERGY YIELD
+// Clear-sky energy estimate for each panel from its own tilt and azimuth
+// ============================================================================
+
+/**
+ * EnergyYield - Orientation-aware energy estimate of the mounted panels
+ *
+ * Every panel is taken at its own orientation: tilt from its normal and the
+ * compass direction it faces. Plane-of-array irradiance comes from the ASHRAE
+ * clear-sky model (monthly constants for direct and diffuse light) on an
+ * isotropic sky, plus light reflected off the ground. DC output is the rated
+ * power scaled by irradiance over 1000 W/m², times a performance ratio that
+ * covers temperature, wiring and inverter losses.
+ *
+ * The sun path and time steps are shared with PanelShading. Monthly totals use
+ * a representative day per month (the 21st); the daily figure is for the
+ * chosen day. A per-panel direct-light loss, such as the irradiance loss from
+ * a shading analysis, can be applied to the beam component.
+ *
+ * Usage:
+ *   const result = EnergyYield.estimate(data.panels, { latitude: 35, dayOfYear: 172 });
+ *   result.totals.annual;            // kWh per year for the canopy
+ *   result.panels[0].monthly[5];     // kWh in June for the first panel
+ */
+
+const EnergyYield = (function() {
+    'use strict';
+
+    const Shading = (typeof PanelShading !== 'undefined') ? PanelShading : require('./panel-shading.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Default estimate options */
+    const DEFAULT_OPTIONS = {
+        latitude: 35,
+        dayOfYear: 172,
+        stepMinutes: 10,
+        performanceRatio: 0.8,  // System losses: temperature, soiling, wiring, inverter
+        albedo: 0.2,            // Ground reflectance (grass / soil)
+        ratedWatts: 250         // For panels without their own rating
+    };
+
+    /** ASHRAE clear-sky constants by month: A (W/m²), B (optical depth), C (diffuse factor) */
+    const ASHRAE_CLEAR_SKY = [
+        { A: 1230, B: 0.142, C: 0.058 }, { A: 1215, B: 0.144, C: 0.060 },
+        { A: 1186, B: 0.156, C: 0.071 }, { A: 1136, B: 0.180, C: 0.097 },
+        { A: 1104, B: 0.196, C: 0.121 }, { A: 1088, B: 0.205, C: 0.134 },
+        { A: 1085, B: 0.207, C: 0.136 }, { A: 1107, B: 0.201, C: 0.122 },
+        { A: 1151, B: 0.177, C: 0.092 }, { A: 1192, B: 0.160, C: 0.073 },
+        { A: 1221, B: 0.149, C: 0.063 }, { A: 1233, B: 0.142, C: 0.057 }
+    ];
+
+    /** Month names for reports */
+    const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+    /** Irradiance at standard test conditions (W/m²) */
+    const STC_IRRADIANCE = 1000;
+
+    // ========================================
+    // IRRADIANCE
+    // ========================================
+
+    /**
+     * Month (0-11) containing a day of the year
+     * @param {number} dayOfYear - Day of the year (1-365)
+     * @returns {number} Month index
+     */
+    function monthOfDay(dayOfYear) {
+        let day = dayOfYear;
+        for (let m = 0; m < 12; m++) {
+            day -= Shading.YEAR_DAYS[m].weight;
+            if (day <= 0) return m;
+        }
+        return 11;
+    }
+
+    /**
+     * Tilt and facing of a panel from its normal
+     * @param {{x: number, y: number, z: number}} normal - Panel face normal
+     * @returns {{tiltDeg: number, azimuthDeg: number}} Tilt from horizontal and compass direction faced (0 = N, 90 = E)
+     */
+    function panelOrientation(normal) {
+        const len = Math.hypot(normal.x, normal.y, normal.z) || 1;
+        const tiltDeg = Math.acos(Math.max(-1, Math.min(1, normal.y / len))) * 180 / Math.PI;
+        const azimuthDeg = (Math.atan2(normal.x, -normal.z) * 180 / Math.PI + 360) % 360;
+        return { tiltDeg, azimuthDeg };
+    }
+
+    /**
+     * Clear-sky irradiance on a tilted plane
+     * @param {{x,y,z}} normal - Unit face normal
+     * @param {{x,y,z}} sun - Unit vector toward the sun
+     * @param {number} month - Month index (0-11)
+     * @param {number} albedo - Ground reflectance
+     * @returns {{beam: number, diffuse: number, reflected: number}} W/m² on the plane
+     */
+    function planeOfArray(normal, sun, month, albedo) {
+        const sinElevation = sun.y;
+        if (sinElevation <= 0) return { beam: 0, diffuse: 0, reflected: 0 };
+        const k = ASHRAE_CLEAR_SKY[month];
+        const dni = k.A * Math.exp(-k.B / sinElevation);
+        const dhi = k.C * dni;
+        const cosTilt = Math.max(-1, Math.min(1, normal.y));
+        const cosIncidence = normal.x * sun.x + normal.y * sun.y + normal.z * sun.z;
+        return {
+            beam: dni * Math.max(0, cosIncidence),
+            diffuse: dhi * (1 + cosTilt) / 2,
+            reflected: albedo * (dni * sinElevation + dhi) * (1 - cosTilt) / 2
+        };
+    }
+
+    // ========================================
+    // ESTIMATE
+    // ========================================
+
+    /**
+     * Energy of one panel over one day
+     * @param {{x,y,z}} normal - Unit face normal
+     * @param {Array} steps - Sun steps for the day (PanelShading.getSunSteps)
+     * @param {number} month - Month index
+     * @param {Object} opts - Estimate options
+     * @param {number} beamLoss - Share of direct light lost to shading (0-1)
+     * @returns {number} Plane-of-array insolation for the day (Wh/m²)
+     */
+    function dailyInsolation(normal, steps, month, opts, beamLoss) {
+        return steps.reduce((sum, step) => {
+            const poa = planeOfArray(normal, step.direction, month, opts.albedo);
+            return sum + (poa.beam * (1 - beamLoss) + poa.diffuse + poa.reflected) * step.hours;
+        }, 0);
+    }
+
+    /**
+     * Estimates daily, monthly and annual energy for every panel
+     * @param {Array} panels - Mounted panels ({normal, ratedWatts?})
+     * @param {Object} [options] - Estimate options (see DEFAULT_OPTIONS)
+     * @param {number[]} [options.beamLoss] - Direct-light loss per panel index (0-1)
+     * @returns {{options: Object, panels: Array<Object>, totals: Object}} Per-panel and canopy energy (kWh)
+     */
+    function estimate(panels, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const list = (panels || []).filter(panel => panel && panel.normal);
+        const beamLoss = opts.beamLoss || [];
+
+        // One day of sun steps per month, and for the chosen day; each step one step long
+        const stepOptions = { latitude: opts.latitude, period: 'day', stepMinutes: opts.stepMinutes };
+        const monthSteps = Shading.YEAR_DAYS.map(({ day }) => Shading.getSunSteps({ ...stepOptions, dayOfYear: day }));
+        const daySteps = Shading.getSunSteps({ ...stepOptions, dayOfYear: opts.dayOfYear });
+        const dayMonth = monthOfDay(opts.dayOfYear);
+
+        const results = list.map((panel, index) => {
+            const len = Math.hypot(panel.normal.x, panel.normal.y, panel.normal.z) || 1;
+            const normal = { x: panel.normal.x / len, y: panel.normal.y / len, z: panel.normal.z / len };
+            const ratedWatts = panel.ratedWatts || opts.ratedWatts;
+            const loss = Math.max(0, Math.min(1, beamLoss[index] || 0));
+            // kWh from Wh/m² of insolation: rated kW × (insolation / STC) × PR
+            const toEnergy = (insolation) => (ratedWatts / 1000) * (insolation / STC_IRRADIANCE) * opts.performanceRatio;
+
+            const monthlyInsolation = monthSteps.map((steps, m) =>
+                dailyInsolation(normal, steps, m, opts, loss) * Shading.YEAR_DAYS[m].weight);
+            const monthly = monthlyInsolation.map(toEnergy);
+            const annualInsolation = monthlyInsolation.reduce((a, b) => a + b, 0);
+
+            return {
+                index,
+                ...panelOrientation(normal),
+                ratedWatts,
+                daily: toEnergy(dailyInsolation(normal, daySteps, dayMonth, opts, loss)),
+                monthly,
+                annual: monthly.reduce((a, b) => a + b, 0),
+                insolation: annualInsolation / 1000,
+                specificYield: toEnergy(annualInsolation) / (ratedWatts / 1000)
+            };
+        });
+
+        const ratedWatts = results.reduce((sum, r) => sum + r.ratedWatts, 0);
+        const annual = results.reduce((sum, r) => sum + r.annual, 0);
+        const byAnnual = [...results].sort((a, b) => b.annual - a.annual);
+
+        return {
+            options: opts,
+            panels: results,
+            totals: {
+                ratedWatts,
+                daily: results.reduce((sum, r) => sum + r.daily, 0),
+                monthly: MONTHS.map((_, m) => results.reduce((sum, r) => sum + r.monthly[m], 0)),
+                annual,
+                specificYield: ratedWatts > 0 ? annual / (ratedWatts / 1000) : 0,
+                best: byAnnual[0] || null,
+                worst: byAnnual[byAnnual.length - 1] || null
+            }
+        };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        DEFAULT_OPTIONS,
+        ASHRAE_CLEAR_SKY,
+        MONTHS,
+
+        // Irradiance
+        monthOfDay,
+        panelOrientation,
+        planeOfArray,
+
+        // Estimate
+        estimate
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EnergyYield;
+}
@@ -0,0 +1,437 @@
+// ============================================================================
+// FABRICATION DRAWINGS
+// True-scale SVG drilling templates and per-beam fabrication sheets
+// ============================================================================
+
+/**
+ * FabDrawings - Printable drawings for cutting and drilling the beams
+ *
+ * Builds a set of SVG sheets sized to a printer page with inches as the SVG
+ * user unit, so they print at true scale when printed at 100%:
+ *   - a scaled overview sheet with every beam type, its hole chain and hardware
+ *   - 1:1 drilling templates per beam type, tiled across pages with an overlap
+ *     and matching alignment lines so the tiles can be taped end to end
+ *   - a 1:1 bracket template with the pivot hole spacing
+ *
+ * Beam lengths and hole positions come from CutList.buildCutList(), so the
+ * templates always agree with the cut list in the build guide.
+ *
+ * Usage:
+ *   const set = FabDrawings.buildDrawingSet(LinkageSolver.paramsFromState(state));
+ *   set.sheets[1].svg;                  // '<svg width="11in" ...'
+ *   FabDrawings.toPrintHTML(set);       // one page per sheet, ready for Print to PDF
+ */
+
+const FabDrawings = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+    const Catalog = (typeof Materials !== 'undefined') ? Materials : require('./materials.js');
+    const Cuts = (typeof CutList !== 'undefined') ? CutList : require('./cut-list.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Landscape page sizes (inches) */
+    const PAGE_SIZES = {
+        letter: { widthIn: 11, heightIn: 8.5, css: 'letter landscape' },
+        a4: { widthIn: 11.69, heightIn: 8.27, css: 'A4 landscape' },
+        tabloid: { widthIn: 17, heightIn: 11, css: 'tabloid landscape' }
+    };
+
+    /** Default drawing options (inches) */
+    const DEFAULT_OPTIONS = {
+        page: 'letter',
+        marginIn: 0.5,
+        overlapIn: 1.0
+    };
+
+    /** Drawing scales offered for the overview sheet (1:N) */
+    const OVERVIEW_SCALES = [1, 2, 3, 4, 6, 8, 12, 16, 24, 32, 48, 64, 96];
+
+    /** Line weights and text sizes (inches) */
+    const STYLE = {
+        line: 0.012,
+        heavy: 0.03,
+        title: 0.2,
+        text: 0.13,
+        small: 0.1
+    };
+
+    // ========================================
+    // SVG HELPERS
+    // ========================================
+
+    const fmt = (value) => (Math.round(value * 10000) / 10000).toString();
+
+    const escapeXml = (text) => String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+    const attributes = (attrs) => Object.keys(attrs).map(key => `${key}="${attrs[key]}"`).join(' ');
+
+    const line = (x1, y1, x2, y2, style = {}) =>
+        `<line x1="${fmt(x1)}" y1="${fmt(y1)}" x2="${fmt(x2)}" y2="${fmt(y2)}" ${attributes({ stroke: '#000', 'stroke-width': STYLE.line, ...style })}/>`;
+
+    const rect = (x, y, w, h, style = {}) =>
+        `<rect x="${fmt(x)}" y="${fmt(y)}" width="${fmt(w)}" height="${fmt(h)}" ${attributes({ fill: 'none', stroke: '#000', 'stroke-width': STYLE.line, ...style })}/>`;
+
+    const text = (x, y, content, size = STYLE.text, anchor = 'start', style = {}) =>
+        `<text x="${fmt(x)}" y="${fmt(y)}" ${attributes({ 'font-family': 'Arial, sans-serif', 'font-size': fmt(size), 'text-anchor': anchor, ...style })}>${escapeXml(content)}</text>`;
+
+    /**
+     * Hole marker: drill circle with a centre crosshair
+     * @param {number} cx - Centre x (inches)
+     * @param {number} cy - Centre y (inches)
+     * @param {number} diameter - Hole diameter (inches)
+     * @returns {string} SVG elements
+     */
+    function holeMark(cx, cy, diameter) {
+        const arm = diameter / 2 + 0.25;
+        return `<circle cx="${fmt(cx)}" cy="${fmt(cy)}" r="${fmt(diameter / 2)}" fill="none" stroke="#c0392b" stroke-width="${STYLE.line}"/>`
+            + line(cx - arm, cy, cx + arm, cy, { stroke: '#c0392b' })
+            + line(cx, cy - arm, cx, cy + arm, { stroke: '#c0392b' });
+    }
+
+    /**
+     * Inches as a shop fraction rounded to 1/16"
+     * @param {number} inches - Length
+     * @returns {string} e.g. '40 1/16"'
+     */
+    function toFraction(inches) {
+        const sixteenths = Math.round(inches * 16);
+        const whole = Math.floor(sixteenths / 16);
+        let num = sixteenths % 16;
+        let den = 16;
+        while (num > 0 && num % 2 === 0) {
+            num /= 2;
+            den /= 2;
+        }
+        if (num === 0) return `${whole}"`;
+        return whole > 0 ? `${whole} ${num}/${den}"` : `${num}/${den}"`;
+    }
+
+    /** Decimal inches with the shop fraction alongside */
+    const dimension = (inches) => `${inches.toFixed(2)}" (${toFraction(inches)})`;
+
+    /**
+     * Wrap page content in a sheet-sized SVG
+     * @param {Object} page - Entry from PAGE_SIZES
+     * @param {string} body - SVG elements in inch coordinates
+     * @returns {string} Standalone SVG document
+     */
+    function svgDocument(page, body) {
+        return `<svg xmlns="http://www.w3.org/2000/svg" width="${page.widthIn}in" height="${page.heightIn}in" viewBox="0 0 ${page.widthIn} ${page.heightIn}">`
+            + `<rect x="0" y="0" width="${page.widthIn}" height="${page.heightIn}" fill="#fff"/>`
+            + body
+            + '</svg>';
+    }
+
+    /**
+     * Title, footer and scale-check square shared by every sheet
+     * @param {Object} page - Entry from PAGE_SIZES
+     * @param {number} m - Margin (inches)
+     * @param {string} title - Sheet title
+     * @param {string} subtitle - Second title line
+     * @param {string} footer - Footer text
+     * @param {boolean} trueScale - Draw the 1" scale-check square
+     * @returns {string} SVG elements
+     */
+    function sheetFrame(page, m, title, subtitle, footer, trueScale) {
+        const W = page.widthIn;
+        const H = page.heightIn;
+        let svg = text(m, m + STYLE.title, title, STYLE.title, 'start', { 'font-weight': 'bold' })
+            + text(m, m + STYLE.title + 0.25, subtitle)
+            + line(m, m + 0.55, W - m, m + 0.55)
+            + text(W - m, H - m, footer, STYLE.small, 'end');
+
+        if (trueScale) {
+            svg += rect(m, H - m - 1, 1, 1)
+                + text(m + 1.15, H - m - 0.55, '1 in square', STYLE.small)
+                + text(m + 1.15, H - m - 0.38, 'check before drilling', STYLE.small);
+        }
+        return svg;
+    }
+
+    // ========================================
+    // BEAM SHEETS
+    // ========================================
+
+    /**
+     * Face width of a beam on the side that gets drilled
+     * (ring beams are drilled through their thickness, uprights through their width)
+     * @param {Object} part - Part from CutList.buildCutList()
+     * @param {Object} p - Solver parameters
+     * @returns {number} Face width (inches)
+     */
+    function drilledFaceWidth(part, p) {
+        return part.role === 'vertical' ? p.vBeamT : p.hBeamW;
+    }
+
+    /**
+     * 1:1 drilling template for one beam type, tiled across as many pages as it needs
+     * @param {Object} part - Part from CutList.buildCutList()
+     * @param {Object} p - Solver parameters
+     * @param {Object} opts - Drawing options
+     * @returns {Array<Object>} Sheets {id, title, scale, svg}
+     */
+    function beamTemplateSheets(part, p, opts) {
+        const page = PAGE_SIZES[opts.page] || PAGE_SIZES.letter;
+        const m = opts.marginIn;
+        const usable = page.widthIn - 2 * m;
+        const overlap = Math.min(opts.overlapIn, usable / 2);
+        const step = usable - overlap;
+        const L = part.lengthIn;
+        const count = L <= usable ? 1 : Math.ceil((L - usable) / step) + 1;
+        const face = drilledFaceWidth(part, p);
+        const material = Catalog.getBeamMaterial(part.materialId);
+        const y0 = (page.heightIn - face) / 2 + 0.35;
+        const yMid = y0 + face / 2;
+        const sheets = [];
+
+        for (let i = 0; i < count; i++) {
+            const start = i * step;
+            const end = start + usable;
+            const toX = (s) => m + (s - start);
+            const from = Math.max(0, start);
+            const to = Math.min(L, end);
+            let body = '';
+
+            // Beam outline and centreline
+            body += line(toX(from), y0, toX(to), y0, { 'stroke-width': STYLE.heavy })
+                + line(toX(from), y0 + face, toX(to), y0 + face, { 'stroke-width': STYLE.heavy })
+                + line(toX(from), yMid, toX(to), yMid, { stroke: '#888', 'stroke-dasharray': '0.2 0.08' });
+            if (from === 0) {
+                body += line(toX(0), y0, toX(0), y0 + face, { 'stroke-width': STYLE.heavy })
+                    + text(toX(0) + 0.1, y0 - 0.12, 'BOTTOM END', STYLE.small);
+            }
+            if (to === L) {
+                body += line(toX(L), y0, toX(L), y0 + face, { 'stroke-width': STYLE.heavy })
+                    + text(toX(L) - 0.1, y0 - 0.12, 'TOP END', STYLE.small, 'end');
+            }
+
+            // Ruler along the lower edge, measured from the bottom end
+            for (let s = Math.ceil(from); s <= to + 1e-9; s++) {
+                const major = s % 6 === 0;
+                body += line(toX(s), y0 + face, toX(s), y0 + face + (major ? 0.25 : 0.12));
+                if (major) body += text(toX(s), y0 + face + 0.42, `${s}"`, STYLE.small, 'middle');
+            }
+
+            // Pivot holes
+            part.holes.forEach(hole => {
+                if (hole.positionIn < start - 1e-9 || hole.positionIn > end + 1e-9) return;
+                const x = toX(hole.positionIn);
+                body += holeMark(x, yMid, part.holeDiameterIn)
+                    + text(x, y0 - 0.35, hole.label, STYLE.text, 'middle', { 'font-weight': 'bold' })
+                    + text(x, y0 - 0.18, dimension(hole.positionIn), STYLE.small, 'middle');
+            });
+
+            // Overlap with the neighbouring tiles and the shared alignment lines
+            if (i > 0) {
+                body += rect(toX(start), y0 - 0.6, overlap, face + 1.1, { fill: '#000', 'fill-opacity': 0.06, stroke: 'none' })
+                    + line(toX(start + overlap / 2), y0 - 0.6, toX(start + overlap / 2), y0 + face + 0.5, { 'stroke-dasharray': '0.1 0.05' })
+                    + text(toX(start + overlap / 2), y0 - 0.7, `align sheet ${i}`, STYLE.small, 'middle');
+            }
+            if (i < count - 1) {
+                body += line(toX(end - overlap / 2), y0 - 0.6, toX(end - overlap / 2), y0 + face + 0.5, { 'stroke-dasharray': '0.1 0.05' })
+                    + text(toX(end - overlap / 2), y0 - 0.7, `align sheet ${i + 2}`, STYLE.small, 'middle');
+            }
+
+            const frame = sheetFrame(page, m,
+                `${part.mark} - ${part.name} drilling template`,
+                `${material.name} · ${dimension(L)} long · ${face}" face · drill Ø${part.holeDiameterIn.toFixed(3)}" through · make ${part.quantity}`,
+                `Sheet ${i + 1} of ${count} · SCALE 1:1 · print at 100% (no fit to page)`,
+                true);
+
+            sheets.push({
+                id: `${part.mark}-${i + 1}`,
+                title: `${part.mark} template ${i + 1}/${count}`,
+                scale: '1:1',
+                svg: svgDocument(page, frame + body)
+            });
+        }
+
+        return sheets;
+    }
+
+    /**
+     * Scaled fabrication drawing with every beam type, its hole chain and hardware
+     * @param {Array<Object>} parts - Parts from CutList.buildCutList()
+     * @param {Object} p - Solver parameters
+     * @param {Object} opts - Drawing options
+     * @returns {Object} Sheet {id, title, scale, svg}
+     */
+    function overviewSheet(parts, p, opts) {
+        const page = PAGE_SIZES[opts.page] || PAGE_SIZES.letter;
+        const m = opts.marginIn;
+        const usable = page.widthIn - 2 * m - 0.5;
+        const longest = Math.max(1, ...parts.map(part => part.lengthIn));
+        const denominator = OVERVIEW_SCALES.find(n => longest / n <= usable) || OVERVIEW_SCALES[OVERVIEW_SCALES.length - 1];
+        const k = 1 / denominator;
+        const bolt = Catalog.getBoltMaterial(p.boltMaterial);
+        const bracket = Catalog.getBracketMaterial(p.bracketMaterial);
+        let y = m + 1.1;
+        let body = '';
+
+        parts.forEach(part => {
+            const material = Catalog.getBeamMaterial(part.materialId);
+            const face = drilledFaceWidth(part, p);
+            const x0 = m + 0.25;
+            const h = Math.max(face * k, 0.12);
+
+            body += text(m, y, `${part.mark} - ${part.name} × ${part.quantity}`, STYLE.text, 'start', { 'font-weight': 'bold' })
+                + text(m, y + 0.2, `${material.name} · ${dimension(part.lengthIn)} · end offsets ${part.endOffsets.bottom}" / ${part.endOffsets.top}" · holes Ø${part.holeDiameterIn.toFixed(3)}"`, STYLE.small);
+            y += 0.45;
+
+            body += rect(x0, y, part.lengthIn * k, h, { 'stroke-width': STYLE.heavy });
+            part.holes.forEach(hole => {
+                body += `<circle cx="${fmt(x0 + hole.positionIn * k)}" cy="${fmt(y + h / 2)}" r="${fmt(Math.max(part.holeDiameterIn * k / 2, 0.03))}" fill="#c0392b"/>`;
+            });
+
+            // Chain of dimensions from the bottom end, one row per hole plus overall length
+            const rows = part.holes.concat([{ label: 'LENGTH', positionIn: part.lengthIn }]);
+            rows.forEach((hole, r) => {
+                const dy = y + h + 0.3 + r * 0.28;
+                const x1 = x0 + hole.positionIn * k;
+                body += line(x0, dy, x1, dy)
+                    + line(x0, dy - 0.06, x0, dy + 0.06)
+                    + line(x1, dy - 0.06, x1, dy + 0.06)
+                    + line(x1, y + h, x1, dy, { stroke: '#aaa', 'stroke-dasharray': '0.04 0.04' })
+                    + text(x1 + 0.08, dy + 0.04, `${hole.label} ${dimension(hole.positionIn)}`, STYLE.small);
+            });
+            y += h + 0.3 + rows.length * 0.28 + 0.35;
+        });
+
+        // Hardware notes
+        const notes = [
+            `Bolts: ${p.boltDiameter}" ${bolt.name}, ring stacks ${p.hBoltLength}" long, uprights ${p.vBoltLength}" long`,
+            `Brackets: ${bracket.name}, side holes Ø${p.bracketHoleDiameter}" at ${p.bracketOffset}" from the base`,
+            'All hole positions are measured from the bottom end of the beam, on the face centreline'
+        ];
+        notes.forEach((note, i) => {
+            body += text(m, y + i * 0.22, note, STYLE.small);
+        });
+
+        const frame = sheetFrame(page, m,
+            'Beam fabrication drawing',
+            `${p.modules} modules · ${parts.reduce((n, part) => n + part.quantity, 0)} beams`,
+            `SCALE 1:${denominator} · do not scale holes from this sheet, use the 1:1 templates`,
+            false);
+
+        return { id: 'overview', title: 'Fabrication overview', scale: `1:${denominator}`, svg: svgDocument(page, frame + body) };
+    }
+
+    // ========================================
+    // BRACKET SHEET
+    // ========================================
+
+    /**
+     * 1:1 bracket template: leg face with the side pivot hole and the base plate
+     * @param {Object} p - Solver parameters
+     * @param {Object} opts - Drawing options
+     * @returns {Object} Sheet {id, title, scale, svg}
+     */
+    function bracketSheet(p, opts) {
+        const page = PAGE_SIZES[opts.page] || PAGE_SIZES.letter;
+        const m = opts.marginIn;
+        const bracket = Catalog.getBracketMaterial(p.bracketMaterial);
+        const width = p.bracketWidth;
+        const depth = p.bracketDepth;
+        const wall = p.bracketWallThickness;
+        // Same minimum leg height the solver uses to keep the side hole on the leg
+        const legHeight = Math.max(p.bracketHeight, p.bracketOffset + 0.75) + wall;
+        const sideHole = p.bracketHoleDiameter;
+        const baseHole = p.boltDiameter + Cuts.HOLE_CLEARANCE_IN;
+        const top = m + 1.4;
+        let body = '';
+
+        // Leg face (depth wide, base at the bottom)
+        const lx = m + 0.5;
+        const lBase = top + legHeight;
+        body += text(lx, top - 0.2, 'LEG FACE (drill both legs)', STYLE.text, 'start', { 'font-weight': 'bold' })
+            + rect(lx, top, depth, legHeight, { 'stroke-width': STYLE.heavy })
+            + line(lx, lBase - wall, lx + depth, lBase - wall, { stroke: '#888', 'stroke-dasharray': '0.08 0.04' })
+            + holeMark(lx + depth / 2, lBase - p.bracketOffset, sideHole)
+            + line(lx + depth + 0.2, lBase, lx + depth + 0.2, lBase - p.bracketOffset)
+            + text(lx + depth + 0.3, lBase - p.bracketOffset / 2, `${dimension(p.bracketOffset)} from base`, STYLE.small)
+            + text(lx + depth / 2, lBase + 0.3, `${dimension(depth)} wide · Ø${sideHole}"`, STYLE.small, 'middle');
+
+        // Base plate (width across the legs, depth along the channel)
+        const bx = lx + depth + 2.6;
+        body += text(bx, top - 0.2, 'BASE PLATE', STYLE.text, 'start', { 'font-weight': 'bold' })
+            + rect(bx, top, width, depth, { 'stroke-width': STYLE.heavy })
+            + line(bx + (width - p.bracketInnerWidth) / 2, top, bx + (width - p.bracketInnerWidth) / 2, top + depth, { stroke: '#888', 'stroke-dasharray': '0.08 0.04' })
+            + line(bx + (width + p.bracketInnerWidth) / 2, top, bx + (width + p.bracketInnerWidth) / 2, top + depth, { stroke: '#888', 'stroke-dasharray': '0.08 0.04' })
+            + holeMark(bx + width / 2, top + depth / 2, baseHole)
+            + text(bx + width / 2, top + depth + 0.3, `${dimension(width)} × ${dimension(depth)} · ring bolt Ø${baseHole.toFixed(3)}"`, STYLE.small, 'middle')
+            + text(bx + width / 2, top + depth + 0.5, `inner width ${dimension(p.bracketInnerWidth)}`, STYLE.small, 'middle');
+
+        const frame = sheetFrame(page, m,
+            'U-bracket drilling template',
+            `${bracket.name} · ${p.bracketWallThickness}" wall · make ${p.modules * 4}`,
+            'SCALE 1:1 · print at 100% (no fit to page)',
+            true);
+
+        return { id: 'bracket', title: 'Bracket template', scale: '1:1', svg: svgDocument(page, frame + body) };
+    }
+
+    // ========================================
+    // DRAWING SET
+    // ========================================
+
+    /**
+     * Every sheet for the current design: overview, beam templates, bracket template
+     * @param {Object} params - Solver parameters
+     * @param {Object} options - {page, marginIn, overlapIn}
+     * @returns {{page: Object, sheets: Array<Object>}} Drawing set
+     */
+    function buildDrawingSet(params, options = {}) {
+        const p = Solver.createParams(params);
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const parts = Cuts.buildCutList(p);
+        const sheets = [overviewSheet(parts, p, opts)];
+
+        parts.forEach(part => {
+            sheets.push(...beamTemplateSheets(part, p, opts));
+        });
+        if (p.showBrackets) {
+            sheets.push(bracketSheet(p, opts));
+        }
+
+        return { page: PAGE_SIZES[opts.page] || PAGE_SIZES.letter, sheets };
+    }
+
+    /**
+     * One HTML document with a page per sheet, for printing or saving as PDF
+     * @param {{page: Object, sheets: Array<Object>}} set - Result of buildDrawingSet()
+     * @returns {string} HTML document
+     */
+    function toPrintHTML(set) {
+        const pages = set.sheets.map(sheet => `<div class="sheet">${sheet.svg}</div>`).join('\n');
+        return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>Fabrication drawings</title>`
+            + `<style>@page { size: ${set.page.css}; margin: 0; } body { margin: 0; } `
+            + `.sheet { width: ${set.page.widthIn}in; height: ${set.page.heightIn}in; page-break-after: always; overflow: hidden; } `
+            + `.sheet svg { display: block; }</style></head><body>\n${pages}\n</body></html>`;
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        PAGE_SIZES,
+        DEFAULT_OPTIONS,
+
+        buildDrawingSet,
+        toPrintHTML,
+        toFraction
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FabDrawings;
+}
@@ -0,0 +1,366 @@
+// ============================================================================
+// FOUNDATION
+// Ground anchors sized from wind overturning at the ground contacts
+// ============================================================================
+
+/**
+ * Foundation - Anchoring design for the deployed structure
+ *
+ * The solver reports where the structure meets the ground: the bottom ring
+ * under every upright for a flat ring, or the two feet of each arch (once per
+ * ring). Each contact gets an anchor (ground screw, stake, ballast block or
+ * concrete pier), chosen per point or from a default.
+ *
+ * Wind is swept round the compass. For each direction, member drag and net
+ * panel pressure are summed into a resultant force and an overturning moment
+ * about the anchor group at ground level, combined with the dead load under the
+ * ASD uplift combination (0.6D + 0.6W) for uplift and under D + 0.6W for
+ * bearing. Vertical reactions are spread over the anchors as a rigid base
+ * (linear in plan position), lateral load is shared equally. Each anchor's
+ * worst uplift and shear over all directions set how many units of its type
+ * the point needs.
+ *
+ * Usage:
+ *   const data = LinkageSolver.solveLinkage(params, foldAngle);
+ *   const result = Foundation.design(data, params, {
+ *       loadCase: { windSpeedMph: 90, panelWeight: 45 },
+ *       panels: data.panels,
+ *       anchors: { defaultType: 'ground-screw', types: { '0|3|br|b': 'pier' } }
+ *   });
+ *   result.contacts[0].units;   // anchors needed at the first contact
+ *   result.bom;                 // [{ type, label, count, cost, weight }]
+ */
+
+const Foundation = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+    const Loads = (typeof LoadAnalysis !== 'undefined') ? LoadAnalysis : require('./load-analysis.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Ballast block weight (lbs) and its friction coefficient on soil */
+    const BALLAST_WEIGHT = 500;
+    const BALLAST_FRICTION = 0.5;
+
+    /** Combination for uplift, with the least dead load holding the structure down (0.6D + 0.6W) */
+    const UPLIFT_COMBINATION = Loads.LOAD_COMBINATIONS.find(c => c.id === '0.6D+0.6W');
+
+    /** Combination for bearing (compression), with the full dead load (D + 0.6W) */
+    const BEARING_COMBINATION = Loads.LOAD_COMBINATIONS.find(c => c.id === 'D+0.6W');
+
+    /**
+     * Anchor types. Capacities are allowable (ASD) values per unit in average
+     * soil, in lbs; a ballast block holds with its own factored weight and
+     * resists sliding by friction. Cost in USD and weight in lbs per unit;
+     * depth and size (inches) are for drawing.
+     */
+    const ANCHOR_TYPES = {
+        'ground-screw': {
+            label: 'Ground Screw', upliftCapacity: 1500, lateralCapacity: 800,
+            cost: 45, weight: 12, depth: 48, size: 3
+        },
+        stake: {
+            label: 'Earth Stake', upliftCapacity: 400, lateralCapacity: 250,
+            cost: 12, weight: 4, depth: 30, size: 1
+        },
+        ballast: {
+            label: 'Ballast Block', upliftCapacity: UPLIFT_COMBINATION.dead * BALLAST_WEIGHT,
+            lateralCapacity: BALLAST_FRICTION * UPLIFT_COMBINATION.dead * BALLAST_WEIGHT,
+            cost: 30, weight: BALLAST_WEIGHT, depth: 0, size: 24
+        },
+        pier: {
+            label: 'Concrete Pier', upliftCapacity: 2500, lateralCapacity: 1500,
+            cost: 85, weight: 350, depth: 48, size: 10
+        }
+    };
+
+    const DEFAULT_ANCHOR_TYPE = 'ground-screw';
+
+    /** Wind directions checked, evenly round the compass */
+    const WIND_DIRECTIONS = 24;
+
+    // ========================================
+    // VECTOR HELPERS
+    // ========================================
+
+    const v3 = (x, y, z) => ({x, y, z});
+    const vAdd = (a, b) => ({x: a.x + b.x, y: a.y + b.y, z: a.z + b.z});
+    const vSub = (a, b) => ({x: a.x - b.x, y: a.y - b.y, z: a.z - b.z});
+    const vScale = (a, s) => ({x: a.x * s, y: a.y * s, z: a.z * s});
+    const vDot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const vMag = (a) => Math.sqrt(vDot(a, a));
+    const vNorm = (a) => {
+        const m = vMag(a);
+        return m === 0 ? v3(0, 0, 0) : vScale(a, 1 / m);
+    };
+    const vCross = (a, b) => ({
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    });
+
+    // ========================================
+    // GROUND CONTACTS
+    // ========================================
+
+    /**
+     * Stable key of a ground contact, used to store its anchor choice
+     * @param {{arrayIndex?: number, moduleIndex: number, joint: string, isBottom: boolean}} contact - Ground contact
+     * @returns {string} Key (arch|module|joint|ring)
+     */
+    function contactKey(contact) {
+        return `${contact.arrayIndex || 0}|${contact.moduleIndex}|${contact.joint}|${contact.isBottom ? 'b' : 't'}`;
+    }
+
+    /**
+     * Ground contacts of solved geometry
+     * @param {{groundContacts?: Array}} data - Geometry from solveLinkage()
+     * @returns {Array<{key: string, arrayIndex: number, moduleIndex: number, joint: string, isBottom: boolean, position: {x,y,z}}>} Contacts
+     */
+    function findGroundContacts(data) {
+        return (data.groundContacts || []).map(contact => ({
+            key: contactKey(contact),
+            arrayIndex: contact.arrayIndex || 0,
+            moduleIndex: contact.moduleIndex,
+            joint: contact.joint,
+            isBottom: contact.isBottom,
+            position: {...contact.center}
+        }));
+    }
+
+    /**
+     * Looks up an anchor type, falling back to the default
+     * @param {string} id - Anchor type id
+     * @returns {Object} Anchor type
+     */
+    function getAnchorType(id) {
+        return ANCHOR_TYPES[id] || ANCHOR_TYPES[DEFAULT_ANCHOR_TYPE];
+    }
+
+    // ========================================
+    // WIND RESULTANTS
+    // ========================================
+
+    /**
+     * Wind resultant for one direction: member drag on every beam plus net
+     * pressure along each panel normal, with its moment about the origin
+     * @param {Array} beams - Solved beams
+     * @param {Array} panels - Mounted panels ({center, width, length, normal})
+     * @param {number} q - Velocity pressure (psf)
+     * @param {{x,y,z}} wind - Direction the wind blows toward
+     * @returns {{force: {x,y,z}, moment: {x,y,z}}} Unfactored wind resultant (lbs, in·lbs)
+     */
+    function windResultant(beams, panels, q, wind) {
+        let force = v3(0, 0, 0);
+        let moment = v3(0, 0, 0);
+        const add = (at, f) => {
+            force = vAdd(force, f);
+            moment = vAdd(moment, vCross(at, f));
+        };
+
+        beams.forEach(beam => {
+            if (!beam.p1 || !beam.p2) return;
+            const length = vMag(vSub(beam.p2, beam.p1));
+            const perp = vSub(wind, vScale(beam.axisZ, vDot(wind, beam.axisZ)));
+            if (length === 0 || vMag(perp) < 1e-6) return;
+            // Projected depth of the section facing the wind
+            const inSection = vNorm(perp);
+            const depth = beam.w * Math.abs(vDot(inSection, beam.axisX)) + beam.t * Math.abs(vDot(inSection, beam.axisY));
+            add(beam.center, vScale(perp, (q / 144) * Loads.WIND.memberForceCoefficient * depth * length));
+        });
+
+        (panels || []).forEach(panel => {
+            if (!panel || !panel.center) return;
+            const area = (panel.width || 0) * (panel.length || 0);
+            let normal = vNorm(panel.normal || v3(0, 1, 0));
+            if (normal.y < 0) normal = vScale(normal, -1);
+            // Net pressure on an open canopy acts along the panel normal (uplift)
+            add(panel.center, vScale(normal, q * Loads.WIND.panelNetPressureCoefficient * (area / 144)));
+        });
+
+        return { force, moment };
+    }
+
+    // ========================================
+    // REACTIONS
+    // ========================================
+
+    /**
+     * Spreads a vertical force and overturning moment over the anchors as a rigid
+     * base: R = N/n + a·u + b·v in plan coordinates about the anchor centroid.
+     * Anchors in a line carry the moment about that line only.
+     * @param {Array<{u: number, v: number}>} points - Anchor plan offsets from the centroid (x, z)
+     * @param {number} fy - Applied vertical force (lbs, + up)
+     * @param {{x: number, z: number}} m - Applied moment about the centroid at ground level (in·lbs)
+     * @returns {number[]} Vertical reaction at each anchor (lbs, + pushes up on the structure)
+     */
+    function distributeReactions(points, fy, m) {
+        const n = points.length;
+        let iuu = 0, ivv = 0, iuv = 0;
+        points.forEach(pt => {
+            iuu += pt.u * pt.u;
+            ivv += pt.v * pt.v;
+            iuv += pt.u * pt.v;
+        });
+
+        // Reactions balance the force and moments: Σ R·u = -Mz, Σ R·v = Mx
+        const ru = -m.z;
+        const rv = m.x;
+        let a = 0;
+        let b = 0;
+        const det = iuu * ivv - iuv * iuv;
+        if (det > 1e-9 * (iuu + ivv) * (iuu + ivv)) {
+            a = (ru * ivv - rv * iuv) / det;
+            b = (rv * iuu - ru * iuv) / det;
+        } else if (iuu + ivv > 0) {
+            // Collinear anchors: resolve along the line they lie on
+            const angle = 0.5 * Math.atan2(2 * iuv, iuu - ivv);
+            const ex = Math.cos(angle);
+            const ez = Math.sin(angle);
+            const iss = iuu * ex * ex + 2 * iuv * ex * ez + ivv * ez * ez;
+            const c = iss > 0 ? (ru * ex + rv * ez) / iss : 0;
+            a = c * ex;
+            b = c * ez;
+        }
+
+        return points.map(pt => -fy / n + a * pt.u + b * pt.v);
+    }
+
+    // ========================================
+    // DESIGN
+    // ========================================
+
+    /**
+     * Sizes the anchors at every ground contact for wind from all directions
+     * @param {Object} data - Geometry from solveLinkage() (beams, brackets, bolts, groundContacts)
+     * @param {Object} params - Solver parameters
+     * @param {Object} options - Design options
+     * @param {{windSpeedMph: number, panelWeight?: number}} options.loadCase - Wind speed and panel weight
+     * @param {Array} [options.panels] - Mounted panels
+     * @param {{defaultType?: string, types?: Object<string, string>}} [options.anchors] - Anchor type per contact key
+     * @returns {{contacts: Array, totals: Object, bom: Array}} Anchor design
+     */
+    function design(data, params, options = {}) {
+        const loadCase = { ...Loads.DEFAULT_LOAD_CASE, ...(options.loadCase || {}) };
+        const panels = options.panels || [];
+        const anchorChoice = options.anchors || {};
+        const defaultType = ANCHOR_TYPES[anchorChoice.defaultType] ? anchorChoice.defaultType : DEFAULT_ANCHOR_TYPE;
+        const contacts = findGroundContacts(data);
+
+        const dead = Solver.calculateCenterOfMass(data, params, { panels, panelWeight: loadCase.panelWeight });
+        const q = Loads.WIND.velocityPressureFactor * loadCase.windSpeedMph * loadCase.windSpeedMph;
+
+        const results = contacts.map(contact => {
+            const typeId = ANCHOR_TYPES[(anchorChoice.types || {})[contact.key]] ? anchorChoice.types[contact.key] : defaultType;
+            return { ...contact, type: typeId, uplift: 0, compression: 0, shear: 0, windDirectionDeg: null };
+        });
+
+        const totals = {
+            deadWeight: dead.totalWeight,
+            windPressurePsf: q,
+            maxLateral: 0,
+            maxOverturning: 0,
+            maxUplift: 0,
+            worstDirectionDeg: null
+        };
+
+        if (results.length > 0) {
+            const centroid = v3(
+                results.reduce((sum, c) => sum + c.position.x, 0) / results.length,
+                results.reduce((sum, c) => sum + c.position.y, 0) / results.length,
+                results.reduce((sum, c) => sum + c.position.z, 0) / results.length
+            );
+            const points = results.map(c => ({ u: c.position.x - centroid.x, v: c.position.z - centroid.z }));
+            const deadForce = v3(0, -dead.totalWeight, 0);
+            const deadMoment = vCross(vSub(v3(dead.x, dead.y, dead.z), centroid), deadForce);
+            const combo = UPLIFT_COMBINATION;
+            // Vertical reactions at every anchor under a load combination
+            const reactionsUnder = (c, wind, windMoment) => distributeReactions(
+                points,
+                c.dead * deadForce.y + c.wind * wind.force.y,
+                vAdd(vScale(deadMoment, c.dead), vScale(windMoment, c.wind))
+            );
+
+            for (let k = 0; k < WIND_DIRECTIONS; k++) {
+                const fromDeg = k * 360 / WIND_DIRECTIONS;
+                const wind = windResultant(data.beams || [], panels, q, Loads.windVector(fromDeg));
+                // Move the wind moment from the origin to the anchor centroid
+                const windMoment = vSub(wind.moment, vCross(centroid, wind.force));
+
+                const reactions = reactionsUnder(combo, wind, windMoment);
+                const bearing = reactionsUnder(BEARING_COMBINATION, wind, windMoment);
+                const lateral = combo.wind * Math.hypot(wind.force.x, wind.force.z);
+                const shear = lateral / results.length;
+
+                totals.maxLateral = Math.max(totals.maxLateral, lateral);
+                totals.maxOverturning = Math.max(totals.maxOverturning, combo.wind * Math.hypot(windMoment.x, windMoment.z));
+
+                reactions.forEach((reaction, i) => {
+                    const result = results[i];
+                    const uplift = Math.max(0, -reaction);
+                    if (uplift > result.uplift) {
+                        result.uplift = uplift;
+                        result.windDirectionDeg = fromDeg;
+                    }
+                    result.compression = Math.max(result.compression, bearing[i]);
+                    result.shear = Math.max(result.shear, shear);
+                    if (uplift > totals.maxUplift) {
+                        totals.maxUplift = uplift;
+                        totals.worstDirectionDeg = fromDeg;
+                    }
+                });
+            }
+        }
+
+        // Units per point cover both the worst uplift and the shear
+        const bomByType = {};
+        results.forEach(result => {
+            const type = getAnchorType(result.type);
+            const demand = Math.max(result.uplift / type.upliftCapacity, result.shear / type.lateralCapacity);
+            result.units = Math.max(1, Math.ceil(demand - 1e-9));
+            result.utilization = demand / result.units;
+
+            const entry = bomByType[result.type] || (bomByType[result.type] = { type: result.type, label: type.label, count: 0, cost: 0, weight: 0 });
+            entry.count += result.units;
+            entry.cost += result.units * type.cost;
+            entry.weight += result.units * type.weight;
+        });
+
+        const bom = Object.keys(ANCHOR_TYPES).filter(id => bomByType[id]).map(id => bomByType[id]);
+        totals.anchors = bom.reduce((sum, entry) => sum + entry.count, 0);
+        totals.cost = bom.reduce((sum, entry) => sum + entry.cost, 0);
+        totals.weight = bom.reduce((sum, entry) => sum + entry.weight, 0);
+        totals.worstUtilization = results.reduce((worst, r) => Math.max(worst, r.utilization), 0);
+
+        return { contacts: results, totals, bom };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        ANCHOR_TYPES,
+        DEFAULT_ANCHOR_TYPE,
+        WIND_DIRECTIONS,
+
+        // Contacts
+        contactKey,
+        findGroundContacts,
+        getAnchorType,
+
+        // Design
+        windResultant,
+        distributeReactions,
+        design
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Foundation;
+}
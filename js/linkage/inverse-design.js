@@ -0,0 +1,418 @@
+// ============================================================================
+// INVERSE DESIGN
+// Solves linkage parameters from target deployed/stowed sizes and height
+// ============================================================================
+
+/**
+ * InverseDesign - Finds linkage parameters that meet target dimensions
+ *
+ * Searches module count and pivot position, fits the horizontal beam length to
+ * the target deployed diameter and the vertical beam length to the target height,
+ * then runs the full collision scan on the most promising designs and ranks the
+ * collision-free ones by how closely they meet the targets. The stowed size is
+ * a limit rather than a fit: designs that pack within it rank first, and the
+ * others are flagged with `meetsStowed: false`.
+ *
+ * Usage:
+ *   const result = InverseDesign.solve(baseParams, {
+ *       deployedDiameterFt: 24,
+ *       stowedDiameterFt: 8,
+ *       heightFt: 10,
+ *       minModules: 6,
+ *       maxModules: 16
+ *   });
+ *   result.candidates[0].params.hLengthFt;
+ */
+
+const InverseDesign = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+    const Sweep = (typeof DesignSweep !== 'undefined') ? DesignSweep : require('./design-sweep.js');
+    const Catalog = (typeof Materials !== 'undefined') ? Materials : require('./materials.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Default targets (feet) and module-count limits */
+    const DEFAULT_TARGETS = {
+        deployedDiameterFt: 24,
+        stowedDiameterFt: 8,
+        heightFt: 10,
+        minModules: 6,
+        maxModules: 16
+    };
+
+    /** Default search options */
+    const DEFAULT_OPTIONS = {
+        pivotMin: 30,
+        pivotMax: 48,
+        pivotStep: 2,
+        lengthStepFt: 0.25,
+        maxEvaluations: 24,
+        scanStepDeg: 5
+    };
+
+    /** Beam length limits in feet (matches the LinkageLab validation rules) */
+    const LENGTH_LIMITS_FT = { min: 2, max: 24 };
+
+    /** Weight of each fitted target in the ranking score */
+    const SCORE_WEIGHTS = {
+        deployed: 1.0,
+        height: 1.0
+    };
+
+    /** Ring closure tolerance when screening (radians) */
+    const CLOSURE_TOLERANCE = 1 * Math.PI / 180;
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    const clamp = (v, min, max) => Math.min(Math.max(v, min), max);
+    const roundTo = (v, step) => Math.round(v / step) * step;
+    const relError = (actual, target) => (target > 0 ? Math.abs(actual - target) / target : 0);
+
+    /**
+     * Solves geometry with the ring laid flat so footprints are comparable
+     * @param {Object} params - Solver parameters
+     * @param {number} foldAngle - Fold angle in radians
+     * @returns {Object} Geometry data
+     */
+    function solveFlat(params, foldAngle) {
+        return Solver.solveLinkage({ ...params, orientation: 'horizontal', arrayCount: 1 }, foldAngle);
+    }
+
+    // ========================================
+    // FITTING
+    // ========================================
+
+    /**
+     * Fits the horizontal beam length to a target deployed diameter.
+     * The closed angle doesn't depend on beam length, and the footprint grows
+     * linearly with it, so two probe solves give the exact length.
+     * @param {Object} params - Solver parameters (modules and pivot set)
+     * @param {number} deployedAngle - Closed fold angle in radians
+     * @param {number} targetIn - Target deployed diameter in inches
+     * @param {number} lengthStepFt - Rounding step for the beam length
+     * @returns {number} Horizontal beam length in feet
+     */
+    function fitHorizontalLength(params, deployedAngle, targetIn, lengthStepFt) {
+        const probeA = 8;
+        const probeB = 16;
+        const dA = Sweep.measureFootprint(solveFlat({ ...params, hLengthFt: probeA }, deployedAngle)).diameter;
+        const dB = Sweep.measureFootprint(solveFlat({ ...params, hLengthFt: probeB }, deployedAngle)).diameter;
+        const slope = (dB - dA) / (probeB - probeA);
+        if (!(slope > 0)) return params.hLengthFt;
+
+        const length = probeA + (targetIn - dA) / slope;
+        return clamp(roundTo(length, lengthStepFt), LENGTH_LIMITS_FT.min, LENGTH_LIMITS_FT.max);
+    }
+
+    /**
+     * Fits the vertical beam length so the deployed structure reaches a target height.
+     * Uprights span the radial pivot distance diagonally, so the active length is the
+     * hypotenuse of the upright rise and the pivot span.
+     * @param {Object} params - Solver parameters (horizontal length set)
+     * @param {number} deployedAngle - Closed fold angle in radians
+     * @param {number} targetIn - Target height in inches
+     * @param {number} lengthStepFt - Rounding step for the beam length
+     * @returns {number} Vertical beam length in feet
+     */
+    function fitVerticalLength(params, deployedAngle, targetIn, lengthStepFt) {
+        const data = solveFlat(params, deployedAngle);
+        // Brackets, beam thickness and end offsets add a fixed amount on top of the upright rise
+        const extra = Sweep.measureFootprint(data).height - data.zHeight;
+        const rise = Math.max(0, targetIn - extra);
+
+        let activeIn = rise;
+        if (!params.useFixedBeams) {
+            const span = Solver.calculatePivotSpan(params, deployedAngle);
+            activeIn = Math.sqrt(rise * rise + span * span);
+        }
+
+        const lengthIn = params.useFixedBeams ? activeIn : activeIn + params.vertEndOffset * 2;
+        return clamp(roundTo(lengthIn / Solver.INCHES_PER_FOOT, lengthStepFt), LENGTH_LIMITS_FT.min, LENGTH_LIMITS_FT.max);
+    }
+
+    // ========================================
+    // COST
+    // ========================================
+
+    /**
+     * Catalog prices for the materials selected in a design
+     * @param {Object} params - Solver parameters
+     * @returns {{hBeamPerFt: number, vBeamPerFt: number, bracket: number, bolt: number}} Unit prices
+     */
+    function catalogPrices(params) {
+        return {
+            hBeamPerFt: Catalog.getBeamMaterial(params.hBeamMaterial).costPerFt,
+            vBeamPerFt: Catalog.getBeamMaterial(params.vBeamMaterial).costPerFt,
+            bracket: Catalog.getBracketMaterial(params.bracketMaterial).costEach,
+            bolt: Catalog.getBoltMaterial(params.boltMaterial).costEach
+        };
+    }
+
+    /**
+     * Bill of materials and cost for a design (same counts as the HUD)
+     * @param {Object} params - Solver parameters
+     * @param {Object} prices - Unit prices {hBeamPerFt, vBeamPerFt, bracket, bolt}; missing ones come from the material catalog
+     * @returns {{hBeams: number, vBeams: number, brackets: number, bolts: number, lumberFt: number, total: number}} Cost summary
+     */
+    function estimateCost(params, prices = {}) {
+        const p = { ...catalogPrices(params), ...prices };
+        const hBeams = params.modules * 2 * params.hStackCount;
+        const vBeams = params.modules * params.vStackCount;
+        const brackets = params.modules * 4;
+        const bolts = params.modules * (4 + 2);
+
+        return {
+            hBeams,
+            vBeams,
+            brackets,
+            bolts,
+            lumberFt: hBeams * params.hLengthFt + vBeams * params.vLengthFt,
+            total: hBeams * params.hLengthFt * p.hBeamPerFt + vBeams * params.vLengthFt * p.vBeamPerFt +
+                brackets * p.bracket + bolts * p.bolt
+        };
+    }
+
+    // ========================================
+    // SEARCH
+    // ========================================
+
+    /**
+     * Normalizes targets, filling defaults and ordering the module limits
+     * @param {Object} targets - Partial targets
+     * @returns {Object} Complete targets
+     */
+    function normalizeTargets(targets) {
+        const t = { ...DEFAULT_TARGETS, ...targets };
+        const minModules = Math.max(3, Math.round(Math.min(t.minModules, t.maxModules)));
+        const maxModules = Math.max(minModules, Math.round(Math.max(t.minModules, t.maxModules)));
+        return { ...t, minModules, maxModules };
+    }
+
+    /**
+     * Lists every module count / pivot position combination to screen
+     * @param {Object} targets - Normalized targets
+     * @param {Object} options - Search options
+     * @returns {Array<{modules: number, pivotPct: number}>} Search points
+     */
+    function buildSearchPoints(targets, options) {
+        const points = [];
+        for (let modules = targets.minModules; modules <= targets.maxModules; modules++) {
+            for (let pivotPct = options.pivotMin; pivotPct <= options.pivotMax + 1e-9; pivotPct += options.pivotStep) {
+                points.push({ modules, pivotPct });
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Screens one search point with fitted beam lengths.
+     * Only the ring closure and footprint are solved here; collisions are checked later.
+     * @param {Object} baseParams - Parameters shared by every design
+     * @param {{modules: number, pivotPct: number}} point - Search point
+     * @param {Object} targets - Normalized targets
+     * @param {Object} options - Search options
+     * @returns {{params: Object, deployedAngle: number, screenScore: number, cost: Object}|null} Screened design, or null if the ring doesn't close
+     */
+    function screenPoint(baseParams, point, targets, options) {
+        const deployedIn = targets.deployedDiameterFt * Solver.INCHES_PER_FOOT;
+        const heightIn = targets.heightFt * Solver.INCHES_PER_FOOT;
+
+        const params = Solver.createParams({ ...baseParams, ...point });
+        const deployedAngle = Solver.findClosedAngle(params);
+        if (Math.abs(Solver.getTotalRotation(params, deployedAngle) - Math.PI * 2) > CLOSURE_TOLERANCE) return null;
+
+        params.hLengthFt = fitHorizontalLength(params, deployedAngle, deployedIn, options.lengthStepFt);
+        params.vLengthFt = fitVerticalLength(params, deployedAngle, heightIn, options.lengthStepFt);
+
+        const footprint = Sweep.measureFootprint(solveFlat(params, deployedAngle));
+        const screenScore = SCORE_WEIGHTS.deployed * relError(footprint.diameter, deployedIn) +
+            SCORE_WEIGHTS.height * relError(footprint.height, heightIn);
+
+        return { params, deployedAngle, screenScore, cost: estimateCost(params, options.prices) };
+    }
+
+    /**
+     * Sorts screened designs by screen score, then cost
+     * @param {Array} screened - Screened designs
+     * @returns {Array} Same array, best first
+     */
+    function rankScreened(screened) {
+        // Designs that hit the targets equally well are tried cheapest first
+        return screened.sort((a, b) => (Math.abs(a.screenScore - b.screenScore) > 0.01 ? a.screenScore - b.screenScore : a.cost.total - b.cost.total));
+    }
+
+    /**
+     * Runs the full evaluation (collision scan) on a screened design
+     * @param {Object} entry - Screened design
+     * @param {Object} targets - Normalized targets
+     * @param {Object} options - Search options
+     * @returns {Object|null} Candidate, or null if the deployed pose isn't collision-free
+     */
+    function evaluateCandidate(entry, targets, options) {
+        const params = { ...entry.params, orientation: 'horizontal', arrayCount: 1 };
+        const evaluation = Sweep.evaluateDesign(params, { scanStepDeg: options.scanStepDeg });
+        const range = evaluation.collisionFree;
+        const half = (options.scanStepDeg * Math.PI / 180) / 2;
+
+        if (!range || range.span <= 0) return null;
+        if (evaluation.deployedAngle < range.min - half || evaluation.deployedAngle > range.max + half) return null;
+
+        const m = evaluation.metrics;
+        const stowedIn = targets.stowedDiameterFt * Solver.INCHES_PER_FOOT;
+        const errors = {
+            deployed: relError(m.deployedDiameter, targets.deployedDiameterFt * Solver.INCHES_PER_FOOT),
+            // Packing smaller than the target is fine
+            stowed: stowedIn > 0 ? Math.max(0, m.stowedDiameter - stowedIn) / stowedIn : 0,
+            height: relError(m.height, targets.heightFt * Solver.INCHES_PER_FOOT)
+        };
+
+        return {
+            meetsStowed: errors.stowed === 0,
+            params: {
+                modules: entry.params.modules,
+                pivotPct: Math.round(entry.params.pivotPct * 100) / 100,
+                hLengthFt: entry.params.hLengthFt,
+                vLengthFt: entry.params.vLengthFt
+            },
+            deployedAngle: evaluation.deployedAngle,
+            stowedAngle: evaluation.stowedAngle,
+            collisionFree: range,
+            metrics: m,
+            errors,
+            score: SCORE_WEIGHTS.deployed * errors.deployed +
+                SCORE_WEIGHTS.height * errors.height,
+            cost: entry.cost
+        };
+    }
+
+    /**
+     * Sorts candidates that pack within the stowed target first, then by score, then cost
+     * @param {Array} candidates - Evaluated candidates
+     * @returns {Array} Same array, ranked
+     */
+    function rankCandidates(candidates) {
+        return candidates.sort((a, b) => {
+            if (a.meetsStowed !== b.meetsStowed) return a.meetsStowed ? -1 : 1;
+            return Math.abs(a.score - b.score) > 1e-6 ? a.score - b.score : a.cost.total - b.cost.total;
+        });
+    }
+
+    /**
+     * Solves for linkage parameters synchronously
+     * @param {Object} baseParams - Parameters shared by every design (stack counts, offsets, ...)
+     * @param {Object} targets - {deployedDiameterFt, stowedDiameterFt, heightFt, minModules, maxModules}
+     * @param {Object} options - Search options (see DEFAULT_OPTIONS) plus unit `prices`
+     * @returns {{targets: Object, candidates: Array, screened: number, evaluated: number}} Ranked collision-free candidates
+     */
+    function solve(baseParams, targets, options = {}) {
+        const t = normalizeTargets(targets);
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const allScreened = rankScreened(buildSearchPoints(t, opts)
+            .map(point => screenPoint(baseParams, point, t, opts))
+            .filter(Boolean));
+        const screened = allScreened.slice(0, opts.maxEvaluations);
+        const candidates = screened.map(entry => evaluateCandidate(entry, t, opts)).filter(Boolean);
+
+        return { targets: t, candidates: rankCandidates(candidates), screened: allScreened.length, evaluated: screened.length };
+    }
+
+    /**
+     * Solves for linkage parameters in small batches so the page stays responsive.
+     * Screening and the collision checks both run in batches; `onProgress` receives
+     * (done, total, phase) with phase 'screen' or 'evaluate'.
+     * @param {Object} baseParams - Parameters shared by every design
+     * @param {Object} targets - {deployedDiameterFt, stowedDiameterFt, heightFt, minModules, maxModules}
+     * @param {Object} options - Search options plus `batchSize`, `screenBatchSize`, `onProgress`, `isCancelled`
+     * @returns {Promise<{targets: Object, candidates: Array, screened: number, evaluated: number, cancelled: boolean}>} Result
+     */
+    function solveAsync(baseParams, targets, options = {}) {
+        const t = normalizeTargets(targets);
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const batchSize = options.batchSize || 2;
+        const screenBatchSize = options.screenBatchSize || 8;
+
+        return new Promise((resolve, reject) => {
+            const points = buildSearchPoints(t, opts);
+            const allScreened = [];
+            let screened = null;
+            const candidates = [];
+            let pointIndex = 0;
+            let index = 0;
+
+            const done = (cancelled) => resolve({
+                targets: t,
+                candidates: rankCandidates(candidates),
+                screened: allScreened.length,
+                evaluated: index,
+                cancelled
+            });
+
+            const step = () => {
+                try {
+                    if (options.isCancelled && options.isCancelled()) {
+                        done(true);
+                        return;
+                    }
+
+                    if (pointIndex < points.length) {
+                        const end = Math.min(pointIndex + screenBatchSize, points.length);
+                        for (; pointIndex < end; pointIndex++) {
+                            const entry = screenPoint(baseParams, points[pointIndex], t, opts);
+                            if (entry) allScreened.push(entry);
+                        }
+                        if (options.onProgress) options.onProgress(pointIndex, points.length, 'screen');
+                        setTimeout(step, 0);
+                        return;
+                    }
+
+                    if (!screened) screened = rankScreened(allScreened).slice(0, opts.maxEvaluations);
+                    const end = Math.min(index + batchSize, screened.length);
+                    for (; index < end; index++) {
+                        const candidate = evaluateCandidate(screened[index], t, opts);
+                        if (candidate) candidates.push(candidate);
+                    }
+                    if (options.onProgress) options.onProgress(index, screened.length, 'evaluate');
+                    if (index < screened.length) {
+                        setTimeout(step, 0);
+                    } else {
+                        done(false);
+                    }
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            setTimeout(step, 0);
+        });
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        DEFAULT_TARGETS,
+        DEFAULT_OPTIONS,
+        LENGTH_LIMITS_FT,
+
+        // Fitting
+        fitHorizontalLength,
+        fitVerticalLength,
+        estimateCost,
+
+        // Search
+        solve,
+        solveAsync
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InverseDesign;
+}
@@ -0,0 +1,423 @@
+// ============================================================================
+// LAYOUT OPTIMIZER
+// Searches the top panel layout knobs for the best fit on the canopy
+// ============================================================================
+
+/**
+ * LayoutOptimizer - Finds rectangular, radial and spiral panel layouts that
+ * make the most of the canopy
+ *
+ * Every layout mode is searched over a grid of its parameters (grid size and
+ * rotation, ring count, radius and pinwheel, spiral arm length and spacing).
+ * Each layout is screened on the canopy footprint: every panel must sit inside
+ * the canopy outline and no two panels may overlap. The best few layouts at
+ * each panel count, fullest first, are then evaluated for energy and fold
+ * clearance through callbacks, and ranked by the chosen objective.
+ *
+ * Layouts are built by the caller, so the optimizer places panels exactly the
+ * way the app does.
+ *
+ * Usage:
+ *   const result = LayoutOptimizer.optimize(canopy, topConfig, settings => layoutTop(canopy, settings), {
+ *       objective: 'energy',
+ *       energyOf: panels => EnergyYield.estimate(panels).totals.annual
+ *   });
+ *   result.candidates[0].settings;  // layout keys to apply, e.g. {radialCount: 10, radialOffset: 96, ...}
+ */
+
+const LayoutOptimizer = (function() {
+    'use strict';
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Objectives the layouts can be ranked by */
+    const OBJECTIVES = {
+        count:       { label: 'Most panels' },
+        energy:      { label: 'Most energy (kWh/yr)' },
+        costPerWatt: { label: 'Lowest cost per watt' }
+    };
+
+    /** Default search options */
+    const DEFAULT_OPTIONS = {
+        objective: 'count',
+        edgeMargin: 0,        // inches every panel must keep inside the canopy outline
+        maxEvaluations: 24,   // layouts evaluated for energy and fold clearance
+        perCount: 3,          // evaluated layouts per panel count, so sparser layouts get a look too
+        top: 5,               // candidates returned
+        foldLimit: null       // panels must fold clear below this angle (radians); null = to fully folded
+    };
+
+    /** Overlap (inches) tolerated between neighbouring panels */
+    const OVERLAP_TOLERANCE = 0.01;
+
+    /** Grid search values per layout mode */
+    const SEARCH = {
+        maxGridSide: 12,
+        gridRotationsDeg: [0, 15, 30, 45, 60, 75, 90, 105, 120, 135, 150, 165],
+        paddings: [1, 2, 4],
+        maxRingCount: 24,
+        radiusSteps: 8,
+        pinwheelsDeg: [0, 30, 60, 90],
+        maxArmCount: 3,
+        armPinwheelStepsDeg: [0, 15]
+    };
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    const round = (v, step = 0.5) => Math.round(v / step) * step;
+    const range = (min, max, steps) => Array.from({ length: steps }, (_, i) => round(min + (max - min) * i / Math.max(1, steps - 1)));
+
+    /**
+     * Panel outline on the ground plane
+     * @param {{center, axisX, axisZ, width, length}} panel - Panel3D
+     * @returns {Array<{x: number, z: number}>} Four corners in order
+     */
+    function footprint(panel) {
+        const hx = { x: panel.axisX.x * panel.width / 2, z: panel.axisX.z * panel.width / 2 };
+        const hz = { x: panel.axisZ.x * panel.length / 2, z: panel.axisZ.z * panel.length / 2 };
+        const c = panel.center;
+        return [
+            { x: c.x - hx.x - hz.x, z: c.z - hx.z - hz.z },
+            { x: c.x + hx.x - hz.x, z: c.z + hx.z - hz.z },
+            { x: c.x + hx.x + hz.x, z: c.z + hx.z + hz.z },
+            { x: c.x - hx.x + hz.x, z: c.z - hx.z + hz.z }
+        ];
+    }
+
+    /**
+     * Signed distance from a point to a polygon outline (positive inside)
+     * @param {{x, z}} point - Point
+     * @param {Array<{x, z}>} polygon - Outline vertices in order
+     * @returns {number} Distance in inches
+     */
+    function distanceInside(point, polygon) {
+        let inside = false;
+        let nearest = Infinity;
+        for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+            const a = polygon[j], b = polygon[i];
+            if ((b.z > point.z) !== (a.z > point.z) &&
+                point.x < (a.x - b.x) * (point.z - b.z) / (a.z - b.z) + b.x) {
+                inside = !inside;
+            }
+            const ex = b.x - a.x, ez = b.z - a.z;
+            const t = Math.max(0, Math.min(1, ((point.x - a.x) * ex + (point.z - a.z) * ez) / (ex * ex + ez * ez || 1)));
+            nearest = Math.min(nearest, Math.hypot(point.x - a.x - t * ex, point.z - a.z - t * ez));
+        }
+        return inside ? nearest : -nearest;
+    }
+
+    /**
+     * Depth two convex outlines overlap by (separating axis test)
+     * @param {Array<{x, z}>} a - First outline
+     * @param {Array<{x, z}>} b - Second outline
+     * @returns {number} Overlap in inches (0 when apart)
+     */
+    function overlapDepth(a, b) {
+        let depth = Infinity;
+        for (const poly of [a, b]) {
+            for (let i = 0; i < poly.length; i++) {
+                const p = poly[i], q = poly[(i + 1) % poly.length];
+                const len = Math.hypot(q.x - p.x, q.z - p.z) || 1;
+                const axis = { x: -(q.z - p.z) / len, z: (q.x - p.x) / len };
+                const project = pts => pts.map(pt => pt.x * axis.x + pt.z * axis.z);
+                const pa = project(a), pb = project(b);
+                const overlap = Math.min(Math.max(...pa), Math.max(...pb)) - Math.max(Math.min(...pa), Math.min(...pb));
+                if (overlap <= 0) return 0;
+                depth = Math.min(depth, overlap);
+            }
+        }
+        return depth;
+    }
+
+    // ========================================
+    // SCREENING
+    // ========================================
+
+    /**
+     * Checks that panels sit inside the canopy outline without overlapping
+     * @param {Array} panels - Laid-out panels
+     * @param {{vertices: Array}} canopy - Canopy from calculateCanopyArea()
+     * @param {number} [edgeMargin=0] - Inches each panel must keep inside the outline
+     * @returns {{fits: boolean, margin: number, overlap: number}} Fit, tightest distance to the outline and deepest overlap
+     */
+    function measureFit(panels, canopy, edgeMargin = 0) {
+        const outlines = panels.map(footprint);
+        let margin = Infinity;
+        let overlap = 0;
+
+        outlines.forEach(outline => outline.forEach(corner => {
+            margin = Math.min(margin, distanceInside(corner, canopy.vertices));
+        }));
+        if (margin < edgeMargin) return { fits: false, margin, overlap };
+
+        for (let i = 0; i < outlines.length; i++) {
+            for (let j = i + 1; j < outlines.length; j++) {
+                overlap = Math.max(overlap, overlapDepth(outlines[i], outlines[j]));
+                if (overlap > OVERLAP_TOLERANCE) return { fits: false, margin, overlap };
+            }
+        }
+        return { fits: true, margin, overlap };
+    }
+
+    /**
+     * Layout settings to try for a layout mode
+     * @param {Object} base - Current top panel config (layoutMode, panelWidth, panelLength, ...)
+     * @param {{area: number, maxRadius: number}} canopy - Canopy from calculateCanopyArea()
+     * @returns {Array<Object>} Settings, each overriding keys of `base`
+     */
+    function buildCandidates(base, canopy) {
+        const { panelWidth: w, panelLength: l } = base;
+        const maxPanels = Math.max(1, Math.floor(canopy.area / (w * l)));
+        const maxRadius = canopy.maxRadius;
+        const candidates = [];
+
+        if (base.layoutMode === 'radial' || base.layoutMode === 'spiral') {
+            const spiral = base.layoutMode === 'spiral';
+            const maxArms = spiral ? SEARCH.maxArmCount : 1;
+            const radii = range(Math.min(w, l) / 2, maxRadius, SEARCH.radiusSteps);
+            for (let count = 2; count <= SEARCH.maxRingCount; count++) {
+                for (let arms = spiral ? 2 : 1; arms <= maxArms && count * arms <= maxPanels; arms++) {
+                    // Arm panels follow on at one panel width or length apart
+                    const spacings = spiral ? [w, l].map(size => size + base.paddingX) : [0];
+                    const armSteps = spiral ? SEARCH.armPinwheelStepsDeg : [0];
+                    const rotations = [0, round(180 / count, 0.1)];
+                    radii.forEach(radialOffset => spacings.forEach(spacing => armSteps.forEach(armStep =>
+                        rotations.forEach(radialRotation => SEARCH.pinwheelsDeg.forEach(pinwheelAngle => {
+                            const settings = { radialCount: count, radialOffset, radialRotation, radialLateralOffset: 0, pinwheelAngle };
+                            if (spiral) {
+                                Object.assign(settings, {
+                                    spiralArmCount: arms,
+                                    spiralSecondaryEnabled: true,
+                                    spiralSecondaryRadialOffset: round(spacing),
+                                    spiralSecondaryLateralOffset: 0,
+                                    spiralSecondaryPinwheel: 0,
+                                    spiralSecondaryRotation: 0,
+                                    spiralArmRadialStep: round(spacing),
+                                    spiralArmLateralStep: 0,
+                                    spiralArmPinwheelStep: armStep,
+                                    spiralArmRotationStep: 0
+                                });
+                            }
+                            candidates.push(settings);
+                        })))));
+                }
+            }
+            return candidates;
+        }
+
+        // Rectangular: every grid that could reach inside the canopy's outer circle
+        for (let gridRows = 1; gridRows <= SEARCH.maxGridSide; gridRows++) {
+            for (let gridCols = 1; gridCols <= SEARCH.maxGridSide && gridRows * gridCols <= maxPanels; gridCols++) {
+                SEARCH.paddings.forEach(padding => {
+                    const spanX = gridCols * (w + padding) - padding;
+                    const spanZ = gridRows * (l + padding) - padding;
+                    if (Math.hypot(spanX, spanZ) / 2 > maxRadius) return;
+                    SEARCH.gridRotationsDeg.forEach(gridRotation => {
+                        candidates.push({ gridRows, gridCols, paddingX: padding, paddingY: padding, gridRotation });
+                    });
+                });
+            }
+        }
+        return candidates;
+    }
+
+    /**
+     * Lays out and screens every candidate, fullest first
+     * @returns {Array<{settings: Object, panels: Array, fit: Object}>} Layouts that fit
+     */
+    function screenCandidates(canopy, base, layoutPanels, opts) {
+        const fitting = [];
+        buildCandidates(base, canopy).forEach(settings => {
+            const panels = layoutPanels(settings) || [];
+            if (panels.length === 0) return;
+            const fit = measureFit(panels, canopy, opts.edgeMargin);
+            if (fit.fits) fitting.push({ settings, panels, fit });
+        });
+        // Fullest first; equally full layouts with the most room to the edge first
+        return fitting.sort((a, b) => (b.panels.length - a.panels.length) || (b.fit.margin - a.fit.margin));
+    }
+
+    /**
+     * Picks the screened layouts worth evaluating: the best few at each panel
+     * count, fullest first. Fuller layouts tend to collide sooner as the ring
+     * folds, so sparser ones stay in the running.
+     * @param {Array} fitting - Screened layouts, fullest first
+     * @param {Object} opts - Search options
+     * @returns {Array} Layouts to evaluate
+     */
+    function pickFinalists(fitting, opts) {
+        const perCount = {};
+        return fitting.filter(entry => {
+            const count = entry.panels.length;
+            perCount[count] = (perCount[count] || 0) + 1;
+            return perCount[count] <= opts.perCount;
+        }).slice(0, opts.maxEvaluations);
+    }
+
+    // ========================================
+    // EVALUATION
+    // ========================================
+
+    /**
+     * Evaluates a screened layout for energy, cost and fold clearance
+     * @param {Object} entry - Screened layout
+     * @param {Object} opts - Search options
+     * @returns {Object|null} Candidate, or null if its panels don't fold clear far enough
+     */
+    function evaluateCandidate(entry, opts) {
+        let fold = null;
+        if (opts.checkFold) {
+            fold = opts.checkFold(entry.settings);
+            const limit = opts.foldLimit;
+            if (fold.blockedAngle !== null && (limit === null || limit === undefined || fold.blockedAngle > limit + 1e-6)) return null;
+        }
+
+        const count = entry.panels.length;
+        const watts = entry.panels.reduce((sum, panel) => sum + (panel.ratedWatts || opts.ratedWatts || 0), 0);
+        const cost = opts.cost ? (opts.cost.fixed || 0) + count * (opts.cost.perPanel || 0) : null;
+
+        return {
+            settings: entry.settings,
+            count,
+            watts,
+            energy: opts.energyOf ? opts.energyOf(entry.panels) : null,
+            cost,
+            costPerWatt: cost !== null && watts > 0 ? cost / watts : null,
+            margin: entry.fit.margin,
+            fold
+        };
+    }
+
+    /**
+     * Sorts candidates by the objective, then panel count, then room to the canopy edge
+     * @param {Array} candidates - Evaluated candidates
+     * @param {string} objective - Key of OBJECTIVES
+     * @returns {Array} Same array, ranked
+     */
+    function rankCandidates(candidates, objective) {
+        const primary = {
+            count: c => c.count,
+            energy: c => c.energy || 0,
+            costPerWatt: c => (c.costPerWatt !== null ? -c.costPerWatt : -Infinity)
+        }[objective] || (c => c.count);
+        return candidates.sort((a, b) => {
+            const diff = primary(b) - primary(a);
+            if (Math.abs(diff) > 1e-9) return diff;
+            return (b.count - a.count) || ((b.energy || 0) - (a.energy || 0)) || (b.margin - a.margin);
+        });
+    }
+
+    /**
+     * Result of a search
+     */
+    function buildResult(base, opts, fitting, evaluated, candidates, screened, cancelled) {
+        return {
+            layoutMode: base.layoutMode,
+            objective: opts.objective,
+            candidates: rankCandidates(candidates, opts.objective).slice(0, opts.top),
+            screened,
+            fitting: fitting.length,
+            evaluated,
+            foldRejected: evaluated - candidates.length,
+            cancelled
+        };
+    }
+
+    /**
+     * Searches layouts for the current layout mode
+     * @param {Object} canopy - Canopy from calculateCanopyArea() (vertices, area, maxRadius)
+     * @param {Object} base - Current top panel config; its layoutMode picks the knobs searched
+     * @param {Function} layoutPanels - (settings) => panels laid out with `base` overridden by `settings`
+     * @param {Object} options - Search options (see DEFAULT_OPTIONS) plus
+     *   energyOf(panels) => kWh/yr, checkFold(settings) => PanelClearance fold scan,
+     *   cost {fixed, perPanel} and ratedWatts for panels without their own rating
+     * @returns {{layoutMode: string, objective: string, candidates: Array, screened: number, fitting: number, evaluated: number, foldRejected: number}}
+     *   Best candidates: {settings, count, watts, energy, cost, costPerWatt, margin, fold}
+     */
+    function optimize(canopy, base, layoutPanels, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const screened = buildCandidates(base, canopy).length;
+        const fitting = screenCandidates(canopy, base, layoutPanels, opts);
+        const finalists = pickFinalists(fitting, opts);
+        const candidates = finalists.map(entry => evaluateCandidate(entry, opts)).filter(Boolean);
+        return buildResult(base, opts, fitting, finalists.length, candidates, screened, false);
+    }
+
+    /**
+     * As optimize(), evaluating in small batches so the page stays responsive
+     * @param {Object} canopy - Canopy from calculateCanopyArea()
+     * @param {Object} base - Current top panel config
+     * @param {Function} layoutPanels - (settings) => panels
+     * @param {Object} options - As optimize(), plus `batchSize`, `onProgress(done, total)` and `isCancelled()`
+     * @returns {Promise<Object>} Result of optimize() with `cancelled`
+     */
+    function optimizeAsync(canopy, base, layoutPanels, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const batchSize = options.batchSize || 1;
+
+        return new Promise((resolve, reject) => {
+            setTimeout(() => {
+                try {
+                    const screened = buildCandidates(base, canopy).length;
+                    const fitting = screenCandidates(canopy, base, layoutPanels, opts);
+                    const finalists = pickFinalists(fitting, opts);
+                    const candidates = [];
+                    let index = 0;
+
+                    const step = () => {
+                        try {
+                            if (options.isCancelled && options.isCancelled()) {
+                                resolve(buildResult(base, opts, fitting, index, candidates, screened, true));
+                                return;
+                            }
+                            const end = Math.min(index + batchSize, finalists.length);
+                            for (; index < end; index++) {
+                                const candidate = evaluateCandidate(finalists[index], opts);
+                                if (candidate) candidates.push(candidate);
+                            }
+                            if (options.onProgress) options.onProgress(index, finalists.length);
+                            if (index < finalists.length) {
+                                setTimeout(step, 0);
+                            } else {
+                                resolve(buildResult(base, opts, fitting, index, candidates, screened, false));
+                            }
+                        } catch (err) {
+                            reject(err);
+                        }
+                    };
+                    step();
+                } catch (err) {
+                    reject(err);
+                }
+            }, 0);
+        });
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        OBJECTIVES,
+        DEFAULT_OPTIONS,
+
+        // Screening
+        footprint,
+        measureFit,
+        buildCandidates,
+
+        // Search
+        optimize,
+        optimizeAsync
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LayoutOptimizer;
+}
@@ -0,0 +1,2188 @@
+// ============================================================================
+// LINKAGE SOLVER
+// Headless scissor-linkage solver shared by LinkageLab and the Solar Simulator
+// ============================================================================
+
+/**
+ * LinkageSolver - Pure geometry solver for scissor linkage structures
+ *
+ * Everything in this module works from an explicit parameter object instead of
+ * the LinkageLab `state`, and touches no DOM, Three.js or globals, so it can be
+ * loaded with a <script> tag in the browser or required from Node.
+ *
+ * Usage:
+ *   const params = LinkageSolver.createParams({ modules: 10, hLengthFt: 10 });
+ *   const data = LinkageSolver.solveLinkage(params, 120 * Math.PI / 180);
+ *   // Modules can differ: module 3 with longer ring beams for a doorway
+ *   LinkageSolver.solveLinkage({ ...params, moduleOverrides: [null, null, null, { hLengthFt: 12 }] }, angle);
+ *   // Three rings stacked into a dome, the top ring 60% of the base
+ *   LinkageSolver.solveLinkage({ ...params, tierCount: 3, tierTaper: 0.6, tierProfile: 'dome' }, angle);
+ *   const collisions = LinkageSolver.detectCollisions(data, params);
+ *   const com = LinkageSolver.calculateCenterOfMass(data, params);
+ */
+
+const LinkageSolver = (function() {
+    'use strict';
+
+    const Catalog = (typeof Materials !== 'undefined') ? Materials : require('./materials.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    const INCHES_PER_FOOT = 12;
+
+    /** Fold angle limits in radians (5° to 175°) */
+    const MIN_FOLD_ANGLE = 5 * Math.PI / 180;
+    const MAX_FOLD_ANGLE = 175 * Math.PI / 180;
+
+    /** Minimum safe height/width to prevent division by zero */
+    const MIN_SAFE_DIMENSION = 1;
+
+    /** Wood color RGB values */
+    const WOOD_COLOR = {r: 238, g: 191, b: 161};
+
+    /**
+     * Connectors joining neighbouring arches of a tunnel array:
+     * a single ridge beam at the crown, or purlins at every outer pivot
+     */
+    const ARRAY_CONNECTOR_TYPES = ['none', 'ridge', 'purlins'];
+
+    /** Connector stock past the pivot hole at each end (inches) */
+    const CONNECTOR_END_IN = 1.5;
+
+    /** Ring beam parameters a single module can override (see `moduleOverrides`) */
+    const MODULE_OVERRIDE_KEYS = ['hLengthFt', 'pivotPct', 'hobermanAng', 'pivotAng'];
+
+    /** Pivot span mismatch (inches) below which a module counts as fitting the chain */
+    const SPAN_TOLERANCE_IN = 0.01;
+
+    /**
+     * How the rings of a stacked tower shrink (or grow) towards the top:
+     * a straight taper (cone) or a quarter circle (dome)
+     */
+    const TIER_PROFILES = ['cone', 'dome'];
+
+    /**
+     * Default solver parameters (mirrors the LinkageLab defaults).
+     * Lengths are in feet where the key ends in `Ft`, otherwise inches;
+     * angles are in degrees. Materials are Materials catalog ids.
+     * `moduleOverrides` lists, per module index, the MODULE_OVERRIDE_KEYS that
+     * module sets for itself (null entries use the shared values).
+     * `tierCount` rings stack into a tower in ring mode; the top ring is
+     * `tierTaper` times the size of the base, and neighbouring rings are joined
+     * by hub struts `tierHubIn` inches long, pivot to pivot.
+     */
+    const DEFAULT_PARAMS = {
+        modules: 8,
+        hLengthFt: 8.0,
+        vLengthFt: 8.0,
+        pivotPct: 41.5,
+        hobermanAng: 0.0,
+        pivotAng: 0.0,
+        moduleOverrides: null,
+
+        hStackCount: 2,
+        vStackCount: 3,
+        vStackReverse: false,
+
+        offsetTopIn: 1.5,
+        offsetBotIn: 1.5,
+        vertEndOffset: 1.5,
+        bracketOffset: 3.0,
+        stackGap: 0.0,
+
+        hBeamW: 3.5,
+        hBeamT: 1.5,
+        vBeamW: 1.5,
+        vBeamT: 3.5,
+
+        bracketWidth: 2.0,
+        bracketDepth: 3.0,
+        bracketHeight: 3.0,
+        bracketWallThickness: 0.25,
+        bracketInnerWidth: 1.5,
+        bracketHoleDiameter: 0.375,
+
+        boltDiameter: 0.375,
+        vBoltLength: 3.0,
+        hBoltLength: 3.0,
+
+        showBrackets: true,
+        showBolts: false,
+
+        orientation: 'horizontal',
+        archCapUprights: false,
+        archFlipVertical: false,
+        archRotation: 0,
+        useFixedBeams: false,
+        arrayCount: 1,
+        arrayFoldAngles: null,
+        arrayGap: 0,
+        arrayConnectors: 'none',
+        tierCount: 1,
+        tierTaper: 0.7,
+        tierProfile: 'cone',
+        tierHubIn: 48,
+        isRing: false,
+
+        hBeamMaterial: 'spf-2x4',
+        vBeamMaterial: 'spf-2x4',
+        bracketMaterial: 'steel-u',
+        boltMaterial: 'a307'
+    };
+
+    /** Keys copied from a LinkageLab state object by paramsFromState() */
+    const PARAM_KEYS = Object.keys(DEFAULT_PARAMS);
+
+    // ========================================
+    // VECTOR HELPERS
+    // ========================================
+
+    const v3 = (x, y, z) => ({x, y, z});
+    const vAdd = (a, b) => ({x: a.x + b.x, y: a.y + b.y, z: a.z + b.z});
+    const vSub = (a, b) => ({x: a.x - b.x, y: a.y - b.y, z: a.z - b.z});
+    const vScale = (a, s) => ({x: a.x * s, y: a.y * s, z: a.z * s});
+    const vMag = (a) => Math.sqrt(a.x * a.x + a.y * a.y + a.z * a.z);
+    const vNorm = (a) => {
+        const m = vMag(a);
+        return m === 0 ? {x: 0, y: 0, z: 0} : vScale(a, 1 / m);
+    };
+    const vCross = (a, b) => ({
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    });
+    const vDot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+    const degToRad = (degrees) => degrees * Math.PI / 180;
+    const radToDeg = (radians) => radians * 180 / Math.PI;
+
+    // ========================================
+    // PARAMETERS
+    // ========================================
+
+    /**
+     * Create a complete parameter object from partial overrides
+     * @param {Object} overrides - Parameters to override
+     * @returns {Object} Parameter object with every solver key present
+     */
+    function createParams(overrides = {}) {
+        return { ...DEFAULT_PARAMS, ...overrides };
+    }
+
+    /**
+     * Extract solver parameters from a LinkageLab state object
+     * @param {Object} source - LinkageLab state (or any object with matching keys)
+     * @returns {Object} Parameter object
+     */
+    function paramsFromState(source) {
+        const params = createParams();
+        PARAM_KEYS.forEach(key => {
+            if (source[key] !== undefined && source[key] !== null) {
+                params[key] = source[key];
+            }
+        });
+        return params;
+    }
+
+    /**
+     * Active (pivot-to-pivot) beam lengths in inches
+     * @param {Object} params - Solver parameters
+     * @returns {{hActiveIn: number, vActiveIn: number}} Active lengths
+     */
+    function getActiveLengths(params) {
+        return {
+            hActiveIn: params.hLengthFt * INCHES_PER_FOOT - params.offsetTopIn - params.offsetBotIn,
+            vActiveIn: params.vLengthFt * INCHES_PER_FOOT - (params.vertEndOffset * 2)
+        };
+    }
+
+    /**
+     * Build the argument object expected by calculateJointPositions()
+     * @param {Object} params - Solver parameters
+     * @returns {{hActiveIn: number, pivotPct: number, hobermanAng: number, pivotAng: number}}
+     */
+    function getJointParams(params) {
+        return {
+            hActiveIn: getActiveLengths(params).hActiveIn,
+            pivotPct: params.pivotPct,
+            hobermanAng: params.hobermanAng,
+            pivotAng: params.pivotAng
+        };
+    }
+
+    /**
+     * Parameters of one module: the shared values with that module's overrides applied
+     * @param {Object} params - Solver parameters
+     * @param {number} index - Module index
+     * @returns {Object} Parameter object for the module
+     */
+    function getModuleParams(params, index) {
+        const p = createParams(params);
+        const override = Array.isArray(p.moduleOverrides) ? p.moduleOverrides[index] : null;
+        if (!override) return p;
+        const merged = { ...p };
+        MODULE_OVERRIDE_KEYS.forEach(key => {
+            if (typeof override[key] === 'number' && isFinite(override[key])) merged[key] = override[key];
+        });
+        return merged;
+    }
+
+    /**
+     * Whether any module of the ring differs from the shared geometry
+     * @param {Object} params - Solver parameters
+     * @returns {boolean} True when at least one module overrides a ring beam parameter
+     */
+    function hasModuleOverrides(params) {
+        const p = createParams(params);
+        if (!Array.isArray(p.moduleOverrides)) return false;
+        return p.moduleOverrides.slice(0, p.modules).some(override => override &&
+            MODULE_OVERRIDE_KEYS.some(key => typeof override[key] === 'number' && isFinite(override[key]) && override[key] !== p[key]));
+    }
+
+    /**
+     * Groups the modules of a ring by their ring beam parameters. Each type is a
+     * distinct ring beam (length, pivot hole or bend) in the cut list and BOM.
+     * @param {Object} params - Solver parameters
+     * @returns {Array<{modules: number[], shared: boolean, hLengthFt: number, pivotPct: number, hobermanAng: number, pivotAng: number}>} Types in module order
+     */
+    function getModuleTypes(params) {
+        const p = createParams(params);
+        const types = new Map();
+        for (let i = 0; i < p.modules; i++) {
+            const mp = getModuleParams(p, i);
+            const values = {};
+            MODULE_OVERRIDE_KEYS.forEach(key => { values[key] = mp[key]; });
+            const key = JSON.stringify(values);
+            if (!types.has(key)) {
+                types.set(key, { modules: [], shared: MODULE_OVERRIDE_KEYS.every(k => values[k] === p[k]), ...values });
+            }
+            types.get(key).modules.push(i);
+        }
+        return [...types.values()];
+    }
+
+    /**
+     * Number of arches in a tunnel array (arrays only apply in arch mode)
+     * @param {Object} params - Solver parameters
+     * @returns {number} Copies, at least 1
+     */
+    function getArrayCopyCount(params) {
+        const p = createParams(params);
+        return p.orientation === 'vertical' ? Math.max(1, Math.round(p.arrayCount) || 1) : 1;
+    }
+
+    /**
+     * Fold angle of each arch in the array. Copies without an angle of their
+     * own in `arrayFoldAngles` (degrees) follow the main fold angle.
+     * @param {Object} params - Solver parameters
+     * @param {number} foldAngle - Main fold angle in radians
+     * @returns {number[]} Fold angle of each copy in radians
+     */
+    function getArrayFoldAngles(params, foldAngle) {
+        const p = createParams(params);
+        const overrides = Array.isArray(p.arrayFoldAngles) ? p.arrayFoldAngles : [];
+        const angles = [];
+        for (let i = 0; i < getArrayCopyCount(p); i++) {
+            const deg = overrides[i];
+            angles.push(typeof deg === 'number' && isFinite(deg)
+                ? Math.max(MIN_FOLD_ANGLE, Math.min(MAX_FOLD_ANGLE, degToRad(deg)))
+                : foldAngle);
+        }
+        return angles;
+    }
+
+    /**
+     * Number of stacked rings (tiers apply only to flat rings)
+     * @param {Object} params - Solver parameters
+     * @returns {number} Tiers, at least 1
+     */
+    function getTierCount(params) {
+        const p = createParams(params);
+        return p.orientation === 'vertical' ? 1 : Math.max(1, Math.round(p.tierCount) || 1);
+    }
+
+    /**
+     * Size of each tier relative to the base ring, from 1 at the base to
+     * `tierTaper` at the top along the `tierProfile`
+     * @param {Object} params - Solver parameters
+     * @returns {number[]} Scale of each tier, base first
+     */
+    function getTierScales(params) {
+        const p = createParams(params);
+        const count = getTierCount(p);
+        const taper = Math.max(0.1, Math.min(2, p.tierTaper || 1));
+        return Array.from({ length: count }, (_, k) => {
+            const t = count > 1 ? k / (count - 1) : 0;
+            return p.tierProfile === 'dome'
+                ? Math.sqrt(1 - (1 - taper * taper) * t * t)
+                : 1 - (1 - taper) * t;
+        });
+    }
+
+    /**
+     * Parameters of a single tier: the base ring with its beam lengths
+     * (including per-module ring beam lengths) scaled by the tier's size.
+     * Hardware, offsets and beam sections stay as they are.
+     * @param {Object} params - Solver parameters
+     * @param {number} index - Tier index (0 = base)
+     * @returns {Object} Parameters of a one-tier ring
+     */
+    function getTierParams(params, index) {
+        const p = createParams(params);
+        const scale = getTierScales(p)[index];
+        const overrides = Array.isArray(p.moduleOverrides)
+            ? p.moduleOverrides.map(o => (o && typeof o.hLengthFt === 'number' ? { ...o, hLengthFt: o.hLengthFt * scale } : o))
+            : p.moduleOverrides;
+        return {
+            ...p,
+            hLengthFt: p.hLengthFt * scale,
+            vLengthFt: p.vLengthFt * scale,
+            moduleOverrides: overrides,
+            tierCount: 1
+        };
+    }
+
+    /**
+     * Number of connector beams joining the arches of an array: one ridge beam
+     * per joint between neighbours, or a purlin at each of its outer pivots
+     * @param {Object} params - Solver parameters
+     * @returns {number} Connector count (0 without an array or connectors)
+     */
+    function getArrayConnectorCount(params) {
+        const p = createParams(params);
+        const joints = getArrayCopyCount(p) - 1;
+        if (p.arrayConnectors === 'ridge') return joints;
+        if (p.arrayConnectors === 'purlins') return joints * (p.modules + 1);
+        return 0;
+    }
+
+    // ========================================
+    // GEOMETRY PRIMITIVES
+    // ========================================
+
+    /**
+     * Represents a 3D beam with rectangular cross-section
+     */
+    class Beam3D {
+        /**
+         * Creates a 3D beam from start to end point
+         * @param {{x: number, y: number, z: number}} start - Start point
+         * @param {{x: number, y: number, z: number}} end - End point
+         * @param {number} width - Beam width
+         * @param {number} thick - Beam thickness
+         * @param {{r: number, g: number, b: number}} colorBase - Base color RGB
+         * @param {Object} metadata - moduleIndex, stackType, stackId, patternId, layer
+         */
+        constructor(start, end, width, thick, colorBase, metadata = {}) {
+            this.type = 'beam';
+            this.center = vScale(vAdd(start, end), 0.5);
+            this.colorBase = colorBase;
+            // Store metadata for collision detection
+            this.moduleIndex = metadata.moduleIndex !== undefined ? metadata.moduleIndex : -1;
+            this.stackType = metadata.stackType || 'unknown';
+            this.stackId = metadata.stackId !== undefined ? metadata.stackId : -1;
+            // Which half of the scissor X this beam belongs to, and its position in the stack
+            this.patternId = metadata.patternId || null;
+            this.layer = metadata.layer !== undefined ? metadata.layer : 0;
+
+            // Calculate local coordinate system
+            this.axisZ = vNorm(vSub(end, start));
+            let up = {x: 0, y: 1, z: 0};
+            if (Math.abs(this.axisZ.y) > 0.99) up = {x: 1, y: 0, z: 0};
+            this.axisX = vNorm(vCross(this.axisZ, up));
+            this.axisY = vNorm(vCross(this.axisX, this.axisZ));
+
+            // Generate corner vertices
+            const hw = width / 2;
+            const ht = thick / 2;
+            this.corners = [];
+            const offsets = [
+                {u: -hw, v: -ht}, {u: hw, v: -ht},
+                {u: hw, v: ht}, {u: -hw, v: ht}
+            ];
+
+            [start, end].forEach(c => {
+                offsets.forEach(o => {
+                    let p = vAdd(c, vScale(this.axisX, o.u));
+                    p = vAdd(p, vScale(this.axisY, o.v));
+                    this.corners.push(p);
+                });
+            });
+
+            // Define faces with normals for lighting
+            this.faces = [
+                { idx: [0, 3, 2, 1], norm: vScale(this.axisZ, -1) },
+                { idx: [4, 5, 6, 7], norm: this.axisZ },
+                { idx: [0, 1, 5, 4], norm: vScale(this.axisY, -1) },
+                { idx: [3, 7, 6, 2], norm: this.axisY },
+                { idx: [0, 4, 7, 3], norm: vScale(this.axisX, -1) },
+                { idx: [1, 2, 6, 5], norm: this.axisX }
+            ];
+            this.p1 = start;
+            this.p2 = end;
+            this.w = width;
+            this.t = thick;
+        }
+    }
+
+    /**
+     * Extends a 2D point outward from the origin by a given distance
+     * @param {{x: number, y: number}} p - Point to extend
+     * @param {number} dist - Distance to extend
+     * @returns {{x: number, y: number}} Extended point
+     */
+    function extendPoint(p, dist) {
+        const length = Math.sqrt(p.x * p.x + p.y * p.y);
+        if (length === 0) return p;
+        const scale = 1 + (dist / length);
+        return {x: p.x * scale, y: p.y * scale};
+    }
+
+    /**
+     * Maps a 2D point to 3D space with rotation and translation
+     * @param {{x: number, y: number}} p - 2D point
+     * @param {number} h - Height (y coordinate in 3D)
+     * @param {{x: number, y: number}} curPos - Current position offset
+     * @param {number} curRot - Current rotation angle
+     * @returns {{x: number, y: number, z: number}} 3D point
+     */
+    function mapTo3D(p, h, curPos, curRot) {
+        const rx = p.x * Math.cos(curRot) - p.y * Math.sin(curRot);
+        const rz = p.x * Math.sin(curRot) + p.y * Math.cos(curRot);
+        return v3(curPos.x + rx, h, curPos.y + rz);
+    }
+
+    /**
+     * Creates a stack of beams with alternating A/B pattern
+     * @param {Object} stackParams - Stack parameters
+     * @returns {number} Total thickness of the stack
+     */
+    function createBeamStack(stackParams) {
+        const {
+            p1_A, p2_A, p1_B, p2_B,
+            count, width, thick, color, offsetDir,
+            moduleIndex, stackType, stackId,
+            beamsArray, gap
+        } = stackParams;
+
+        // Ensure offset direction is normalized and valid
+        let normalizedDir = vNorm(offsetDir);
+        if (vMag(normalizedDir) < 0.001) {
+            normalizedDir = {x: 1, y: 0, z: 0};
+        }
+
+        const totalThick = count * thick + (count - 1) * gap;
+        const startOffset = -totalThick / 2 + thick / 2;
+
+        for (let i = 0; i < count; i++) {
+            const offsetValue = startOffset + i * (thick + gap);
+            const vectorOffset = vScale(normalizedDir, offsetValue);
+            const isPatternA = (i % 2 === 0);
+            const start = isPatternA ? p1_A : p1_B;
+            const end = isPatternA ? p2_A : p2_B;
+
+            beamsArray.push(new Beam3D(
+                vAdd(start, vectorOffset),
+                vAdd(end, vectorOffset),
+                width, thick, color,
+                {moduleIndex, stackType, stackId, patternId: isPatternA ? 'A' : 'B', layer: i}
+            ));
+        }
+
+        return totalThick;
+    }
+
+    /**
+     * Calculates a stacking direction perpendicular to both scissor patterns
+     * @param {{x,y,z}} patternA_dir - Pattern A beam direction
+     * @param {{x,y,z}} patternB_dir - Pattern B beam direction
+     * @param {{x,y,z}} radVec - Radial direction of the stack
+     * @returns {{x,y,z}} Normalized stack direction
+     */
+    function calculateStackDirection(patternA_dir, patternB_dir, radVec) {
+        const up = {x: 0, y: 1, z: 0};
+        const avgPatternDir = vNorm(vScale(vAdd(patternA_dir, patternB_dir), 0.5));
+
+        // Cross product of the two pattern directions is perpendicular to both
+        let stackDir = vNorm(vCross(patternA_dir, patternB_dir));
+
+        // Patterns nearly parallel - use radial-based calculation
+        if (vMag(stackDir) < 0.1) {
+            stackDir = vNorm(vCross(radVec, avgPatternDir));
+        }
+
+        const dotCheckA = Math.abs(vDot(stackDir, patternA_dir));
+        const dotCheckB = Math.abs(vDot(stackDir, patternB_dir));
+        if (dotCheckA > 0.1 || dotCheckB > 0.1 || vMag(stackDir) < 0.1) {
+            // Cross product of average pattern direction with up vector
+            stackDir = vNorm(vCross(avgPatternDir, up));
+            const dotCheck2A = Math.abs(vDot(stackDir, patternA_dir));
+            const dotCheck2B = Math.abs(vDot(stackDir, patternB_dir));
+            if (dotCheck2A > 0.1 || dotCheck2B > 0.1 || vMag(stackDir) < 0.1) {
+                // Construct a perpendicular vector manually (Gram-Schmidt)
+                let perpVec;
+                if (Math.abs(avgPatternDir.y) > 0.9) {
+                    perpVec = {x: 1, y: 0, z: 0};
+                } else if (Math.abs(avgPatternDir.x) > 0.9) {
+                    perpVec = {x: 0, y: 0, z: 1};
+                } else {
+                    perpVec = {x: -avgPatternDir.z, y: 0, z: avgPatternDir.x};
+                }
+                stackDir = vNorm(vSub(perpVec, vScale(avgPatternDir, vDot(perpVec, avgPatternDir))));
+            }
+        }
+
+        // Final verification: force perpendicular to both pattern directions
+        if (Math.abs(vDot(stackDir, patternA_dir)) > 0.01) {
+            stackDir = vNorm(vSub(stackDir, vScale(patternA_dir, vDot(stackDir, patternA_dir))));
+        }
+        if (Math.abs(vDot(stackDir, patternB_dir)) > 0.01) {
+            stackDir = vNorm(vSub(stackDir, vScale(patternB_dir, vDot(stackDir, patternB_dir))));
+        }
+
+        if (vMag(stackDir) < 0.1) {
+            stackDir = vNorm(vCross(patternA_dir, up));
+            if (vMag(stackDir) < 0.1) {
+                stackDir = vNorm({x: -radVec.z, y: radVec.y, z: radVec.x});
+            }
+        }
+
+        return vNorm(stackDir);
+    }
+
+    /**
+     * Creates an X-pattern upright stack between two pairs of pivots, centered so the
+     * stack as a whole passes through the midpoint of the pivot lines
+     * @param {Object} opts - Pivot points, stack settings and beam metadata
+     * @returns {{stackDir: {x,y,z}, centerMid: {x,y,z}, totalThick: number}} Stack info
+     */
+    function createUprightStack(opts) {
+        const { botInner, topOuter, botOuter, topInner, stackDir, params, beamsArray, metadata } = opts;
+        const vW = params.vBeamW;
+        const vT = params.vBeamT;
+        const gap = params.stackGap;
+        const count = params.vStackCount;
+
+        const patternA_dir = vNorm(vSub(topOuter, botInner));
+        const patternA_mid = vScale(vAdd(botInner, topOuter), 0.5);
+        const patternB_dir = vNorm(vSub(topInner, botOuter));
+        const patternB_mid = vScale(vAdd(botOuter, topInner), 0.5);
+
+        const pivotBotCenter = vScale(vAdd(botInner, botOuter), 0.5);
+        const pivotTopCenter = vScale(vAdd(topOuter, topInner), 0.5);
+        const centerMid = vScale(vAdd(pivotBotCenter, pivotTopCenter), 0.5);
+
+        // Beams are stacked along their width dimension, not thickness
+        const totalThick = count * vW + (count - 1) * gap;
+        const startOffset = -totalThick / 2 + vW / 2;
+        const isPatternAt = (j) => params.vStackReverse ? (j % 2 !== 0) : (j % 2 === 0);
+
+        // Average position of all beam midpoints once stacked
+        let totalPosition = {x: 0, y: 0, z: 0};
+        for (let j = 0; j < count; j++) {
+            const offsetValue = startOffset + j * (vW + gap);
+            const patternMid = isPatternAt(j) ? patternA_mid : patternB_mid;
+            totalPosition = vAdd(totalPosition, vAdd(patternMid, vScale(stackDir, offsetValue)));
+        }
+        const avgActualMid = vScale(totalPosition, 1 / count);
+
+        // Project the offset onto the stack direction to get the global centering offset
+        const offsetToCenter = vSub(centerMid, avgActualMid);
+        const centeringOffset = vScale(stackDir, vDot(offsetToCenter, stackDir));
+
+        for (let j = 0; j < count; j++) {
+            const stackOffset = vScale(stackDir, startOffset + j * (vW + gap));
+            const isPatternA = isPatternAt(j);
+            const patternBot = isPatternA ? botInner : botOuter;
+            const patternTop = isPatternA ? topOuter : topInner;
+            const patternDir = isPatternA ? patternA_dir : patternB_dir;
+
+            const beamStart = vAdd(vAdd(patternBot, centeringOffset), stackOffset);
+            const beamEnd = vAdd(vAdd(patternTop, centeringOffset), stackOffset);
+
+            // Extend beam ends by vertEndOffset along the beam direction
+            const extStart = vAdd(beamStart, vScale(patternDir, -params.vertEndOffset));
+            const extEnd = vAdd(beamEnd, vScale(patternDir, params.vertEndOffset));
+
+            beamsArray.push(new Beam3D(extStart, extEnd, vW, vT, WOOD_COLOR,
+                { ...metadata, patternId: isPatternA ? 'A' : 'B', layer: j }));
+        }
+
+        return { stackDir, centerMid, totalThick, patternA_dir, patternB_dir };
+    }
+
+    // ========================================
+    // JOINT KINEMATICS
+    // ========================================
+
+    /**
+     * Calculates the joint positions for a scissor linkage at a given fold angle
+     * @param {number} foldAngle - Fold angle in radians
+     * @param {{hActiveIn: number, pivotPct: number, hobermanAng: number, pivotAng: number}} params - Linkage parameters
+     * @returns {{joints: Object, relativeRotation: number, sourceAngle: number, targetAngle: number, activeLength: number, passiveLength: number}} Joint positions and derived values.
+     *   `sourceAngle` and `targetAngle` are the directions of the bl→tl and br→tr edges the neighbouring modules share
+     */
+    function calculateJointPositions(foldAngle, params) {
+        const { hActiveIn, pivotPct, hobermanAng, pivotAng } = params;
+        const safeH = Math.max(MIN_SAFE_DIMENSION, hActiveIn);
+        const pivotRatio = pivotPct / 100;
+        const activeLength = safeH * pivotRatio;
+        const passiveLength = safeH * (1 - pivotRatio);
+        const halfAngle = foldAngle / 2;
+        const hobermanRad = degToRad(hobermanAng);
+        const pivotOffsetRad = degToRad(pivotAng);
+
+        // Calculate angles for linkage joint positions
+        const angle1Bottom = Math.PI - halfAngle;
+        const angle1Top = -halfAngle + hobermanRad;
+        const angle2Bottom = Math.PI + halfAngle + pivotOffsetRad;
+        const angle2Top = halfAngle - hobermanRad + pivotOffsetRad;
+
+        // Calculate joint locations in 2D plane
+        const joints = {
+            bl: {x: activeLength * Math.cos(angle1Bottom), y: activeLength * Math.sin(angle1Bottom)},
+            tr: {x: passiveLength * Math.cos(angle1Top), y: passiveLength * Math.sin(angle1Top)},
+            br: {x: activeLength * Math.cos(angle2Bottom), y: activeLength * Math.sin(angle2Bottom)},
+            tl: {x: passiveLength * Math.cos(angle2Top), y: passiveLength * Math.sin(angle2Top)},
+        };
+
+        // Calculate relative rotation between modules
+        const sourceAngle = Math.atan2(joints.tl.y - joints.bl.y, joints.tl.x - joints.bl.x);
+        const targetAngle = Math.atan2(joints.tr.y - joints.br.y, joints.tr.x - joints.br.x);
+        const relativeRotation = targetAngle - sourceAngle;
+
+        return {
+            joints,
+            relativeRotation,
+            sourceAngle,
+            targetAngle,
+            activeLength,
+            passiveLength
+        };
+    }
+
+    /**
+     * Distance between the inner (br) and outer (tr) pivots of a module
+     * @param {Object} loc - Joint positions from calculateJointPositions()
+     * @returns {number} Pivot span in inches
+     */
+    function measurePivotSpan(loc) {
+        return Math.hypot(loc.tr.x - loc.br.x, loc.tr.y - loc.br.y);
+    }
+
+    /**
+     * Fold angle at which a module opens to a given pivot span. Where the span is
+     * reached more than once, the solution nearest `nearAngle` wins.
+     * @param {Object} jointParams - Module parameters for calculateJointPositions()
+     * @param {number} span - Pivot span to match (inches)
+     * @param {number} nearAngle - Preferred fold angle in radians
+     * @returns {{angle: number, error: number}} Fold angle, and the span left unmatched (inches) when the module can't reach it
+     */
+    function findModuleFoldAngle(jointParams, span, nearAngle) {
+        const diffAt = angle => measurePivotSpan(calculateJointPositions(angle, jointParams).joints) - span;
+        const step = degToRad(1);
+        let best = { angle: nearAngle, error: Math.abs(diffAt(nearAngle)) };
+        const brackets = [];
+
+        // Coarse scan for sign changes, keeping the closest sample in case there are none
+        let prev = { angle: MIN_FOLD_ANGLE, diff: diffAt(MIN_FOLD_ANGLE) };
+        for (let angle = MIN_FOLD_ANGLE + step; angle < MAX_FOLD_ANGLE + step - 1e-9; angle += step) {
+            const sample = { angle: Math.min(angle, MAX_FOLD_ANGLE), diff: 0 };
+            sample.diff = diffAt(sample.angle);
+            if (Math.abs(sample.diff) < best.error) best = { angle: sample.angle, error: Math.abs(sample.diff) };
+            if ((prev.diff <= 0) !== (sample.diff <= 0)) brackets.push([prev, sample]);
+            prev = sample;
+        }
+        if (brackets.length === 0) return best;
+
+        // Bisect the crossing nearest the preferred angle
+        const distance = ([a, b]) => Math.abs((a.angle + b.angle) / 2 - nearAngle);
+        let [lo, hi] = brackets.reduce((a, b) => (distance(b) < distance(a) ? b : a));
+        for (let k = 0; k < 40; k++) {
+            const mid = { angle: (lo.angle + hi.angle) / 2, diff: 0 };
+            mid.diff = diffAt(mid.angle);
+            if ((mid.diff <= 0) === (lo.diff <= 0)) lo = mid; else hi = mid;
+        }
+        const angle = (lo.angle + hi.angle) / 2;
+        return { angle, error: Math.abs(diffAt(angle)) };
+    }
+
+    /**
+     * Fold state of every module of the ring. Neighbouring modules share the
+     * upright between their inner and outer pivots, so all of them open to the
+     * same pivot span: modules with the shared geometry sit at the fold angle and
+     * each overridden module folds to the angle that gives it that span.
+     * @param {Object} params - Solver parameters
+     * @param {number} foldAngle - Fold angle of the shared modules in radians
+     * @returns {{span: number, spanError: number, modules: Array<{foldAngle: number, joints: Object, relativeRotation: number, sourceAngle: number, targetAngle: number, spanError: number}>}} Chain state.
+     *   `spanError` is the largest span (inches) a module couldn't reach
+     */
+    function solveModuleChain(params, foldAngle) {
+        const p = createParams(params);
+        const sharedParams = getJointParams(p);
+        const sharedKey = JSON.stringify(sharedParams);
+        const shared = calculateJointPositions(foldAngle, sharedParams);
+        const span = measurePivotSpan(shared.joints);
+        const solved = new Map([[sharedKey, { ...shared, foldAngle, spanError: 0 }]]);
+
+        const modules = [];
+        for (let i = 0; i < p.modules; i++) {
+            const jointParams = getJointParams(getModuleParams(p, i));
+            const key = JSON.stringify(jointParams);
+            if (!solved.has(key)) {
+                const fit = findModuleFoldAngle(jointParams, span, foldAngle);
+                solved.set(key, { ...calculateJointPositions(fit.angle, jointParams), foldAngle: fit.angle, spanError: fit.error });
+            }
+            modules.push(solved.get(key));
+        }
+
+        return { span, spanError: Math.max(0, ...modules.map(m => m.spanError)), modules };
+    }
+
+    /**
+     * Rotation from one module to the next: the next module's bl→tl edge is laid
+     * along this module's br→tr edge (the `relativeRotation` of identical modules)
+     * @param {{modules: Array}} chain - Result of solveModuleChain()
+     * @param {number} index - Module index
+     * @returns {number} Rotation in radians
+     */
+    function getJoinRotation(chain, index) {
+        const next = chain.modules[(index + 1) % chain.modules.length];
+        return chain.modules[index].targetAngle - next.sourceAngle;
+    }
+
+    /**
+     * Calculates the total ring rotation (all modules) at a fold angle
+     * @param {Object} params - Solver parameters
+     * @param {number} foldAngle - Fold angle in radians
+     * @returns {number} Absolute total rotation in radians
+     */
+    function getTotalRotation(params, foldAngle) {
+        if (hasModuleOverrides(params)) {
+            const chain = solveModuleChain(params, foldAngle);
+            return Math.abs(chain.modules.reduce((sum, m) => sum + m.relativeRotation, 0));
+        }
+        const jointResult = calculateJointPositions(foldAngle, getJointParams(params));
+        return Math.abs(jointResult.relativeRotation * params.modules);
+    }
+
+    /**
+     * Finds the fold angle at which the ring closes (total rotation = 360°)
+     * @param {Object} params - Solver parameters
+     * @returns {number} Closed angle in radians
+     */
+    function findClosedAngle(params) {
+        const targetRotation = Math.PI * 2;
+
+        // Coarse search in 1° steps
+        const stepSize = degToRad(1);
+        let bestAngle = MAX_FOLD_ANGLE;
+        let bestDiff = Infinity;
+
+        for (let angle = MIN_FOLD_ANGLE; angle <= MAX_FOLD_ANGLE; angle += stepSize) {
+            const rotation = getTotalRotation(params, angle);
+            const diff = Math.abs(rotation - targetRotation);
+
+            if (diff < bestDiff) {
+                bestDiff = diff;
+                bestAngle = angle;
+            }
+
+            // If we've passed 360° and are getting worse, stop
+            if (rotation > targetRotation && diff > bestDiff) {
+                break;
+            }
+        }
+
+        // Fine-tune with smaller steps around the best angle
+        const fineStep = degToRad(0.1);
+        for (let angle = bestAngle - degToRad(2); angle <= bestAngle + degToRad(2); angle += fineStep) {
+            if (angle < MIN_FOLD_ANGLE || angle > MAX_FOLD_ANGLE) continue;
+            const diff = Math.abs(getTotalRotation(params, angle) - targetRotation);
+            if (diff < bestDiff) {
+                bestDiff = diff;
+                bestAngle = angle;
+            }
+        }
+
+        return bestAngle;
+    }
+
+    /**
+     * Distance between the inner (br) and outer (tr) pivots at a fold angle
+     * @param {Object} params - Solver parameters
+     * @param {number} foldAngle - Fold angle in radians
+     * @returns {number} Pivot span in inches
+     */
+    function calculatePivotSpan(params, foldAngle) {
+        const loc = calculateJointPositions(foldAngle, getJointParams(params)).joints;
+        const dx = loc.tr.x - loc.br.x;
+        const dy = loc.tr.y - loc.br.y;
+        return Math.sqrt(dx * dx + dy * dy);
+    }
+
+    /**
+     * Upright rise between the bracket pivots for a set of joint positions.
+     * With fixed beams the V beam length is used directly as the height.
+     * @param {Object} p - Solver parameters
+     * @param {Object} loc - Joint positions from calculateJointPositions()
+     * @param {number} vActiveIn - Active vertical beam length in inches
+     * @returns {number} Rise in inches (0 when the uprights can't reach across)
+     */
+    function calculateUprightRise(p, loc, vActiveIn) {
+        if (p.useFixedBeams) return p.vLengthFt * INCHES_PER_FOOT;
+
+        const dx = loc.tr.x - loc.br.x;
+        const dy = loc.tr.y - loc.br.y;
+        const radialSpan = Math.sqrt(dx * dx + dy * dy);
+        return vActiveIn > radialSpan ? Math.sqrt(vActiveIn * vActiveIn - radialSpan * radialSpan) : 0;
+    }
+
+    /**
+     * Moves the module origin so the next module's bl joint lands on this module's br joint
+     * @param {Object} loc - Joint positions
+     * @param {number} relativeRotation - Rotation between modules in radians
+     * @param {{x: number, y: number}} curPos - Module origin, updated in place
+     * @param {number} curRot - Current module rotation in radians
+     * @param {Object} [nextLoc=loc] - Joint positions of the next module, when it differs
+     * @returns {number} Rotation of the next module
+     */
+    function advanceModule(loc, relativeRotation, curPos, curRot, nextLoc = loc) {
+        const nextRotation = curRot + relativeRotation;
+        const nextBlX = nextLoc.bl.x * Math.cos(nextRotation) - nextLoc.bl.y * Math.sin(nextRotation);
+        const nextBlY = nextLoc.bl.x * Math.sin(nextRotation) + nextLoc.bl.y * Math.cos(nextRotation);
+        const currentBrX = loc.br.x * Math.cos(curRot) - loc.br.y * Math.sin(curRot);
+        const currentBrY = loc.br.x * Math.sin(curRot) + loc.br.y * Math.cos(curRot);
+        curPos.x = (curPos.x + currentBrX) - nextBlX;
+        curPos.y = (curPos.y + currentBrY) - nextBlY;
+        return nextRotation;
+    }
+
+    /**
+     * Pivot-centerline layout of a horizontal ring: joint positions, ring heights and
+     * the placement of every module. Used by analyses that work on pivots rather than
+     * on solid beams.
+     * @param {Object} params - Solver parameters
+     * @param {number} foldAngle - Fold angle in radians
+     * @returns {{joints: Object, relativeRotation: number, zHeight: number, topH: number, modules: Array<{pos: {x: number, y: number}, rot: number, joints: Object}>, mapPoint: Function}} Layout.
+     *   `joints` at the top level are those of the shared modules; each module carries its own
+     */
+    function getModuleLayout(params, foldAngle) {
+        const p = createParams(params);
+        const chain = solveModuleChain(p, foldAngle);
+        const jointResult = calculateJointPositions(foldAngle, getJointParams(p));
+        const loc = jointResult.joints;
+        const zHeight = calculateUprightRise(p, loc, Math.max(MIN_SAFE_DIMENSION, getActiveLengths(p).vActiveIn));
+
+        const modules = [];
+        const curPos = {x: 0, y: 0};
+        let curRot = 0;
+        for (let i = 0; i < p.modules; i++) {
+            const own = chain.modules[i].joints;
+            modules.push({ pos: {x: curPos.x, y: curPos.y}, rot: curRot, joints: own });
+            curRot = advanceModule(own, getJoinRotation(chain, i), curPos, curRot, chain.modules[(i + 1) % p.modules].joints);
+        }
+
+        return {
+            joints: loc,
+            relativeRotation: jointResult.relativeRotation,
+            zHeight,
+            topH: zHeight + (p.bracketOffset * 2),
+            modules,
+            mapPoint: (pt, h, module) => mapTo3D(pt, h, module.pos, module.rot)
+        };
+    }
+
+    // ========================================
+    // SOLVER
+    // ========================================
+
+    /**
+     * Solves the linkage geometry for a given fold angle
+     * In arch mode with `arrayCount` > 1 each arch of the tunnel is solved at its
+     * own fold angle (see getArrayFoldAngles) and the arches are laid end to end
+     * along Z, `arrayGap` inches apart, with any connectors between them.
+     * Modules with their own ring beams (`moduleOverrides`) fold to their own
+     * angles, reported in `moduleFoldAngles`; `spanError` is the pivot span
+     * (inches) a module falls short of when no fold angle lets it join the chain.
+     * With `tierCount` > 1 the rings stack into a tower (see solveTiers); parts
+     * carry their `tierIndex` and `tiers` describes where each ring sits.
+     * @param {Object} params - Solver parameters (see createParams)
+     * @param {number} foldAngle - Fold angle in radians
+     * @returns {{beams: Beam3D[], brackets: Array, bolts: Array, maxRad: number, maxHeight: number, zHeight: number, foldAngle: number, joints: Object, relativeRotation: number, moduleFoldAngles: number[], spanError: number, feet: Object|null, groundContacts: Array<{moduleIndex: number, joint: string, isBottom: boolean, center: Object, arrayIndex?: number}>, arrayCopies?: Array<Object>, tiers?: Array<Object>, hubError?: number}} Geometry data.
+     *   `groundContacts` are the pivots the structure stands on: the bottom ring under every upright, or the feet of each arch
+     */
+    function solveLinkage(params, foldAngle) {
+        const p = createParams(params);
+        if (getTierCount(p) > 1) return solveTiers(p, foldAngle);
+
+        const arch = solveArch(p, foldAngle);
+        const { pivots, hubs, ...data } = arch;
+        if (getArrayCopyCount(p) <= 1) return data;
+
+        const solved = getArrayFoldAngles(p, foldAngle).map(angle => (angle === foldAngle ? arch : solveArch(p, angle)));
+        const arrayed = applyArrayDuplication(solved, p);
+
+        return {
+            ...data,
+            beams: arrayed.beams,
+            brackets: arrayed.brackets,
+            bolts: arrayed.bolts,
+            groundContacts: arrayed.groundContacts,
+            maxRad: Math.max(...solved.map(copy => copy.maxRad)),
+            maxHeight: Math.max(...solved.map(copy => copy.maxHeight)),
+            arrayCopies: arrayed.copies
+        };
+    }
+
+    /**
+     * Solves a single ring or arch
+     * @param {Object} p - Complete solver parameters
+     * @param {number} foldAngle - Fold angle in radians
+     * @returns {Object} Geometry data as solveLinkage(), plus the outer ring `pivots` connectors attach to
+     *   and the ring crossing `hubs` of each module ({moduleIndex, bottom, top}) tier struts attach to
+     */
+    function solveArch(p, foldAngle) {
+        const { vActiveIn } = getActiveLengths(p);
+        const safeV = Math.max(MIN_SAFE_DIMENSION, vActiveIn);
+        const boltRadius = (p.boltDiameter || 0.375) / 2;
+
+        const jointResult = calculateJointPositions(foldAngle, getJointParams(p));
+        const sharedLoc = jointResult.joints;
+        const relativeRotation = jointResult.relativeRotation;
+        // Modules that differ fold to their own angles at the same pivot span
+        const chain = solveModuleChain(p, foldAngle);
+
+        // Every module opens to the shared pivot span, so all uprights rise the same
+        const zHeight = calculateUprightRise(p, sharedLoc, safeV);
+
+        const beams = [];
+        const brackets = [];
+        const bolts = [];
+        const pivots = [];
+        const hubs = [];
+        const groundContacts = [];
+        const curPos = {x: 0, y: 0};
+        let curRot = 0;
+
+        // Visible locations with end offsets applied
+        const visibleJoints = (loc) => ({
+            bl: extendPoint(loc.bl, p.offsetBotIn),
+            tr: extendPoint(loc.tr, p.offsetTopIn),
+            br: extendPoint(loc.br, p.offsetBotIn),
+            tl: extendPoint(loc.tl, p.offsetTopIn)
+        });
+
+        const createStack = (p1_A, p2_A, p1_B, p2_B, count, width, thick, offsetDir, moduleIndex, stackType, stackId) => {
+            return createBeamStack({
+                p1_A, p2_A, p1_B, p2_B,
+                count, width, thick, color: WOOD_COLOR, offsetDir,
+                moduleIndex, stackType, stackId,
+                beamsArray: beams,
+                gap: p.stackGap
+            });
+        };
+
+        // Helper to create a bolt through a vertical stack (horizontal orientation).
+        // `pivot` names the joint it pins, e.g. 'upright-bottom-inner'
+        const createHorizontalBolt = (pos, dir, length, moduleIndex, pivot) => ({
+            start: vAdd(pos, vScale(dir, -length / 2)),
+            end: vAdd(pos, vScale(dir, length / 2)),
+            center: pos,
+            dir: dir,
+            length: length,
+            radius: boltRadius,
+            headRadius: boltRadius * 1.8,
+            headHeight: boltRadius * 1.2,
+            boltType: 'vstack',
+            moduleIndex,
+            pivot,
+            z: pos.y
+        });
+
+        const hW = p.hBeamW;
+        const hT = p.hBeamT;
+        const topH = zHeight + (p.bracketOffset * 2);
+        let maxRad = 0;
+
+        for (let i = 0; i < p.modules; i++) {
+            const map = (pt, h) => mapTo3D(pt, h, curPos, curRot);
+            const loc = chain.modules[i].joints;
+            const visLoc = visibleJoints(loc);
+
+            // --- HORIZONTAL RINGS ---
+            createStack(
+                map(visLoc.bl, 0), map(visLoc.tr, 0), // Pattern A
+                map(visLoc.br, 0), map(visLoc.tl, 0), // Pattern B
+                p.hStackCount, hW, hT, {x: 0, y: 1, z: 0},
+                i, 'horizontal-bottom', i * 2
+            );
+            // Top ring stacks downward (mirror of the bottom ring)
+            createStack(
+                map(visLoc.bl, topH), map(visLoc.tr, topH),
+                map(visLoc.br, topH), map(visLoc.tl, topH),
+                p.hStackCount, hW, hT, {x: 0, y: -1, z: 0},
+                i, 'horizontal-top', i * 2 + 1
+            );
+
+            // --- VERTICAL UPRIGHTS (scissor cross-beams) ---
+            // Skipped when fixed straight beams replace the scissor uprights
+            if (zHeight > 1 && !p.useFixedBeams) {
+                const yMin = p.bracketOffset;
+                const yMax = topH - p.bracketOffset;
+
+                const pBotInner = map(loc.br, yMin);
+                const pTopOuter = map(loc.tr, yMax);
+                const pBotOuter = map(loc.tr, yMin);
+                const pTopInner = map(loc.br, yMax);
+
+                const patternA_dir = vNorm(vSub(pTopOuter, pBotInner));
+                const patternB_dir = vNorm(vSub(pTopInner, pBotOuter));
+                const avgPatternDir = vNorm(vScale(vAdd(patternA_dir, patternB_dir), 0.5));
+                const pivotBotCenter = vScale(vAdd(pBotInner, pBotOuter), 0.5);
+                const radVec = vNorm(pivotBotCenter);
+                const stackDir = calculateStackDirection(patternA_dir, patternB_dir, radVec);
+
+                const upright = createUprightStack({
+                    botInner: pBotInner, topOuter: pTopOuter,
+                    botOuter: pBotOuter, topInner: pTopInner,
+                    stackDir, params: p, beamsArray: beams,
+                    metadata: { moduleIndex: i, stackType: 'vertical', stackId: i }
+                });
+
+                // --- CAP UPRIGHTS (for arch mode) ---
+                // Uses the LEFT side pivot points (bl/tl) of the first module
+                let cap = null;
+                if (i === 0 && p.archCapUprights) {
+                    const capBotInner = map(loc.bl, yMin);
+                    const capTopOuter = map(loc.tl, yMax);
+                    const capBotOuter = map(loc.tl, yMin);
+                    const capTopInner = map(loc.bl, yMax);
+                    const capA = vNorm(vSub(capTopOuter, capBotInner));
+                    const capB = vNorm(vSub(capTopInner, capBotOuter));
+                    let capStackDir = vNorm(vCross(capA, capB));
+                    if (vMag(capStackDir) < 0.1) {
+                        capStackDir = vNorm(vCross(vNorm(vScale(vAdd(capA, capB), 0.5)), {x: 0, y: 1, z: 0}));
+                    }
+                    if (vMag(capStackDir) < 0.1) {
+                        capStackDir = vNorm(vCross(capA, {x: 0, y: 1, z: 0}));
+                    }
+                    cap = createUprightStack({
+                        botInner: capBotInner, topOuter: capTopOuter,
+                        botOuter: capBotOuter, topInner: capTopInner,
+                        stackDir: vNorm(capStackDir), params: p, beamsArray: beams,
+                        metadata: { moduleIndex: i, stackType: 'vertical-cap', stackId: -1 }
+                    });
+                    cap.pivots = { capBotInner, capBotOuter, capTopOuter, capTopInner };
+                }
+
+                // Brackets and bolts at pivot points
+                if (p.showBrackets || p.showBolts) {
+                    const vBoltDir = upright.stackDir;
+                    const vBoltLength = p.vBoltLength || (upright.totalThick + 1);
+
+                    // moduleRotation: the angular position of this module around the ring
+                    // joint: the ring joint ('br', 'tr', or 'bl'/'tl' for cap uprights) the bracket sits on
+                    const createBracket = (pivotPos, isBottom, beamDir, moduleRotation, moduleIndex, joint) => {
+                        // Bracket bottom face sits on the horizontal stack, 0.75" clear of the pivot plane
+                        const bracketBottomY = isBottom ? (hT / 2 + 0.75) : (topH - hT / 2 - 0.75);
+                        const bracketGap = p.bracketOffset;
+                        const minRequiredHeight = bracketGap + 0.75;
+                        const actualHeight = Math.max(p.bracketHeight || 3.0, minRequiredHeight);
+
+                        return {
+                            pos: pivotPos,
+                            bottomY: bracketBottomY,
+                            sideHoleY: bracketBottomY + bracketGap,
+                            actualHeight: actualHeight,
+                            holeDistance: bracketGap,
+                            width: p.bracketWidth || 2.0,
+                            depth: p.bracketDepth || 3.0,
+                            wallThickness: p.bracketWallThickness || 0.25,
+                            innerWidth: p.bracketInnerWidth || 1.5,
+                            holeDiameter: p.bracketHoleDiameter || 0.375,
+                            beamDir: beamDir,
+                            right: vNorm(vCross(beamDir, {x: 0, y: 1, z: 0})),
+                            isBottom: isBottom,
+                            boltDir: vBoltDir,
+                            moduleRotation: moduleRotation,
+                            moduleIndex: moduleIndex,
+                            joint: joint,
+                            z: pivotPos.y
+                        };
+                    };
+
+                    if (p.showBrackets) {
+                        // Inner brackets sit on Pattern A beams, outer brackets on Pattern B beams
+                        brackets.push(createBracket(map(loc.br, 0), true, patternA_dir, curRot, i, 'br'));
+                        brackets.push(createBracket(map(loc.tr, 0), true, patternB_dir, curRot, i, 'tr'));
+                        brackets.push(createBracket(map(loc.br, topH), false, patternA_dir, curRot, i, 'br'));
+                        brackets.push(createBracket(map(loc.tr, topH), false, patternB_dir, curRot, i, 'tr'));
+                    }
+
+                    if (p.showBolts) {
+                        // Bottom and top pivot bolts through the vertical stack
+                        bolts.push(createHorizontalBolt(pBotInner, vBoltDir, vBoltLength, i, 'upright-bottom-inner'));
+                        bolts.push(createHorizontalBolt(pBotOuter, vBoltDir, vBoltLength, i, 'upright-bottom-outer'));
+                        bolts.push(createHorizontalBolt(pTopOuter, vBoltDir, vBoltLength, i, 'upright-top-outer'));
+                        bolts.push(createHorizontalBolt(pTopInner, vBoltDir, vBoltLength, i, 'upright-top-inner'));
+                        // Center pivot bolt where the two X beams cross
+                        bolts.push(createHorizontalBolt(upright.centerMid, vBoltDir, vBoltLength, i, 'upright-center'));
+
+                        if (cap) {
+                            const c = cap.pivots;
+                            bolts.push(createHorizontalBolt(c.capBotInner, cap.stackDir, vBoltLength, i, 'cap-bottom-inner'));
+                            bolts.push(createHorizontalBolt(c.capBotOuter, cap.stackDir, vBoltLength, i, 'cap-bottom-outer'));
+                            bolts.push(createHorizontalBolt(c.capTopOuter, cap.stackDir, vBoltLength, i, 'cap-top-outer'));
+                            bolts.push(createHorizontalBolt(c.capTopInner, cap.stackDir, vBoltLength, i, 'cap-top-inner'));
+                            bolts.push(createHorizontalBolt(cap.centerMid, cap.stackDir, vBoltLength, i, 'cap-center'));
+                        }
+                    }
+
+                    if (i === 0 && p.archCapUprights && p.showBrackets) {
+                        const capBotInner = map(loc.bl, 0);
+                        const capBotOuter = map(loc.tl, 0);
+                        const capTopInner = map(loc.bl, topH);
+                        const capTopOuter = map(loc.tl, topH);
+                        const capA = vNorm(vSub(capTopOuter, capBotInner));
+                        const capB = vNorm(vSub(capTopInner, capBotOuter));
+                        brackets.push(createBracket(capBotInner, true, capA, curRot, i, 'bl'));
+                        brackets.push(createBracket(capBotOuter, true, capB, curRot, i, 'tl'));
+                        brackets.push(createBracket(capTopInner, false, capA, curRot, i, 'bl'));
+                        brackets.push(createBracket(capTopOuter, false, capB, curRot, i, 'tl'));
+                    }
+                }
+            }
+
+            // --- FIXED STRAIGHT BEAMS (non-folding, constant spacing) ---
+            if (p.useFixedBeams) {
+                const fixedW = p.vBeamW;
+                const fixedT = p.vBeamT;
+                const pushFixed = (start, end, stackType, stackId) => {
+                    if (vMag(vSub(end, start)) > 0.1) {
+                        beams.push(new Beam3D(start, end, fixedW, fixedT, WOOD_COLOR, {
+                            moduleIndex: i, stackType, stackId
+                        }));
+                    }
+                };
+
+                pushFixed(map(loc.br, 0), map(loc.br, topH), 'fixed-beam', i * 2);
+                pushFixed(map(loc.tr, 0), map(loc.tr, topH), 'fixed-beam', i * 2 + 1);
+
+                if (i === 0 && p.archCapUprights) {
+                    pushFixed(map(loc.bl, 0), map(loc.bl, topH), 'fixed-beam-cap', -2);
+                    pushFixed(map(loc.tl, 0), map(loc.tl, topH), 'fixed-beam-cap', -3);
+                }
+            }
+
+            // Crossing of the X pattern in the horizontal stacks: the ring's centre
+            // pivot, where the module bolts and any tier hub struts go through
+            const bl = visLoc.bl, tr = visLoc.tr, br = visLoc.br, tl = visLoc.tl;
+            const d1x = tr.x - bl.x, d1y = tr.y - bl.y;
+            const d2x = tl.x - br.x, d2y = tl.y - br.y;
+            const denom = d1x * d2y - d1y * d2x;
+
+            let hCenter2D;
+            if (Math.abs(denom) > 0.0001) {
+                const t = ((br.x - bl.x) * d2y - (br.y - bl.y) * d2x) / denom;
+                hCenter2D = {x: bl.x + t * d1x, y: bl.y + t * d1y};
+            } else {
+                // Lines are parallel - use midpoint as fallback
+                hCenter2D = {
+                    x: (bl.x + tr.x + br.x + tl.x) / 4,
+                    y: (bl.y + tr.y + br.y + tl.y) / 4
+                };
+            }
+            const hCenterBot = map(hCenter2D, 0);
+            const hCenterTop = map(hCenter2D, topH);
+            hubs.push({ moduleIndex: i, bottom: hCenterBot, top: hCenterTop });
+
+            // --- HORIZONTAL MODULE BOLTS (vertical orientation) ---
+            // Through the horizontal stacks at the crossing of the X pattern
+            if (p.showBolts) {
+                const hBoltLength = p.hBoltLength || (p.hStackCount * hT + 1);
+
+                const createVerticalBolt = (center, baseY, pivot) => ({
+                    start: {x: center.x, y: baseY - hBoltLength / 2, z: center.z},
+                    end: {x: center.x, y: baseY + hBoltLength / 2, z: center.z},
+                    center: center,
+                    dir: {x: 0, y: 1, z: 0},
+                    length: hBoltLength,
+                    radius: boltRadius,
+                    headRadius: boltRadius * 1.8,
+                    headHeight: boltRadius * 1.2,
+                    boltType: 'hstack',
+                    moduleIndex: i,
+                    pivot,
+                    z: center.y
+                });
+
+                bolts.push(createVerticalBolt(hCenterBot, 0, 'ring-bottom-center'));
+                bolts.push(createVerticalBolt(hCenterTop, topH, 'ring-top-center'));
+            }
+
+            // Outer ring pivots, where tunnel connectors attach
+            const outerJoints = (i === 0) ? ['tl', 'tr'] : ['tr'];
+            outerJoints.forEach(joint => {
+                pivots.push({ moduleIndex: i, joint, isBottom: true, center: map(loc[joint], 0) });
+                pivots.push({ moduleIndex: i, joint, isBottom: false, center: map(loc[joint], topH) });
+            });
+
+            // A flat ring rests on its bottom pivots under the uprights
+            if (p.orientation !== 'vertical') {
+                ['br', 'tr'].forEach(joint => {
+                    groundContacts.push({ moduleIndex: i, joint, isBottom: true, center: map(loc[joint], 0) });
+                });
+            }
+
+            // Track maximum radius for diameter calculation
+            const currentRadius = vMag(map(visLoc.tr, 0));
+            if (currentRadius > maxRad) maxRad = currentRadius;
+
+            // Calculate next module position and rotation
+            curRot = advanceModule(loc, getJoinRotation(chain, i), curPos, curRot, chain.modules[(i + 1) % p.modules].joints);
+        }
+
+        let maxHeight = zHeight + (p.bracketOffset * 2) + p.hBeamT + p.vertEndOffset;
+        let feet = null;
+
+        // Arch/bridge mode: stand the ring up with its feet on the ground
+        if (p.orientation === 'vertical') {
+            const arch = applyArchTransform(beams, brackets, bolts.concat(pivots), p);
+            feet = arch.feet;
+            maxHeight = arch.maxHeight;
+            maxRad = arch.maxRad;
+
+            // An arch stands on its two feet, once in each ring: the foot
+            // position in the plane, at the depth of that ring's end pivot
+            pivots.forEach(pv => {
+                const foot = (pv.moduleIndex === 0 && pv.joint === 'tl') ? feet.left
+                    : (pv.moduleIndex === p.modules - 1 && pv.joint === 'tr') ? feet.right
+                    : null;
+                if (foot) groundContacts.push({ ...pv, center: { x: foot.x, y: foot.y, z: pv.center.z } });
+            });
+        }
+
+        return {
+            beams,
+            brackets,
+            bolts,
+            maxRad,
+            maxHeight,
+            zHeight,
+            foldAngle,
+            joints: sharedLoc,
+            relativeRotation,
+            moduleFoldAngles: chain.modules.map(m => m.foldAngle),
+            spanError: chain.spanError,
+            feet,
+            groundContacts,
+            pivots,
+            hubs
+        };
+    }
+
+    /**
+     * Rotates a solved horizontal ring into a vertical arch and grounds it on its feet
+     * (outer pivots of the first and last modules, or the cap uprights when present)
+     * @param {Beam3D[]} beams - Beams to transform in place
+     * @param {Array} brackets - Brackets to transform in place
+     * @param {Array} bolts - Bolts to transform in place
+     * @param {Object} p - Solver parameters
+     * @returns {{feet: {left: {x,y,z}, right: {x,y,z}}, maxHeight: number, maxRad: number}} Arch result
+     */
+    function applyArchTransform(beams, brackets, bolts, p) {
+        const horizontalRadius = (pt) => Math.sqrt(pt.x * pt.x + pt.z * pt.z);
+        const hBeams = beams.filter(b => b.stackType && b.stackType.startsWith('horizontal'));
+        const capBeams = beams.filter(b => b.stackType === 'vertical-cap' || b.stackType === 'fixed-beam-cap');
+        let leftFoot = null;
+        let rightFoot = null;
+
+        // Cap uprights, if present, define the left foot (outermost point)
+        if (p.archCapUprights && capBeams.length > 0) {
+            let maxRadCap = -Infinity;
+            capBeams.forEach(beam => {
+                [beam.p1, beam.p2, ...(beam.corners || [])].forEach(pt => {
+                    if (!pt) return;
+                    const rad = horizontalRadius(pt);
+                    if (rad > maxRadCap) { maxRadCap = rad; leftFoot = {...pt}; }
+                });
+            });
+        }
+
+        if (hBeams.length >= 2) {
+            const sorted = [...hBeams].sort((a, b) => (a.moduleIndex ?? 0) - (b.moduleIndex ?? 0));
+            const minModule = sorted[0].moduleIndex;
+            const maxModule = sorted[sorted.length - 1].moduleIndex;
+            const outermost = (list) => {
+                let best = null;
+                let bestRad = -Infinity;
+                list.forEach(beam => {
+                    [beam.p1, beam.p2].forEach(pt => {
+                        if (!pt) return;
+                        const rad = horizontalRadius(pt);
+                        if (rad > bestRad) { bestRad = rad; best = {...pt}; }
+                    });
+                });
+                return best;
+            };
+
+            if (!leftFoot) leftFoot = outermost(sorted.filter(b => b.moduleIndex === minModule));
+            rightFoot = outermost(sorted.filter(b => b.moduleIndex === maxModule));
+        }
+
+        // Fallback: use geometry center if feet not found
+        if (!leftFoot || !rightFoot) {
+            let sumX = 0, sumY = 0, sumZ = 0, count = 0;
+            beams.forEach(beam => {
+                (beam.corners || []).forEach(c => {
+                    if (c) { sumX += c.x; sumY += c.y; sumZ += c.z; count++; }
+                });
+            });
+            const cx = count > 0 ? sumX / count : 0;
+            const cy = count > 0 ? sumY / count : 0;
+            const cz = count > 0 ? sumZ / count : 0;
+            leftFoot = leftFoot || {x: cx - 10, y: cy, z: cz};
+            rightFoot = rightFoot || {x: cx + 10, y: cy, z: cz};
+        }
+
+        // Rotate around Y to align the feet with the X axis (plus user rotation),
+        // then rotate 90° around X: (x, y, z) -> (x, z, -y)
+        const midX = (leftFoot.x + rightFoot.x) / 2;
+        const midY = (leftFoot.y + rightFoot.y) / 2;
+        const midZ = (leftFoot.z + rightFoot.z) / 2;
+        const footAngle = Math.atan2(rightFoot.z - leftFoot.z, rightFoot.x - leftFoot.x);
+        const totalRotY = -footAngle + degToRad(p.archRotation || 0);
+        const cosR = Math.cos(totalRotY);
+        const sinR = Math.sin(totalRotY);
+        const flipY = p.archFlipVertical ? -1 : 1;
+
+        const transformPoint = (pt) => {
+            if (!pt || typeof pt.x === 'undefined') return pt;
+            const x = pt.x - midX;
+            const y = pt.y - midY;
+            const z = pt.z - midZ;
+            const x2 = x * cosR - z * sinR;
+            const z2 = x * sinR + z * cosR;
+            return { x: x2, y: z2 * flipY, z: -y };
+        };
+
+        const transformDir = (v) => {
+            if (!v || typeof v.x === 'undefined') return v;
+            const x2 = v.x * cosR - v.z * sinR;
+            const z2 = v.x * sinR + v.z * cosR;
+            return { x: x2, y: z2 * flipY, z: -v.y };
+        };
+
+        transformAll(beams, brackets, bolts, transformPoint, transformDir);
+        leftFoot = transformPoint(leftFoot);
+        rightFoot = transformPoint(rightFoot);
+
+        // Ground the feet at Y=0, centered on X
+        const feetY = Math.min(leftFoot.y, rightFoot.y);
+        const feetCenterX = (leftFoot.x + rightFoot.x) / 2;
+        const groundPoint = (pt) => {
+            if (!pt || typeof pt.y === 'undefined') return pt;
+            return { x: pt.x - feetCenterX, y: pt.y - feetY, z: pt.z };
+        };
+        transformAll(beams, brackets, bolts, groundPoint, null);
+        leftFoot = groundPoint(leftFoot);
+        rightFoot = groundPoint(rightFoot);
+
+        let maxY = -Infinity;
+        let maxAbsX = 0;
+        beams.forEach(beam => {
+            (beam.corners || []).forEach(c => {
+                if (!c) return;
+                if (c.y > maxY) maxY = c.y;
+                if (Math.abs(c.x) > maxAbsX) maxAbsX = Math.abs(c.x);
+            });
+        });
+
+        return {
+            feet: { left: leftFoot, right: rightFoot },
+            maxHeight: maxY > 0 ? maxY : 0,
+            maxRad: maxAbsX
+        };
+    }
+
+    /**
+     * Applies point/direction transforms to solved geometry in place
+     * @param {Beam3D[]} beams - Beams
+     * @param {Array} brackets - Brackets
+     * @param {Array} bolts - Bolts
+     * @param {Function} transformPoint - Point transform
+     * @param {Function|null} transformDir - Direction transform (null = translation only)
+     */
+    function transformAll(beams, brackets, bolts, transformPoint, transformDir) {
+        beams.forEach(beam => {
+            if (beam.corners) beam.corners = beam.corners.map(c => transformPoint(c));
+            if (beam.p1) beam.p1 = transformPoint(beam.p1);
+            if (beam.p2) beam.p2 = transformPoint(beam.p2);
+            if (beam.center) beam.center = transformPoint(beam.center);
+            if (transformDir) {
+                if (beam.axisX) beam.axisX = transformDir(beam.axisX);
+                if (beam.axisY) beam.axisY = transformDir(beam.axisY);
+                if (beam.axisZ) beam.axisZ = transformDir(beam.axisZ);
+                if (beam.faces) {
+                    beam.faces.forEach(face => {
+                        if (face.norm) face.norm = transformDir(face.norm);
+                    });
+                }
+            }
+        });
+
+        brackets.forEach(bracket => {
+            if (bracket.pos) bracket.pos = transformPoint(bracket.pos);
+            if (transformDir) {
+                if (bracket.beamDir) bracket.beamDir = transformDir(bracket.beamDir);
+                if (bracket.right) bracket.right = transformDir(bracket.right);
+                if (bracket.boltDir) bracket.boltDir = transformDir(bracket.boltDir);
+            }
+        });
+
+        bolts.forEach(bolt => {
+            if (bolt.start) bolt.start = transformPoint(bolt.start);
+            if (bolt.end) bolt.end = transformPoint(bolt.end);
+            if (bolt.center) bolt.center = transformPoint(bolt.center);
+            if (transformDir && bolt.dir) bolt.dir = transformDir(bolt.dir);
+        });
+    }
+
+    /**
+     * Lays arches end to end along Z for tunnel/array mode
+     * @param {Array<Object>} copies - Solved arches from solveArch(), one per copy
+     * @param {Object} p - Solver parameters (uses arrayGap and arrayConnectors)
+     * @returns {{beams: Array, brackets: Array, bolts: Array, groundContacts: Array, copies: Array<{index: number, foldAngle: number, offsetZ: number, minZ: number, maxZ: number, maxHeight: number}>}} Arrayed geometry
+     */
+    function applyArrayDuplication(copies, p) {
+        const ranges = copies.map(copy => {
+            let minZ = Infinity, maxZ = -Infinity;
+            copy.beams.forEach(beam => {
+                [...(beam.corners || []), beam.p1, beam.p2].forEach(c => {
+                    if (c && typeof c.z !== 'undefined') {
+                        if (c.z < minZ) minZ = c.z;
+                        if (c.z > maxZ) maxZ = c.z;
+                    }
+                });
+            });
+            return { minZ, maxZ };
+        });
+
+        // Each arch starts where the previous one ends, plus the gap; then center the run
+        const gap = Math.max(0, p.arrayGap || 0);
+        const offsets = [0];
+        for (let i = 1; i < copies.length; i++) {
+            offsets.push(offsets[i - 1] + ranges[i - 1].maxZ - ranges[i].minZ + gap);
+        }
+        const centerShift = -(offsets[0] + offsets[offsets.length - 1]) / 2;
+        const shift = (pt, dz) => ({ x: pt.x, y: pt.y, z: (pt.z || 0) + dz });
+
+        const out = { beams: [], brackets: [], bolts: [], groundContacts: [], copies: [] };
+        const pivots = [];
+        copies.forEach((copy, i) => {
+            const offsetZ = offsets[i] + centerShift;
+
+            copy.beams.forEach(beam => {
+                out.beams.push(translateBeam(beam, { x: 0, y: 0, z: offsetZ }, { arrayIndex: i }));
+            });
+
+            copy.brackets.forEach(bracket => {
+                const placed = {...bracket, arrayIndex: i};
+                if (placed.pos) placed.pos = shift(bracket.pos, offsetZ);
+                out.brackets.push(placed);
+            });
+
+            copy.bolts.forEach(bolt => {
+                const placed = {...bolt, arrayIndex: i};
+                if (placed.start) placed.start = shift(bolt.start, offsetZ);
+                if (placed.end) placed.end = shift(bolt.end, offsetZ);
+                if (placed.center) placed.center = shift(bolt.center, offsetZ);
+                out.bolts.push(placed);
+            });
+
+            copy.groundContacts.forEach(contact => {
+                out.groundContacts.push({ ...contact, arrayIndex: i, center: shift(contact.center, offsetZ) });
+            });
+
+            pivots.push(copy.pivots.map(pivot => ({ ...pivot, center: shift(pivot.center, offsetZ) })));
+            out.copies.push({
+                index: i,
+                foldAngle: copy.foldAngle,
+                offsetZ,
+                minZ: ranges[i].minZ + offsetZ,
+                maxZ: ranges[i].maxZ + offsetZ,
+                maxHeight: copy.maxHeight
+            });
+        });
+
+        out.beams.push(...createArrayConnectors(pivots, p));
+        return out;
+    }
+
+    /**
+     * Copy of a solved beam moved by an offset
+     * @param {Beam3D} beam - Beam to copy
+     * @param {{x: number, y: number, z: number}} d - Offset in inches
+     * @param {Object} tags - Extra properties for the copy (e.g. arrayIndex)
+     * @returns {Object} Plain beam object with the Beam3D fields
+     */
+    function translateBeam(beam, d, tags) {
+        const move = (pt) => ({ x: pt.x + d.x, y: pt.y + d.y, z: (pt.z || 0) + d.z });
+        return {
+            type: 'beam',
+            colorBase: beam.colorBase,
+            moduleIndex: beam.moduleIndex,
+            stackType: beam.stackType,
+            stackId: beam.stackId,
+            patternId: beam.patternId,
+            layer: beam.layer,
+            ...tags,
+            w: beam.w,
+            t: beam.t,
+            axisX: {...beam.axisX},
+            axisY: {...beam.axisY},
+            axisZ: {...beam.axisZ},
+            p1: move(beam.p1),
+            p2: move(beam.p2),
+            center: move(beam.center),
+            corners: beam.corners.map(move),
+            faces: beam.faces.map(f => ({ idx: [...f.idx], norm: {...f.norm} }))
+        };
+    }
+
+    /**
+     * Connector beams between neighbouring arches, pivot to pivot across the
+     * facing rings: one ridge beam at the crown, or a purlin at every outer pivot
+     * @param {Array<Array<Object>>} pivots - Outer ring pivots of each placed copy
+     * @param {Object} p - Solver parameters (uses arrayConnectors and the horizontal beam section)
+     * @returns {Beam3D[]} Connectors (stackType 'array-connector'), tagged with the copy they leave from
+     */
+    function createArrayConnectors(pivots, p) {
+        const type = p.arrayConnectors;
+        if (type !== 'ridge' && type !== 'purlins') return [];
+
+        // The ring of a copy closest to its neighbour in the given direction (+1 = +Z)
+        const facingRing = (list, dir) => {
+            const meanZ = (isBottom) => {
+                const ring = list.filter(pv => pv.isBottom === isBottom);
+                return ring.reduce((sum, pv) => sum + pv.center.z, 0) / Math.max(1, ring.length);
+            };
+            const bottomFaces = (meanZ(true) - meanZ(false)) * dir > 0;
+            return list.filter(pv => pv.isBottom === bottomFaces);
+        };
+
+        const connectors = [];
+        for (let i = 0; i + 1 < pivots.length; i++) {
+            const near = facingRing(pivots[i], 1);
+            const far = facingRing(pivots[i + 1], -1);
+            let pairs = near
+                .map(a => ({ a, b: far.find(pv => pv.moduleIndex === a.moduleIndex && pv.joint === a.joint) }))
+                .filter(pair => pair.b && vMag(vSub(pair.b.center, pair.a.center)) > 0.1);
+
+            if (type === 'ridge' && pairs.length > 0) {
+                const crown = (pair) => pair.a.center.y + pair.b.center.y;
+                pairs = [pairs.reduce((best, pair) => (crown(pair) > crown(best) ? pair : best))];
+            }
+
+            pairs.forEach(({ a, b }) => {
+                const dir = vNorm(vSub(b.center, a.center));
+                const beam = new Beam3D(
+                    vAdd(a.center, vScale(dir, -CONNECTOR_END_IN)),
+                    vAdd(b.center, vScale(dir, CONNECTOR_END_IN)),
+                    p.hBeamW, p.hBeamT, WOOD_COLOR,
+                    { moduleIndex: a.moduleIndex, stackType: 'array-connector', stackId: connectors.length }
+                );
+                beam.arrayIndex = i;
+                beam.connector = { type: type === 'ridge' ? 'ridge' : 'purlin', joint: a.joint, spanIn: vMag(vSub(b.center, a.center)) };
+                connectors.push(beam);
+            });
+        }
+        return connectors;
+    }
+
+    /**
+     * Centre of the circle best fitting a set of ring points in plan (least
+     * squares), or their centroid when they lie on a line
+     * @param {Array<{x: number, z: number}>} points - Points on the ring
+     * @returns {{x: number, z: number}} Centre in plan
+     */
+    function fitRingCenter(points) {
+        const n = points.length;
+        const centroid = {
+            x: points.reduce((sum, pt) => sum + pt.x, 0) / Math.max(1, n),
+            z: points.reduce((sum, pt) => sum + pt.z, 0) / Math.max(1, n)
+        };
+        if (n < 3) return centroid;
+
+        // x² + z² + a·x + b·z + c = 0 about the centroid; normal equations for a, b
+        let sxx = 0, sxz = 0, szz = 0, sxr = 0, szr = 0;
+        points.forEach(pt => {
+            const x = pt.x - centroid.x;
+            const z = pt.z - centroid.z;
+            const r = x * x + z * z;
+            sxx += x * x; sxz += x * z; szz += z * z;
+            sxr += x * r; szr += z * r;
+        });
+        const det = sxx * szz - sxz * sxz;
+        if (Math.abs(det) < 1e-9 * Math.max(1, sxx * szz)) return centroid;
+        const a = -(sxr * szz - szr * sxz) / det;
+        const b = -(szr * sxx - sxr * sxz) / det;
+        return { x: centroid.x - a / 2, z: centroid.z - b / 2 };
+    }
+
+    /**
+     * Solves a tower of stacked rings at one fold angle. Every tier is the base
+     * ring scaled by getTierScales() and folds with it, so a single actuator
+     * drives the whole tower. Each tier is centred over the one below and hangs
+     * from a hub strut per module, `tierHubIn` pivot to pivot, from the ring
+     * crossing of the lower tier's top ring to that of the upper tier's bottom
+     * ring. As the rings fold their radii shrink together, the struts stand
+     * more upright and the tower grows taller.
+     * @param {Object} p - Complete solver parameters
+     * @param {number} foldAngle - Fold angle in radians
+     * @returns {Object} Geometry data as solveLinkage(), with `tiers`
+     *   ({index, scale, offset, zHeight, maxHeight}) and `hubError`, the largest
+     *   difference (inches) between a strut's length and the pivots it has to reach
+     */
+    function solveTiers(p, foldAngle) {
+        const scales = getTierScales(p);
+        const solved = scales.map((_, k) => solveArch(getTierParams(p, k), foldAngle));
+        const hubLength = Math.max(MIN_SAFE_DIMENSION, p.tierHubIn);
+        const { pivots, hubs, ...base } = solved[0];
+
+        const beams = [];
+        const brackets = [];
+        const bolts = [];
+        const tiers = [];
+        let below = null;
+        let hubError = 0;
+
+        solved.forEach((tier, k) => {
+            const center = fitRingCenter(tier.hubs.map(hub => hub.bottom));
+            const offset = { x: 0, y: 0, z: 0 };
+
+            if (below) {
+                offset.x = below.center.x - center.x;
+                offset.z = below.center.z - center.z;
+
+                // Plan distance each strut spans; the tier rises until the mean strut fits
+                const pairs = tier.hubs.map(hub => ({
+                    hub,
+                    from: (below.hubs.find(h => h.moduleIndex === hub.moduleIndex) || {}).top
+                })).filter(pair => pair.from);
+                const reach = pairs.map(({ hub, from }) => Math.hypot(hub.bottom.x + offset.x - from.x, hub.bottom.z + offset.z - from.z));
+                const meanReach = reach.reduce((sum, r) => sum + r, 0) / Math.max(1, reach.length);
+                const rise = Math.sqrt(Math.max(0, hubLength * hubLength - meanReach * meanReach));
+                offset.y = below.topY + rise;
+
+                pairs.forEach(({ hub, from }, i) => {
+                    hubError = Math.max(hubError, Math.abs(Math.hypot(reach[i], rise) - hubLength));
+                    const to = vAdd(hub.bottom, offset);
+                    if (vMag(vSub(to, from)) > 0.1) {
+                        const strut = new Beam3D(from, to, p.vBeamW, p.vBeamT, WOOD_COLOR,
+                            { moduleIndex: hub.moduleIndex, stackType: 'tier-hub', stackId: hub.moduleIndex });
+                        strut.tierIndex = k;
+                        beams.push(strut);
+                    }
+                });
+            }
+
+            const move = (pt) => vAdd(pt, offset);
+            tier.beams.forEach(beam => beams.push(translateBeam(beam, offset, { tierIndex: k })));
+            tier.brackets.forEach(bracket => {
+                const placed = { ...bracket, tierIndex: k };
+                if (placed.pos) placed.pos = move(bracket.pos);
+                if (typeof placed.bottomY === 'number') placed.bottomY += offset.y;
+                if (typeof placed.sideHoleY === 'number') placed.sideHoleY += offset.y;
+                if (typeof placed.z === 'number') placed.z += offset.y;
+                brackets.push(placed);
+            });
+            tier.bolts.forEach(bolt => {
+                const placed = { ...bolt, tierIndex: k };
+                ['start', 'end', 'center'].forEach(key => { if (placed[key]) placed[key] = move(bolt[key]); });
+                if (typeof placed.z === 'number') placed.z += offset.y;
+                bolts.push(placed);
+            });
+
+            tiers.push({
+                index: k,
+                scale: scales[k],
+                offset,
+                zHeight: tier.zHeight,
+                maxHeight: tier.maxHeight + offset.y
+            });
+            below = {
+                center: { x: center.x + offset.x, z: center.z + offset.z },
+                topY: tier.hubs.length > 0 ? tier.hubs[0].top.y + offset.y : offset.y,
+                hubs: tier.hubs.map(hub => ({ moduleIndex: hub.moduleIndex, top: move(hub.top) }))
+            };
+        });
+
+        return {
+            ...base,
+            beams,
+            brackets,
+            bolts,
+            maxRad: Math.max(...solved.map(tier => tier.maxRad)),
+            maxHeight: Math.max(...tiers.map(tier => tier.maxHeight)),
+            tiers,
+            hubError
+        };
+    }
+
+    // ========================================
+    // COLLISION DETECTION
+    // ========================================
+
+    /**
+     * Axis-aligned bounds of a set of corner points
+     * @param {Array<{x,y,z}>} corners - Points
+     * @returns {{min: {x,y,z}, max: {x,y,z}}} Bounds
+     */
+    function computeBounds(corners) {
+        const min = {x: Infinity, y: Infinity, z: Infinity};
+        const max = {x: -Infinity, y: -Infinity, z: -Infinity};
+        corners.forEach(c => {
+            if (c.x < min.x) min.x = c.x;
+            if (c.y < min.y) min.y = c.y;
+            if (c.z < min.z) min.z = c.z;
+            if (c.x > max.x) max.x = c.x;
+            if (c.y > max.y) max.y = c.y;
+            if (c.z > max.z) max.z = c.z;
+        });
+        return { min, max };
+    }
+
+    /**
+     * Overlap of two axis-aligned bounding boxes
+     * @param {{min, max}} b1 - First box
+     * @param {{min, max}} b2 - Second box
+     * @returns {{x: number, y: number, z: number, volume: number, maxDim: number}|null} Overlap, or null if disjoint
+     */
+    function checkBoxOverlap(b1, b2) {
+        const overlapX = Math.min(b1.max.x, b2.max.x) - Math.max(b1.min.x, b2.min.x);
+        const overlapY = Math.min(b1.max.y, b2.max.y) - Math.max(b1.min.y, b2.min.y);
+        const overlapZ = Math.min(b1.max.z, b2.max.z) - Math.max(b1.min.z, b2.min.z);
+
+        if (overlapX <= 0 || overlapY <= 0 || overlapZ <= 0) {
+            return null;
+        }
+
+        return {
+            x: overlapX, y: overlapY, z: overlapZ,
+            volume: overlapX * overlapY * overlapZ,
+            maxDim: Math.max(overlapX, overlapY, overlapZ)
+        };
+    }
+
+    /**
+     * Detects collisions between beams using bounding box tests.
+     * Excludes collisions within the same stack and between adjacent modules (expected overlaps).
+     * @param {{beams: Beam3D[], foldAngle?: number}} data - Geometry data from solveLinkage()
+     * @param {Object} params - Solver parameters
+     * @returns {Array<{beam: Beam3D, other: Beam3D, type: string, message?: string}>} Collisions
+     */
+    function detectCollisions(data, params) {
+        const p = createParams(params);
+        const collisions = [];
+        const MIN_OVERLAP_SIZE = 0.5;    // At least 0.5" overlap in one dimension
+        const MIN_OVERLAP_VOLUME = 0.25; // Minimum overlap volume (cubic inches)
+        const totalModules = p.modules;
+        const foldAngle = data.foldAngle !== undefined ? data.foldAngle : p.foldAngle;
+
+        // CHECK 0: Geometric over-folding - total rotation around the ring beyond 360°
+        // (with ~5° of margin for the ring to close)
+        const totalRotation = getTotalRotation(p, foldAngle);
+        const maxAllowedRotation = Math.PI * 2 + degToRad(5);
+
+        if (totalRotation > maxAllowedRotation) {
+            const message = `Ring over-folded: ${radToDeg(totalRotation).toFixed(1)}° exceeds 360°`;
+            const firstModuleBeams = data.beams.filter(b => b.moduleIndex === 0);
+            const lastModuleBeams = data.beams.filter(b => b.moduleIndex === totalModules - 1);
+
+            // Pair horizontal beams at the same level (both top or both bottom)
+            for (const firstBeam of firstModuleBeams) {
+                for (const lastBeam of lastModuleBeams) {
+                    const firstIsHorizontal = firstBeam.stackType && firstBeam.stackType.startsWith('horizontal');
+                    const lastIsHorizontal = lastBeam.stackType && lastBeam.stackType.startsWith('horizontal');
+                    if (firstIsHorizontal && lastIsHorizontal &&
+                        (firstBeam.stackType === 'horizontal-top') === (lastBeam.stackType === 'horizontal-top')) {
+                        collisions.push({ beam: firstBeam, other: lastBeam, type: 'geometric-overfold', message });
+                    }
+                }
+            }
+
+            if (collisions.length === 0 && data.beams.length >= 2) {
+                collisions.push({ beam: data.beams[0], other: data.beams[1], type: 'geometric-overfold', message });
+            }
+
+            // No need for detailed checks if geometrically impossible
+            return collisions;
+        }
+
+        // Adjacent modules (including wrap-around) overlap by design
+        const areModulesAdjacent = (m1, m2) => {
+            if (m1 === undefined || m2 === undefined) return true;
+            const diff = Math.abs(m1 - m2);
+            return diff <= 1 || diff === totalModules - 1;
+        };
+
+        const normalizeAngle = (angle) => {
+            while (angle < 0) angle += Math.PI * 2;
+            while (angle >= Math.PI * 2) angle -= Math.PI * 2;
+            return angle;
+        };
+
+        const angularDistance = (a1, a2) => {
+            const diff = Math.abs(normalizeAngle(a1) - normalizeAngle(a2));
+            return Math.min(diff, Math.PI * 2 - diff);
+        };
+
+        // Separate beams by type: horizontal vs vertical
+        const horizontalBeams = [];
+        const verticalBeams = [];
+
+        // Tunnel connectors and tier hub struts bolt onto the ring pivots by design
+        data.beams.filter(beam => beam.stackType !== 'array-connector' && beam.stackType !== 'tier-hub').forEach(beam => {
+            const bounds = computeBounds(beam.corners);
+            bounds.beam = beam;
+            bounds.moduleIndex = beam.moduleIndex;
+            bounds.center = beam.center;
+            bounds.angularCenter = Math.atan2(beam.center.z, beam.center.x);
+
+            const ySpan = bounds.max.y - bounds.min.y;
+            const horizontalExtent = Math.max(bounds.max.x - bounds.min.x, bounds.max.z - bounds.min.z);
+
+            if (ySpan > horizontalExtent * 0.5) {
+                verticalBeams.push(bounds);
+            } else {
+                horizontalBeams.push(bounds);
+            }
+        });
+
+        // CHECK 1: Vertical-horizontal collisions (struts hitting rings)
+        for (const vBeam of verticalBeams) {
+            for (const hBeam of horizontalBeams) {
+                const overlap = checkBoxOverlap(vBeam, hBeam);
+                if (overlap && overlap.maxDim > MIN_OVERLAP_SIZE && overlap.volume > MIN_OVERLAP_VOLUME) {
+                    collisions.push({ beam: vBeam.beam, other: hBeam.beam, type: 'vertical-horizontal' });
+                }
+            }
+        }
+
+        // CHECK 2: Over-folding - horizontal beams from non-adjacent modules
+        const minExpectedAngularSeparation = (Math.PI * 2 / totalModules) * 0.3;
+        for (let i = 0; i < horizontalBeams.length; i++) {
+            const h1 = horizontalBeams[i];
+            for (let j = i + 1; j < horizontalBeams.length; j++) {
+                const h2 = horizontalBeams[j];
+
+                if (areModulesAdjacent(h1.moduleIndex, h2.moduleIndex)) continue;
+
+                // Same ring level only
+                if (h1.max.y < h2.min.y || h2.max.y < h1.min.y) continue;
+
+                const boxOverlap = checkBoxOverlap(h1, h2);
+                if (boxOverlap && boxOverlap.maxDim > MIN_OVERLAP_SIZE && boxOverlap.volume > MIN_OVERLAP_VOLUME) {
+                    collisions.push({ beam: h1.beam, other: h2.beam, type: 'over-folding' });
+                    continue;
+                }
+
+                // Non-adjacent beams at similar angles are trying to occupy the same space
+                if (angularDistance(h1.angularCenter, h2.angularCenter) < minExpectedAngularSeparation) {
+                    const centerDist = vMag(vSub(h1.center, h2.center));
+                    const beamLength = Math.max(
+                        vMag(vSub(h1.beam.corners[0], h1.beam.corners[4])),
+                        vMag(vSub(h2.beam.corners[0], h2.beam.corners[4]))
+                    );
+                    if (centerDist < beamLength * 0.8) {
+                        collisions.push({ beam: h1.beam, other: h2.beam, type: 'over-folding' });
+                    }
+                }
+            }
+        }
+
+        return collisions;
+    }
+
+    /** Penetration (inches) below which hardware and panel contacts count as seated, not colliding */
+    const MIN_PART_PENETRATION = 0.5;
+
+    /**
+     * Oriented bounding box of a solved part.
+     * Brackets are boxed as an envelope on the upright side of their pivot.
+     * @param {Object} part - Beam or panel (corners + axisX/Y/Z), bracket (pos + beamDir) or bolt (start/end)
+     * @returns {{center: {x,y,z}, axes: Array<{x,y,z}>, half: number[]}|null} Box, or null for unknown parts
+     */
+    function getOrientedBox(part) {
+        if (part.corners && part.axisX && part.axisY && part.axisZ) {
+            const axes = [part.axisX, part.axisY, part.axisZ];
+            let center = {x: 0, y: 0, z: 0};
+            const half = axes.map(axis => {
+                const d = part.corners.map(c => vDot(c, axis));
+                const min = Math.min(...d);
+                const max = Math.max(...d);
+                center = vAdd(center, vScale(axis, (min + max) / 2));
+                return (max - min) / 2;
+            });
+            return { center, axes, half };
+        }
+
+        if (part.start && part.end) {
+            const dir = vNorm(vSub(part.end, part.start));
+            const ref = Math.abs(dir.y) > 0.9 ? {x: 1, y: 0, z: 0} : {x: 0, y: 1, z: 0};
+            const side = vNorm(vCross(dir, ref));
+            const radius = part.radius || 0.25;
+            return {
+                center: vScale(vAdd(part.start, part.end), 0.5),
+                axes: [dir, side, vCross(dir, side)],
+                half: [vMag(vSub(part.end, part.start)) / 2, radius, radius]
+            };
+        }
+
+        if (part.pos && part.beamDir) {
+            const up = vNorm(part.beamDir);
+            const right = part.right && vMag(part.right) > 0.5 ? vNorm(part.right) : vNorm(vCross(up, {x: 0, y: 1, z: 0}));
+            // Bottom brackets rise from the ring towards the upright, top brackets hang below it
+            const sign = part.isBottom === false ? -1 : 1;
+            const height = (part.actualHeight || 3) + (part.wallThickness || 0.25);
+            const seat = Math.abs((part.bottomY || 0) - (part.z || 0));
+            return {
+                center: vAdd(part.pos, vScale(up, sign * (seat + height / 2))),
+                axes: [right, up, vNorm(vCross(right, up))],
+                half: [(part.width || 2) / 2, height / 2, (part.depth || 3) / 2]
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Signed overlap of two oriented boxes (separating axis test)
+     * @param {{center, axes, half}} a - First box from getOrientedBox()
+     * @param {{center, axes, half}} b - Second box
+     * @returns {number} Penetration depth in inches if positive; otherwise minus the gap along the best separating axis
+     */
+    function measureBoxOverlap(a, b) {
+        const axes = [...a.axes, ...b.axes];
+        a.axes.forEach(u => b.axes.forEach(v => {
+            const c = vCross(u, v);
+            if (vMag(c) > 1e-6) axes.push(vNorm(c));
+        }));
+
+        const d = vSub(b.center, a.center);
+        const radius = (box, axis) => box.half.reduce((sum, h, i) => sum + h * Math.abs(vDot(box.axes[i], axis)), 0);
+
+        let depth = Infinity;
+        let gap = 0;
+        axes.forEach(axis => {
+            const overlap = radius(a, axis) + radius(b, axis) - Math.abs(vDot(d, axis));
+            if (overlap <= 0) {
+                gap = Math.max(gap, -overlap);
+            } else {
+                depth = Math.min(depth, overlap);
+            }
+        });
+
+        return gap > 0 ? -gap : depth;
+    }
+
+    /**
+     * Detects brackets, bolts and mounted panels interfering with the structure.
+     * Hardware is only tested against parts of non-adjacent modules in the same
+     * arch (neighbours share joints by design); panels are tested against every
+     * part and each other. Beam-to-beam contacts are left to detectCollisions().
+     * @param {{beams: Array, brackets?: Array, bolts?: Array, foldAngle?: number}} data - Geometry from solveLinkage()
+     * @param {Object} params - Solver parameters
+     * @param {Array} panels - Mounted panels (corners + axisX/Y/Z), or [] for none
+     * @returns {Array<{beam: Object, other: Object, type: 'hardware'|'panel-structure'|'panel-panel', depth: number}>} Collisions
+     */
+    function detectPartCollisions(data, params, panels = []) {
+        const p = createParams(params);
+        const totalModules = p.modules;
+        const collisions = [];
+
+        const areModulesAdjacent = (m1, m2) => {
+            if (m1 === undefined || m2 === undefined || m1 < 0 || m2 < 0) return true;
+            const diff = Math.abs(m1 - m2);
+            return diff <= 1 || diff === totalModules - 1;
+        };
+
+        const entries = [];
+        const add = (part, kind) => {
+            const box = getOrientedBox(part);
+            if (!box) return;
+            const extent = ['x', 'y', 'z'].map(k => box.half.reduce((sum, h, i) => sum + h * Math.abs(box.axes[i][k]), 0));
+            entries.push({
+                part, kind, box,
+                bounds: {
+                    min: {x: box.center.x - extent[0], y: box.center.y - extent[1], z: box.center.z - extent[2]},
+                    max: {x: box.center.x + extent[0], y: box.center.y + extent[1], z: box.center.z + extent[2]}
+                }
+            });
+        };
+        (data.beams || []).forEach(part => add(part, 'beam'));
+        (data.brackets || []).forEach(part => add(part, 'hardware'));
+        (data.bolts || []).forEach(part => add(part, 'hardware'));
+        panels.forEach(part => add(part, 'panel'));
+
+        for (let i = 0; i < entries.length; i++) {
+            const a = entries[i];
+            for (let j = i + 1; j < entries.length; j++) {
+                const b = entries[j];
+                let type;
+                if (a.kind === 'panel' || b.kind === 'panel') {
+                    type = (a.kind === 'panel' && b.kind === 'panel') ? 'panel-panel' : 'panel-structure';
+                } else if (a.kind === 'hardware' || b.kind === 'hardware') {
+                    if (a.part.arrayIndex !== b.part.arrayIndex) continue;
+                    if (areModulesAdjacent(a.part.moduleIndex, b.part.moduleIndex)) continue;
+                    type = 'hardware';
+                } else {
+                    continue;
+                }
+
+                if (!checkBoxOverlap(a.bounds, b.bounds)) continue;
+                const depth = measureBoxOverlap(a.box, b.box);
+                if (depth > MIN_PART_PENETRATION) {
+                    // Keep the structural part in `beam` so beam highlighting picks it up
+                    const [first, second] = (b.kind === 'beam') ? [b, a] : [a, b];
+                    collisions.push({ beam: first.part, other: second.part, type, depth });
+                }
+            }
+        }
+
+        return collisions;
+    }
+
+    // ========================================
+    // MASS PROPERTIES
+    // ========================================
+
+    /**
+     * Weight of a single beam in lbs
+     * @param {Object} beam - Beam (uses stackType to pick H or V section)
+     * @param {Object} params - Solver parameters
+     * @returns {number} Weight in lbs (0 for unknown beam types)
+     */
+    function getBeamWeight(beam, params) {
+        const p = beam.tierIndex > 0 ? getTierParams(params, beam.tierIndex) : params;
+        if (beam.stackType && beam.stackType.startsWith('horizontal')) {
+            const lengthFt = beam.moduleIndex >= 0 ? getModuleParams(p, beam.moduleIndex).hLengthFt : p.hLengthFt;
+            return lengthFt * Catalog.beamWeightPerFoot(Catalog.getBeamMaterial(p.hBeamMaterial), p.hBeamW, p.hBeamT);
+        }
+        if (beam.stackType && beam.stackType.startsWith('vertical')) {
+            return p.vLengthFt * Catalog.beamWeightPerFoot(Catalog.getBeamMaterial(p.vBeamMaterial), p.vBeamW, p.vBeamT);
+        }
+        if (beam.stackType === 'array-connector') {
+            // Connectors are cut from the horizontal stock to their own length
+            const lengthFt = vMag(vSub(beam.p2, beam.p1)) / INCHES_PER_FOOT;
+            return lengthFt * Catalog.beamWeightPerFoot(Catalog.getBeamMaterial(p.hBeamMaterial), p.hBeamW, p.hBeamT);
+        }
+        if (beam.stackType === 'tier-hub') {
+            // Hub struts are cut from the upright stock
+            const lengthFt = (p.tierHubIn + p.vertEndOffset * 2) / INCHES_PER_FOOT;
+            return lengthFt * Catalog.beamWeightPerFoot(Catalog.getBeamMaterial(p.vBeamMaterial), p.vBeamW, p.vBeamT);
+        }
+        return 0;
+    }
+
+    /**
+     * Calculates the center of mass of solved geometry
+     * @param {{beams: Array, brackets: Array, bolts: Array}} data - Geometry from solveLinkage()
+     * @param {Object} params - Solver parameters
+     * @param {{panels?: Array, panelWeight?: number}} options - Optional panels to include and their weight (lbs each)
+     * @returns {{x: number, y: number, z: number, totalWeight: number}} Center of mass and total weight (lbs)
+     */
+    function calculateCenterOfMass(data, params, options = {}) {
+        const p = createParams(params);
+        const com = { x: 0, y: 0, z: 0 };
+        let totalWeight = 0;
+
+        const addMass = (pos, weight) => {
+            if (!pos || !(weight > 0)) return;
+            com.x += pos.x * weight;
+            com.y += pos.y * weight;
+            com.z += pos.z * weight;
+            totalWeight += weight;
+        };
+
+        (data.beams || []).forEach(beam => addMass(beam.center, getBeamWeight(beam, p)));
+        const bracketWeight = Catalog.getBracketMaterial(p.bracketMaterial).weight;
+        const boltMaterial = Catalog.getBoltMaterial(p.boltMaterial);
+        (data.brackets || []).forEach(bracket => addMass(bracket.pos, bracketWeight));
+        (data.bolts || []).forEach(bolt => addMass(bolt.center, Catalog.boltWeight(boltMaterial, p.boltDiameter, bolt.length || p.vBoltLength)));
+
+        const panels = options.panels || [];
+        const panelWeight = options.panelWeight || 0;
+        panels.forEach(panel => addMass(panel.center, panelWeight));
+
+        if (totalWeight > 0) {
+            com.x /= totalWeight;
+            com.y /= totalWeight;
+            com.z /= totalWeight;
+        }
+
+        return { ...com, totalWeight };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        INCHES_PER_FOOT,
+        MIN_FOLD_ANGLE,
+        MAX_FOLD_ANGLE,
+        MIN_PART_PENETRATION,
+        DEFAULT_PARAMS,
+        ARRAY_CONNECTOR_TYPES,
+        CONNECTOR_END_IN,
+        MODULE_OVERRIDE_KEYS,
+        SPAN_TOLERANCE_IN,
+        TIER_PROFILES,
+
+        // Parameters
+        createParams,
+        paramsFromState,
+        getActiveLengths,
+        getJointParams,
+        getModuleParams,
+        hasModuleOverrides,
+        getModuleTypes,
+        getArrayCopyCount,
+        getArrayFoldAngles,
+        getArrayConnectorCount,
+        getTierCount,
+        getTierScales,
+        getTierParams,
+
+        // Geometry
+        Beam3D,
+        calculateJointPositions,
+        solveModuleChain,
+        getTotalRotation,
+        findClosedAngle,
+        calculatePivotSpan,
+        solveLinkage,
+        getModuleLayout,
+
+        // Analysis
+        detectCollisions,
+        detectPartCollisions,
+        checkBoxOverlap,
+        computeBounds,
+        getOrientedBox,
+        measureBoxOverlap,
+        getBeamWeight,
+        calculateCenterOfMass
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LinkageSolver;
+}
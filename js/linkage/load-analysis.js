@@ -0,0 +1,902 @@
+// ============================================================================
+// LOAD ANALYSIS
+// Wind and snow frame analysis of the deployed ring
+// ============================================================================
+
+/**
+ * LoadAnalysis - Linear 3D frame analysis of the deployed canopy
+ *
+ * Builds a centerline frame from the linkage pivots (ring scissors, uprights and
+ * brackets), applies dead, snow and wind loads, solves the stiffness system and
+ * checks every member and pivot bolt against allowable stresses.
+ *
+ * Pivots are treated as locked: once deployed, the actuator holds the mechanism,
+ * so the frame carries load through the bolted joints. Each beam stack is one
+ * member per scissor pattern; stacked beams share load but act independently
+ * in bending (no glue). Section properties, self weight and allowable stresses
+ * come from the beam and bolt materials selected in the parameters.
+ *
+ * Usage:
+ *   const result = LoadAnalysis.analyze(params, foldAngle, {
+ *       loadCase: { windSpeedMph: 90, windDirectionDeg: 270, snowPsf: 20, panelWeight: 45 },
+ *       panels: data.panels
+ *   });
+ *   result.worst.utilization; // > 1 means overstressed
+ */
+
+const LoadAnalysis = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+    const Catalog = (typeof Materials !== 'undefined') ? Materials : require('./materials.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Default load case (wind in mph from a compass direction, snow in lbs/sq ft, panel weight in lbs) */
+    const DEFAULT_LOAD_CASE = {
+        windSpeedMph: 90,
+        windDirectionDeg: 0,
+        snowPsf: 20,
+        panelWeight: 45
+    };
+
+    /** Steel properties for the bracket links (psi) */
+    const STEEL_E = 29000000;
+    const STEEL_G = 11200000;
+
+    /** Wind coefficients: q = 0.00256 V² (psf), drag on rectangular members, net pressure on open canopy panels */
+    const WIND = {
+        velocityPressureFactor: 0.00256,
+        memberForceCoefficient: 2.0,
+        panelNetPressureCoefficient: 1.2
+    };
+
+    /** ASD load combinations (ASCE 7) */
+    const LOAD_COMBINATIONS = [
+        { id: 'D+S',           label: 'Dead + Snow',        dead: 1.0, snow: 1.0,  wind: 0 },
+        { id: 'D+0.6W',        label: 'Dead + Wind',        dead: 1.0, snow: 0,    wind: 0.6 },
+        { id: '0.6D+0.6W',     label: 'Wind Uplift',        dead: 0.6, snow: 0,    wind: 0.6 },
+        { id: 'D+0.75S+0.45W', label: 'Dead + Snow + Wind', dead: 1.0, snow: 0.75, wind: 0.45 }
+    ];
+
+    /** Load cases solved separately and combined by superposition */
+    const LOAD_TYPES = ['dead', 'snow', 'wind'];
+
+    /** Pivots closer than this are the same joint (inches) */
+    const NODE_MERGE_TOLERANCE = 1.0;
+
+    /** Points checked along each member */
+    const STATION_COUNT = 9;
+
+    // ========================================
+    // VECTOR HELPERS
+    // ========================================
+
+    const v3 = (x, y, z) => ({x, y, z});
+    const vAdd = (a, b) => ({x: a.x + b.x, y: a.y + b.y, z: a.z + b.z});
+    const vSub = (a, b) => ({x: a.x - b.x, y: a.y - b.y, z: a.z - b.z});
+    const vScale = (a, s) => ({x: a.x * s, y: a.y * s, z: a.z * s});
+    const vDot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const vMag = (a) => Math.sqrt(vDot(a, a));
+    const vNorm = (a) => {
+        const m = vMag(a);
+        return m === 0 ? v3(0, 0, 0) : vScale(a, 1 / m);
+    };
+    const vCross = (a, b) => ({
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    });
+
+    /**
+     * Horizontal direction the wind blows toward, from the compass direction it blows from
+     * (0 = N, 90 = E; same convention as the sun azimuth)
+     * @param {number} fromDeg - Compass direction in degrees
+     * @returns {{x: number, y: number, z: number}} Unit vector
+     */
+    function windVector(fromDeg) {
+        const rad = (fromDeg - 90) * Math.PI / 180;
+        return v3(-Math.cos(rad), 0, -Math.sin(rad));
+    }
+
+    // ========================================
+    // FRAME MODEL
+    // ========================================
+
+    /**
+     * Section properties of a stack of identical beams
+     * @param {Object|null} stock - Beam material (null for solid bracket links)
+     * @param {number} width - Beam width along local z (inches)
+     * @param {number} thick - Beam thickness along local y (inches)
+     * @param {number} count - Beams in the stack
+     * @returns {{A: number, Iy: number, Iz: number, J: number, Sy: number, Sz: number}} Section properties
+     */
+    function stackSection(stock, width, thick, count) {
+        const single = Catalog.sectionProperties(stock, width, thick);
+        const stack = {};
+        Object.keys(single).forEach(key => { stack[key] = single[key] * count; });
+        return stack;
+    }
+
+    /**
+     * Local member axes, matching the Beam3D convention (y along thickness, z along width)
+     * @param {{x,y,z}} start - Start point
+     * @param {{x,y,z}} end - End point
+     * @returns {{ex: Object, ey: Object, ez: Object}} Unit axes
+     */
+    function memberAxes(start, end) {
+        const ex = vNorm(vSub(end, start));
+        const up = Math.abs(ex.y) > 0.99 ? v3(1, 0, 0) : v3(0, 1, 0);
+        const ez = vNorm(vCross(ex, up));
+        const ey = vNorm(vCross(ez, ex));
+        return { ex, ey, ez };
+    }
+
+    /**
+     * Intersection of the lines a1-a2 and b1-b2 in the module plane
+     * @returns {{x: number, y: number}} Crossing point (midpoint of all four if parallel)
+     */
+    function crossing2D(a1, a2, b1, b2) {
+        const d1x = a2.x - a1.x, d1y = a2.y - a1.y;
+        const d2x = b2.x - b1.x, d2y = b2.y - b1.y;
+        const denom = d1x * d2y - d1y * d2x;
+        if (Math.abs(denom) < 0.0001) {
+            return { x: (a1.x + a2.x + b1.x + b2.x) / 4, y: (a1.y + a2.y + b1.y + b2.y) / 4 };
+        }
+        const t = ((b1.x - a1.x) * d2y - (b1.y - a1.y) * d2x) / denom;
+        return { x: a1.x + t * d1x, y: a1.y + t * d1y };
+    }
+
+    /**
+     * Explains why a design is outside the frame model, if it is.
+     * The model is a single flat ring standing on its bottom ring; arches (and
+     * arch arrays) stand on their end modules and tiered towers carry each ring
+     * on the one below, so their results would not describe the real structure.
+     * @param {Object} params - Solver parameters
+     * @returns {string|null} Reason the design can't be analysed, or null if it can
+     */
+    function getUnsupportedReason(params) {
+        const p = Solver.createParams(params);
+        if (p.orientation === 'vertical') {
+            return Solver.getArrayCopyCount(p) > 1
+                ? 'arch arrays stand on their end modules, which the ring frame model does not cover'
+                : 'arches stand on their end modules, which the ring frame model does not cover';
+        }
+        if (Solver.getTierCount(p) > 1) {
+            return 'tiered towers carry each ring on the one below, which the ring frame model does not cover';
+        }
+        return null;
+    }
+
+    /**
+     * Builds the centerline frame of a horizontal ring at a fold angle.
+     * Rings are split at the scissor crossing, uprights at their center pivot, and
+     * each upright end is tied to the ring below/above it by a bracket link.
+     * The bottom ring is supported (pinned) under every upright.
+     * @param {Object} params - Solver parameters
+     * @param {number} foldAngle - Fold angle in radians
+     * @returns {{nodes: Array, members: Array, params: Object}} Frame model
+     * @throws {Error} If the design is an arch, arch array or tiered tower (see getUnsupportedReason)
+     */
+    function buildFrameModel(params, foldAngle) {
+        const p = Solver.createParams(params);
+        const unsupported = getUnsupportedReason(p);
+        if (unsupported) {
+            throw new Error(`LoadAnalysis: ${unsupported}`);
+        }
+        const layout = Solver.getModuleLayout(p, foldAngle);
+        const topH = layout.topH;
+        const hasUprights = !p.useFixedBeams && layout.zHeight > 1;
+
+        if (!hasUprights && !p.useFixedBeams) {
+            throw new Error('LoadAnalysis: the uprights do not reach between the rings at this fold angle');
+        }
+
+        const nodes = [];
+        const members = [];
+        const n = p.modules;
+        // Fold the ring ordering (0, n-1, 1, n-2, ...) so neighbouring modules stay close in the matrix band
+        const foldedOrder = (i) => (i < n / 2 ? 2 * i : 2 * (n - 1 - i) + 1);
+
+        const addNode = (pt, order, info = {}) => {
+            const existing = nodes.findIndex(node => vMag(vSub(node, pt)) < NODE_MERGE_TOLERANCE);
+            if (existing >= 0) {
+                Object.assign(nodes[existing], info, { support: nodes[existing].support || !!info.support });
+                return existing;
+            }
+            nodes.push({ x: pt.x, y: pt.y, z: pt.z, order, support: false, boltAxis: v3(0, 1, 0), ...info });
+            return nodes.length - 1;
+        };
+
+        const addMember = (n1, n2, props) => {
+            const length = vMag(vSub(nodes[n2], nodes[n1]));
+            if (length < 0.01) return;
+            const axes = memberAxes(nodes[n1], nodes[n2]);
+            members.push({ n1, n2, length, ...axes, ...props, section: stackSection(props.stock, props.width, props.thick, props.count) });
+        };
+
+        const hCountA = Math.ceil(p.hStackCount / 2);
+        const hCountB = Math.floor(p.hStackCount / 2) || 1;
+        const vCountA = p.vStackReverse ? Math.floor(p.vStackCount / 2) || 1 : Math.ceil(p.vStackCount / 2);
+        const vCountB = p.vStackCount - vCountA || 1;
+        const hStock = Catalog.getBeamMaterial(p.hBeamMaterial);
+        const vStock = Catalog.getBeamMaterial(p.vBeamMaterial);
+        const hBeam = { material: 'beam', checked: true, stock: hStock, design: Catalog.designValues(hStock) };
+        const vBeam = { material: 'beam', checked: true, stock: vStock, design: Catalog.designValues(vStock) };
+        const bracketLink = {
+            kind: 'bracket', material: 'steel', checked: false, pattern: null, count: 1, stock: null,
+            width: p.bracketWidth || 2.0, thick: p.bracketDepth || 3.0
+        };
+
+        layout.modules.forEach((module, i) => {
+            const order = foldedOrder(i);
+            const map = (pt, h) => layout.mapPoint(pt, h, module);
+            // Modules with their own ring beams have their own joints
+            const loc = module.joints;
+            const center2D = crossing2D(loc.bl, loc.tr, loc.br, loc.tl);
+            const ringNodes = {};
+
+            // --- HORIZONTAL RINGS ---
+            [[0, 'horizontal-bottom', 'bottom'], [topH, 'horizontal-top', 'top']].forEach(([h, kind, ring]) => {
+                const bl = addNode(map(loc.bl, h), order, { ring });
+                const tr = addNode(map(loc.tr, h), order, { ring });
+                const br = addNode(map(loc.br, h), order, { ring });
+                const tl = addNode(map(loc.tl, h), order, { ring });
+                const c = addNode(map(center2D, h), order, { ring });
+                const props = { ...hBeam, kind, moduleIndex: i, width: p.hBeamW, thick: p.hBeamT };
+
+                addMember(bl, c, { ...props, pattern: 'A', count: hCountA });
+                addMember(c, tr, { ...props, pattern: 'A', count: hCountA });
+                addMember(br, c, { ...props, pattern: 'B', count: hCountB });
+                addMember(c, tl, { ...props, pattern: 'B', count: hCountB });
+                ringNodes[ring] = { br, tr };
+            });
+
+            // Bottom ring rests on the ground under the uprights
+            nodes[ringNodes.bottom.br].support = true;
+            nodes[ringNodes.bottom.tr].support = true;
+
+            // --- VERTICAL UPRIGHTS ---
+            if (hasUprights) {
+                const yMin = p.bracketOffset;
+                const yMax = topH - p.bracketOffset;
+                const botInner = map(loc.br, yMin);
+                const topOuter = map(loc.tr, yMax);
+                const botOuter = map(loc.tr, yMin);
+                const topInner = map(loc.br, yMax);
+                const boltAxis = vNorm(vCross(vSub(topOuter, botInner), vSub(topInner, botOuter)));
+                const info = { boltAxis, upright: true };
+
+                const bi = addNode(botInner, order, info);
+                const to = addNode(topOuter, order, info);
+                const bo = addNode(botOuter, order, info);
+                const ti = addNode(topInner, order, info);
+                const mid = addNode(vScale(vAdd(botInner, topOuter), 0.5), order, info);
+                const props = { ...vBeam, kind: 'vertical', moduleIndex: i, width: p.vBeamW, thick: p.vBeamT };
+
+                addMember(bi, mid, { ...props, pattern: 'A', count: vCountA });
+                addMember(mid, to, { ...props, pattern: 'A', count: vCountA });
+                addMember(bo, mid, { ...props, pattern: 'B', count: vCountB });
+                addMember(mid, ti, { ...props, pattern: 'B', count: vCountB });
+
+                addMember(ringNodes.bottom.br, bi, { ...bracketLink, moduleIndex: i });
+                addMember(ringNodes.bottom.tr, bo, { ...bracketLink, moduleIndex: i });
+                addMember(ringNodes.top.br, ti, { ...bracketLink, moduleIndex: i });
+                addMember(ringNodes.top.tr, to, { ...bracketLink, moduleIndex: i });
+            }
+
+            // --- FIXED STRAIGHT BEAMS ---
+            if (p.useFixedBeams) {
+                const props = { ...vBeam, kind: 'fixed-beam', moduleIndex: i, pattern: null, count: 1, width: p.vBeamW, thick: p.vBeamT };
+                addMember(ringNodes.bottom.br, ringNodes.top.br, props);
+                addMember(ringNodes.bottom.tr, ringNodes.top.tr, props);
+            }
+        });
+
+        return { nodes, members, params: p };
+    }
+
+    // ========================================
+    // STIFFNESS
+    // ========================================
+
+    /**
+     * 12x12 local stiffness matrix of a 3D frame member
+     * @param {Object} m - Member with length, section and material
+     * @returns {number[][]} Stiffness matrix
+     */
+    function localStiffness(m) {
+        const L = m.length;
+        const E = m.material === 'steel' ? STEEL_E : m.design.E;
+        const G = m.material === 'steel' ? STEEL_G : m.design.G;
+        const { A, Iy, Iz, J } = m.section;
+        const k = Array.from({ length: 12 }, () => new Array(12).fill(0));
+        const set = (i, j, v) => { k[i][j] = v; k[j][i] = v; };
+
+        const ea = E * A / L;
+        const gj = G * J / L;
+        set(0, 0, ea); set(6, 6, ea); set(0, 6, -ea);
+        set(3, 3, gj); set(9, 9, gj); set(3, 9, -gj);
+
+        // Bending in the local x-y plane (about z)
+        const z12 = 12 * E * Iz / (L * L * L), z6 = 6 * E * Iz / (L * L), z4 = 4 * E * Iz / L, z2 = 2 * E * Iz / L;
+        set(1, 1, z12); set(7, 7, z12); set(1, 7, -z12);
+        set(1, 5, z6); set(1, 11, z6); set(5, 7, -z6); set(7, 11, -z6);
+        set(5, 5, z4); set(11, 11, z4); set(5, 11, z2);
+
+        // Bending in the local x-z plane (about y)
+        const y12 = 12 * E * Iy / (L * L * L), y6 = 6 * E * Iy / (L * L), y4 = 4 * E * Iy / L, y2 = 2 * E * Iy / L;
+        set(2, 2, y12); set(8, 8, y12); set(2, 8, -y12);
+        set(2, 4, -y6); set(2, 10, -y6); set(4, 8, y6); set(8, 10, y6);
+        set(4, 4, y4); set(10, 10, y4); set(4, 10, y2);
+
+        return k;
+    }
+
+    /**
+     * Rotates a global vector into member axes
+     */
+    const toLocal = (m, v) => v3(vDot(m.ex, v), vDot(m.ey, v), vDot(m.ez, v));
+
+    /**
+     * Rotates a local vector back to global axes
+     */
+    const toGlobal = (m, v) => vAdd(vAdd(vScale(m.ex, v.x), vScale(m.ey, v.y)), vScale(m.ez, v.z));
+
+    /**
+     * Member end displacements in local axes
+     * @param {Object} m - Member
+     * @param {Float64Array} d - Global displacement vector
+     * @param {Object[]} nodes - Frame nodes (with dof offsets)
+     * @returns {number[]} 12 local displacements
+     */
+    function localDisplacements(m, d, nodes) {
+        const out = [];
+        [nodes[m.n1].dof, nodes[m.n2].dof].forEach(dof => {
+            const t = toLocal(m, v3(d[dof], d[dof + 1], d[dof + 2]));
+            const r = toLocal(m, v3(d[dof + 3], d[dof + 4], d[dof + 5]));
+            out.push(t.x, t.y, t.z, r.x, r.y, r.z);
+        });
+        return out;
+    }
+
+    /**
+     * Fixed-end forces on a member under a uniform load, in local axes
+     * (forces the joints apply to the member when both ends are held)
+     * @param {number} L - Member length
+     * @param {{x,y,z}} w - Uniform load in local axes (lbs/in)
+     * @returns {number[]} 12 fixed-end forces
+     */
+    function fixedEndForces(L, w) {
+        const half = L / 2;
+        const m12 = L * L / 12;
+        return [
+            -w.x * half, -w.y * half, -w.z * half, 0, w.z * m12, -w.y * m12,
+            -w.x * half, -w.y * half, -w.z * half, 0, -w.z * m12, w.y * m12
+        ];
+    }
+
+    /**
+     * Banded symmetric matrix with an in-place Cholesky factorization
+     * @param {number} size - Number of unknowns
+     * @param {number} halfBand - Half bandwidth
+     */
+    function createBandMatrix(size, halfBand) {
+        const width = halfBand + 1;
+        const data = new Float64Array(size * width);
+        return {
+            size,
+            halfBand,
+            add(i, j, v) {
+                if (j < i) { const t = i; i = j; j = t; }
+                data[i * width + (j - i)] += v;
+            },
+            constrain(i) {
+                for (let k = 0; k < width; k++) data[i * width + k] = 0;
+                for (let r = Math.max(0, i - halfBand); r < i; r++) data[r * width + (i - r)] = 0;
+                data[i * width] = 1;
+            },
+            factor() {
+                let maxDiag = 0;
+                for (let i = 0; i < size; i++) maxDiag = Math.max(maxDiag, data[i * width]);
+                for (let j = 0; j < size; j++) {
+                    let sum = data[j * width];
+                    for (let k = Math.max(0, j - halfBand); k < j; k++) {
+                        const l = data[k * width + (j - k)];
+                        sum -= l * l;
+                    }
+                    if (sum <= maxDiag * 1e-12) {
+                        throw new Error('LoadAnalysis: the frame is unstable (singular stiffness matrix)');
+                    }
+                    const ljj = Math.sqrt(sum);
+                    data[j * width] = ljj;
+                    const last = Math.min(size - 1, j + halfBand);
+                    for (let i = j + 1; i <= last; i++) {
+                        let s = data[j * width + (i - j)];
+                        for (let k = Math.max(0, i - halfBand); k < j; k++) {
+                            s -= data[k * width + (i - k)] * data[k * width + (j - k)];
+                        }
+                        data[j * width + (i - j)] = s / ljj;
+                    }
+                }
+            },
+            solve(b) {
+                const y = new Float64Array(size);
+                for (let i = 0; i < size; i++) {
+                    let s = b[i];
+                    for (let k = Math.max(0, i - halfBand); k < i; k++) s -= data[k * width + (i - k)] * y[k];
+                    y[i] = s / data[i * width];
+                }
+                const x = new Float64Array(size);
+                for (let i = size - 1; i >= 0; i--) {
+                    let s = y[i];
+                    const last = Math.min(size - 1, i + halfBand);
+                    for (let k = i + 1; k <= last; k++) s -= data[i * width + (k - i)] * x[k];
+                    x[i] = s / data[i * width];
+                }
+                return x;
+            }
+        };
+    }
+
+    // ========================================
+    // LOADS
+    // ========================================
+
+    /**
+     * Projected depth of a member stack facing a horizontal wind
+     * @param {Object} m - Member
+     * @param {{x,y,z}} wind - Wind direction
+     * @returns {number} Depth in inches
+     */
+    function windDepth(m, wind) {
+        const inSection = vNorm(vSub(wind, vScale(m.ex, vDot(wind, m.ex))));
+        return m.count * (m.thick * Math.abs(vDot(inSection, m.ez)) + m.width * Math.abs(vDot(inSection, m.ey)));
+    }
+
+    /**
+     * Builds the nodal and member loads for each load type
+     * @param {Object} model - Frame model
+     * @param {Object} loadCase - Load case
+     * @param {Array} panels - Mounted panels ({center, width, length, normal})
+     * @param {number} dofCount - Number of unknowns
+     * @returns {Object} Loads keyed by load type: {nodal: Float64Array, member: Array<{x,y,z}>, total: {x,y,z}}
+     */
+    function buildLoads(model, loadCase, panels, dofCount) {
+        const { nodes, members, params } = model;
+        const loads = {};
+        LOAD_TYPES.forEach(type => {
+            loads[type] = { nodal: new Float64Array(dofCount), member: members.map(() => v3(0, 0, 0)), total: v3(0, 0, 0) };
+        });
+
+        const addNodal = (type, nodeIndex, f) => {
+            const dof = nodes[nodeIndex].dof;
+            loads[type].nodal[dof] += f.x;
+            loads[type].nodal[dof + 1] += f.y;
+            loads[type].nodal[dof + 2] += f.z;
+            loads[type].total = vAdd(loads[type].total, f);
+        };
+        const addMemberLoad = (type, index, w) => {
+            loads[type].member[index] = vAdd(loads[type].member[index], w);
+            loads[type].total = vAdd(loads[type].total, vScale(w, members[index].length));
+        };
+
+        const q = WIND.velocityPressureFactor * loadCase.windSpeedMph * loadCase.windSpeedMph; // psf
+        const wind = windVector(loadCase.windDirectionDeg);
+        const snowPsi = loadCase.snowPsf / 144;
+
+        members.forEach((m, index) => {
+            if (m.material === 'beam') {
+                // Self weight
+                addMemberLoad('dead', index, v3(0, -m.stock.density * m.section.A, 0));
+                // Snow settles on the top face of the upper ring
+                if (m.kind === 'horizontal-top') {
+                    addMemberLoad('snow', index, v3(0, -snowPsi * m.width, 0));
+                }
+                // Drag on the member, perpendicular to its axis
+                const perp = vSub(wind, vScale(m.ex, vDot(wind, m.ex)));
+                if (vMag(perp) > 1e-6) {
+                    addMemberLoad('wind', index, vScale(perp, (q / 144) * WIND.memberForceCoefficient * windDepth(m, wind)));
+                }
+            } else if (m.kind === 'bracket') {
+                // Bracket weight sits on its ring pivot
+                addNodal('dead', m.n1, v3(0, -Catalog.getBracketMaterial(params.bracketMaterial).weight, 0));
+            }
+        });
+
+        // Panels bear on the nearest top-ring pivots
+        const topNodes = nodes.map((node, i) => ({ node, i })).filter(e => e.node.ring === 'top');
+        (panels || []).forEach(panel => {
+            if (!panel || !panel.center || topNodes.length === 0) return;
+            const area = (panel.width || 0) * (panel.length || 0);
+            let normal = vNorm(panel.normal || v3(0, 1, 0));
+            if (normal.y < 0) normal = vScale(normal, -1);
+
+            const nearest = topNodes
+                .map(e => ({ i: e.i, dist: Math.hypot(e.node.x - panel.center.x, e.node.z - panel.center.z) }))
+                .sort((a, b) => a.dist - b.dist)
+                .slice(0, 3);
+            const weights = nearest.map(e => 1 / (e.dist + 1));
+            const weightSum = weights.reduce((a, b) => a + b, 0);
+
+            const forces = {
+                dead: v3(0, -loadCase.panelWeight, 0),
+                snow: v3(0, -loadCase.snowPsf * (area / 144) * Math.abs(normal.y), 0),
+                // Net pressure on an open canopy acts along the panel normal (uplift)
+                wind: vScale(normal, q * WIND.panelNetPressureCoefficient * (area / 144))
+            };
+            nearest.forEach((e, k) => {
+                LOAD_TYPES.forEach(type => addNodal(type, e.i, vScale(forces[type], weights[k] / weightSum)));
+            });
+        });
+
+        return loads;
+    }
+
+    // ========================================
+    // MEMBER CHECKS
+    // ========================================
+
+    /**
+     * Worst stress ratio along a beam member for one set of end forces.
+     * Columns use the NDS curve with the material's column constant; slenderness
+     * is taken on the least outside dimension, which is conservative for tubes.
+     * @param {Object} m - Member
+     * @param {number[]} f - Local end forces (start end used)
+     * @param {{x,y,z}} w - Uniform load in local axes
+     * @returns {{utilization: number, axial: number, moment: number, axialStress: number, bendingStress: number}} Check result
+     */
+    function checkBeamMember(m, f, w) {
+        const s = m.section;
+        const material = m.design;
+        const d = Math.min(m.width, m.thick);
+        const slenderness = m.length / d;
+        const FcE = 0.822 * material.Emin / (slenderness * slenderness);
+        const alpha = FcE / material.Fc;
+        const c2 = (1 + alpha) / (2 * material.columnC);
+        const Cp = c2 - Math.sqrt(c2 * c2 - alpha / material.columnC);
+        const FcPrime = material.Fc * Cp;
+
+        let worst = { utilization: 0, axial: 0, moment: 0, axialStress: 0, bendingStress: 0 };
+        for (let k = 0; k < STATION_COUNT; k++) {
+            const x = m.length * k / (STATION_COUNT - 1);
+            const axial = -(f[0] + w.x * x); // tension positive
+            const My = f[4] + x * f[2] + x * x * w.z / 2;
+            const Mz = f[5] - x * f[1] - x * x * w.y / 2;
+            const fa = axial / s.A;
+            const fb = Math.abs(My) / s.Sy + Math.abs(Mz) / s.Sz;
+
+            let utilization;
+            if (fa >= 0) {
+                utilization = fa / material.Ft + fb / material.Fb;
+            } else {
+                const fc = -fa;
+                const amplification = 1 - fc / FcE;
+                utilization = amplification > 0
+                    ? Math.pow(fc / FcPrime, 2) + fb / (material.Fb * amplification)
+                    : Math.max(fc / FcPrime, 10);
+            }
+
+            if (utilization > worst.utilization) {
+                worst = { utilization, axial, moment: Math.hypot(My, Mz), axialStress: fa, bendingStress: fb };
+            }
+        }
+        return worst;
+    }
+
+    // ========================================
+    // ANALYSIS
+    // ========================================
+
+    /**
+     * Runs the load analysis for a design at a fold angle (normally the deployed angle)
+     * @param {Object} params - Solver parameters
+     * @param {number} foldAngle - Fold angle in radians
+     * @param {{loadCase?: Object, panels?: Array}} options - Loads and mounted panels
+     * @returns {Object} Members, bolts, supports, per-combination summary and the worst case
+     */
+    function analyze(params, foldAngle, options = {}) {
+        const loadCase = { ...DEFAULT_LOAD_CASE, ...(options.loadCase || {}) };
+        const model = buildFrameModel(params, foldAngle);
+        const { nodes, members } = model;
+
+        // Number the unknowns in folded ring order to keep the band narrow
+        nodes.map((node, i) => ({ i, order: node.order }))
+            .sort((a, b) => a.order - b.order || a.i - b.i)
+            .forEach((e, rank) => { nodes[e.i].dof = rank * 6; });
+        const dofCount = nodes.length * 6;
+        let halfBand = 5;
+        members.forEach(m => {
+            halfBand = Math.max(halfBand, Math.abs(nodes[m.n1].dof - nodes[m.n2].dof) + 5);
+        });
+
+        // Assemble
+        const K = createBandMatrix(dofCount, halfBand);
+        members.forEach(m => {
+            const kl = localStiffness(m);
+            const R = [m.ex, m.ey, m.ez];
+            const dofs = [nodes[m.n1].dof, nodes[m.n2].dof];
+            // Global block (a, b) = R^T * kl_block * R for each 3x3 block
+            for (let a = 0; a < 4; a++) {
+                for (let b = 0; b < 4; b++) {
+                    const rowBase = dofs[a >> 1] + (a & 1) * 3;
+                    const colBase = dofs[b >> 1] + (b & 1) * 3;
+                    if (colBase < rowBase) continue;
+                    for (let gi = 0; gi < 3; gi++) {
+                        for (let gj = 0; gj < 3; gj++) {
+                            if (colBase === rowBase && gj < gi) continue;
+                            let v = 0;
+                            for (let li = 0; li < 3; li++) {
+                                const ri = R[li][['x', 'y', 'z'][gi]];
+                                if (ri === 0) continue;
+                                for (let lj = 0; lj < 3; lj++) {
+                                    v += ri * kl[a * 3 + li][b * 3 + lj] * R[lj][['x', 'y', 'z'][gj]];
+                                }
+                            }
+                            K.add(rowBase + gi, colBase + gj, v);
+                        }
+                    }
+                }
+            }
+        });
+
+        const constrained = [];
+        nodes.forEach(node => {
+            if (node.support) for (let k = 0; k < 3; k++) constrained.push(node.dof + k);
+        });
+        constrained.forEach(dof => K.constrain(dof));
+        K.factor();
+
+        // Solve each load type once and combine by superposition
+        const loads = buildLoads(model, loadCase, options.panels, dofCount);
+        const solutions = {};
+        LOAD_TYPES.forEach(type => {
+            const rhs = Float64Array.from(loads[type].nodal);
+            members.forEach((m, index) => {
+                const w = loads[type].member[index];
+                if (vMag(w) === 0) return;
+                const f0 = fixedEndForces(m.length, toLocal(m, w));
+                [nodes[m.n1].dof, nodes[m.n2].dof].forEach((dof, end) => {
+                    const force = toGlobal(m, v3(f0[end * 6], f0[end * 6 + 1], f0[end * 6 + 2]));
+                    const moment = toGlobal(m, v3(f0[end * 6 + 3], f0[end * 6 + 4], f0[end * 6 + 5]));
+                    rhs[dof] -= force.x; rhs[dof + 1] -= force.y; rhs[dof + 2] -= force.z;
+                    rhs[dof + 3] -= moment.x; rhs[dof + 4] -= moment.y; rhs[dof + 5] -= moment.z;
+                });
+            });
+            constrained.forEach(dof => { rhs[dof] = 0; });
+            const d = K.solve(rhs);
+
+            // Local end forces per member: k * d + fixed-end forces
+            const endForces = members.map((m, index) => {
+                const kl = localStiffness(m);
+                const dl = localDisplacements(m, d, nodes);
+                const f0 = fixedEndForces(m.length, toLocal(m, loads[type].member[index]));
+                return f0.map((v, i) => v + kl[i].reduce((sum, kij, j) => sum + kij * dl[j], 0));
+            });
+            solutions[type] = { d, endForces };
+        });
+
+        const sumCombo = (combo, pickArray) => {
+            let out = null;
+            LOAD_TYPES.forEach(type => {
+                const arr = pickArray(type);
+                if (!out) out = new Array(arr.length).fill(0);
+                for (let i = 0; i < arr.length; i++) out[i] += combo[type] * arr[i];
+            });
+            return out;
+        };
+        const sumVec = (combo, pickVec) => LOAD_TYPES.reduce((acc, type) => vAdd(acc, vScale(pickVec(type), combo[type])), v3(0, 0, 0));
+
+        // --- MEMBER CHECKS ---
+        const memberResults = members.map((m, index) => {
+            if (!m.checked) return null;
+            let worst = null;
+            LOAD_COMBINATIONS.forEach(combo => {
+                const f = sumCombo(combo, type => solutions[type].endForces[index]);
+                const w = toLocal(m, sumVec(combo, type => loads[type].member[index]));
+                const check = checkBeamMember(m, f, w);
+                if (!worst || check.utilization > worst.utilization) worst = { ...check, combination: combo.id };
+            });
+            return {
+                index,
+                kind: m.kind,
+                moduleIndex: m.moduleIndex,
+                pattern: m.pattern,
+                count: m.count,
+                length: m.length,
+                start: v3(nodes[m.n1].x, nodes[m.n1].y, nodes[m.n1].z),
+                end: v3(nodes[m.n2].x, nodes[m.n2].y, nodes[m.n2].z),
+                ...worst
+            };
+        });
+
+        // --- BOLTED PIVOTS ---
+        // Group member ends at each node by beam stack; the bolt carries each stack's force into the others
+        const boltGrade = Catalog.getBoltMaterial(model.params.boltMaterial);
+        const boltArea = Math.PI * Math.pow(model.params.boltDiameter || 0.375, 2) / 4;
+        const nodeEnds = nodes.map(() => []);
+        members.forEach((m, index) => {
+            nodeEnds[m.n1].push({ index, end: 0 });
+            nodeEnds[m.n2].push({ index, end: 1 });
+        });
+
+        const bolts = [];
+        nodes.forEach((node, nodeIndex) => {
+            const groups = {};
+            nodeEnds[nodeIndex].forEach(e => {
+                const m = members[e.index];
+                if (m.material !== 'beam') return;
+                const key = `${m.moduleIndex}|${m.kind}|${m.pattern}`;
+                if (!groups[key]) groups[key] = { count: m.count, ends: [] };
+                groups[key].ends.push(e);
+            });
+            const keys = Object.keys(groups);
+            if (keys.length < 2) return;
+
+            const beamsThrough = keys.reduce((sum, key) => sum + groups[key].count, 0);
+            let worst = null;
+            LOAD_COMBINATIONS.forEach(combo => {
+                keys.forEach(key => {
+                    let force = v3(0, 0, 0);
+                    groups[key].ends.forEach(e => {
+                        const m = members[e.index];
+                        const f = sumCombo(combo, type => solutions[type].endForces[e.index]);
+                        force = vAdd(force, toGlobal(m, v3(f[e.end * 6], f[e.end * 6 + 1], f[e.end * 6 + 2])));
+                    });
+                    const shearForce = vMag(vSub(force, vScale(node.boltAxis, vDot(force, node.boltAxis))));
+                    const planes = Math.max(1, Math.min(2 * groups[key].count, beamsThrough - 1));
+                    const shear = shearForce / planes;
+                    if (!worst || shear > worst.shear) worst = { shear, combination: combo.id };
+                });
+            });
+
+            const stress = worst.shear / boltArea;
+            bolts.push({
+                node: nodeIndex,
+                position: v3(node.x, node.y, node.z),
+                shear: worst.shear,
+                stress,
+                utilization: stress / boltGrade.allowableShear,
+                combination: worst.combination
+            });
+        });
+
+        // --- SUPPORT REACTIONS ---
+        const supports = [];
+        nodes.forEach((node, nodeIndex) => {
+            if (!node.support) return;
+            const reactions = {};
+            LOAD_COMBINATIONS.forEach(combo => {
+                let r = v3(0, 0, 0);
+                nodeEnds[nodeIndex].forEach(e => {
+                    const f = sumCombo(combo, type => solutions[type].endForces[e.index]);
+                    r = vAdd(r, toGlobal(members[e.index], v3(f[e.end * 6], f[e.end * 6 + 1], f[e.end * 6 + 2])));
+                });
+                const dof = node.dof;
+                const applied = sumVec(combo, type => v3(loads[type].nodal[dof], loads[type].nodal[dof + 1], loads[type].nodal[dof + 2]));
+                reactions[combo.id] = vSub(r, applied);
+            });
+            supports.push({ node: nodeIndex, position: v3(node.x, node.y, node.z), reactions });
+        });
+
+        // --- SUMMARY ---
+        const checkedMembers = memberResults.filter(Boolean);
+        let maxDeflection = 0;
+        const combinations = LOAD_COMBINATIONS.map(combo => {
+            const d = sumCombo(combo, type => solutions[type].d);
+            for (let i = 0; i < nodes.length; i++) {
+                const dof = nodes[i].dof;
+                maxDeflection = Math.max(maxDeflection, Math.hypot(d[dof], d[dof + 1], d[dof + 2]));
+            }
+            return {
+                id: combo.id,
+                label: combo.label,
+                uplift: Math.max(0, ...supports.map(s => -s.reactions[combo.id].y))
+            };
+        });
+
+        const worstMember = checkedMembers.reduce((a, b) => (!a || b.utilization > a.utilization ? b : a), null);
+        const worstBolt = bolts.reduce((a, b) => (!a || b.utilization > a.utilization ? b : a), null);
+
+        return {
+            foldAngle,
+            loadCase,
+            materials: {
+                horizontal: Catalog.getBeamMaterial(model.params.hBeamMaterial).name,
+                vertical: Catalog.getBeamMaterial(model.params.vBeamMaterial).name,
+                bolt: boltGrade.name
+            },
+            windPressurePsf: WIND.velocityPressureFactor * loadCase.windSpeedMph * loadCase.windSpeedMph,
+            totals: {
+                dead: -loads.dead.total.y,
+                snow: -loads.snow.total.y,
+                windUplift: loads.wind.total.y,
+                windLateral: Math.hypot(loads.wind.total.x, loads.wind.total.z)
+            },
+            members: checkedMembers,
+            bolts,
+            supports,
+            combinations,
+            maxDeflection,
+            worst: {
+                member: worstMember,
+                bolt: worstBolt,
+                utilization: Math.max(worstMember ? worstMember.utilization : 0, worstBolt ? worstBolt.utilization : 0)
+            },
+            beamIndex: buildBeamIndex(checkedMembers)
+        };
+    }
+
+    // ========================================
+    // BEAM LOOKUP
+    // ========================================
+
+    /**
+     * Indexes member results by module, stack type and pattern direction for Beam3D lookup
+     * @param {Array} memberResults - Checked members
+     * @returns {Object} Index keyed by "moduleIndex|kind"
+     */
+    function buildBeamIndex(memberResults) {
+        const index = {};
+        memberResults.forEach(r => {
+            const key = `${r.moduleIndex}|${r.kind}`;
+            if (!index[key]) index[key] = {};
+            const patternKey = r.pattern || '-';
+            const entry = index[key][patternKey] || { dir: vNorm(vSub(r.end, r.start)), utilization: 0 };
+            entry.utilization = Math.max(entry.utilization, r.utilization);
+            index[key][patternKey] = entry;
+        });
+        return index;
+    }
+
+    /**
+     * Utilization of the member a solid beam belongs to
+     * @param {Object} result - Result from analyze()
+     * @param {Object} beam - Beam3D from solveLinkage()
+     * @returns {number|null} Utilization ratio, or null if the beam isn't part of the analysis
+     */
+    function getBeamUtilization(result, beam) {
+        if (!result || !beam) return null;
+        const entry = result.beamIndex[`${beam.moduleIndex}|${beam.stackType}`];
+        if (!entry) return null;
+
+        // Scissor patterns are told apart by direction (the crossing splits them into collinear halves)
+        let best = null;
+        let bestDot = -1;
+        Object.values(entry).forEach(e => {
+            const dot = Math.abs(vDot(e.dir, beam.axisZ));
+            if (dot > bestDot + 1e-6) {
+                bestDot = dot;
+                best = e.utilization;
+            } else if (Math.abs(dot - bestDot) <= 1e-6) {
+                best = Math.max(best, e.utilization);
+            }
+        });
+        return best;
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        DEFAULT_LOAD_CASE,
+        WIND,
+        LOAD_COMBINATIONS,
+
+        // Analysis
+        windVector,
+        getUnsupportedReason,
+        buildFrameModel,
+        analyze,
+        getBeamUtilization
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LoadAnalysis;
+}
@@ -0,0 +1,269 @@
+// ============================================================================
+// MATERIALS
+// Catalog of beam stock, brackets and bolts with section and design properties
+// ============================================================================
+
+/**
+ * Materials - Selectable material catalog for LinkageLab
+ *
+ * Beam entries describe a stock profile (nominal size, actual size, solid or
+ * tube wall) together with its density, stiffness, allowable stresses and price
+ * per foot. Weight, cost and the structural checks are all derived from the
+ * selected entry, so changing material updates every downstream number.
+ *
+ * Allowable stresses are ASD values in psi. Lumber values are NDS Supplement
+ * reference values with the size factor for that width applied; tube values
+ * use the yield stress over the usual safety factors.
+ *
+ * Usage:
+ *   const stock = Materials.getBeamMaterial('spf-2x4');
+ *   Materials.beamWeightPerFoot(stock, stock.deep, stock.thin); // lbs/ft
+ *   Materials.sectionProperties(stock, 3.5, 1.5).Sz;            // in³
+ */
+
+const Materials = (function() {
+    'use strict';
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    const INCHES_PER_FOOT = 12;
+
+    /** Density of steel hardware (lbs/in³) */
+    const STEEL_DENSITY = 0.284;
+
+    /**
+     * Beam stock. `thin` and `deep` are actual dimensions (inches); `wall` is the
+     * tube wall thickness, or null for solid sections.
+     */
+    const BEAM_MATERIALS = [
+        {
+            id: 'spf-2x3', name: 'SPF No. 2 2x3', category: 'lumber', nominal: '2x3',
+            thin: 1.5, deep: 2.5, wall: null, density: 0.018,
+            E: 1400000, Emin: 510000, G: 87500, Fb: 1313, Ft: 675, Fc: 1323, columnC: 0.8,
+            costPerFt: 0.85
+        },
+        {
+            id: 'spf-2x4', name: 'SPF No. 2 2x4', category: 'lumber', nominal: '2x4',
+            thin: 1.5, deep: 3.5, wall: null, density: 0.018,
+            E: 1400000, Emin: 510000, G: 87500, Fb: 1313, Ft: 675, Fc: 1323, columnC: 0.8,
+            costPerFt: 1.25
+        },
+        {
+            id: 'spf-2x6', name: 'SPF No. 2 2x6', category: 'lumber', nominal: '2x6',
+            thin: 1.5, deep: 5.5, wall: null, density: 0.018,
+            E: 1400000, Emin: 510000, G: 87500, Fb: 1138, Ft: 585, Fc: 1265, columnC: 0.8,
+            costPerFt: 1.90
+        },
+        {
+            id: 'df-2x4', name: 'Douglas Fir-Larch No. 2 2x4', category: 'lumber', nominal: '2x4',
+            thin: 1.5, deep: 3.5, wall: null, density: 0.019,
+            E: 1600000, Emin: 580000, G: 100000, Fb: 1350, Ft: 863, Fc: 1553, columnC: 0.8,
+            costPerFt: 1.60
+        },
+        {
+            id: 'alu-1.5x3', name: '6061-T6 Aluminum Tube 1.5x3x1/8', category: 'aluminum', nominal: '1-1/2 x 3',
+            thin: 1.5, deep: 3.0, wall: 0.125, density: 0.0975,
+            E: 10100000, Emin: 6050000, G: 3800000, Fb: 21000, Ft: 19000, Fc: 19000, columnC: 0.9,
+            costPerFt: 6.50
+        },
+        {
+            id: 'alu-2x4', name: '6061-T6 Aluminum Tube 2x4x1/8', category: 'aluminum', nominal: '2 x 4',
+            thin: 2.0, deep: 4.0, wall: 0.125, density: 0.0975,
+            E: 10100000, Emin: 6050000, G: 3800000, Fb: 21000, Ft: 19000, Fc: 19000, columnC: 0.9,
+            costPerFt: 9.25
+        },
+        {
+            id: 'steel-1.5x3', name: 'A500 Steel Tube 1.5x3x14ga', category: 'steel', nominal: '1-1/2 x 3',
+            thin: 1.5, deep: 3.0, wall: 0.083, density: STEEL_DENSITY,
+            E: 29000000, Emin: 17400000, G: 11200000, Fb: 30000, Ft: 27600, Fc: 27600, columnC: 0.9,
+            costPerFt: 4.75
+        },
+        {
+            id: 'steel-2x4', name: 'A500 Steel Tube 2x4x11ga', category: 'steel', nominal: '2 x 4',
+            thin: 2.0, deep: 4.0, wall: 0.120, density: STEEL_DENSITY,
+            E: 29000000, Emin: 17400000, G: 11200000, Fb: 30000, Ft: 27600, Fc: 27600, columnC: 0.9,
+            costPerFt: 7.80
+        }
+    ];
+
+    /** U-brackets joining uprights to the rings (weight in lbs, cost per piece) */
+    const BRACKET_MATERIALS = [
+        { id: 'steel-u', name: 'Galvanized Steel U-Bracket (12 ga)', category: 'steel', weight: 0.5, costEach: 5.00 },
+        { id: 'steel-u-heavy', name: 'Steel U-Bracket (3/16" plate)', category: 'steel', weight: 1.1, costEach: 9.00 },
+        { id: 'alu-u', name: 'Aluminum U-Bracket (1/4" plate)', category: 'aluminum', weight: 0.35, costEach: 7.50 }
+    ];
+
+    /** Pivot bolt grades (allowable shear in psi on the gross area, cost per bolt with nut and washers) */
+    const BOLT_MATERIALS = [
+        { id: 'a307', name: 'ASTM A307 Grade A', allowableShear: 10000, density: STEEL_DENSITY, costEach: 0.75 },
+        { id: 'grade-5', name: 'SAE Grade 5', allowableShear: 24000, density: STEEL_DENSITY, costEach: 1.10 },
+        { id: 'ss-304', name: '304 Stainless', allowableShear: 12000, density: 0.289, costEach: 1.60 }
+    ];
+
+    /** Catalog entries used when nothing (or an unknown id) is selected */
+    const DEFAULT_SELECTION = {
+        hBeam: 'spf-2x4',
+        vBeam: 'spf-2x4',
+        bracket: 'steel-u',
+        bolt: 'a307'
+    };
+
+    // ========================================
+    // LOOKUP
+    // ========================================
+
+    const findById = (list, id, fallbackId) => list.find(m => m.id === id) || list.find(m => m.id === fallbackId);
+
+    /**
+     * Beam stock by id
+     * @param {string} id - Catalog id
+     * @returns {Object} Beam material (default stock if the id is unknown)
+     */
+    function getBeamMaterial(id) {
+        return findById(BEAM_MATERIALS, id, DEFAULT_SELECTION.hBeam);
+    }
+
+    /**
+     * Bracket by id
+     * @param {string} id - Catalog id
+     * @returns {Object} Bracket material (default bracket if the id is unknown)
+     */
+    function getBracketMaterial(id) {
+        return findById(BRACKET_MATERIALS, id, DEFAULT_SELECTION.bracket);
+    }
+
+    /**
+     * Bolt grade by id
+     * @param {string} id - Catalog id
+     * @returns {Object} Bolt material (default grade if the id is unknown)
+     */
+    function getBoltMaterial(id) {
+        return findById(BOLT_MATERIALS, id, DEFAULT_SELECTION.bolt);
+    }
+
+    /**
+     * Beam width and thickness for a stock laid in a given role.
+     * Ring beams lie flat (deep side horizontal); uprights stand on edge.
+     * @param {Object} material - Beam material
+     * @param {'horizontal'|'vertical'} role - Beam role
+     * @returns {{width: number, thick: number}} Dimensions in inches
+     */
+    function orientedDimensions(material, role) {
+        return role === 'vertical'
+            ? { width: material.thin, thick: material.deep }
+            : { width: material.deep, thick: material.thin };
+    }
+
+    // ========================================
+    // SECTION PROPERTIES
+    // ========================================
+
+    /**
+     * Cross-section properties of one beam
+     * @param {Object} material - Beam material (solid or tube)
+     * @param {number} width - Dimension along the beam's local z axis (inches)
+     * @param {number} thick - Dimension along the beam's local y axis (inches)
+     * @returns {{A: number, Iy: number, Iz: number, J: number, Sy: number, Sz: number}} Area, inertias, torsion constant and section moduli
+     */
+    function sectionProperties(material, width, thick) {
+        const wall = material && material.wall ? Math.min(material.wall, width / 2, thick / 2) : null;
+
+        if (!wall || wall * 2 >= Math.min(width, thick)) {
+            const a = Math.max(width, thick);
+            const b = Math.min(width, thick);
+            const Iy = thick * width * width * width / 12;
+            const Iz = width * thick * thick * thick / 12;
+            return {
+                A: width * thick,
+                Iy,
+                Iz,
+                J: a * b * b * b * (1 / 3 - 0.21 * (b / a) * (1 - Math.pow(b / a, 4) / 12)),
+                Sy: Iy / (width / 2),
+                Sz: Iz / (thick / 2)
+            };
+        }
+
+        // Hollow rectangle: outer minus inner, Bredt's formula for torsion
+        const wi = width - 2 * wall;
+        const ti = thick - 2 * wall;
+        const Iy = (thick * Math.pow(width, 3) - ti * Math.pow(wi, 3)) / 12;
+        const Iz = (width * Math.pow(thick, 3) - wi * Math.pow(ti, 3)) / 12;
+        const wm = width - wall;
+        const tm = thick - wall;
+        return {
+            A: width * thick - wi * ti,
+            Iy,
+            Iz,
+            J: 2 * wall * wm * wm * tm * tm / (wm + tm),
+            Sy: Iy / (width / 2),
+            Sz: Iz / (thick / 2)
+        };
+    }
+
+    /**
+     * Allowable stresses and stiffness of a beam material, in the form used by LoadAnalysis
+     * @param {Object} material - Beam material
+     * @returns {{name: string, E: number, Emin: number, G: number, Fb: number, Ft: number, Fc: number, columnC: number}} Design values (psi)
+     */
+    function designValues(material) {
+        const { name, E, Emin, G, Fb, Ft, Fc, columnC } = material;
+        return { name, E, Emin, G, Fb, Ft, Fc, columnC };
+    }
+
+    // ========================================
+    // WEIGHT & COST
+    // ========================================
+
+    /**
+     * Weight per foot of one beam
+     * @param {Object} material - Beam material
+     * @param {number} width - Beam width (inches)
+     * @param {number} thick - Beam thickness (inches)
+     * @returns {number} Weight in lbs/ft
+     */
+    function beamWeightPerFoot(material, width, thick) {
+        return sectionProperties(material, width, thick).A * INCHES_PER_FOOT * material.density;
+    }
+
+    /**
+     * Weight of one bolt (shank only; nuts and washers are small next to it)
+     * @param {Object} bolt - Bolt material
+     * @param {number} diameter - Bolt diameter (inches)
+     * @param {number} length - Bolt length (inches)
+     * @returns {number} Weight in lbs
+     */
+    function boltWeight(bolt, diameter, length) {
+        return Math.PI * diameter * diameter / 4 * length * bolt.density;
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Catalog
+        BEAM_MATERIALS,
+        BRACKET_MATERIALS,
+        BOLT_MATERIALS,
+        DEFAULT_SELECTION,
+
+        // Lookup
+        getBeamMaterial,
+        getBracketMaterial,
+        getBoltMaterial,
+        orientedDimensions,
+
+        // Properties
+        sectionProperties,
+        designValues,
+        beamWeightPerFoot,
+        boltWeight
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Materials;
+}
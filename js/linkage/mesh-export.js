@@ -0,0 +1,595 @@
+// ============================================================================
+// MESH EXPORT
+// Solved structure as STL, OBJ and glTF
+// ============================================================================
+
+/**
+ * MeshExport - Triangle meshes of the solved parts, written to 3D file formats
+ *
+ * Builds the same solids the viewer draws (beam and panel boxes from their
+ * corners, U-channel brackets, bolt shafts with hex heads) without Three.js,
+ * so exports also work headless. Every part keeps a name and its solver
+ * metadata (module index, stack type, pattern, layer).
+ *
+ * Geometry is in inches, Y up. Each writer converts to its own convention:
+ *   - STL: binary, millimetres or inches, Z up and resting on the bed
+ *   - OBJ: text with one group per part and a companion MTL file
+ *   - glTF 2.0: metres, Y up, one named node per part, buffer embedded
+ *
+ * Usage:
+ *   const parts = MeshExport.collectParts(data, { bracketRotationDeg: 0 });
+ *   const stl = MeshExport.toSTL(parts, { units: 'mm', scale: 1 / 24 });   // ArrayBuffer
+ *   const { obj, mtl } = MeshExport.toOBJ(parts, { mtlFile: 'design.mtl' });
+ *   const gltf = MeshExport.toGLTF(parts, { name: 'design' });            // JSON object
+ */
+
+const MeshExport = (function() {
+    'use strict';
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    const MM_PER_INCH = 25.4;
+    const M_PER_INCH = 0.0254;
+
+    /** Segments around bolt shafts (matches the viewer) */
+    const BOLT_SEGMENTS = 12;
+
+    /** Export materials; colors are linear RGB in 0..1 */
+    const MATERIALS = {
+        wood:     { label: 'Beams',          color: [0.55, 0.36, 0.20] },
+        support:  { label: 'Panel supports', color: [0.62, 0.64, 0.66] },
+        hardware: { label: 'Hardware',       color: [0.10, 0.10, 0.10] },
+        panel:    { label: 'Solar panels',   color: [0.10, 0.20, 0.47] }
+    };
+
+    /** Units accepted by the STL and OBJ writers (length per inch) */
+    const UNITS = {
+        mm: MM_PER_INCH,
+        in: 1
+    };
+
+    // ========================================
+    // VECTOR HELPERS
+    // ========================================
+
+    const vec = (x, y, z) => ({ x, y, z });
+    const add = (a, b) => vec(a.x + b.x, a.y + b.y, a.z + b.z);
+    const sub = (a, b) => vec(a.x - b.x, a.y - b.y, a.z - b.z);
+    const dot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const cross = (a, b) => vec(a.y * b.z - a.z * b.y, a.z * b.x - a.x * b.z, a.x * b.y - a.y * b.x);
+
+    function normalize(v) {
+        const len = Math.sqrt(dot(v, v)) || 1;
+        return vec(v.x / len, v.y / len, v.z / len);
+    }
+
+    function centroid(points) {
+        const sum = points.reduce(add, vec(0, 0, 0));
+        return vec(sum.x / points.length, sum.y / points.length, sum.z / points.length);
+    }
+
+    /**
+     * Rotation about an axis through the origin
+     * @param {{x, y, z}} axis - Unit axis
+     * @param {number} angle - Radians
+     * @returns {function({x, y, z}): {x, y, z}} Rotates a point
+     */
+    function rotation(axis, angle) {
+        const c = Math.cos(angle);
+        const s = Math.sin(angle);
+        return p => {
+            // Rodrigues' formula
+            const k = cross(axis, p);
+            const d = dot(axis, p) * (1 - c);
+            return vec(
+                p.x * c + k.x * s + axis.x * d,
+                p.y * c + k.y * s + axis.y * d,
+                p.z * c + k.z * s + axis.z * d
+            );
+        };
+    }
+
+    /**
+     * Rotation taking +Y onto a direction (as Quaternion.setFromUnitVectors)
+     * @param {{x, y, z}} dir - Target direction
+     * @returns {function({x, y, z}): {x, y, z}} Rotates a point
+     */
+    function rotationFromUp(dir) {
+        const to = normalize(dir);
+        const up = vec(0, 1, 0);
+        const cos = Math.max(-1, Math.min(1, dot(up, to)));
+        if (cos > 1 - 1e-9) return p => p;
+        if (cos < -1 + 1e-9) return rotation(vec(1, 0, 0), Math.PI);
+        return rotation(normalize(cross(up, to)), Math.acos(cos));
+    }
+
+    // ========================================
+    // SOLIDS
+    // ========================================
+
+    /**
+     * Triangles of a convex face, wound to face away from a solid's center
+     * @param {Array<{x, y, z}>} face - Face polygon, in order around its edge
+     * @param {{x, y, z}} center - Center of the solid
+     * @returns {Array<Array<{x, y, z}>>} Triangle fan
+     */
+    function faceTriangles(face, center) {
+        const normal = cross(sub(face[1], face[0]), sub(face[2], face[0]));
+        const points = dot(normal, sub(centroid(face), center)) < 0 ? face.slice().reverse() : face;
+        const triangles = [];
+        for (let i = 1; i < points.length - 1; i++) {
+            triangles.push([points[0], points[i], points[i + 1]]);
+        }
+        return triangles;
+    }
+
+    /**
+     * Triangles of a hexahedron in Beam3D/Panel3D corner order
+     * (0-3 one end quad, 4-7 the opposite quad with 4+i facing i)
+     * @param {Array<{x, y, z}>} c - 8 corners
+     * @returns {Array<Array<{x, y, z}>>} 12 triangles
+     */
+    function boxFromCorners(c) {
+        const center = centroid(c);
+        return [
+            [c[0], c[1], c[2], c[3]],
+            [c[4], c[7], c[6], c[5]],
+            [c[0], c[4], c[5], c[1]],
+            [c[2], c[6], c[7], c[3]],
+            [c[0], c[3], c[7], c[4]],
+            [c[1], c[5], c[6], c[2]]
+        ].flatMap(face => faceTriangles(face, center));
+    }
+
+    /**
+     * Triangles of an axis-aligned box in local coordinates
+     * @param {{x, y, z}} center - Box center
+     * @param {{x, y, z}} size - Full extents
+     * @returns {Array<Array<{x, y, z}>>} 12 triangles
+     */
+    function localBox(center, size) {
+        const corners = [];
+        [-1, 1].forEach(sz => {
+            [[-1, -1], [1, -1], [1, 1], [-1, 1]].forEach(([sx, sy]) => {
+                corners.push(vec(center.x + sx * size.x / 2, center.y + sy * size.y / 2, center.z + sz * size.z / 2));
+            });
+        });
+        return boxFromCorners(corners);
+    }
+
+    /**
+     * Triangles of a prism along local Y
+     * @param {number} radius - Circumradius
+     * @param {number} y0 - Bottom
+     * @param {number} y1 - Top
+     * @param {number} sides - Polygon sides
+     * @returns {Array<Array<{x, y, z}>>} Triangles
+     */
+    function prism(radius, y0, y1, sides) {
+        const ring = y => Array.from({ length: sides }, (_, i) => {
+            const a = (i / sides) * Math.PI * 2;
+            return vec(radius * Math.cos(a), y, radius * Math.sin(a));
+        });
+        const bottom = ring(y0);
+        const top = ring(y1);
+        const center = vec(0, (y0 + y1) / 2, 0);
+        const triangles = [...faceTriangles(bottom, center), ...faceTriangles(top, center)];
+        for (let i = 0; i < sides; i++) {
+            const j = (i + 1) % sides;
+            triangles.push(...faceTriangles([bottom[i], bottom[j], top[j], top[i]], center));
+        }
+        return triangles;
+    }
+
+    const transformTriangles = (triangles, fn) => triangles.map(tri => tri.map(fn));
+
+    // ========================================
+    // PART MESHES
+    // ========================================
+
+    /**
+     * Bracket U-channel, placed as createBracketMesh() places it
+     * @param {Object} bracket - Solved bracket
+     * @param {number} rotationDeg - Manual rotation about the bracket's up axis
+     * @returns {Array<Array<{x, y, z}>>} Triangles
+     */
+    function bracketTriangles(bracket, rotationDeg) {
+        const width = bracket.width || 2.0;
+        const depth = bracket.depth || 3.0;
+        const height = bracket.actualHeight || bracket.height || 3.0;
+        const wall = bracket.wallThickness || 0.25;
+        const innerWidth = bracket.innerWidth || 1.5;
+        const legWidth = (width - innerWidth) / 2;
+        const legX = (width - legWidth) / 2;
+
+        // U opening along +Y, channel along Z, origin at the bottom of the plate
+        const local = [
+            ...localBox(vec(0, wall / 2, 0), vec(width, wall, depth)),
+            ...localBox(vec(-legX, height / 2 + wall, 0), vec(legWidth, height, depth)),
+            ...localBox(vec(legX, height / 2 + wall, 0), vec(legWidth, height, depth))
+        ];
+
+        let yaw = 0;
+        if (bracket.beamDir && Math.hypot(bracket.beamDir.x, bracket.beamDir.z) > 0.001) {
+            yaw = Math.atan2(bracket.beamDir.x, bracket.beamDir.z);
+        }
+        yaw += (rotationDeg || 0) * Math.PI / 180;
+
+        const turn = rotation(vec(0, 1, 0), yaw);
+        const flip = bracket.isBottom ? (p => p) : rotation(vec(1, 0, 0), Math.PI);
+        const origin = vec(bracket.pos.x, bracket.bottomY || bracket.pos.y, bracket.pos.z);
+        return transformTriangles(local, p => add(origin, turn(flip(p))));
+    }
+
+    /**
+     * Bolt shaft with hex head, placed as createBoltMesh() places it
+     * @param {Object} bolt - Solved bolt
+     * @returns {Array<Array<{x, y, z}>>} Triangles
+     */
+    function boltTriangles(bolt) {
+        const r = bolt.radius;
+        const length = bolt.length;
+        const head = r * 1.2;
+        const local = [
+            ...prism(r, -length / 2, length / 2, BOLT_SEGMENTS),
+            ...prism(r * 1.8, length / 2 - head / 2, length / 2 + head / 2, 6)
+        ];
+        const orient = bolt.dir ? rotationFromUp(bolt.dir) : (p => p);
+        return transformTriangles(local, p => add(bolt.center, orient(p)));
+    }
+
+    const moduleLabel = (part) => `module-${part.moduleIndex + 1}`;
+
+    /**
+     * Display name of a beam
+     * @param {Object} beam - Beam3D
+     * @returns {string} e.g. 'module-3 horizontal-top A layer-2'
+     */
+    function beamName(beam) {
+        if (beam.stackType === 'solar-support') return `solar-support-${beam.stackId + 1}`;
+        const parts = [
+            beam.arrayIndex > 0 ? `arch-${beam.arrayIndex + 1}` : null,
+            beam.tierIndex > 0 ? `ring-${beam.tierIndex + 1}` : null,
+            moduleLabel(beam),
+            beam.stackType,
+            beam.patternId,
+            Number.isInteger(beam.layer) ? `layer-${beam.layer + 1}` : null
+        ];
+        return parts.filter(Boolean).join(' ');
+    }
+
+    /**
+     * Meshes of every part of a solved pose
+     * @param {Object} data - Geometry from solveLinkage(), with `panels` and support beams in `beams`
+     * @param {{bracketRotationDeg?: number}} options - Manual bracket rotation shown in the viewer
+     * @returns {Array<{name: string, kind: string, material: string, extras: Object, triangles: Array}>} Parts
+     */
+    function collectParts(data, options = {}) {
+        const parts = [];
+
+        (data.beams || []).forEach(beam => {
+            const support = beam.stackType === 'solar-support';
+            parts.push({
+                name: beamName(beam),
+                kind: 'beam',
+                material: support ? 'support' : 'wood',
+                extras: {
+                    moduleIndex: beam.moduleIndex,
+                    stackType: beam.stackType,
+                    patternId: beam.patternId || null,
+                    layer: Number.isInteger(beam.layer) ? beam.layer : null,
+                    arrayIndex: beam.arrayIndex || 0
+                },
+                triangles: boxFromCorners(beam.corners)
+            });
+        });
+
+        (data.brackets || []).forEach(bracket => {
+            parts.push({
+                name: `${moduleLabel(bracket)} bracket ${bracket.isBottom ? 'bottom' : 'top'}${bracket.joint ? `-${bracket.joint}` : ''}`,
+                kind: 'bracket',
+                material: 'hardware',
+                extras: { moduleIndex: bracket.moduleIndex, isBottom: !!bracket.isBottom, joint: bracket.joint || null },
+                triangles: bracketTriangles(bracket, options.bracketRotationDeg)
+            });
+        });
+
+        (data.bolts || []).forEach(bolt => {
+            parts.push({
+                name: `${moduleLabel(bolt)} bolt${bolt.pivot ? ` ${bolt.pivot}` : ''}`,
+                kind: 'bolt',
+                material: 'hardware',
+                extras: { moduleIndex: bolt.moduleIndex, pivot: bolt.pivot || null },
+                triangles: boltTriangles(bolt)
+            });
+        });
+
+        (data.panels || []).forEach((panel, index) => {
+            parts.push({
+                name: `solar-panel-${index + 1}`,
+                kind: 'panel',
+                material: 'panel',
+                extras: { panelIndex: index },
+                triangles: boxFromCorners(panel.corners)
+            });
+        });
+
+        return parts;
+    }
+
+    /**
+     * Total triangle count
+     * @param {Array<Object>} parts - Result of collectParts()
+     * @returns {number} Triangles
+     */
+    const countTriangles = (parts) => parts.reduce((n, part) => n + part.triangles.length, 0);
+
+    // ========================================
+    // WRITERS
+    // ========================================
+
+    /**
+     * Point mapping for the STL and OBJ writers
+     * @param {Array<Object>} parts - Parts
+     * @param {{units?: string, scale?: number, zUp?: boolean, onBed?: boolean}} options - Output frame
+     * @returns {function({x, y, z}): {x, y, z}} Maps solver inches to output coordinates
+     */
+    function outputFrame(parts, options) {
+        const factor = (UNITS[options.units] || 1) * (options.scale || 1);
+        const axes = options.zUp ? (p => vec(p.x, -p.z, p.y)) : (p => p);
+
+        let offset = vec(0, 0, 0);
+        if (options.onBed) {
+            // Center on the bed and rest the lowest point on it
+            const min = vec(Infinity, Infinity, Infinity);
+            const max = vec(-Infinity, -Infinity, -Infinity);
+            parts.forEach(part => part.triangles.forEach(tri => tri.forEach(point => {
+                const p = axes(point);
+                ['x', 'y', 'z'].forEach(k => {
+                    min[k] = Math.min(min[k], p[k]);
+                    max[k] = Math.max(max[k], p[k]);
+                });
+            })));
+            if (min.x <= max.x) {
+                offset = options.zUp
+                    ? vec(-(min.x + max.x) / 2, -(min.y + max.y) / 2, -min.z)
+                    : vec(-(min.x + max.x) / 2, -min.y, -(min.z + max.z) / 2);
+            }
+        }
+
+        return point => {
+            const p = add(axes(point), offset);
+            return vec(p.x * factor, p.y * factor, p.z * factor);
+        };
+    }
+
+    const triangleNormal = (a, b, c) => normalize(cross(sub(b, a), sub(c, a)));
+
+    /**
+     * Binary STL of all parts
+     * @param {Array<Object>} parts - Result of collectParts()
+     * @param {{units?: string, scale?: number, zUp?: boolean, onBed?: boolean, header?: string}} options -
+     *   Units default to 'mm', Z up and resting on the bed (slicer conventions)
+     * @returns {ArrayBuffer} 84 + 50 bytes per triangle
+     */
+    function toSTL(parts, options = {}) {
+        const opts = { units: 'mm', scale: 1, zUp: true, onBed: true, ...options };
+        const map = outputFrame(parts, opts);
+        const count = countTriangles(parts);
+        const buffer = new ArrayBuffer(84 + count * 50);
+        const view = new DataView(buffer);
+
+        // Header must not start with 'solid' or readers take the file for ASCII STL
+        const header = (opts.header || 'LinkageLab structure').slice(0, 80);
+        for (let i = 0; i < header.length; i++) {
+            view.setUint8(i, header.charCodeAt(i) & 0x7f);
+        }
+        view.setUint32(80, count, true);
+
+        let offset = 84;
+        const write = (p) => {
+            view.setFloat32(offset, p.x, true);
+            view.setFloat32(offset + 4, p.y, true);
+            view.setFloat32(offset + 8, p.z, true);
+            offset += 12;
+        };
+        parts.forEach(part => part.triangles.forEach(tri => {
+            const [a, b, c] = tri.map(map);
+            write(triangleNormal(a, b, c));
+            write(a);
+            write(b);
+            write(c);
+            view.setUint16(offset, 0, true);
+            offset += 2;
+        }));
+
+        return buffer;
+    }
+
+    const formatCoord = (n) => (Math.abs(n) < 5e-7 ? 0 : +n.toFixed(6)).toString();
+
+    /**
+     * Wavefront OBJ with one group per part, and its MTL
+     * @param {Array<Object>} parts - Result of collectParts()
+     * @param {{units?: string, scale?: number, zUp?: boolean, mtlFile?: string, name?: string}} options -
+     *   Units default to inches, Y up
+     * @returns {{obj: string, mtl: string}} File contents
+     */
+    function toOBJ(parts, options = {}) {
+        const opts = { units: 'in', scale: 1, zUp: false, onBed: false, ...options };
+        const map = outputFrame(parts, opts);
+        const mtlFile = opts.mtlFile || 'structure.mtl';
+
+        const lines = [
+            `# ${opts.name || 'LinkageLab structure'}`,
+            `# Units: ${opts.units}${opts.scale !== 1 ? `, scale 1:${formatCoord(1 / opts.scale)}` : ''}; ${opts.zUp ? 'Z' : 'Y'} up`,
+            `# ${parts.length} parts, ${countTriangles(parts)} triangles`,
+            `mtllib ${mtlFile}`
+        ];
+
+        let vertexCount = 0;
+        parts.forEach(part => {
+            lines.push('', `g ${part.name.replace(/\s+/g, '_')}`, `usemtl ${part.material}`);
+            const faces = [];
+            part.triangles.forEach(tri => {
+                const points = tri.map(map);
+                const n = triangleNormal(...points);
+                points.forEach(p => lines.push(`v ${formatCoord(p.x)} ${formatCoord(p.y)} ${formatCoord(p.z)}`));
+                lines.push(`vn ${formatCoord(n.x)} ${formatCoord(n.y)} ${formatCoord(n.z)}`);
+                const base = vertexCount + 1;
+                const normal = vertexCount / 3 + 1;
+                faces.push(`f ${base}//${normal} ${base + 1}//${normal} ${base + 2}//${normal}`);
+                vertexCount += 3;
+            });
+            lines.push(...faces);
+        });
+
+        const used = Object.keys(MATERIALS).filter(key => parts.some(part => part.material === key));
+        const mtl = used.flatMap(key => {
+            const [r, g, b] = MATERIALS[key].color;
+            return [
+                `# ${MATERIALS[key].label}`,
+                `newmtl ${key}`,
+                `Kd ${r.toFixed(3)} ${g.toFixed(3)} ${b.toFixed(3)}`,
+                'Ka 0.000 0.000 0.000',
+                'Ks 0.050 0.050 0.050',
+                'd 1',
+                'illum 2',
+                ''
+            ];
+        });
+
+        return { obj: lines.join('\n') + '\n', mtl: mtl.join('\n') };
+    }
+
+    /**
+     * Base64 of binary data, in the browser or Node
+     * @param {Uint8Array} bytes - Data
+     * @returns {string} Base64
+     */
+    function toBase64(bytes) {
+        if (typeof btoa === 'function') {
+            let binary = '';
+            for (let i = 0; i < bytes.length; i += 0x8000) {
+                binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+            }
+            return btoa(binary);
+        }
+        return Buffer.from(bytes.buffer, bytes.byteOffset, bytes.byteLength).toString('base64');
+    }
+
+    /**
+     * glTF 2.0 scene with one named node per part and the buffer embedded as a data URI
+     * @param {Array<Object>} parts - Result of collectParts()
+     * @param {{name?: string, scale?: number, extras?: Object}} options - Scene name, model scale and scene extras
+     * @returns {Object} glTF JSON
+     */
+    function toGLTF(parts, options = {}) {
+        const factor = M_PER_INCH * (options.scale || 1);
+        const materialKeys = Object.keys(MATERIALS).filter(key => parts.some(part => part.material === key));
+
+        // Flat-shaded: three vertices and one normal per triangle corner
+        const vertexTotal = countTriangles(parts) * 3;
+        const positions = new Float32Array(vertexTotal * 3);
+        const normals = new Float32Array(vertexTotal * 3);
+
+        const accessors = [];
+        const meshes = [];
+        const nodes = [];
+        let cursor = 0;
+
+        parts.forEach((part, index) => {
+            const first = cursor;
+            const min = [Infinity, Infinity, Infinity];
+            const max = [-Infinity, -Infinity, -Infinity];
+
+            part.triangles.forEach(tri => {
+                const points = tri.map(p => vec(p.x * factor, p.y * factor, p.z * factor));
+                const n = triangleNormal(...points);
+                points.forEach(p => {
+                    const i = cursor * 3;
+                    positions[i] = p.x; positions[i + 1] = p.y; positions[i + 2] = p.z;
+                    normals[i] = n.x; normals[i + 1] = n.y; normals[i + 2] = n.z;
+                    // Bounds from the stored float32 values, as validators compare them
+                    for (let k = 0; k < 3; k++) {
+                        min[k] = Math.min(min[k], positions[i + k]);
+                        max[k] = Math.max(max[k], positions[i + k]);
+                    }
+                    cursor++;
+                });
+            });
+
+            const count = cursor - first;
+            accessors.push(
+                { bufferView: 0, byteOffset: first * 12, componentType: 5126, count, type: 'VEC3', min, max },
+                { bufferView: 1, byteOffset: first * 12, componentType: 5126, count, type: 'VEC3' }
+            );
+            meshes.push({
+                name: part.name,
+                primitives: [{
+                    attributes: { POSITION: index * 2, NORMAL: index * 2 + 1 },
+                    material: materialKeys.indexOf(part.material)
+                }]
+            });
+            nodes.push({ name: part.name, mesh: index, extras: { kind: part.kind, ...part.extras } });
+        });
+
+        const bytes = new Uint8Array(positions.byteLength + normals.byteLength);
+        bytes.set(new Uint8Array(positions.buffer), 0);
+        bytes.set(new Uint8Array(normals.buffer), positions.byteLength);
+
+        nodes.push({ name: options.name || 'structure', children: parts.map((_, i) => i) });
+
+        return {
+            asset: { version: '2.0', generator: 'LinkageLab' },
+            scene: 0,
+            scenes: [{ name: options.name || 'structure', nodes: [nodes.length - 1], extras: options.extras || {} }],
+            nodes,
+            meshes,
+            materials: materialKeys.map(key => ({
+                name: key,
+                pbrMetallicRoughness: {
+                    baseColorFactor: [...MATERIALS[key].color, 1],
+                    metallicFactor: key === 'hardware' ? 0.6 : 0,
+                    roughnessFactor: key === 'panel' ? 0.3 : 0.8
+                },
+                doubleSided: true
+            })),
+            accessors,
+            bufferViews: [
+                { buffer: 0, byteOffset: 0, byteLength: positions.byteLength, byteStride: 12, target: 34962 },
+                { buffer: 0, byteOffset: positions.byteLength, byteLength: normals.byteLength, byteStride: 12, target: 34962 }
+            ],
+            buffers: [{
+                byteLength: bytes.byteLength,
+                uri: `data:application/octet-stream;base64,${toBase64(bytes)}`
+            }]
+        };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        MATERIALS,
+        UNITS,
+
+        // Part meshes
+        collectParts,
+        countTriangles,
+
+        // Writers
+        toSTL,
+        toOBJ,
+        toGLTF
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeshExport;
+}
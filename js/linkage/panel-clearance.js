@@ -0,0 +1,434 @@
+// ============================================================================
+// PANEL CLEARANCE
+// Mounted solar panels carried through the fold, and how close they come
+// ============================================================================
+
+/**
+ * PanelClearance - Tracks mounted panels as the structure folds for transport
+ *
+ * Panels are laid out at the deployed pose and mounted on the beam each one
+ * rests on. Folding towards the stowed pose carries every panel rigidly with
+ * its host beam, so panels can be checked against the structure and each other
+ * at any fold angle.
+ *
+ * Parts a panel already touches at the deployed pose (the other beams and
+ * panels it sits on or beside) are measured relative to that pose: a seated
+ * beam that digs a further 0.5" into the panel reads as -0.5" of clearance.
+ * Clearances are conservative (separating-axis gaps never exceed the true
+ * distance).
+ *
+ * Usage:
+ *   const mount = PanelClearance.createMount(params, deployedAngle, data => layoutPanels(data));
+ *   const result = PanelClearance.analyzeFold(params, mount);
+ *   result.stowAngle;              // radians; fold below this only with panels removed
+ *   result.panels[0].minClearance; // inches
+ */
+
+const PanelClearance = (function() {
+    'use strict';
+
+    const Solver = (typeof LinkageSolver !== 'undefined') ? LinkageSolver : require('./linkage-solver.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Fold angle step of the clearance scan (degrees) */
+    const DEFAULT_STEP_DEG = 0.5;
+
+    /** Gap (inches) under which a part counts as seated against a panel at the deployed pose */
+    const SEATED_GAP_IN = 0.25;
+
+    // ========================================
+    // HELPERS
+    // ========================================
+
+    const vAdd = (a, b) => ({x: a.x + b.x, y: a.y + b.y, z: a.z + b.z});
+    const vSub = (a, b) => ({x: a.x - b.x, y: a.y - b.y, z: a.z - b.z});
+    const vScale = (a, s) => ({x: a.x * s, y: a.y * s, z: a.z * s});
+    const vDot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+
+    /** Local frame of a beam: its center and axes */
+    const beamFrame = (beam) => ({ center: beam.center, axes: [beam.axisX, beam.axisY, beam.axisZ] });
+
+    const toLocalDir = (dir, frame) => frame.axes.map(axis => vDot(dir, axis));
+    const toLocalPoint = (pt, frame) => toLocalDir(vSub(pt, frame.center), frame);
+    const toWorldDir = (local, frame) => frame.axes.reduce((sum, axis, i) => vAdd(sum, vScale(axis, local[i])), {x: 0, y: 0, z: 0});
+    const toWorldPoint = (local, frame) => vAdd(frame.center, toWorldDir(local, frame));
+
+    /**
+     * World-axis bounds of an oriented box
+     * @param {{center, axes, half}} box - Box from LinkageSolver.getOrientedBox()
+     * @returns {{min: {x,y,z}, max: {x,y,z}}} Bounds
+     */
+    function boxBounds(box) {
+        const extent = ['x', 'y', 'z'].map(k => box.half.reduce((sum, h, i) => sum + h * Math.abs(box.axes[i][k]), 0));
+        return {
+            min: {x: box.center.x - extent[0], y: box.center.y - extent[1], z: box.center.z - extent[2]},
+            max: {x: box.center.x + extent[0], y: box.center.y + extent[1], z: box.center.z + extent[2]}
+        };
+    }
+
+    /**
+     * Gap between two sets of bounds along the widest separated world axis
+     * @returns {number} Gap in inches (negative or zero if the bounds overlap)
+     */
+    function boundsGap(a, b) {
+        return Math.max(
+            Math.max(a.min.x - b.max.x, b.min.x - a.max.x),
+            Math.max(a.min.y - b.max.y, b.min.y - a.max.y),
+            Math.max(a.min.z - b.max.z, b.min.z - a.max.z)
+        );
+    }
+
+    /**
+     * Structural parts of a solved pose, keyed so the same part can be found at other fold angles
+     * @param {{beams: Array, brackets?: Array, bolts?: Array}} data - Geometry from solveLinkage()
+     * @returns {Array<{key: string, kind: string, part: Object, box: Object, bounds: Object}>} Parts
+     */
+    function listParts(data) {
+        const parts = [];
+        const add = (kind, part, index) => {
+            if (kind === 'beam' && part.stackType === 'solar-support') return;
+            const box = Solver.getOrientedBox(part);
+            if (box) parts.push({ key: `${kind}:${index}`, kind, part, box, bounds: boxBounds(box) });
+        };
+        (data.beams || []).forEach((part, i) => add('beam', part, i));
+        (data.brackets || []).forEach((part, i) => add('bracket', part, i));
+        (data.bolts || []).forEach((part, i) => add('bolt', part, i));
+        return parts;
+    }
+
+    /**
+     * Finds a keyed part in a solved pose
+     * @param {Object} data - Geometry from solveLinkage()
+     * @param {string} key - Key from listParts()
+     * @returns {Object|undefined} Part
+     */
+    function findPart(data, key) {
+        const [kind, index] = key.split(':');
+        const list = { beam: data.beams, bracket: data.brackets, bolt: data.bolts }[kind] || [];
+        return list[Number(index)];
+    }
+
+    // ========================================
+    // MOUNTING
+    // ========================================
+
+    /**
+     * Mounts panels on the beams they rest on
+     * @param {Object} data - Geometry at the mount pose (brackets and bolts included)
+     * @param {Array} panels - Panels laid out at the mount pose (corners + axisX/Y/Z)
+     * @returns {Array<Object>} One mount entry per panel (null for a panel with no beam to hold it)
+     */
+    function mountPanels(data, panels) {
+        const parts = listParts(data);
+        const beams = parts.filter(entry => entry.kind === 'beam');
+        const boxes = panels.map(panel => Solver.getOrientedBox(panel));
+
+        return panels.map((panel, i) => {
+            const box = boxes[i];
+            if (!box || beams.length === 0) return null;
+
+            // Host: the beam the panel sits deepest in (or closest to)
+            let host = null;
+            let best = -Infinity;
+            beams.forEach(entry => {
+                const overlap = Solver.measureBoxOverlap(box, entry.box);
+                if (overlap > best) {
+                    best = overlap;
+                    host = entry;
+                }
+            });
+
+            // Parts already touching the panel, with their clearance at this pose
+            const seated = {};
+            const bounds = boxBounds(box);
+            parts.forEach(entry => {
+                if (entry === host || boundsGap(bounds, entry.bounds) >= SEATED_GAP_IN) return;
+                const gap = -Solver.measureBoxOverlap(box, entry.box);
+                if (gap < SEATED_GAP_IN) seated[entry.key] = gap;
+            });
+            boxes.forEach((other, j) => {
+                if (j === i || !other) return;
+                const gap = -Solver.measureBoxOverlap(box, other);
+                if (gap < SEATED_GAP_IN) seated[`panel:${j}`] = gap;
+            });
+
+            const frame = beamFrame(host.part);
+            return {
+                panel,
+                hostKey: host.key,
+                seated,
+                local: {
+                    center: toLocalPoint(panel.center, frame),
+                    axes: [panel.axisX, panel.axisY, panel.axisZ].map(axis => toLocalDir(axis, frame)),
+                    normal: toLocalDir(panel.normal || panel.axisY, frame),
+                    corners: panel.corners.map(c => toLocalPoint(c, frame))
+                }
+            };
+        });
+    }
+
+    /**
+     * Lays panels out at a fold angle and mounts them
+     * @param {Object} params - Solver parameters
+     * @param {number} mountAngle - Fold angle the panels are laid out at, in radians
+     * @param {function(Object): Array} layoutPanels - Returns the panels for a solved pose
+     * @returns {{mountAngle: number, entries: Array<Object>}} Mount
+     */
+    function createMount(params, mountAngle, layoutPanels) {
+        const p = { ...params, showBrackets: true, showBolts: true };
+        const data = Solver.solveLinkage(p, mountAngle);
+        return { mountAngle, entries: mountPanels(data, layoutPanels(data) || []) };
+    }
+
+    /**
+     * Carries mounted panels onto a solved pose
+     * @param {{entries: Array}} mount - Mount from createMount()
+     * @param {Object} data - Geometry at the new pose
+     * @returns {Array<Object|null>} Panel copies in mount order (null where the host beam is missing)
+     */
+    function placePanels(mount, data) {
+        return mount.entries.map(entry => {
+            const host = entry && findPart(data, entry.hostKey);
+            if (!host) return null;
+            const frame = beamFrame(host);
+            const [axisX, axisY, axisZ] = entry.local.axes.map(axis => toWorldDir(axis, frame));
+            return {
+                ...entry.panel,
+                center: toWorldPoint(entry.local.center, frame),
+                axisX, axisY, axisZ,
+                normal: toWorldDir(entry.local.normal, frame),
+                corners: entry.local.corners.map(c => toWorldPoint(c, frame))
+            };
+        });
+    }
+
+    // ========================================
+    // CLEARANCE
+    // ========================================
+
+    /**
+     * Clearance of every mounted panel at one pose
+     * @param {{entries: Array}} mount - Mount from createMount()
+     * @param {Object} data - Geometry at the pose
+     * @param {Array<Object|null>} placed - Result of placePanels() for the same pose
+     * @returns {Array<{clearance: number, kind: string, part: Object}|null>} Tightest contact per panel (clearance in inches, negative when overlapping)
+     */
+    function measurePose(mount, data, placed) {
+        const parts = listParts(data);
+        const boxes = placed.map(panel => panel && Solver.getOrientedBox(panel));
+        const panelBounds = boxes.map(box => box && boxBounds(box));
+
+        return mount.entries.map((entry, i) => {
+            if (!entry || !boxes[i]) return null;
+            let tightest = { clearance: Infinity, kind: null, part: null };
+
+            const consider = (key, kind, part, box, bounds) => {
+                if (key === entry.hostKey) return;
+                const baseline = entry.seated[key] !== undefined ? entry.seated[key] : 0;
+                // Bounds gaps never exceed the true distance, so far-away parts can be skipped
+                const coarse = boundsGap(panelBounds[i], bounds);
+                if (coarse - baseline >= tightest.clearance) return;
+                const overlap = Solver.measureBoxOverlap(boxes[i], box);
+                const gap = overlap > 0 ? -overlap : Math.max(coarse, -overlap);
+                const clearance = gap - baseline;
+                if (clearance < tightest.clearance) tightest = { clearance, kind, part };
+            };
+
+            parts.forEach(p => consider(p.key, p.kind, p.part, p.box, p.bounds));
+            boxes.forEach((box, j) => {
+                if (j !== i && box) consider(`panel:${j}`, 'panel', placed[j], box, panelBounds[j]);
+            });
+            return tightest;
+        });
+    }
+
+    /**
+     * Panel collisions at one pose, in the LinkageSolver collision format
+     * @param {{entries: Array}} mount - Mount from createMount()
+     * @param {Object} data - Geometry at the pose
+     * @param {Array<Object|null>} placed - Result of placePanels() for the same pose
+     * @returns {Array<{beam: Object, other: Object, type: string, depth: number}>} Collisions
+     */
+    function detectPanelCollisions(mount, data, placed) {
+        const collisions = [];
+        measurePose(mount, data, placed).forEach((tightest, i) => {
+            if (!tightest || tightest.clearance >= -Solver.MIN_PART_PENETRATION) return;
+            collisions.push({
+                beam: tightest.part,
+                other: placed[i],
+                type: tightest.kind === 'panel' ? 'panel-panel' : 'panel-structure',
+                depth: -tightest.clearance
+            });
+        });
+        return collisions;
+    }
+
+    // ========================================
+    // FOLD SCAN
+    // ========================================
+
+    /**
+     * Fold angles from the mount pose down to the fully folded pose
+     * @param {number} mountAngle - Mount angle in radians
+     * @param {number} stepDeg - Step in degrees
+     * @returns {number[]} Angles in radians, decreasing
+     */
+    function buildAngles(mountAngle, stepDeg) {
+        const step = stepDeg * Math.PI / 180;
+        const angles = [];
+        for (let angle = mountAngle; angle > Solver.MIN_FOLD_ANGLE + 1e-9; angle -= step) {
+            angles.push(angle);
+        }
+        angles.push(Solver.MIN_FOLD_ANGLE);
+        return angles;
+    }
+
+    /**
+     * Creates the running totals of a fold scan
+     * @param {{mountAngle: number, entries: Array}} mount - Mount
+     * @param {number} stepDeg - Step in degrees
+     */
+    function createScan(mount, stepDeg) {
+        return {
+            mountAngle: mount.mountAngle,
+            stepDeg,
+            stowAngle: null,
+            blockedAngle: null,
+            lastClearAngle: null,
+            panels: mount.entries.map((entry, index) => ({
+                index,
+                mounted: !!entry,
+                minClearance: Infinity,
+                minClearanceAngle: null,
+                against: null,
+                blockedAngle: null
+            }))
+        };
+    }
+
+    /**
+     * Folds to one angle and folds the clearances into the running totals
+     */
+    function scanAngle(params, mount, scan, angle) {
+        const data = Solver.solveLinkage(params, angle);
+        const placed = placePanels(mount, data);
+        let blocked = false;
+
+        measurePose(mount, data, placed).forEach((tightest, i) => {
+            if (!tightest) return;
+            const panel = scan.panels[i];
+            if (tightest.clearance < panel.minClearance) {
+                panel.minClearance = tightest.clearance;
+                panel.minClearanceAngle = angle;
+                panel.against = tightest.kind;
+            }
+            if (tightest.clearance < -Solver.MIN_PART_PENETRATION) {
+                blocked = true;
+                if (panel.blockedAngle === null) panel.blockedAngle = angle;
+            }
+        });
+
+        if (blocked && scan.blockedAngle === null) {
+            scan.blockedAngle = angle;
+            scan.stowAngle = scan.lastClearAngle;
+        }
+        if (!blocked && scan.blockedAngle === null) scan.lastClearAngle = angle;
+    }
+
+    /**
+     * Finalises a scan result
+     */
+    function finishScan(scan) {
+        const { lastClearAngle, ...result } = scan;
+        result.panels.forEach(panel => {
+            if (!isFinite(panel.minClearance)) panel.minClearance = null;
+        });
+        return result;
+    }
+
+    /**
+     * Folds mounted panels from the mount pose to fully folded and records their clearances
+     * @param {Object} params - Solver parameters
+     * @param {{mountAngle: number, entries: Array}} mount - Mount from createMount()
+     * @param {{stepDeg?: number}} options - Scan options
+     * @returns {{mountAngle: number, stepDeg: number, stowAngle: number|null, blockedAngle: number|null, panels: Array<Object>}}
+     *   stowAngle is the lowest angle reached before the first collision (null if the whole fold is clear);
+     *   each panel: {index, mounted, minClearance, minClearanceAngle, against, blockedAngle}
+     */
+    function analyzeFold(params, mount, options = {}) {
+        const stepDeg = options.stepDeg || DEFAULT_STEP_DEG;
+        const p = { ...params, showBrackets: true, showBolts: true };
+        const scan = createScan(mount, stepDeg);
+        buildAngles(mount.mountAngle, stepDeg).forEach(angle => scanAngle(p, mount, scan, angle));
+        return finishScan(scan);
+    }
+
+    /**
+     * As analyzeFold(), in batches that yield to the UI
+     * @param {Object} params - Solver parameters
+     * @param {{mountAngle: number, entries: Array}} mount - Mount from createMount()
+     * @param {Object} options - As analyzeFold(), plus batchSize, onProgress(done, total) and isCancelled()
+     * @returns {Promise<Object>} Result of analyzeFold() with `cancelled`
+     */
+    function analyzeFoldAsync(params, mount, options = {}) {
+        const stepDeg = options.stepDeg || DEFAULT_STEP_DEG;
+        const p = { ...params, showBrackets: true, showBolts: true };
+        const scan = createScan(mount, stepDeg);
+        const angles = buildAngles(mount.mountAngle, stepDeg);
+        const batchSize = options.batchSize || 10;
+
+        return new Promise((resolve, reject) => {
+            let index = 0;
+            const step = () => {
+                try {
+                    if (options.isCancelled && options.isCancelled()) {
+                        resolve({ ...finishScan(scan), cancelled: true });
+                        return;
+                    }
+                    const end = Math.min(index + batchSize, angles.length);
+                    for (; index < end; index++) {
+                        scanAngle(p, mount, scan, angles[index]);
+                    }
+                    if (options.onProgress) options.onProgress(index, angles.length);
+                    if (index < angles.length) {
+                        setTimeout(step, 0);
+                    } else {
+                        resolve({ ...finishScan(scan), cancelled: false });
+                    }
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            step();
+        });
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        DEFAULT_STEP_DEG,
+        SEATED_GAP_IN,
+
+        // Mounting
+        mountPanels,
+        createMount,
+        placePanels,
+
+        // Clearance
+        measurePose,
+        detectPanelCollisions,
+        analyzeFold,
+        analyzeFoldAsync
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PanelClearance;
+}
@@ -0,0 +1,412 @@
+// ============================================================================
+// PANEL SHADING
+// Shadows cast on the solar panels by other panels and by the structure
+// ============================================================================
+
+/**
+ * PanelShading - Sun-path shading analysis of the mounted panels
+ *
+ * The sun is stepped across one day, or across a representative day of every
+ * month for a full year. At each step, rays are cast toward the sun from a grid
+ * of points on the face of each panel; a point is shaded when the ray hits
+ * another panel or a beam (both treated as boxes). Only steps with the sun in
+ * front of a panel count for that panel.
+ *
+ * Each step is weighted by the clear-sky direct irradiance on the panel face,
+ * so the irradiance loss is the share of the panel's direct (beam) insolation
+ * that is blocked. Diffuse light is not modelled and is taken as unshaded.
+ *
+ * Sun positions use the same simplified model as the scene's sun light:
+ * declination from the day of the year, solar time (no longitude or time
+ * zone), azimuth from north (0 = N, 90 = E). World Y is up and north is -Z.
+ *
+ * Usage:
+ *   const result = PanelShading.analyze(data.panels, data.beams, {
+ *       latitude: 35, period: 'year'
+ *   });
+ *   result.panels[0].shadedFraction;   // share of sunlit time the panel is (partly) shaded
+ *   result.panels[0].irradianceLoss;   // share of its direct insolation blocked
+ */
+
+const PanelShading = (function() {
+    'use strict';
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Default analysis options */
+    const DEFAULT_OPTIONS = {
+        latitude: 35,
+        dayOfYear: 172,
+        period: 'day',          // 'day' (dayOfYear only) or 'year' (one day per month)
+        stepMinutes: 15,        // Sun step for a single day
+        yearStepMinutes: 60,    // Sun step for each representative day of the year
+        samplesPerSide: 4       // Ray origins per panel: samplesPerSide × samplesPerSide
+    };
+
+    /** Representative day of each month (the 21st) and the days it stands for */
+    const YEAR_DAYS = [
+        { day: 21, weight: 31 }, { day: 52, weight: 28 }, { day: 80, weight: 31 },
+        { day: 111, weight: 30 }, { day: 141, weight: 31 }, { day: 172, weight: 30 },
+        { day: 202, weight: 31 }, { day: 233, weight: 31 }, { day: 264, weight: 30 },
+        { day: 294, weight: 31 }, { day: 325, weight: 30 }, { day: 355, weight: 31 }
+    ];
+
+    /** Extraterrestrial direct irradiance used by the clear-sky model (W/m²) */
+    const SOLAR_CONSTANT = 1353;
+
+    /** Lowest sun elevation analysed (degrees); lower sun carries almost no direct light */
+    const MIN_ELEVATION = 2;
+
+    /** Offset of ray origins off the panel face, clear of the panel itself (inches) */
+    const SURFACE_OFFSET = 0.05;
+
+    // ========================================
+    // VECTOR HELPERS
+    // ========================================
+
+    const v3 = (x, y, z) => ({x, y, z});
+    const vAdd = (a, b) => ({x: a.x + b.x, y: a.y + b.y, z: a.z + b.z});
+    const vSub = (a, b) => ({x: a.x - b.x, y: a.y - b.y, z: a.z - b.z});
+    const vScale = (a, s) => ({x: a.x * s, y: a.y * s, z: a.z * s});
+    const vDot = (a, b) => a.x * b.x + a.y * b.y + a.z * b.z;
+    const vMag = (a) => Math.sqrt(vDot(a, a));
+    const vNorm = (a) => {
+        const m = vMag(a);
+        return m === 0 ? v3(0, 0, 0) : vScale(a, 1 / m);
+    };
+    const vCross = (a, b) => ({
+        x: a.y * b.z - a.z * b.y,
+        y: a.z * b.x - a.x * b.z,
+        z: a.x * b.y - a.y * b.x
+    });
+
+    // ========================================
+    // SUN PATH
+    // ========================================
+
+    /**
+     * Solar declination for a day of the year
+     * @param {number} dayOfYear - Day of the year (1-365)
+     * @returns {number} Declination in radians
+     */
+    function declination(dayOfYear) {
+        return 23.45 * Math.sin((360 / 365) * (dayOfYear - 81) * Math.PI / 180) * Math.PI / 180;
+    }
+
+    /**
+     * Sunrise and sunset in solar time
+     * @param {number} latitude - Latitude in degrees
+     * @param {number} dayOfYear - Day of the year (1-365)
+     * @returns {{sunrise: number, sunset: number, daylight: number}} Hours
+     */
+    function getSunriseSunset(latitude, dayOfYear) {
+        const cosHourAngle = -Math.tan(latitude * Math.PI / 180) * Math.tan(declination(dayOfYear));
+        let daylight;
+        if (cosHourAngle > 1) daylight = 0;          // Polar night
+        else if (cosHourAngle < -1) daylight = 24;   // Midnight sun
+        else daylight = 2 * (Math.acos(cosHourAngle) * 180 / Math.PI) / 15;
+        return { sunrise: 12 - daylight / 2, sunset: 12 + daylight / 2, daylight };
+    }
+
+    /**
+     * Sun elevation and azimuth
+     * @param {number} latitude - Latitude in degrees
+     * @param {number} dayOfYear - Day of the year (1-365)
+     * @param {number} hourOfDay - Solar time in hours
+     * @returns {{elevation: number, azimuth: number}} Degrees; elevation ≤ 0 below the horizon
+     */
+    function solarPosition(latitude, dayOfYear, hourOfDay) {
+        const latRad = latitude * Math.PI / 180;
+        const decRad = declination(dayOfYear);
+        const hourAngle = (hourOfDay - 12) * 15 * Math.PI / 180;
+
+        const sinElevation = Math.sin(latRad) * Math.sin(decRad) +
+            Math.cos(latRad) * Math.cos(decRad) * Math.cos(hourAngle);
+        const elevationRad = Math.asin(Math.max(-1, Math.min(1, sinElevation)));
+        const sinAzimuth = Math.sin(hourAngle) * Math.cos(decRad) / Math.cos(elevationRad);
+        const cosAzimuth = (Math.sin(decRad) - Math.sin(latRad) * sinElevation) /
+            (Math.cos(latRad) * Math.cos(elevationRad));
+
+        let azimuth = Math.atan2(sinAzimuth, cosAzimuth) * 180 / Math.PI;
+        if (azimuth < 0) azimuth += 360;
+        return { elevation: elevationRad * 180 / Math.PI, azimuth };
+    }
+
+    /**
+     * Unit vector toward the sun in world coordinates
+     * @param {number} azimuth - Degrees from north (0 = N, 90 = E)
+     * @param {number} elevation - Degrees above the horizon
+     * @returns {{x: number, y: number, z: number}} Direction toward the sun
+     */
+    function sunDirection(azimuth, elevation) {
+        const azRad = (azimuth - 90) * Math.PI / 180;
+        const elRad = elevation * Math.PI / 180;
+        return v3(Math.cos(elRad) * Math.cos(azRad), Math.sin(elRad), Math.cos(elRad) * Math.sin(azRad));
+    }
+
+    /**
+     * Clear-sky direct normal irradiance (Meinel model)
+     * @param {number} elevation - Sun elevation in degrees
+     * @returns {number} W/m² (0 with the sun down)
+     */
+    function clearSkyDni(elevation) {
+        if (elevation <= 0) return 0;
+        const airMass = 1 / Math.sin(elevation * Math.PI / 180);
+        return SOLAR_CONSTANT * Math.pow(0.7, Math.pow(airMass, 0.678));
+    }
+
+    /**
+     * Sun positions to analyse, each with the time it stands for
+     * @param {Object} options - Analysis options (latitude, dayOfYear, period, step minutes)
+     * @returns {Array<{dayOfYear: number, hour: number, hours: number, direction: {x,y,z}, dni: number}>} Steps above MIN_ELEVATION
+     */
+    function getSunSteps(options) {
+        const days = options.period === 'year' ? YEAR_DAYS : [{ day: options.dayOfYear, weight: 1 }];
+        const stepHours = (options.period === 'year' ? options.yearStepMinutes : options.stepMinutes) / 60;
+        const steps = [];
+
+        days.forEach(({ day, weight }) => {
+            const { sunrise, sunset } = getSunriseSunset(options.latitude, day);
+            // Step midpoints between sunrise and sunset
+            for (let hour = sunrise + stepHours / 2; hour < sunset; hour += stepHours) {
+                const pos = solarPosition(options.latitude, day, hour);
+                if (pos.elevation < MIN_ELEVATION) continue;
+                steps.push({
+                    dayOfYear: day,
+                    hour,
+                    hours: stepHours * weight,
+                    direction: sunDirection(pos.azimuth, pos.elevation),
+                    dni: clearSkyDni(pos.elevation)
+                });
+            }
+        });
+
+        return steps;
+    }
+
+    // ========================================
+    // OCCLUDERS
+    // ========================================
+
+    /**
+     * Oriented box for a panel or beam
+     * @param {{x,y,z}} center - Box center
+     * @param {Array<{x,y,z}>} axes - Three orthonormal axes
+     * @param {number[]} half - Half extents along the axes
+     * @param {string} kind - 'panel' or 'beam'
+     * @param {number} index - Panel index (-1 for beams)
+     * @returns {Object} Box
+     */
+    function createBox(center, axes, half, kind, index) {
+        return { center, axes, half, kind, index, radius: Math.hypot(half[0], half[1], half[2]) };
+    }
+
+    /**
+     * Boxes that can cast shadows: every panel and every beam
+     * @param {Array} panels - Panels ({center, width, length, thickness, axisX, axisY, axisZ})
+     * @param {Array} beams - Beams ({p1, p2, w, t, axisX, axisY, axisZ})
+     * @returns {Array<Object>} Boxes
+     */
+    function buildOccluders(panels, beams) {
+        const boxes = [];
+        panels.forEach((panel, index) => {
+            const frame = getPanelFrame(panel);
+            boxes.push(createBox(panel.center, [frame.axisX, frame.normal, frame.axisZ],
+                [panel.width / 2, (panel.thickness || 0) / 2, panel.length / 2], 'panel', index));
+        });
+        (beams || []).forEach(beam => {
+            if (!beam || !beam.p1 || !beam.p2 || !beam.axisZ) return;
+            const length = vMag(vSub(beam.p2, beam.p1));
+            if (length === 0) return;
+            boxes.push(createBox(vScale(vAdd(beam.p1, beam.p2), 0.5), [beam.axisX, beam.axisY, beam.axisZ],
+                [beam.w / 2, beam.t / 2, length / 2], 'beam', -1));
+        });
+        return boxes;
+    }
+
+    /**
+     * Orthonormal frame of a panel, falling back to one built from the normal
+     * @param {Object} panel - Panel
+     * @returns {{axisX: {x,y,z}, axisZ: {x,y,z}, normal: {x,y,z}}} Width axis, length axis and face normal
+     */
+    function getPanelFrame(panel) {
+        const normal = vNorm(panel.normal || v3(0, 1, 0));
+        if (panel.axisX && panel.axisZ) return { axisX: panel.axisX, axisZ: panel.axisZ, normal };
+        const up = Math.abs(normal.y) > 0.99 ? v3(1, 0, 0) : v3(0, 1, 0);
+        const axisX = vNorm(vCross(up, normal));
+        return { axisX, axisZ: vNorm(vCross(normal, axisX)), normal };
+    }
+
+    /**
+     * Tests whether a ray hits a box in front of its origin (slab test)
+     * @param {{x,y,z}} origin - Ray origin
+     * @param {{x,y,z}} dir - Unit ray direction
+     * @param {Object} box - Box from createBox()
+     * @returns {boolean} True if hit
+     */
+    function rayHitsBox(origin, dir, box) {
+        const d = vSub(box.center, origin);
+        // Bounding sphere rejection: behind the origin or passing wide of the box
+        const along = vDot(d, dir);
+        if (along < -box.radius) return false;
+        if (vDot(d, d) - along * along > box.radius * box.radius) return false;
+
+        let tMin = 0;
+        let tMax = Infinity;
+        for (let i = 0; i < 3; i++) {
+            const e = vDot(box.axes[i], d);
+            const f = vDot(box.axes[i], dir);
+            if (Math.abs(f) > 1e-9) {
+                let t1 = (e + box.half[i]) / f;
+                let t2 = (e - box.half[i]) / f;
+                if (t1 > t2) { const tmp = t1; t1 = t2; t2 = tmp; }
+                if (t1 > tMin) tMin = t1;
+                if (t2 < tMax) tMax = t2;
+                if (tMin > tMax) return false;
+            } else if (Math.abs(e) > box.half[i]) {
+                return false;
+            }
+        }
+        return true;
+    }
+
+    // ========================================
+    // ANALYSIS
+    // ========================================
+
+    /**
+     * Ray origins spread over the face of a panel
+     * @param {Object} panel - Panel
+     * @param {number} perSide - Samples along each edge
+     * @returns {Array<{x,y,z}>} Points just off the face
+     */
+    function getPanelSamples(panel, perSide) {
+        const frame = getPanelFrame(panel);
+        const face = vAdd(panel.center, vScale(frame.normal, (panel.thickness || 0) / 2 + SURFACE_OFFSET));
+        const points = [];
+        for (let i = 0; i < perSide; i++) {
+            for (let j = 0; j < perSide; j++) {
+                const u = ((i + 0.5) / perSide - 0.5) * panel.width;
+                const v = ((j + 0.5) / perSide - 0.5) * panel.length;
+                points.push(vAdd(face, vAdd(vScale(frame.axisX, u), vScale(frame.axisZ, v))));
+            }
+        }
+        return points;
+    }
+
+    /**
+     * Shades every panel over the sun path
+     * @param {Array} panels - Mounted panels (center, width, length, thickness, normal, axes)
+     * @param {Array} beams - Structure beams that can cast shadows
+     * @param {Object} [options] - Analysis options (see DEFAULT_OPTIONS)
+     * @returns {{options: Object, steps: number, panels: Array<Object>, totals: Object}} Per-panel and overall shading
+     */
+    function analyze(panels, beams, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const list = (panels || []).filter(panel => panel && panel.center);
+        const steps = getSunSteps(opts);
+        const occluders = buildOccluders(list, beams);
+
+        const results = list.map((panel, index) => {
+            const frame = getPanelFrame(panel);
+            const samples = getPanelSamples(panel, opts.samplesPerSide);
+            let sunlitHours = 0;
+            let shadedHours = 0;
+            let insolation = 0;      // Direct insolation on the face without shading (Wh/m²)
+            let lostByPanels = 0;    // Blocked by other panels (Wh/m²)
+            let lostByStructure = 0; // Blocked by beams only (Wh/m²)
+
+            steps.forEach(step => {
+                const cosIncidence = vDot(frame.normal, step.direction);
+                if (cosIncidence <= 0) return;
+                const direct = step.dni * cosIncidence * step.hours;
+
+                let byPanels = 0;
+                let byStructure = 0;
+                samples.forEach(point => {
+                    let hitBeam = false;
+                    for (const box of occluders) {
+                        if (box.index === index || !rayHitsBox(point, step.direction, box)) continue;
+                        if (box.kind === 'panel') {
+                            byPanels++;
+                            return;
+                        }
+                        hitBeam = true;
+                    }
+                    if (hitBeam) byStructure++;
+                });
+
+                const fraction = (byPanels + byStructure) / samples.length;
+                sunlitHours += step.hours;
+                shadedHours += fraction * step.hours;
+                insolation += direct;
+                lostByPanels += direct * byPanels / samples.length;
+                lostByStructure += direct * byStructure / samples.length;
+            });
+
+            const lost = lostByPanels + lostByStructure;
+            return {
+                index,
+                center: {...panel.center},
+                sunlitHours,
+                shadedFraction: sunlitHours > 0 ? shadedHours / sunlitHours : 0,
+                insolation: insolation / 1000,
+                shadedInsolation: (insolation - lost) / 1000,
+                irradianceLoss: insolation > 0 ? lost / insolation : 0,
+                lossByPanels: insolation > 0 ? lostByPanels / insolation : 0,
+                lossByStructure: insolation > 0 ? lostByStructure / insolation : 0
+            };
+        });
+
+        const insolation = results.reduce((sum, r) => sum + r.insolation, 0);
+        const shadedInsolation = results.reduce((sum, r) => sum + r.shadedInsolation, 0);
+        const worst = results.reduce((w, r) => (!w || r.irradianceLoss > w.irradianceLoss) ? r : w, null);
+
+        return {
+            options: opts,
+            steps: steps.length,
+            panels: results,
+            totals: {
+                // kWh/m² summed over panels, for the day or the year
+                insolation,
+                shadedInsolation,
+                irradianceLoss: insolation > 0 ? 1 - shadedInsolation / insolation : 0,
+                meanShadedFraction: results.length > 0 ? results.reduce((sum, r) => sum + r.shadedFraction, 0) / results.length : 0,
+                shadedPanels: results.filter(r => r.irradianceLoss > 0).length,
+                worst
+            }
+        };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        DEFAULT_OPTIONS,
+        YEAR_DAYS,
+
+        // Sun path
+        getSunriseSunset,
+        solarPosition,
+        sunDirection,
+        clearSkyDni,
+        getSunSteps,
+
+        // Occlusion
+        buildOccluders,
+        rayHitsBox,
+        getPanelSamples,
+
+        // Analysis
+        analyze
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PanelShading;
+}
@@ -0,0 +1,204 @@
+// ============================================================================
+// SHARE LINK
+// Designs encoded in the URL hash, so a link opens the exact configuration
+// ============================================================================
+
+/**
+ * ShareLink - Compact, versioned encoding of a configuration for links
+ *
+ * A configuration (the same snapshot saved to the browser and exported as
+ * JSON) is written as JSON, compressed with raw DEFLATE where the browser
+ * offers CompressionStream, and base64url encoded into the hash:
+ *
+ *   #design=1.z.<base64url>
+ *
+ * The first field is the link format version, the second the codec ('z' for
+ * deflate, 'j' for plain JSON when compression isn't available). The hash is
+ * never sent to a server. Decoding returns the configuration as saved; it is
+ * up to the caller to apply it through the usual config migration, so links
+ * made before a config format change keep working.
+ *
+ * Usage:
+ *   const url = await ShareLink.buildUrl(location.href, config);
+ *   const token = ShareLink.readHash(location.hash);
+ *   if (token) applyConfig(await ShareLink.decode(token));
+ */
+
+const ShareLink = (function() {
+    'use strict';
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Link format version; raise when the token layout changes */
+    const FORMAT_VERSION = 1;
+
+    /** Hash parameter holding the design */
+    const HASH_KEY = 'design';
+
+    /** Codec ids */
+    const CODECS = {
+        DEFLATE: 'z',
+        JSON: 'j'
+    };
+
+    /** Links longer than this may be cut off by chat and mail clients */
+    const LONG_URL_LENGTH = 8000;
+
+    // ========================================
+    // BYTES
+    // ========================================
+
+    /**
+     * Base64url text of some bytes (no padding)
+     * @param {Uint8Array} bytes - Bytes to encode
+     * @returns {string} Base64url text
+     */
+    function toBase64Url(bytes) {
+        let binary = '';
+        const chunk = 0x8000;
+        for (let i = 0; i < bytes.length; i += chunk) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+        }
+        return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+
+    /**
+     * Bytes of base64url text
+     * @param {string} text - Base64url text (padding optional)
+     * @returns {Uint8Array} Decoded bytes
+     */
+    function fromBase64Url(text) {
+        if (!/^[A-Za-z0-9_-]*$/.test(text)) throw new Error('Link data is not base64url');
+        const base64 = text.replace(/-/g, '+').replace(/_/g, '/') + '==='.slice((text.length + 3) % 4);
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Whether raw DEFLATE streams are available
+     * @returns {boolean} True when CompressionStream and DecompressionStream exist
+     */
+    function supportsCompression() {
+        return typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+    }
+
+    /**
+     * Runs bytes through a compression or decompression stream. The write,
+     * close and read are awaited together, so corrupt input rejects once
+     * instead of also leaving the writer's rejections unhandled.
+     * @param {Uint8Array} bytes - Input bytes
+     * @param {TransformStream} stream - CompressionStream or DecompressionStream
+     * @returns {Promise<Uint8Array>} Output bytes
+     */
+    async function pipe(bytes, stream) {
+        const writer = stream.writable.getWriter();
+        const [buffer] = await Promise.all([
+            new Response(stream.readable).arrayBuffer(),
+            writer.write(bytes),
+            writer.close()
+        ]);
+        return new Uint8Array(buffer);
+    }
+
+    // ========================================
+    // ENCODING
+    // ========================================
+
+    /**
+     * Encodes a configuration as a link token
+     * @param {Object} config - Configuration snapshot
+     * @returns {Promise<string>} Token, e.g. '1.z.<base64url>'
+     */
+    async function encode(config) {
+        const bytes = new TextEncoder().encode(JSON.stringify(config));
+        if (supportsCompression()) {
+            const packed = await pipe(bytes, new CompressionStream('deflate-raw'));
+            return `${FORMAT_VERSION}.${CODECS.DEFLATE}.${toBase64Url(packed)}`;
+        }
+        return `${FORMAT_VERSION}.${CODECS.JSON}.${toBase64Url(bytes)}`;
+    }
+
+    /**
+     * Decodes a link token
+     * @param {string} token - Token from encode()
+     * @returns {Promise<Object>} Configuration snapshot
+     * @throws {Error} When the token is malformed, from a newer link format, or can't be decompressed here
+     */
+    async function decode(token) {
+        const match = /^(\d+)\.([a-z])\.(.*)$/.exec(String(token || '').trim());
+        if (!match) throw new Error('Not a design link');
+        const version = parseInt(match[1], 10);
+        if (version > FORMAT_VERSION) throw new Error('This link was made by a newer version of the app');
+
+        let bytes = fromBase64Url(match[3]);
+        if (match[2] === CODECS.DEFLATE) {
+            if (!supportsCompression()) throw new Error('This browser can\'t open compressed links');
+            bytes = await pipe(bytes, new DecompressionStream('deflate-raw'));
+        } else if (match[2] !== CODECS.JSON) {
+            throw new Error('Unknown link encoding');
+        }
+
+        const config = JSON.parse(new TextDecoder().decode(bytes));
+        if (!config || typeof config !== 'object' || Array.isArray(config)) throw new Error('Link holds no configuration');
+        return config;
+    }
+
+    // ========================================
+    // URLS
+    // ========================================
+
+    /**
+     * Design token in a URL hash
+     * @param {string} hash - location.hash ('#design=...', other hash parameters allowed)
+     * @returns {string|null} Token, or null when the hash holds no design
+     */
+    function readHash(hash) {
+        const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+        return params.get(HASH_KEY) || null;
+    }
+
+    /**
+     * Link that opens a configuration
+     * @param {string} baseUrl - Page URL (any existing hash is replaced)
+     * @param {Object} config - Configuration snapshot
+     * @returns {Promise<{url: string, length: number, long: boolean}>} Link, its length and whether it is long enough to risk truncation
+     */
+    async function buildUrl(baseUrl, config) {
+        const url = `${String(baseUrl).split('#')[0]}#${HASH_KEY}=${await encode(config)}`;
+        return { url, length: url.length, long: url.length > LONG_URL_LENGTH };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        FORMAT_VERSION,
+        HASH_KEY,
+        CODECS,
+        LONG_URL_LENGTH,
+
+        // Bytes
+        toBase64Url,
+        fromBase64Url,
+        supportsCompression,
+
+        // Encoding
+        encode,
+        decode,
+
+        // URLs
+        readHash,
+        buildUrl
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShareLink;
+}
@@ -0,0 +1,275 @@
+// ============================================================================
+// SUN TRACKING
+// Fold angle schedules that turn arch wall panels toward the sun
+// ============================================================================
+
+/**
+ * SunTracking - Uses the fold itself as a single-axis tracker
+ *
+ * Folding an arch changes the tilt of every wall panel, so the fold angle can
+ * follow the sun through the day. The panels are laid out at a series of fold
+ * angles within the allowed range (clear of collisions and within the
+ * actuator's travel). At every sun step the pose with the most clear-sky
+ * output is chosen; poses within a tenth of a percent of the best are
+ * treated as equal, and the one nearest the previous angle wins so the
+ * actuator doesn't chase noise.
+ *
+ * Output uses the EnergyYield irradiance model (direct, diffuse and
+ * ground-reflected light on each panel's plane, rated power at 1000 W/m² and a
+ * performance ratio) and is compared with holding one fixed fold angle all day.
+ *
+ * Usage:
+ *   const poses = angles.map(angle => SunTracking.buildPose(angle, layoutPanelsAt(angle)));
+ *   const result = SunTracking.plan(poses, SunTracking.buildPose(fixedAngle, layoutPanelsAt(fixedAngle)), { latitude: 35, dayOfYear: 172 });
+ *   result.steps[0].angle;   // radians at the first sun step
+ *   result.gain;             // 0.18 → 18% more energy than the fixed angle
+ */
+
+const SunTracking = (function() {
+    'use strict';
+
+    const Shading = (typeof PanelShading !== 'undefined') ? PanelShading : require('./panel-shading.js');
+    const Yield = (typeof EnergyYield !== 'undefined') ? EnergyYield : require('./energy-yield.js');
+    const Catalog = (typeof ActuatorCatalog !== 'undefined') ? ActuatorCatalog : require('./actuator-catalog.js');
+
+    // ========================================
+    // CONSTANTS
+    // ========================================
+
+    /** Default planning options */
+    const DEFAULT_OPTIONS = {
+        latitude: 35,
+        dayOfYear: 172,
+        stepMinutes: 30,
+        performanceRatio: 0.8,
+        albedo: 0.2,
+        ratedWatts: 250,
+        holdTolerance: 0.001   // poses within this share of the best output count as equal
+    };
+
+    // ========================================
+    // RANGES
+    // ========================================
+
+    /**
+     * Collision-free fold interval from a collision sweep
+     * @param {Array<{angle: number, count: number}>} samples - Sweep samples in angle order (CollisionSweep)
+     * @param {number} preferredAngle - Angle in radians the interval should contain
+     * @returns {{min: number, max: number}|null} Interval containing the preferred angle (or the widest), null if every sample collides
+     */
+    function clearRange(samples, preferredAngle) {
+        const intervals = [];
+        let current = null;
+        samples.forEach(sample => {
+            if (sample.count > 0) {
+                current = null;
+            } else if (!current) {
+                current = { min: sample.angle, max: sample.angle };
+                intervals.push(current);
+            } else {
+                current.max = sample.angle;
+            }
+        });
+        if (intervals.length === 0) return null;
+
+        const half = samples.length > 1 ? Math.abs(samples[1].angle - samples[0].angle) / 2 : 0;
+        return intervals.find(r => preferredAngle >= r.min - half && preferredAngle <= r.max + half) ||
+            intervals.reduce((a, b) => (b.max - b.min > a.max - a.min ? b : a));
+    }
+
+    /**
+     * Fold interval an actuator can drive: where the mount distance stays
+     * within the part's retracted and extended lengths. Without a part, the
+     * placement's own travel (the sampled profile) is the limit.
+     * @param {Array<{angle: number, length: number}>} profile - Mount distance by fold angle (stowed to deployed)
+     * @param {Object} [actuator] - ActuatorCatalog entry
+     * @returns {{min: number, max: number}|null} Interval in radians
+     */
+    function strokeRange(profile, actuator) {
+        const samples = profile.filter(s => isFinite(s.length)).sort((a, b) => a.angle - b.angle);
+        if (samples.length === 0) return null;
+        const lo = actuator ? actuator.retractedIn : -Infinity;
+        const hi = actuator ? Catalog.extendedLength(actuator) : Infinity;
+        const inside = s => s.length >= lo - 1e-9 && s.length <= hi + 1e-9;
+
+        let min = Infinity, max = -Infinity;
+        const include = angle => { min = Math.min(min, angle); max = Math.max(max, angle); };
+        samples.forEach((s, i) => {
+            if (inside(s)) include(s.angle);
+            const next = samples[i + 1];
+            if (!next) return;
+            // Where the segment crosses a length limit
+            [lo, hi].filter(isFinite).forEach(limit => {
+                const t = (limit - s.length) / (next.length - s.length);
+                if (t > 0 && t < 1) include(s.angle + t * (next.angle - s.angle));
+            });
+        });
+        return min <= max ? { min, max } : null;
+    }
+
+    // ========================================
+    // OUTPUT
+    // ========================================
+
+    /**
+     * Panel orientations at one fold angle
+     * @param {number} angle - Fold angle in radians
+     * @param {Array} panels - Panels laid out at that angle ({normal, ratedWatts?})
+     * @returns {{angle: number, panels: Array<{normal: {x,y,z}, ratedWatts: number}>}} Pose
+     */
+    function buildPose(angle, panels) {
+        return {
+            angle,
+            panels: (panels || []).filter(panel => panel && panel.normal).map(panel => {
+                const n = panel.normal;
+                const len = Math.hypot(n.x, n.y, n.z) || 1;
+                return { normal: { x: n.x / len, y: n.y / len, z: n.z / len }, ratedWatts: panel.ratedWatts };
+            })
+        };
+    }
+
+    /**
+     * DC output of a pose with the sun in one direction
+     * @param {Object} pose - Pose from buildPose()
+     * @param {{x,y,z}} sun - Unit vector toward the sun
+     * @param {number} month - Month index (0-11) for the clear-sky constants
+     * @param {Object} opts - Planning options
+     * @returns {number} Watts
+     */
+    function posePower(pose, sun, month, opts) {
+        return pose.panels.reduce((sum, panel) => {
+            const poa = Yield.planeOfArray(panel.normal, sun, month, opts.albedo);
+            const irradiance = poa.beam + poa.diffuse + poa.reflected;
+            return sum + (panel.ratedWatts || opts.ratedWatts) * irradiance / 1000 * opts.performanceRatio;
+        }, 0);
+    }
+
+    /**
+     * Picks the fold angle for every sun step of a day
+     * @param {Array<Object>} poses - Poses from buildPose() across the allowed range
+     * @param {Object} fixedPose - Pose held all day for comparison
+     * @param {Object} [options] - Planning options (see DEFAULT_OPTIONS)
+     * @returns {{options: Object, fixedAngle: number, steps: Array<Object>, energy: number, fixedEnergy: number,
+     *   gain: number, peakPower: number, travel: number, range: {min: number, max: number}|null}}
+     *   Schedule steps {hour, hours, angle, power, fixedPower}; energy in kWh, travel in radians
+     */
+    function plan(poses, fixedPose, options = {}) {
+        const opts = { ...DEFAULT_OPTIONS, ...options };
+        const usable = poses.filter(pose => pose.panels.length > 0).sort((a, b) => a.angle - b.angle);
+        const month = Yield.monthOfDay(opts.dayOfYear);
+        const sunSteps = Shading.getSunSteps({ latitude: opts.latitude, dayOfYear: opts.dayOfYear, period: 'day', stepMinutes: opts.stepMinutes });
+
+        let previous = fixedPose.angle;
+        const steps = sunSteps.map(step => {
+            const fixedPower = posePower(fixedPose, step.direction, month, opts);
+            if (usable.length === 0) return { hour: step.hour, hours: step.hours, angle: fixedPose.angle, power: fixedPower, fixedPower };
+
+            const outputs = usable.map(pose => ({ angle: pose.angle, power: posePower(pose, step.direction, month, opts) }));
+            const best = Math.max(...outputs.map(o => o.power));
+            const choice = outputs
+                .filter(o => o.power >= best * (1 - opts.holdTolerance))
+                .reduce((a, b) => (Math.abs(b.angle - previous) < Math.abs(a.angle - previous) ? b : a));
+            previous = choice.angle;
+            return { hour: step.hour, hours: step.hours, angle: choice.angle, power: choice.power, fixedPower };
+        });
+
+        const energy = steps.reduce((sum, s) => sum + s.power * s.hours, 0) / 1000;
+        const fixedEnergy = steps.reduce((sum, s) => sum + s.fixedPower * s.hours, 0) / 1000;
+        const travel = steps.reduce((sum, s, i) => sum + (i > 0 ? Math.abs(s.angle - steps[i - 1].angle) : 0), 0);
+
+        return {
+            options: opts,
+            fixedAngle: fixedPose.angle,
+            steps,
+            energy,
+            fixedEnergy,
+            gain: fixedEnergy > 0 ? energy / fixedEnergy - 1 : 0,
+            peakPower: steps.reduce((max, s) => Math.max(max, s.power), 0),
+            travel,
+            range: usable.length > 0 ? { min: usable[0].angle, max: usable[usable.length - 1].angle } : null
+        };
+    }
+
+    /**
+     * Lays out poses in batches so the page stays responsive, then plans the day
+     * @param {number[]} angles - Fold angles to consider (radians)
+     * @param {number} fixedAngle - Fold angle held all day for comparison
+     * @param {function(number): Array} panelsAt - Lays the panels out at a fold angle
+     * @param {Object} options - As plan(), plus `batchSize`, `onProgress(done, total)` and `isCancelled()`
+     * @returns {Promise<Object>} Result of plan() with `cancelled`
+     */
+    function planAsync(angles, fixedAngle, panelsAt, options = {}) {
+        const batchSize = options.batchSize || 5;
+        const poses = [];
+
+        return new Promise((resolve, reject) => {
+            const step = () => {
+                try {
+                    if (options.isCancelled && options.isCancelled()) {
+                        resolve({ cancelled: true });
+                        return;
+                    }
+                    const end = Math.min(poses.length + batchSize, angles.length);
+                    while (poses.length < end) {
+                        const angle = angles[poses.length];
+                        poses.push(buildPose(angle, panelsAt(angle)));
+                    }
+                    if (options.onProgress) options.onProgress(poses.length, angles.length);
+                    if (poses.length < angles.length) {
+                        setTimeout(step, 0);
+                    } else {
+                        const fixedPose = buildPose(fixedAngle, panelsAt(fixedAngle));
+                        resolve({ ...plan(poses, fixedPose, options), cancelled: false });
+                    }
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            setTimeout(step, 0);
+        });
+    }
+
+    /**
+     * Scheduled fold angle at any hour, easing linearly between steps
+     * @param {{steps: Array<{hour: number, angle: number}>, fixedAngle: number}} result - Result of plan()
+     * @param {number} hour - Hour of the day
+     * @returns {number} Fold angle in radians
+     */
+    function angleAt(result, hour) {
+        const steps = result.steps;
+        if (steps.length === 0) return result.fixedAngle;
+        if (hour <= steps[0].hour) return steps[0].angle;
+        for (let i = 1; i < steps.length; i++) {
+            if (hour <= steps[i].hour) {
+                const t = (hour - steps[i - 1].hour) / (steps[i].hour - steps[i - 1].hour);
+                return steps[i - 1].angle + t * (steps[i].angle - steps[i - 1].angle);
+            }
+        }
+        return steps[steps.length - 1].angle;
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        // Constants
+        DEFAULT_OPTIONS,
+
+        // Ranges
+        clearRange,
+        strokeRange,
+
+        // Output
+        buildPose,
+        posePower,
+        plan,
+        planAsync,
+        angleAt
+    };
+})();
+
+// Export for module systems (if used)
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SunTracking;
+}
@@ -0,0 +1,87 @@
+// ============================================================================
+// COLLISION SWEEP TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CollisionSweep = require('../js/linkage/collision-sweep.js');
+const LinkageSolver = require('../js/linkage/linkage-solver.js');
+
+const deg = d => d * Math.PI / 180;
+const STEP_DEG = 5;
+
+/** Sample summary for buildIntervals() */
+const sample = (angle, count, depth = 0, categories = count > 0 ? ['beams'] : []) => ({ angle, count, depth, categories });
+
+// ========================================
+// INTERVALS
+// ========================================
+
+test('consecutive blocked samples merge into one interval', () => {
+    const intervals = CollisionSweep.buildIntervals([
+        sample(1, 0), sample(2, 3, 0.5), sample(3, 1, 2.0, ['hardware']), sample(4, 2, 1.0), sample(5, 0), sample(6, 1)
+    ]);
+    assert.deepEqual(intervals, [
+        { start: 2, end: 4, maxCount: 3, categories: ['beams', 'hardware'], worstAngle: 3, worstDepth: 2.0 },
+        { start: 6, end: 6, maxCount: 1, categories: ['beams'], worstAngle: 6, worstDepth: 0 }
+    ]);
+});
+
+test('without a measurable depth the pose with the most collisions is the worst', () => {
+    const [interval] = CollisionSweep.buildIntervals([sample(1, 1), sample(2, 4), sample(3, 2)]);
+    assert.equal(interval.worstAngle, 2);
+});
+
+test('only fold-limiting collision types are counted', () => {
+    assert.equal(CollisionSweep.getCategory('over-folding'), 'beams');
+    assert.equal(CollisionSweep.getCategory('hardware'), 'hardware');
+    assert.equal(CollisionSweep.getCategory('panel-panel'), 'panels');
+    // Uprights touching the rings at their brackets don't block folding
+    assert.equal(CollisionSweep.getCategory('vertical-horizontal'), null);
+});
+
+// ========================================
+// SWEEPS
+// ========================================
+
+test('the default ring is clear around its deployed angle', () => {
+    const params = LinkageSolver.createParams({});
+    const sweep = CollisionSweep.sweepFoldRange(params, { stepDeg: STEP_DEG });
+    const deployed = LinkageSolver.findClosedAngle(params);
+
+    assert.equal(sweep.samples[0].angle, LinkageSolver.MIN_FOLD_ANGLE);
+    assert.equal(sweep.samples[sweep.samples.length - 1].angle, LinkageSolver.MAX_FOLD_ANGLE);
+    assert.equal(sweep.intervals.length, 2);
+    assert.ok(sweep.intervals.every(i => deployed < i.start || deployed > i.end));
+    // Folding past the closed ring overlaps both beams and hardware
+    assert.ok(sweep.intervals[1].start > deployed);
+    assert.deepEqual(sweep.intervals[1].categories, ['beams', 'hardware']);
+});
+
+test('the batched sweep matches the synchronous one and can be cancelled', async () => {
+    const params = LinkageSolver.createParams({});
+    const sync = CollisionSweep.sweepFoldRange(params, { stepDeg: STEP_DEG });
+    const progress = [];
+    const batched = await CollisionSweep.sweepFoldRangeAsync(params, {
+        stepDeg: STEP_DEG,
+        batchSize: 10,
+        onProgress: (done, total) => progress.push(`${done}/${total}`)
+    });
+    assert.deepEqual(batched.intervals, sync.intervals);
+    assert.deepEqual(progress, ['10/35', '20/35', '30/35', '35/35']);
+
+    const cancelled = await CollisionSweep.sweepFoldRangeAsync(params, {
+        stepDeg: STEP_DEG,
+        isCancelled: () => true
+    });
+    assert.equal(cancelled.cancelled, true);
+    assert.equal(cancelled.samples.length, 0);
+});
+
+test('panels mounted at each pose are checked', () => {
+    const params = LinkageSolver.createParams({});
+    const calls = [];
+    CollisionSweep.sampleAngle(params, deg(90), { panelsAt: (data, angle) => { calls.push(angle); return []; } });
+    assert.deepEqual(calls, [deg(90)]);
+});
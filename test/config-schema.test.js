@@ -0,0 +1,246 @@
+// ============================================================================
+// CONFIG SCHEMA TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ConfigSchema = require('../js/linkage/config-schema.js');
+
+/** Paths of the errors in a result */
+const errorPaths = result => result.errors.map(e => e.path);
+
+// ========================================
+// MIGRATIONS
+// ========================================
+
+test('v29 flat keys move to their v30 groups', () => {
+    const result = ConfigSchema.prepare({
+        modules: 10,
+        hLengthFt: 9,
+        vLengthFt: 7,
+        pivotPct: 40,
+        hStackCount: 3,
+        offsetTopIn: 2,
+        vertEndOffset: 1,
+        orientation: 'vertical',
+        arrayCount: 2,
+        tierCount: 3,
+        costHBeam: 12,
+        costSolarPanel: 200,
+        foldAngle: 100,
+        cameraState: { yaw: 1 },
+        name: 'Old design'
+    });
+
+    assert.equal(result.from, 'v29');
+    assert.deepEqual(result.steps, ['v29 → v30']);
+    assert.deepEqual(result.errors, []);
+
+    const c = result.config;
+    assert.equal(c.version, 'v30');
+    assert.equal(c.structure.modules, 10);
+    assert.deepEqual(c.structure.beamLengths, { horizontal: 9, vertical: 7 });
+    assert.equal(c.structure.pivotPercent, 40);
+    assert.equal(c.structure.stackCounts.horizontal, 3);
+    assert.equal(c.structure.offsets.top, 2);
+    assert.equal(c.structure.offsets.vertEnd, 1);
+    assert.equal(c.mode.type, 'arch');
+    assert.equal(c.mode.arrayCount, 2);
+    assert.equal(c.mode.tierCount, 3);
+    assert.deepEqual(c.costs, { hBeam: 12, solarPanel: 200 });
+    assert.equal(c.foldAngle, 100);
+    assert.deepEqual(c.cameraState, { yaw: 1 });
+    assert.equal(c.name, 'Old design');
+});
+
+test('v29 solar panel keys move under panels', () => {
+    const c = ConfigSchema.prepare({
+        solarPanels: {
+            enabled: true,
+            panelLength: 65,
+            gridRows: 3,
+            topPanelRows: 4,
+            radialCount: 9,
+            showSupportBeams: true,
+            archWallFaces: [true, false],
+            layoutMode: 'radial'
+        }
+    }).config.panels;
+
+    assert.equal(c.enabled, true);
+    // One v29 panel specification serves both panel sets; topPanelRows wins for the top grid
+    assert.equal(c.topPanels.size.length, 65);
+    assert.equal(c.sidePanels.size.length, 65);
+    assert.equal(c.topPanels.grid.rows, 4);
+    assert.equal(c.sidePanels.grid.rows, 3);
+    assert.equal(c.radial.count, 9);
+    assert.equal(c.support.show, true);
+    assert.deepEqual(c.enabledFaces, [true, false]);
+    assert.equal(c.layoutMode, 'radial');
+});
+
+test('v29 orientation maps to the mode type, unknown orientations are reported', () => {
+    assert.equal(ConfigSchema.prepare({ orientation: 'horizontal' }).config.mode.type, 'cylinder');
+
+    const result = ConfigSchema.prepare({ orientation: 'sideways' });
+    assert.deepEqual(errorPaths(result), ['mode.type']);
+});
+
+test('the version is detected from the layout when it is missing', () => {
+    assert.equal(ConfigSchema.detectVersion({ modules: 8 }), 'v29');
+    assert.equal(ConfigSchema.detectVersion({ structure: {} }), 'v30');
+    assert.equal(ConfigSchema.detectVersion({ version: 'v30' }), 'v30');
+});
+
+test('a current config is not migrated', () => {
+    const result = ConfigSchema.prepare({ version: 'v30', structure: { modules: 12 } });
+    assert.equal(result.from, 'v30');
+    assert.deepEqual(result.steps, []);
+    assert.equal(result.config.structure.modules, 12);
+});
+
+test('configs from a newer version are refused', () => {
+    assert.throws(() => ConfigSchema.prepare({ version: 'v31', structure: {} }), /newer version of the app \(v31\)/);
+});
+
+test('unknown versions and non-objects are refused', () => {
+    assert.throws(() => ConfigSchema.prepare({ version: 'draft' }), /Unknown configuration version 'draft'/);
+    assert.throws(() => ConfigSchema.prepare(null), /must be an object/);
+    assert.throws(() => ConfigSchema.prepare([1, 2]), /must be an object/);
+});
+
+// ========================================
+// VALIDATION
+// ========================================
+
+test('NaN, wrong types and out-of-range values are reported with their paths', () => {
+    const result = ConfigSchema.validate({
+        structure: {
+            modules: 8,
+            pivotPercent: NaN,
+            beamLengths: { horizontal: 8, vertical: -3 },
+            stackCounts: { horizontal: 2.5 }
+        },
+        mode: { tierProfile: 'cube' },
+        foldAngle: 'open'
+    });
+
+    assert.equal(result.valid, false);
+    assert.deepEqual(errorPaths(result).sort(), [
+        'foldAngle',
+        'mode.tierProfile',
+        'structure.beamLengths.vertical',
+        'structure.pivotPercent',
+        'structure.stackCounts.horizontal'
+    ]);
+    const vertical = result.errors.find(e => e.path === 'structure.beamLengths.vertical');
+    assert.equal(vertical.message, 'must be between 2 and 24 ft');
+    assert.equal(vertical.value, -3);
+});
+
+test('invalid fields are left out of the cleaned config, valid ones kept', () => {
+    const c = ConfigSchema.clean({ structure: { modules: 8, pivotPercent: 'abc' } });
+    assert.deepEqual(c.structure, { modules: 8, moduleOverrides: null });
+});
+
+test('invalid nullable list entries become null, the rest of the list is kept', () => {
+    const result = ConfigSchema.prepare({
+        structure: { moduleOverrides: [null, { hLengthFt: 9, pivotPct: null }, 'wide'] },
+        mode: { arrayFoldAngles: [90, null, 400] }
+    });
+
+    assert.deepEqual(errorPaths(result), [
+        'structure.moduleOverrides[1].pivotPct',
+        'structure.moduleOverrides[2]',
+        'mode.arrayFoldAngles[2]'
+    ]);
+    assert.deepEqual(result.config.structure.moduleOverrides, [null, { hLengthFt: 9 }, null]);
+    assert.deepEqual(result.config.mode.arrayFoldAngles, [90, null, null]);
+});
+
+test('a list whose entries may not be null is dropped when an entry is invalid', () => {
+    const result = ConfigSchema.prepare({ panels: { enabledFaces: [true, 'yes'] } });
+    assert.deepEqual(errorPaths(result), ['panels.enabledFaces[1]']);
+    assert.equal(result.config.panels.enabledFaces, undefined);
+});
+
+test('null is accepted where the schema allows it', () => {
+    const result = ConfigSchema.validate({ structure: { moduleOverrides: null }, animationStopAngle: null });
+    assert.equal(result.valid, true);
+});
+
+test('unknown fields are warnings, not errors', () => {
+    const result = ConfigSchema.validate({ structure: { modules: 8, colour: 'red' } });
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.warnings.map(w => w.path), ['structure.colour']);
+});
+
+test('map keys outside the catalog are reported', () => {
+    const result = ConfigSchema.validate({ materials: { prices: { 'spf-2x4': 1.2, unobtanium: 3 } } });
+    assert.deepEqual(errorPaths(result), ['materials.prices.unobtanium']);
+});
+
+test('settings added later get their defaults only when left out', () => {
+    assert.deepEqual(ConfigSchema.clean({ mode: {} }).mode, { tierCount: 1, tierTaper: 0.7, tierProfile: 'cone', tierHubIn: 48 });
+    assert.equal(ConfigSchema.clean({ mode: { tierCount: 99 } }).mode.tierCount, undefined);
+});
+
+// ========================================
+// RULES
+// ========================================
+
+test('horizontal end offsets must leave some of the beam', () => {
+    const result = ConfigSchema.prepare({ structure: { beamLengths: { horizontal: 2 }, offsets: { top: 48, bottom: 48 } } });
+    assert.equal(result.valid, false);
+    assert.deepEqual(errorPaths(result), ['structure.offsets']);
+    assert.deepEqual(result.config.structure.beamLengths, {});
+    assert.deepEqual(result.config.structure.offsets, {});
+});
+
+test('vertical end offsets must leave some of the beam, with missing fields taken from the base', () => {
+    const base = { structure: { beamLengths: { vertical: 8 }, offsets: { vertEnd: 13 } } };
+    const result = ConfigSchema.prepare({ structure: { beamLengths: { vertical: 2 } } }, base);
+    assert.deepEqual(errorPaths(result), ['structure.offsets.vertEnd']);
+    assert.equal(ConfigSchema.prepare({ structure: { beamLengths: { vertical: 3 } } }, base).valid, true);
+});
+
+test('overridden module beams are checked against the end offsets', () => {
+    const result = ConfigSchema.prepare({
+        structure: { moduleOverrides: [null, { hLengthFt: 2, pivotPct: 40 }], offsets: { top: 12, bottom: 12 } }
+    });
+    assert.deepEqual(errorPaths(result), ['structure.moduleOverrides[1].hLengthFt']);
+    assert.deepEqual(result.config.structure.moduleOverrides[1], { pivotPct: 40 });
+});
+
+test('rules on fields the config leaves out are not checked', () => {
+    const base = { structure: { beamLengths: { horizontal: 2 }, offsets: { top: 48, bottom: 48 } } };
+    assert.equal(ConfigSchema.validate({ structure: { modules: 8 } }, base).valid, true);
+});
+
+// ========================================
+// SOLVER PARAMETERS
+// ========================================
+
+test('solver parameters are read from the grouped settings, defaults filling the rest', () => {
+    const params = ConfigSchema.solverParams({
+        version: 'v30',
+        structure: { modules: 10, beamLengths: { horizontal: 9 }, offsets: { top: 2 } },
+        mode: { type: 'arch', tierCount: 2 },
+        materials: { horizontal: 'spf-2x6' }
+    });
+    assert.equal(params.modules, 10);
+    assert.equal(params.hLengthFt, 9);
+    assert.equal(params.offsetTopIn, 2);
+    assert.equal(params.orientation, 'vertical');
+    assert.equal(params.tierCount, 2);
+    assert.equal(params.hBeamMaterial, 'spf-2x6');
+    assert.equal(params.vLengthFt, 8);
+});
+
+test('solver parameters of a v29 config go through the migration, invalid values keep the defaults', () => {
+    const params = ConfigSchema.solverParams({ modules: 6, orientation: 'vertical', pivotPct: 'wide' });
+    assert.equal(params.modules, 6);
+    assert.equal(params.orientation, 'vertical');
+    assert.equal(params.pivotPct, 41.5);
+});
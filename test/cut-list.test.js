@@ -0,0 +1,77 @@
+// ============================================================================
+// CUT LIST TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CutList = require('../js/linkage/cut-list.js');
+const LinkageSolver = require('../js/linkage/linkage-solver.js');
+
+/** Parts of one material for nesting tests */
+const cuts = (...list) => list.map(([mark, lengthIn, quantity]) => ({ mark, lengthIn, quantity, materialId: 'spf-2x4' }));
+
+// ========================================
+// CUT LIST
+// ========================================
+
+test('the default ring needs 32 ring beams and 24 uprights with three holes each', () => {
+    const parts = CutList.buildCutList({});
+    assert.deepEqual(parts.map(p => [p.mark, p.quantity, p.lengthIn]), [['H', 32, 96], ['V', 24, 96]]);
+    parts.forEach(part => {
+        assert.equal(part.holes.length, 3);
+        assert.equal(part.holeDiameterIn, 0.375 + CutList.HOLE_CLEARANCE_IN);
+        part.holes.forEach(hole => assert.ok(hole.positionIn > 0 && hole.positionIn < part.lengthIn));
+    });
+});
+
+test('tunnel ridge beams are only listed when a fold angle is given', () => {
+    const params = { orientation: 'vertical', arrayCount: 3, arrayConnectors: 'ridge' };
+    const angle = LinkageSolver.findClosedAngle(LinkageSolver.createParams(params));
+    const connectors = list => list.filter(p => p.name === 'Ridge beam');
+    assert.equal(connectors(CutList.buildCutList(params)).length, 0);
+
+    const ridges = connectors(CutList.buildCutList(params, angle));
+    assert.ok(ridges.length > 0);
+    // One ridge beam between each pair of neighbouring arches
+    assert.equal(ridges.reduce((n, p) => n + p.quantity, 0), LinkageSolver.getArrayConnectorCount(params));
+});
+
+// ========================================
+// NESTING
+// ========================================
+
+test('cuts that fill a bar exactly leave no waste', () => {
+    const plan = CutList.nestCuts(CutList.buildCutList({}));
+    assert.equal(plan.groups.length, 1);
+    assert.deepEqual(plan.groups[0].stock, [{ lengthFt: 8, quantity: 56 }]);
+    assert.equal(plan.totals.wasteIn, 0);
+    assert.equal(plan.totals.cost, 56 * 8 * plan.groups[0].pricePerFt);
+});
+
+test('short cuts share a bar, allowing a kerf between neighbours', () => {
+    const noKerf = CutList.nestCuts(cuts(['A', 48, 4]), { kerfIn: 0 });
+    assert.deepEqual(noKerf.groups[0].bars.map(b => [b.stockLengthFt, b.quantity, b.cuts.length]), [[16, 1, 4]]);
+
+    // Four 48" cuts and three kerfs no longer fit in 16'
+    const withKerf = CutList.nestCuts(cuts(['A', 48, 4]), { kerfIn: 0.125 });
+    const placed = withKerf.groups[0].bars.reduce((n, b) => n + b.quantity * b.cuts.length, 0);
+    assert.equal(placed, 4);
+    withKerf.groups[0].bars.forEach(bar => {
+        const used = bar.cuts.reduce((sum, c) => sum + c.lengthIn, 0) + 0.125 * (bar.cuts.length - 1);
+        assert.ok(used <= bar.stockLengthFt * 12);
+        assert.ok(bar.cuts.length < 4);
+    });
+});
+
+test('cuts longer than the longest stock are reported unplaced', () => {
+    const plan = CutList.nestCuts(cuts(['A', 48, 2], ['B', 200, 1]));
+    assert.deepEqual(plan.groups[0].unplaced, [{ mark: 'B', lengthIn: 200, quantity: 1 }]);
+    assert.equal(plan.totals.unplaced, 1);
+});
+
+test('prices override the catalog price per foot', () => {
+    const plan = CutList.nestCuts(cuts(['A', 96, 2]), { prices: { 'spf-2x4': 2 } });
+    assert.equal(plan.totals.cost, 2 * 8 * 2);
+    assert.equal(plan.options.prices, undefined);
+});
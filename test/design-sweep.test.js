@@ -0,0 +1,44 @@
+// ============================================================================
+// DESIGN SWEEP TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DesignSweep = require('../js/linkage/design-sweep.js');
+const LinkageSolver = require('../js/linkage/linkage-solver.js');
+
+// ========================================
+// EVALUATION
+// ========================================
+
+test('the stowed size is measured fully folded', () => {
+    const result = DesignSweep.evaluateDesign({ modules: 8 });
+    assert.equal(result.stowedAngle, LinkageSolver.MIN_FOLD_ANGLE);
+    assert.ok(result.metrics.stowedDiameter < result.metrics.deployedDiameter);
+    assert.ok(result.metrics.actuatorStroke > 0);
+});
+
+test('more modules deploy to a larger ring', () => {
+    const small = DesignSweep.evaluateDesign({ modules: 6 });
+    const large = DesignSweep.evaluateDesign({ modules: 12 });
+    assert.ok(large.metrics.deployedDiameter > small.metrics.deployedDiameter);
+});
+
+// ========================================
+// SWEEP
+// ========================================
+
+test('a two-axis sweep evaluates every combination', () => {
+    const result = DesignSweep.runSweep({}, [
+        { key: 'modules', min: 6, max: 8, steps: 3 },
+        { key: 'pivotPct', min: 35, max: 50, steps: 2 }
+    ]);
+    assert.deepEqual(result.axisValues[0], [6, 7, 8]);
+    assert.equal(result.cells.length, 6);
+    assert.ok(result.cells.every(cell => cell.metrics.deployedDiameter > 0));
+});
+
+test('an unknown sweep parameter is rejected', () => {
+    assert.throws(() => DesignSweep.runSweep({}, [{ key: 'colour', min: 0, max: 1, steps: 2 }]), /unknown sweep parameter/);
+});
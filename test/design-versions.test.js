@@ -0,0 +1,108 @@
+// ============================================================================
+// DESIGN VERSIONS TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DesignVersions = require('../js/linkage/design-versions.js');
+
+/** Version of a design with the given structure values, saved at a time */
+const version = (name, structure, createdAt, metrics = {}) => DesignVersions.createVersion({
+    name,
+    config: { structure },
+    values: { structure, solar: {} },
+    params: {},
+    foldAngle: 1,
+    metrics
+}, createdAt);
+
+// ========================================
+// VERSIONS
+// ========================================
+
+test('a version keeps its own copy of the design', () => {
+    const structure = { modules: 8, topPanels: { gridRows: 2 } };
+    const v = version('  Wider ring ', structure, 1000);
+    structure.modules = 10;
+    structure.topPanels.gridRows = 3;
+
+    assert.equal(v.name, 'Wider ring');
+    assert.equal(v.createdAt, 1000);
+    assert.deepEqual(v.values.structure, { modules: 8, topPanels: { gridRows: 2 } });
+    assert.equal(version('', {}, 1).name, 'Untitled');
+});
+
+test('snapshots copy only the listed keys that are set', () => {
+    const state = { modules: 8, pivotPct: 40, arrayFoldAngles: [90, 100], extra: true };
+    const values = DesignVersions.snapshotValues(state, ['modules', 'arrayFoldAngles', 'missing']);
+    assert.deepEqual(values, { modules: 8, arrayFoldAngles: [90, 100] });
+    state.arrayFoldAngles.push(110);
+    assert.deepEqual(values.arrayFoldAngles, [90, 100]);
+});
+
+test('the history is newest first, capped, and drops removed versions', () => {
+    let list = [];
+    for (let i = 0; i < DesignVersions.MAX_VERSIONS + 5; i++) {
+        list = DesignVersions.addVersion(list, version(`v${i}`, { modules: 8 }, i));
+    }
+    assert.equal(list.length, DesignVersions.MAX_VERSIONS);
+    assert.equal(list[0].name, `v${DesignVersions.MAX_VERSIONS + 4}`);
+    assert.equal(list[list.length - 1].name, 'v5');
+
+    const removed = DesignVersions.removeVersion(list, list[0].id);
+    assert.equal(removed.length, DesignVersions.MAX_VERSIONS - 1);
+    assert.ok(!removed.some(v => v.id === list[0].id));
+});
+
+test('a stored history is read back, skipping anything that is not a version', () => {
+    const good = version('Kept', { modules: 8 }, 5);
+    const json = JSON.stringify([{ id: 'x' }, good, null, { ...good, id: 'newer', createdAt: 9 }]);
+    assert.deepEqual(DesignVersions.parseList(json).map(v => v.id), ['newer', good.id]);
+    assert.deepEqual(DesignVersions.parseList('not json'), []);
+    assert.deepEqual(DesignVersions.parseList('{}'), []);
+    assert.deepEqual(DesignVersions.parseList(null), []);
+});
+
+// ========================================
+// DIFF
+// ========================================
+
+test('nested settings are diffed setting by setting', () => {
+    const a = version('A', { modules: 8, pivotPct: 40, topPanels: { gridRows: 2, gridCols: 3 } }, 1);
+    const b = version('B', { modules: 10, pivotPct: 40 + 1e-12, topPanels: { gridRows: 3, gridCols: 3 } }, 2);
+    const diff = DesignVersions.diffVersions(a, b, { structure: ['modules', 'pivotPct', 'topPanels'], solar: [] });
+    assert.deepEqual(diff.groups.structure, [
+        { key: 'modules', before: 8, after: 10 },
+        { key: 'topPanels.gridRows', before: 2, after: 3 }
+    ]);
+    assert.deepEqual(diff.groups.solar, []);
+    assert.equal(diff.count, 2);
+});
+
+test('arrays compare element by element', () => {
+    assert.equal(DesignVersions.valuesEqual([1, { a: 2 }], [1, { a: 2 }]), true);
+    assert.equal(DesignVersions.valuesEqual([1, 2], [1, 2, 3]), false);
+    assert.deepEqual(DesignVersions.diffValues({ angles: [90] }, { angles: [95] }, ['angles']),
+        [{ key: 'angles', before: [90], after: [95] }]);
+});
+
+// ========================================
+// COMPARE
+// ========================================
+
+test('metric changes are judged by which way is better', () => {
+    const rows = DesignVersions.compareMetrics(
+        { diameterFt: 20, weightLbs: 500, cost: 0, panelCount: 8 },
+        { diameterFt: 24, weightLbs: 450, cost: 100, panelCount: 6 }
+    );
+    const row = key => rows.find(r => r.key === key);
+    assert.equal(rows.length, DesignVersions.METRICS.length);
+    assert.equal(row('diameterFt').verdict, null);
+    assert.equal(row('diameterFt').change, 0.2);
+    assert.equal(row('weightLbs').verdict, 'better');
+    assert.equal(row('cost').verdict, 'worse');
+    assert.equal(row('cost').change, null);
+    assert.equal(row('panelCount').verdict, 'worse');
+    assert.equal(row('annualKwh').delta, null);
+});
@@ -0,0 +1,87 @@
+// ============================================================================
+// ENERGY YIELD TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EnergyYield = require('../js/linkage/energy-yield.js');
+
+const deg = d => d * Math.PI / 180;
+
+/** Panel normal tilted from horizontal toward a compass direction (0 = N, 90 = E) */
+const facing = (tiltDeg, azimuthDeg) => ({
+    x: Math.sin(deg(tiltDeg)) * Math.sin(deg(azimuthDeg)),
+    y: Math.cos(deg(tiltDeg)),
+    z: -Math.sin(deg(tiltDeg)) * Math.cos(deg(azimuthDeg))
+});
+
+/** Asserts two numbers agree to within a tolerance */
+const close = (actual, expected, tolerance = 1e-6) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+
+// ========================================
+// IRRADIANCE
+// ========================================
+
+test('panel tilt and facing come from the normal', () => {
+    const flat = EnergyYield.panelOrientation({ x: 0, y: 1, z: 0 });
+    close(flat.tiltDeg, 0);
+
+    const south = EnergyYield.panelOrientation(facing(30, 180));
+    close(south.tiltDeg, 30);
+    close(south.azimuthDeg, 180);
+
+    const east = EnergyYield.panelOrientation({ x: 2, y: 0, z: 0 });
+    close(east.tiltDeg, 90);
+    close(east.azimuthDeg, 90);
+});
+
+test('days of the year fall in the right month', () => {
+    assert.equal(EnergyYield.monthOfDay(1), 0);
+    assert.equal(EnergyYield.monthOfDay(172), 5);
+    assert.equal(EnergyYield.monthOfDay(365), 11);
+});
+
+test('there is no light with the sun below the horizon', () => {
+    const poa = EnergyYield.planeOfArray({ x: 0, y: 1, z: 0 }, { x: 0, y: -0.1, z: 0.99 }, 5, 0.2);
+    assert.deepEqual(poa, { beam: 0, diffuse: 0, reflected: 0 });
+});
+
+// ========================================
+// ESTIMATE
+// ========================================
+
+test('in the northern hemisphere a panel facing south yields more than one facing north', () => {
+    const result = EnergyYield.estimate([
+        { normal: facing(30, 180) },
+        { normal: { x: 0, y: 1, z: 0 } },
+        { normal: facing(30, 0) }
+    ], { latitude: 35 });
+    const [south, flat, north] = result.panels.map(p => p.annual);
+    assert.ok(south > flat && flat > north);
+    assert.equal(result.totals.best.index, 0);
+    assert.equal(result.totals.worst.index, 2);
+    close(result.totals.annual, south + flat + north);
+});
+
+test('a flat panel yields more in June than in December', () => {
+    const [panel] = EnergyYield.estimate([{ normal: { x: 0, y: 1, z: 0 } }], { latitude: 35 }).panels;
+    assert.ok(panel.monthly[5] > panel.monthly[11] * 1.5);
+    close(panel.annual, panel.monthly.reduce((a, b) => a + b, 0));
+});
+
+test('energy scales with the panel rating', () => {
+    const normal = facing(20, 180);
+    const result = EnergyYield.estimate([{ normal }, { normal, ratedWatts: 500 }]);
+    assert.equal(result.panels[0].ratedWatts, EnergyYield.DEFAULT_OPTIONS.ratedWatts);
+    close(result.panels[1].annual, result.panels[0].annual * 2);
+    close(result.panels[1].specificYield, result.panels[0].specificYield);
+});
+
+test('shading removes direct light but keeps the diffuse share', () => {
+    const panels = [{ normal: facing(20, 180) }];
+    const clear = EnergyYield.estimate(panels).totals.annual;
+    const shaded = EnergyYield.estimate(panels, { beamLoss: [1] }).totals.annual;
+    assert.ok(shaded > 0 && shaded < clear * 0.5);
+});
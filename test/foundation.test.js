@@ -0,0 +1,74 @@
+// ============================================================================
+// FOUNDATION TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const Foundation = require('../js/linkage/foundation.js');
+const LinkageSolver = require('../js/linkage/linkage-solver.js');
+
+/** Designs the anchors of a design at its deployed angle */
+const designDeployed = (params, options) => {
+    const p = LinkageSolver.createParams(params);
+    const data = LinkageSolver.solveLinkage(p, LinkageSolver.findClosedAngle(p));
+    return Foundation.design(data, p, options);
+};
+
+// ========================================
+// GROUND CONTACTS
+// ========================================
+
+test('a flat ring is anchored under every upright and an arch at its feet', () => {
+    assert.equal(designDeployed({}).contacts.length, 16);
+
+    const arch = designDeployed({ orientation: 'vertical' });
+    assert.deepEqual(arch.contacts.map(c => c.key), ['0|0|tl|b', '0|0|tl|t', '0|7|tr|b', '0|7|tr|t']);
+});
+
+// ========================================
+// REACTIONS
+// ========================================
+
+test('a vertical load is shared equally and a moment is balanced across the anchors', () => {
+    const points = [{ u: -10, v: 0 }, { u: 10, v: 0 }];
+    assert.deepEqual(Foundation.distributeReactions(points, -100, { x: 0, y: 0, z: 0 }), [50, 50]);
+    assert.deepEqual(Foundation.distributeReactions(points, 0, { x: 0, y: 0, z: 200 }), [10, -10]);
+});
+
+// ========================================
+// DESIGN
+// ========================================
+
+test('the default ring needs one ground screw per contact', () => {
+    const result = designDeployed({});
+    assert.deepEqual(result.bom.map(b => [b.type, b.count]), [['ground-screw', 16]]);
+    assert.equal(result.totals.cost, 16 * Foundation.ANCHOR_TYPES['ground-screw'].cost);
+    assert.ok(result.totals.worstUtilization > 0 && result.totals.worstUtilization < 1);
+});
+
+test('faster wind lifts harder, and every contact gets enough units', () => {
+    const base = designDeployed({});
+    const storm = designDeployed({}, { loadCase: { windSpeedMph: 150 }, anchors: { defaultType: 'stake' } });
+    assert.ok(storm.totals.maxUplift > base.totals.maxUplift);
+    assert.ok(storm.totals.maxLateral > base.totals.maxLateral);
+
+    const stake = Foundation.ANCHOR_TYPES.stake;
+    storm.contacts.forEach(c => {
+        assert.ok(c.units * stake.upliftCapacity >= c.uplift);
+        assert.ok(c.units * stake.lateralCapacity >= c.shear);
+    });
+});
+
+test('bearing carries the full dead load', () => {
+    const result = designDeployed({});
+    const bearing = result.contacts.reduce((sum, c) => sum + c.compression, 0);
+    assert.ok(bearing >= result.totals.deadWeight);
+});
+
+test('anchor types can be chosen per contact', () => {
+    const key = designDeployed({}).contacts[0].key;
+    const result = designDeployed({}, { anchors: { defaultType: 'stake', types: { [key]: 'pier' } } });
+    assert.deepEqual(result.bom.map(b => [b.type, b.count]), [['stake', 15], ['pier', 1]]);
+    assert.equal(Foundation.getAnchorType('unknown').label, Foundation.ANCHOR_TYPES[Foundation.DEFAULT_ANCHOR_TYPE].label);
+});
@@ -0,0 +1,71 @@
+// ============================================================================
+// INVERSE DESIGN TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const InverseDesign = require('../js/linkage/inverse-design.js');
+
+const TARGETS = { minModules: 8, maxModules: 9 };
+const OPTIONS = { maxEvaluations: 4 };
+
+// ========================================
+// SEARCH
+// ========================================
+
+test('screening runs in batches before the collision checks', async () => {
+    const phases = [];
+    const result = await InverseDesign.solveAsync({}, TARGETS, {
+        ...OPTIONS,
+        screenBatchSize: 8,
+        onProgress: (done, total, phase) => phases.push({ done, total, phase })
+    });
+
+    const screening = phases.filter(p => p.phase === 'screen');
+    assert.deepEqual(screening.map(p => p.done), [8, 16, 20]);
+    assert.ok(phases.slice(screening.length).every(p => p.phase === 'evaluate'));
+    assert.equal(result.evaluated, OPTIONS.maxEvaluations);
+    assert.equal(result.cancelled, false);
+});
+
+test('the batched search finds the same designs as the synchronous one', async () => {
+    const options = { maxEvaluations: 6 };
+    const sync = InverseDesign.solve({}, {}, options);
+    const batched = await InverseDesign.solveAsync({}, {}, options);
+    assert.equal(batched.screened, sync.screened);
+    assert.ok(sync.candidates.length > 0);
+    assert.deepEqual(batched.candidates.map(c => c.params), sync.candidates.map(c => c.params));
+});
+
+test('a cancelled search stops during screening', async () => {
+    let calls = 0;
+    const result = await InverseDesign.solveAsync({}, TARGETS, {
+        ...OPTIONS,
+        onProgress: () => calls++,
+        isCancelled: () => calls > 0
+    });
+    assert.equal(result.cancelled, true);
+    assert.equal(result.evaluated, 0);
+});
+
+// ========================================
+// STOWED TARGET
+// ========================================
+
+test('designs that fold within the stowed target rank first', () => {
+    const result = InverseDesign.solve({}, { stowedDiameterFt: 10 }, { maxEvaluations: 12 });
+    const flags = result.candidates.map(c => c.meetsStowed);
+    assert.ok(flags.includes(true) && flags.includes(false));
+    assert.deepEqual(flags, [...flags].sort((a, b) => b - a));
+    result.candidates.forEach(c => assert.equal(c.meetsStowed, c.metrics.stowedDiameter <= 10 * 12));
+});
+
+test('a stowed target no design can meet is flagged rather than scored', () => {
+    const result = InverseDesign.solve({}, { stowedDiameterFt: 2 }, { maxEvaluations: 6 });
+    assert.ok(result.candidates.length > 0);
+    result.candidates.forEach(c => {
+        assert.equal(c.meetsStowed, false);
+        assert.ok(Math.abs(c.score - (c.errors.deployed + c.errors.height)) < 1e-9);
+    });
+});
@@ -0,0 +1,122 @@
+// ============================================================================
+// LAYOUT OPTIMIZER TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LayoutOptimizer = require('../js/linkage/layout-optimizer.js');
+
+const deg = d => d * Math.PI / 180;
+
+/** Square canopy, 200" a side, centred on the origin */
+const CANOPY = {
+    vertices: [{ x: -100, z: -100 }, { x: 100, z: -100 }, { x: 100, z: 100 }, { x: -100, z: 100 }],
+    area: 200 * 200,
+    maxRadius: Math.hypot(100, 100)
+};
+
+/** Top panel config: 40" x 60" panels in a rectangular grid */
+const BASE = { layoutMode: 'rectangular', panelWidth: 40, panelLength: 60, paddingX: 2, paddingY: 2, gridRows: 1, gridCols: 1, gridRotation: 0 };
+
+/** Flat panel centred at (x, z), turned by an angle about the vertical */
+const panel = (x, z, rotationDeg = 0, width = BASE.panelWidth, length = BASE.panelLength) => {
+    const r = deg(rotationDeg);
+    return {
+        center: { x, y: 0, z },
+        axisX: { x: Math.cos(r), y: 0, z: Math.sin(r) },
+        axisZ: { x: -Math.sin(r), y: 0, z: Math.cos(r) },
+        width,
+        length
+    };
+};
+
+/** Lays out a centred grid the way the app's rectangular mode does */
+const layoutGrid = (settings) => {
+    const s = { ...BASE, ...settings };
+    const r = deg(s.gridRotation);
+    const stepX = s.panelWidth + s.paddingX;
+    const stepZ = s.panelLength + s.paddingY;
+    const panels = [];
+    for (let row = 0; row < s.gridRows; row++) {
+        for (let col = 0; col < s.gridCols; col++) {
+            const u = (col - (s.gridCols - 1) / 2) * stepX;
+            const v = (row - (s.gridRows - 1) / 2) * stepZ;
+            panels.push(panel(u * Math.cos(r) - v * Math.sin(r), u * Math.sin(r) + v * Math.cos(r), s.gridRotation));
+        }
+    }
+    return panels;
+};
+
+// ========================================
+// SCREENING
+// ========================================
+
+test('a panel fits inside the canopy with its distance to the edge', () => {
+    const fit = LayoutOptimizer.measureFit([panel(0, 0)], CANOPY);
+    assert.equal(fit.fits, true);
+    assert.equal(fit.margin, 70);
+    assert.equal(LayoutOptimizer.measureFit([panel(0, 0)], CANOPY, 80).fits, false);
+});
+
+test('panels past the edge or on top of each other do not fit', () => {
+    assert.equal(LayoutOptimizer.measureFit([panel(90, 0)], CANOPY).fits, false);
+
+    const overlapping = LayoutOptimizer.measureFit([panel(0, 0), panel(30, 0)], CANOPY);
+    assert.equal(overlapping.fits, false);
+    assert.equal(overlapping.overlap, 10);
+
+    // A turned panel reaches further than its width
+    assert.equal(LayoutOptimizer.measureFit([panel(65, 0)], CANOPY).fits, true);
+    assert.equal(LayoutOptimizer.measureFit([panel(65, 0, 45)], CANOPY).fits, false);
+});
+
+// ========================================
+// SEARCH
+// ========================================
+
+test('the fullest grid that fits comes first', () => {
+    const result = LayoutOptimizer.optimize(CANOPY, BASE, layoutGrid);
+    const best = result.candidates[0];
+    // 4 columns of 40" and 3 rows of 60" fill 200" x 200" with 2" gaps
+    assert.equal(best.count, 12);
+    assert.equal(best.settings.gridCols * best.settings.gridRows, 12);
+    assert.ok(result.candidates.every(c => LayoutOptimizer.measureFit(layoutGrid(c.settings), CANOPY).fits));
+    assert.ok(result.fitting > 0 && result.fitting <= result.screened);
+});
+
+test('layouts that fold into the structure too early are rejected', () => {
+    const result = LayoutOptimizer.optimize(CANOPY, BASE, layoutGrid, {
+        foldLimit: deg(30),
+        checkFold: settings => ({ blockedAngle: settings.gridRows * settings.gridCols > 6 ? deg(60) : null })
+    });
+    assert.ok(result.foldRejected > 0);
+    assert.ok(result.candidates.every(c => c.count <= 6));
+});
+
+test('the energy and cost objectives rank by their own measure', () => {
+    // Energy favours grids turned toward 90°; cost per watt favours fewer panels here
+    const energyOf = panels => panels.length * (1 + Math.abs(Math.sin(Math.atan2(panels[0].axisX.z, panels[0].axisX.x))));
+    const energy = LayoutOptimizer.optimize(CANOPY, BASE, layoutGrid, { objective: 'energy', energyOf });
+    const energies = energy.candidates.map(c => c.energy);
+    assert.deepEqual(energies, [...energies].sort((a, b) => b - a));
+
+    const cost = LayoutOptimizer.optimize(CANOPY, BASE, layoutGrid, {
+        objective: 'costPerWatt', ratedWatts: 400, cost: { fixed: 1000, perPanel: 200 }
+    });
+    const perWatt = cost.candidates.map(c => c.costPerWatt);
+    assert.deepEqual(perWatt, [...perWatt].sort((a, b) => a - b));
+    assert.equal(cost.candidates[0].count, 12);
+});
+
+test('the batched search matches the synchronous one', async () => {
+    const sync = LayoutOptimizer.optimize(CANOPY, BASE, layoutGrid);
+    const progress = [];
+    const batched = await LayoutOptimizer.optimizeAsync(CANOPY, BASE, layoutGrid, {
+        batchSize: 8,
+        onProgress: (done, total) => progress.push(done === total)
+    });
+    assert.equal(batched.cancelled, false);
+    assert.deepEqual(batched.candidates, sync.candidates);
+    assert.equal(progress[progress.length - 1], true);
+});
@@ -0,0 +1,131 @@
+// ============================================================================
+// LINKAGE SOLVER TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LinkageSolver = require('../js/linkage/linkage-solver.js');
+
+const deg = d => d * Math.PI / 180;
+
+/** Asserts two numbers agree to within a tolerance */
+const close = (actual, expected, tolerance = 1e-3) =>
+    assert.ok(Math.abs(actual - expected) <= tolerance, `expected ${expected}, got ${actual}`);
+
+/** Default design, solved at a fold angle in degrees */
+const solveDefault = (orientation, angle) => {
+    const params = LinkageSolver.createParams({ orientation });
+    return { params, data: LinkageSolver.solveLinkage(params, deg(angle)) };
+};
+
+// Expected values were taken from the inline LinkageLab solver before it moved
+// into LinkageSolver, run on its default state
+
+// ========================================
+// SOLVE
+// ========================================
+
+test('the default ring solves to the baseline geometry', () => {
+    const cases = [
+        { angle: 20, maxRad: 139.8586, maxHeight: 24.9142 },
+        { angle: 90, maxRad: 399.3572, maxHeight: 73.8037 },
+        { angle: 135, maxRad: 231.126, maxHeight: 93.6701 }
+    ];
+    cases.forEach(({ angle, maxRad, maxHeight }) => {
+        const { data } = solveDefault('horizontal', angle);
+        assert.equal(data.beams.length, 56);
+        assert.equal(data.brackets.length, 32);
+        assert.equal(data.bolts.length, 0);
+        close(data.maxRad, maxRad);
+        close(data.maxHeight, maxHeight);
+    });
+});
+
+test('the default arch solves to the baseline geometry', () => {
+    const cases = [
+        { angle: 20, maxRad: 86.425, maxHeight: 7.1671 },
+        { angle: 90, maxRad: 231.4412, maxHeight: 140.8956 },
+        { angle: 135, maxRad: 134.6728, maxHeight: 226.4164 }
+    ];
+    cases.forEach(({ angle, maxRad, maxHeight }) => {
+        const { data } = solveDefault('vertical', angle);
+        assert.equal(data.beams.length, 56);
+        close(data.maxRad, maxRad);
+        close(data.maxHeight, maxHeight);
+    });
+});
+
+test('each module has two ring stacks and one upright stack', () => {
+    const { data } = solveDefault('horizontal', 90);
+    const count = type => data.beams.filter(b => b.stackType === type).length;
+    assert.equal(count('horizontal-bottom'), 8 * 2);
+    assert.equal(count('horizontal-top'), 8 * 2);
+    assert.equal(count('vertical'), 8 * 3);
+});
+
+test('upright beams are tagged with the module they belong to', () => {
+    const { data } = solveDefault('horizontal', 90);
+    const uprights = data.beams.filter(b => b.stackType === 'vertical');
+    for (let i = 0; i < 8; i++) {
+        assert.equal(uprights.filter(b => b.moduleIndex === i).length, 3);
+    }
+});
+
+// ========================================
+// COLLISIONS
+// ========================================
+
+test('collision counts match the baseline where upright tagging plays no part', () => {
+    const cases = [
+        { orientation: 'horizontal', angle: 90, count: 90 },
+        { orientation: 'horizontal', angle: 135, count: 96 },
+        { orientation: 'vertical', angle: 20, count: 0 }
+    ];
+    cases.forEach(({ orientation, angle, count }) => {
+        const { params, data } = solveDefault(orientation, angle);
+        assert.equal(LinkageSolver.detectCollisions(data, params).length, count, `${orientation} at ${angle}°`);
+    });
+});
+
+test('uprights are no longer compared by layer in the over-folding check', () => {
+    // The baseline reported 260 pairs here, and 22 over-folding pairs in the arch at 135°
+    const ring = solveDefault('horizontal', 20);
+    assert.equal(LinkageSolver.detectCollisions(ring.data, ring.params).length, 237);
+
+    const arch = solveDefault('vertical', 135);
+    const types = LinkageSolver.detectCollisions(arch.data, arch.params).map(c => c.type);
+    assert.equal(types.filter(t => t === 'vertical-horizontal').length, 70);
+    assert.equal(types.filter(t => t === 'over-folding').length, 0);
+});
+
+test('an over-folded ring reports the first and last modules', () => {
+    const params = LinkageSolver.createParams({ modules: 16 });
+    const data = LinkageSolver.solveLinkage(params, deg(175));
+    const collisions = LinkageSolver.detectCollisions(data, params);
+    assert.ok(collisions.length > 0);
+    assert.ok(collisions.every(c => c.type === 'geometric-overfold'));
+    assert.match(collisions[0].message, /exceeds 360°/);
+    assert.equal(collisions[0].beam.moduleIndex, 0);
+    assert.equal(collisions[0].other.moduleIndex, 15);
+});
+
+// ========================================
+// CENTER OF MASS
+// ========================================
+
+test('the center of mass matches the baseline', () => {
+    const cases = [
+        { orientation: 'horizontal', angle: 20, com: { x: -1.3401, y: 10.9571, z: -59.054 } },
+        { orientation: 'horizontal', angle: 135, com: { x: -102.5347, y: 45.3351, z: -0.2112 } },
+        { orientation: 'vertical', angle: 135, com: { x: 0.1638, y: 92.6292, z: -45.3351 } }
+    ];
+    cases.forEach(({ orientation, angle, com }) => {
+        const { params, data } = solveDefault(orientation, angle);
+        const result = LinkageSolver.calculateCenterOfMass(data, params);
+        close(result.x, com.x);
+        close(result.y, com.y);
+        close(result.z, com.z);
+        close(result.totalWeight, 524.032);
+    });
+});
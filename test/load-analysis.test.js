@@ -0,0 +1,67 @@
+// ============================================================================
+// LOAD ANALYSIS TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoadAnalysis = require('../js/linkage/load-analysis.js');
+const LinkageSolver = require('../js/linkage/linkage-solver.js');
+
+/** Analyses a design at its deployed angle */
+const analyzeDeployed = (params, loadCase) => {
+    const p = LinkageSolver.createParams(params);
+    return LoadAnalysis.analyze(p, LinkageSolver.findClosedAngle(p), { loadCase });
+};
+
+// ========================================
+// FRAME MODEL
+// ========================================
+
+test('the default ring is modelled with every ring beam, upright and bracket', () => {
+    const p = LinkageSolver.createParams({});
+    const model = LoadAnalysis.buildFrameModel(p, LinkageSolver.findClosedAngle(p));
+    const count = kind => model.members.filter(m => m.kind === kind).length;
+    assert.equal(count('horizontal-bottom'), 8 * 4);
+    assert.equal(count('horizontal-top'), 8 * 4);
+    assert.equal(count('vertical'), 8 * 4);
+    assert.equal(count('bracket'), 8 * 4);
+    assert.equal(model.nodes.filter(n => n.support).length, 16);
+});
+
+test('arches, arch arrays and tiered towers are not analysed', () => {
+    assert.equal(LoadAnalysis.getUnsupportedReason({}), null);
+    assert.match(LoadAnalysis.getUnsupportedReason({ orientation: 'vertical' }), /^arches/);
+    assert.match(LoadAnalysis.getUnsupportedReason({ orientation: 'vertical', arrayCount: 3 }), /^arch arrays/);
+    assert.match(LoadAnalysis.getUnsupportedReason({ tierCount: 2 }), /^tiered towers/);
+    // Arrays only apply to arches, so a flat ring with an array count is still analysed
+    assert.equal(LoadAnalysis.getUnsupportedReason({ arrayCount: 3 }), null);
+
+    assert.throws(() => analyzeDeployed({ orientation: 'vertical' }), /LoadAnalysis: arches/);
+    assert.throws(() => analyzeDeployed({ tierCount: 3 }), /LoadAnalysis: tiered towers/);
+});
+
+// ========================================
+// ANALYSIS
+// ========================================
+
+test('the default ring carries the default load case', () => {
+    const result = analyzeDeployed({});
+    assert.equal(result.members.length, 96);
+    assert.ok(result.worst.utilization > 0 && result.worst.utilization < 1);
+    assert.equal(result.combinations.length, LoadAnalysis.LOAD_COMBINATIONS.length);
+    // No wind in the dead + snow combination, so nothing lifts off
+    assert.equal(result.combinations.find(c => c.id === 'D+S').uplift, 0);
+});
+
+test('heavier snow and faster wind raise the demand', () => {
+    const base = analyzeDeployed({});
+    const snow = analyzeDeployed({}, { snowPsf: 60 });
+    const wind = analyzeDeployed({}, { windSpeedMph: 150 });
+    const uplift = r => Math.max(...r.combinations.map(c => c.uplift));
+
+    assert.ok(snow.totals.snow > base.totals.snow * 2.9);
+    assert.equal(snow.totals.dead, base.totals.dead);
+    assert.ok(wind.worst.utilization > base.worst.utilization);
+    assert.ok(uplift(wind) > uplift(base));
+});
@@ -0,0 +1,73 @@
+// ============================================================================
+// SHARE LINK TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ShareLink = require('../js/linkage/share-link.js');
+
+/** Configuration with enough repetition to compress well */
+const CONFIG = {
+    version: 30,
+    structure: { modules: 8, pivotPct: 40, hLengthFt: 8 },
+    moduleOverrides: Array.from({ length: 16 }, (_, i) => ({ module: i, hLengthFt: 8 + i / 4 })),
+    name: 'Canopy — ünïcode ✓'
+};
+
+/** Token holding plain JSON, as made where compression isn't available */
+const jsonToken = value => `${ShareLink.FORMAT_VERSION}.${ShareLink.CODECS.JSON}.` +
+    ShareLink.toBase64Url(new TextEncoder().encode(JSON.stringify(value)));
+
+// ========================================
+// BYTES
+// ========================================
+
+test('base64url round-trips every byte value without padding', () => {
+    const bytes = Uint8Array.from({ length: 256 }, (_, i) => i);
+    const text = ShareLink.toBase64Url(bytes);
+    assert.match(text, /^[A-Za-z0-9_-]+$/);
+    assert.deepEqual(ShareLink.fromBase64Url(text), bytes);
+    assert.throws(() => ShareLink.fromBase64Url('a+b/'), /not base64url/);
+});
+
+// ========================================
+// ENCODING
+// ========================================
+
+test('a configuration survives encoding and decoding', async () => {
+    const token = await ShareLink.encode(CONFIG);
+    assert.ok(token.startsWith(`${ShareLink.FORMAT_VERSION}.${ShareLink.CODECS.DEFLATE}.`));
+    assert.deepEqual(await ShareLink.decode(token), CONFIG);
+    assert.ok(token.length < jsonToken(CONFIG).length);
+});
+
+test('plain JSON links open too', async () => {
+    assert.deepEqual(await ShareLink.decode(jsonToken(CONFIG)), CONFIG);
+});
+
+test('bad links are rejected with a reason', async () => {
+    await assert.rejects(ShareLink.decode('hello'), /Not a design link/);
+    await assert.rejects(ShareLink.decode(`${ShareLink.FORMAT_VERSION + 1}.z.abc`), /newer version/);
+    await assert.rejects(ShareLink.decode('1.q.abc'), /Unknown link encoding/);
+    await assert.rejects(ShareLink.decode('1.z.AAAA_____w'), Error);
+    await assert.rejects(ShareLink.decode(jsonToken([1, 2])), /no configuration/);
+});
+
+// ========================================
+// URLS
+// ========================================
+
+test('the design is read from the hash among other parameters', () => {
+    assert.equal(ShareLink.readHash('#view=top&design=1.z.abc'), '1.z.abc');
+    assert.equal(ShareLink.readHash('#view=top'), null);
+    assert.equal(ShareLink.readHash(''), null);
+});
+
+test('a link replaces any existing hash and opens the same design', async () => {
+    const link = await ShareLink.buildUrl('https://example.com/app/index.html#old', CONFIG);
+    assert.ok(link.url.startsWith('https://example.com/app/index.html#design='));
+    assert.equal(link.length, link.url.length);
+    assert.equal(link.long, false);
+    assert.deepEqual(await ShareLink.decode(ShareLink.readHash(new URL(link.url).hash)), CONFIG);
+});
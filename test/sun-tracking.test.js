@@ -0,0 +1,85 @@
+// ============================================================================
+// SUN TRACKING TESTS
+// Run with: node --test test/
+// ============================================================================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SunTracking = require('../js/linkage/sun-tracking.js');
+const PanelShading = require('../js/linkage/panel-shading.js');
+
+const deg = d => d * Math.PI / 180;
+
+/** Stand-in for an arch wall: one panel that tilts toward +X as the angle grows and toward -X below zero */
+const panelsAt = angle => [{ normal: { x: Math.sin(angle), y: Math.cos(angle), z: 0 } }];
+
+const ANGLES = [-60, -45, -30, -15, 0, 15, 30, 45, 60].map(deg);
+const poses = () => ANGLES.map(angle => SunTracking.buildPose(angle, panelsAt(angle)));
+const flatPose = () => SunTracking.buildPose(0, panelsAt(0));
+
+// ========================================
+// RANGES
+// ========================================
+
+test('the clear range is the collision-free run around the preferred angle', () => {
+    const samples = [1, 0, 0, 0, 2, 0, 0, 1].map((count, i) => ({ angle: i, count }));
+    assert.deepEqual(SunTracking.clearRange(samples, 5.5), { min: 5, max: 6 });
+    // Outside every run the widest wins
+    assert.deepEqual(SunTracking.clearRange(samples, 7), { min: 1, max: 3 });
+    assert.equal(SunTracking.clearRange(samples.map(s => ({ ...s, count: 1 })), 3), null);
+});
+
+test('an actuator limits the range to where its length reaches the mounts', () => {
+    const profile = [0, 1, 2, 3].map(i => ({ angle: i, length: 10 + i * 4 }));
+    assert.deepEqual(SunTracking.strokeRange(profile), { min: 0, max: 3 });
+    // 12" to 18": from a half step in to three quarters of the last step
+    const range = SunTracking.strokeRange(profile, { retractedIn: 12, strokeIn: 6 });
+    assert.ok(Math.abs(range.min - 0.5) < 1e-9);
+    assert.ok(Math.abs(range.max - 2) < 1e-9);
+});
+
+// ========================================
+// PLANNING
+// ========================================
+
+test('the panel follows the sun from one side to the other through the day', () => {
+    const options = { latitude: 35, dayOfYear: 172 };
+    const result = SunTracking.plan(poses(), flatPose(), options);
+    const sun = PanelShading.getSunSteps({ ...options, period: 'day', stepMinutes: SunTracking.DEFAULT_OPTIONS.stepMinutes });
+    const morning = 2;
+    const afternoon = result.steps.length - 3;
+    // Tilted toward the side the sun is on
+    assert.ok(result.steps[morning].angle * sun[morning].direction.x > 0);
+    assert.ok(result.steps[afternoon].angle * sun[afternoon].direction.x > 0);
+    assert.ok(result.steps[morning].angle * result.steps[afternoon].angle < 0);
+    assert.ok(result.gain > 0);
+    assert.ok(result.energy > result.fixedEnergy);
+    assert.deepEqual(result.range, { min: deg(-60), max: deg(60) });
+    result.steps.forEach(s => assert.ok(s.power >= s.fixedPower - 1e-9));
+});
+
+test('without usable poses the fixed angle is held', () => {
+    const result = SunTracking.plan([SunTracking.buildPose(deg(30), [])], flatPose());
+    assert.ok(result.steps.every(s => s.angle === 0));
+    assert.equal(result.gain, 0);
+    assert.equal(result.travel, 0);
+    assert.equal(result.range, null);
+});
+
+test('the scheduled angle eases between steps', () => {
+    const result = { fixedAngle: 0, steps: [{ hour: 8, angle: 1 }, { hour: 10, angle: 0 }] };
+    assert.equal(SunTracking.angleAt(result, 6), 1);
+    assert.equal(SunTracking.angleAt(result, 9), 0.5);
+    assert.equal(SunTracking.angleAt(result, 12), 0);
+    assert.equal(SunTracking.angleAt({ fixedAngle: 0.3, steps: [] }, 9), 0.3);
+});
+
+test('the batched planner matches the synchronous one and can be cancelled', async () => {
+    const sync = SunTracking.plan(poses(), flatPose());
+    const batched = await SunTracking.planAsync(ANGLES, 0, panelsAt, { batchSize: 4 });
+    assert.equal(batched.cancelled, false);
+    assert.deepEqual(batched.steps, sync.steps);
+
+    const cancelled = await SunTracking.planAsync(ANGLES, 0, panelsAt, { isCancelled: () => true });
+    assert.deepEqual(cancelled, { cancelled: true });
+});